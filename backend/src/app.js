@@ -0,0 +1,92 @@
+import express from "express";
+import cookieParser from "cookie-parser";
+import path from "path";
+import cors from "cors";
+
+import authRoutes from "./routes/auth.route.js";
+import messageRoutes from "./routes/message.route.js";
+import groupRoutes from "./routes/group.route.js";
+import userRoutes from "./routes/user.route.js";
+import contactRoutes from "./routes/contact.route.js";
+import reportRoutes from "./routes/report.route.js";
+import adminRoutes from "./routes/admin.route.js";
+import docsRoutes from "./routes/docs.route.js";
+import { ENV } from "./lib/env.js";
+import { ApiError } from "./lib/errors.js";
+import { formatErrorResponses, apiNotFound, errorHandler } from "./middleware/error.middleware.js";
+import { storageDriverName } from "./lib/storage.js";
+import { UPLOADS_DIR, UPLOADS_ROUTE, setUploadHeaders } from "./lib/diskStorage.js";
+import { app, server } from "./lib/socket.js";
+
+// Middleware and routes live here, apart from server.js, so tests can drive the app
+// without listening on a port or connecting to the real database
+
+const __dirname = path.resolve();
+
+// every 4xx/5xx body becomes { code, message, details }; see middleware/error.middleware.js
+app.use(formatErrorResponses);
+
+app.use(express.json({ limit: "5mb" })); // req.body
+
+// CORS configuration - allow multiple origins in development
+const allowedOrigins = ENV.CLIENT_URL
+  ? ENV.CLIENT_URL.split(",").map((url) => url.trim())
+  : ["http://localhost:5173", "http://localhost:3000", "http://127.0.0.1:5173"];
+
+app.use(
+  cors({
+    origin: function (origin, callback) {
+      // Allow requests with no origin (like mobile apps or curl requests)
+      if (!origin) return callback(null, true);
+      if (allowedOrigins.indexOf(origin) !== -1 || !origin) {
+        callback(null, true);
+      } else {
+        // In development, allow all origins
+        if (ENV.NODE_ENV === "development") {
+          callback(null, true);
+        } else {
+          callback(new ApiError(403, "Not allowed by CORS", { code: "CORS_NOT_ALLOWED" }));
+        }
+      }
+    },
+    credentials: true,
+    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-Socket-Id"],
+  })
+);
+
+app.use(cookieParser());
+
+// Health check endpoint (before auth routes)
+app.get("/api/health", (req, res) => {
+  res.status(200).json({ status: "ok", message: "Server is running" });
+});
+
+app.use("/api/auth", authRoutes);
+app.use("/api/messages", messageRoutes);
+app.use("/api/groups", groupRoutes);
+app.use("/api/users", userRoutes);
+app.use("/api/contacts", contactRoutes);
+app.use("/api/reports", reportRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/docs", docsRoutes); // OpenAPI document and Swagger UI
+app.use("/api", apiNotFound);
+
+// media saved by the local storage driver
+if (storageDriverName === "local") {
+  app.use(UPLOADS_ROUTE, express.static(UPLOADS_DIR, { setHeaders: setUploadHeaders }));
+}
+
+// make ready for deployment
+if (ENV.NODE_ENV === "production") {
+  app.use(express.static(path.join(__dirname, "../frontend/dist")));
+
+  app.get("*", (_, res) => {
+    res.sendFile(path.join(__dirname, "../frontend", "dist", "index.html"));
+  });
+}
+
+// anything a route threw or passed to next(err), including validation failures
+app.use(errorHandler);
+
+export { app, server };
@@ -0,0 +1,167 @@
+import User from "../models/User.js";
+import Message from "../models/Message.js";
+import Group from "../models/Group.js";
+import Report from "../models/Report.js";
+import { getOnlineUsers, isUserOnline } from "../lib/socket.js";
+import { revokeSessions } from "../lib/session.js";
+import { escapeRegex } from "../lib/utils.js";
+import { suspendUser, unsuspendUser, deleteUserAccount } from "../lib/moderation.js";
+
+const USERS_PAGE_SIZE = 25;
+const STATS_DAYS = 14;
+
+// Admins can't act on their own account or on other admins from the dashboard
+const loadTargetUser = async (req, res) => {
+  const { userId } = req.params;
+  if (req.user._id.equals(userId)) {
+    res.status(400).json({ message: "You can't do this to your own account" });
+    return null;
+  }
+
+  const user = await User.findById(userId).select("-password");
+  if (!user) {
+    res.status(404).json({ message: "User not found" });
+    return null;
+  }
+  if (user.role === "admin") {
+    res.status(403).json({ message: "Admins can't be moderated from the dashboard" });
+    return null;
+  }
+  return user;
+};
+
+// ?q= matches name or email, ?status=active|suspended, ?page=
+export const getUsers = async (req, res) => {
+  const { q, status, page } = req.query;
+
+  try {
+    const filter = {};
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), "i");
+      filter.$or = [{ fullName: pattern }, { email: pattern }];
+    }
+    if (status === "suspended") filter.suspendedAt = { $ne: null };
+    if (status === "active") filter.suspendedAt = null;
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select("fullName email profilePic role emailVerified suspendedAt suspensionReason createdAt")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * USERS_PAGE_SIZE)
+        .limit(USERS_PAGE_SIZE)
+        .lean(),
+      User.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      users: users.map((user) => ({ ...user, isOnline: isUserOnline(user._id) })),
+      total,
+      page,
+      pageSize: USERS_PAGE_SIZE,
+    });
+  } catch (error) {
+    console.error("Error in admin getUsers controller:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const suspendAccount = async (req, res) => {
+  try {
+    const target = await loadTargetUser(req, res);
+    if (!target) return;
+
+    const user = await suspendUser(target._id, req.body.reason);
+    res.status(200).json(user);
+  } catch (error) {
+    console.error("Error in admin suspendAccount controller:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const unsuspendAccount = async (req, res) => {
+  try {
+    const target = await loadTargetUser(req, res);
+    if (!target) return;
+
+    const user = await unsuspendUser(target._id);
+    res.status(200).json(user);
+  } catch (error) {
+    console.error("Error in admin unsuspendAccount controller:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const deleteAccount = async (req, res) => {
+  try {
+    const target = await loadTargetUser(req, res);
+    if (!target) return;
+
+    await deleteUserAccount(target._id);
+    res.status(200).json({ message: "Account deleted" });
+  } catch (error) {
+    console.error("Error in admin deleteAccount controller:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Ends every session of the user, which also drops their live sockets
+export const forceLogout = async (req, res) => {
+  try {
+    const target = await loadTargetUser(req, res);
+    if (!target) return;
+
+    const count = await revokeSessions({ userId: target._id });
+    res.status(200).json({ message: `Logged out of ${count} session${count === 1 ? "" : "s"}` });
+  } catch (error) {
+    console.error("Error in admin forceLogout controller:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const getStats = async (req, res) => {
+  try {
+    const since = new Date();
+    since.setUTCHours(0, 0, 0, 0);
+    since.setUTCDate(since.getUTCDate() - (STATS_DAYS - 1));
+
+    const [totalUsers, suspendedUsers, totalMessages, totalGroups, openReports, perDay] =
+      await Promise.all([
+        User.countDocuments(),
+        User.countDocuments({ suspendedAt: { $ne: null } }),
+        Message.estimatedDocumentCount(),
+        Group.countDocuments(),
+        Report.countDocuments({ status: "open" }),
+        Message.aggregate([
+          { $match: { createdAt: { $gte: since } } },
+          {
+            $group: {
+              _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+              count: { $sum: 1 },
+            },
+          },
+        ]),
+      ]);
+
+    // one entry per day, including days without any messages
+    const counts = new Map(perDay.map(({ _id, count }) => [_id, count]));
+    const messagesPerDay = Array.from({ length: STATS_DAYS }, (_, i) => {
+      const day = new Date(since);
+      day.setUTCDate(since.getUTCDate() + i);
+      const date = day.toISOString().slice(0, 10);
+      return { date, count: counts.get(date) || 0 };
+    });
+
+    res.status(200).json({
+      totalUsers,
+      suspendedUsers,
+      onlineUsers: getOnlineUsers().length,
+      totalMessages,
+      totalGroups,
+      openReports,
+      messagesPerDay,
+    });
+  } catch (error) {
+    console.error("Error in admin getStats controller:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
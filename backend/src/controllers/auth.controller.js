@@ -1,29 +1,97 @@
-import { sendWelcomeEmail } from "../emails/emailHandlers.js";
-import { generateToken } from "../lib/utils.js";
+import {
+  sendWelcomeEmail,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+} from "../emails/emailHandlers.js";
+import { generateOneTimeToken, hashToken, getClientURL, clearAuthCookies } from "../lib/utils.js";
+import { startSession, rotateSession, revokeSessions } from "../lib/session.js";
+import {
+  generateTotpSecret,
+  buildOtpAuthURL,
+  verifyTotp,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} from "../lib/totp.js";
 import User from "../models/User.js";
+import Session from "../models/Session.js";
 import bcrypt from "bcryptjs";
+import jwt from "jsonwebtoken";
+import QRCode from "qrcode";
+import crypto from "crypto";
 import { ENV } from "../lib/env.js";
-import cloudinary from "../lib/cloudinary.js";
-import { Readable } from "stream";
+import { uploadMedia, MEDIA_FOLDERS } from "../lib/storage.js";
 
-export const signup = async (req, res) => {
-  const { fullName, email, password } = req.body;
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+const EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS = 60;
+const TWO_FACTOR_CHALLENGE_TTL = "5m";
+const TWO_FACTOR_MAX_ATTEMPTS = 5; // codes per challenge, and wrong codes in a row per lockout
+const TWO_FACTOR_MAX_LOCKOUT_MINUTES = 60;
 
-  try {
-    if (!fullName || !email || !password) {
-      return res.status(400).json({ message: "All fields are required" });
-    }
+// what the client keeps as authUser after signup / login
+const toAuthUser = (user) => ({
+  _id: user._id,
+  fullName: user.fullName,
+  email: user.email,
+  profilePic: user.profilePic,
+  showLastSeen: user.showLastSeen,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: user.twoFactorEnabled,
+  role: user.role,
+  blockedUsers: user.blockedUsers || [],
+});
 
-    if (password.length < 6) {
-      return res.status(400).json({ message: "Password must be at least 6 characters" });
-    }
+// Stores a fresh verification token on the user (caller saves) and returns the link to email
+const issueEmailVerification = (user) => {
+  const { token, tokenHash } = generateOneTimeToken();
+  user.emailVerificationTokenHash = tokenHash;
+  user.emailVerificationExpiresAt = new Date(
+    Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+  );
+  return `${getClientURL()}/verify-email?token=${token}`;
+};
 
-    // check if emailis valid: regex
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({ message: "Invalid email format" });
-    }
+// Seconds until another verification email may be sent; the last one went out a TTL before
+// the current link expires
+const verificationResendWait = (user) => {
+  if (!user.emailVerificationExpiresAt) return 0;
+  const sentAt = user.emailVerificationExpiresAt - EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000;
+  const wait = sentAt + EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS * 1000 - Date.now();
+  return Math.max(0, Math.ceil(wait / 1000));
+};
+
+const CHALLENGE_EXPIRED = { message: "Login attempt expired, please sign in again" };
+
+// Minutes left on a two-factor lockout, or 0 when there is none
+const twoFactorLockoutMinutes = (user) =>
+  Math.max(0, Math.ceil((user.twoFactorLockedUntil - Date.now()) / 60000) || 0);
+
+const tooManyCodes = (minutes) => ({
+  message: `Too many incorrect codes. Try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`,
+});
+
+// Every TWO_FACTOR_MAX_ATTEMPTS wrong codes in a row, on whichever challenges, lock two-factor
+// login: 1 minute the first time, doubling each time after, up to an hour
+const recordTwoFactorFailure = async (userId) => {
+  const { twoFactorFailedAttempts: failures } = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { twoFactorFailedAttempts: 1 } },
+    { new: true }
+  ).select("+twoFactorFailedAttempts");
+
+  if (failures % TWO_FACTOR_MAX_ATTEMPTS === 0) {
+    const lockouts = failures / TWO_FACTOR_MAX_ATTEMPTS;
+    const minutes = Math.min(2 ** (lockouts - 1), TWO_FACTOR_MAX_LOCKOUT_MINUTES);
+    await User.updateOne(
+      { _id: userId },
+      { twoFactorLockedUntil: new Date(Date.now() + minutes * 60 * 1000) }
+    );
+  }
+};
 
+export const signup = async (req, res) => {
+  const { fullName, email, password } = req.body;
+
+  try {
     const user = await User.findOne({ email });
     if (user) return res.status(400).json({ message: "Email already exists" });
 
@@ -43,21 +111,23 @@ export const signup = async (req, res) => {
       // await newUser.save();
 
       // after CR:
-      // Persist user first, then issue auth cookie
+      // Persist user first, then start the session (auth cookies)
+      const verifyURL = issueEmailVerification(newUser);
       const savedUser = await newUser.save();
-      generateToken(savedUser._id, res);
+      await startSession(savedUser._id, req, res);
 
-      res.status(201).json({
-        _id: newUser._id,
-        fullName: newUser.fullName,
-        email: newUser.email,
-        profilePic: newUser.profilePic,
-      });
+      res.status(201).json(toAuthUser(savedUser));
 
+      // the welcome email follows once the address has been confirmed
       try {
-        await sendWelcomeEmail(savedUser.email, savedUser.fullName, ENV.CLIENT_URL);
+        await sendVerificationEmail(
+          savedUser.email,
+          savedUser.fullName,
+          verifyURL,
+          EMAIL_VERIFICATION_TTL_HOURS
+        );
       } catch (error) {
-        console.error("Failed to send welcome email:", error);
+        console.error("Failed to send verification email:", error);
       }
     } else {
       res.status(400).json({ message: "Invalid user data" });
@@ -71,91 +141,422 @@ export const signup = async (req, res) => {
 export const login = async (req, res) => {
   const { email, password } = req.body;
 
-  if (!email || !password) {
-    return res.status(400).json({ message: "Email and password are required" });
-  }
-
   try {
-    const user = await User.findOne({ email });
+    const user = await User.findOne({ email }).select("+blockedUsers +twoFactorLockedUntil");
     if (!user) return res.status(400).json({ message: "Invalid credentials" });
     // never tell the client which one is incorrect: password or email
 
     const isPasswordCorrect = await bcrypt.compare(password, user.password);
     if (!isPasswordCorrect) return res.status(400).json({ message: "Invalid credentials" });
 
-    generateToken(user._id, res);
+    if (user.suspendedAt) {
+      return res.status(403).json({ message: "This account has been suspended" });
+    }
 
-    res.status(200).json({
-      _id: user._id,
-      fullName: user.fullName,
-      email: user.email,
-      profilePic: user.profilePic,
-    });
+    // With 2FA on, the password only earns a short-lived challenge token; the session (and its
+    // cookies) is created once the code checks out in verifyTwoFactorLogin. Only the newest
+    // challenge is live, and each allows TWO_FACTOR_MAX_ATTEMPTS codes.
+    if (user.twoFactorEnabled) {
+      const lockoutMinutes = twoFactorLockoutMinutes(user);
+      if (lockoutMinutes > 0) return res.status(429).json(tooManyCodes(lockoutMinutes));
+
+      const challengeId = crypto.randomUUID();
+      await User.updateOne(
+        { _id: user._id },
+        { twoFactorChallengeId: challengeId, twoFactorChallengeAttempts: 0 }
+      );
+      const twoFactorToken = jwt.sign({ userId: user._id, purpose: "2fa" }, ENV.JWT_SECRET, {
+        expiresIn: TWO_FACTOR_CHALLENGE_TTL,
+        jwtid: challengeId,
+      });
+      return res.status(200).json({ twoFactorRequired: true, twoFactorToken });
+    }
+
+    await startSession(user._id, req, res);
+
+    res.status(200).json(toAuthUser(user));
   } catch (error) {
     console.error("Error in login controller:", error);
     res.status(500).json({ message: "Internal server error" });
   }
 };
 
-export const logout = (_, res) => {
-  res.cookie("jwt", "", { maxAge: 0 });
-  res.status(200).json({ message: "Logged out successfully" });
+// Accepts either a code from the authenticator app or one of the recovery codes
+export const verifyTwoFactorLogin = async (req, res) => {
+  const { twoFactorToken, code } = req.body;
+
+  let decoded;
+  try {
+    decoded = jwt.verify(twoFactorToken, ENV.JWT_SECRET);
+  } catch {
+    return res.status(401).json(CHALLENGE_EXPIRED);
+  }
+  if (decoded.purpose !== "2fa" || !decoded.jti) {
+    return res.status(401).json(CHALLENGE_EXPIRED);
+  }
+
+  try {
+    // Claim one of the challenge's attempts before looking at the code, so parallel guesses
+    // can't go over the limit. Nothing matches once the challenge is used up or replaced.
+    const user = await User.findOneAndUpdate(
+      {
+        _id: decoded.userId,
+        twoFactorChallengeId: decoded.jti,
+        twoFactorChallengeAttempts: { $lt: TWO_FACTOR_MAX_ATTEMPTS },
+      },
+      { $inc: { twoFactorChallengeAttempts: 1 } },
+      { new: true }
+    ).select(
+      "+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastStep +twoFactorChallengeAttempts +twoFactorLockedUntil +blockedUsers"
+    );
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json(CHALLENGE_EXPIRED);
+    }
+    if (user.suspendedAt) {
+      return res.status(403).json({ message: "This account has been suspended" });
+    }
+    const lockoutMinutes = twoFactorLockoutMinutes(user);
+    if (lockoutMinutes > 0) return res.status(429).json(tooManyCodes(lockoutMinutes));
+
+    const step = verifyTotp(user.twoFactorSecret, code);
+    if (step !== null && step > (user.twoFactorLastStep ?? -1)) {
+      user.twoFactorLastStep = step;
+    } else {
+      const codeHash = hashRecoveryCode(code);
+      if (!user.twoFactorRecoveryCodes.includes(codeHash)) {
+        await recordTwoFactorFailure(user._id);
+        if (user.twoFactorChallengeAttempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+          return res
+            .status(401)
+            .json({ message: "Too many incorrect codes, please sign in again" });
+        }
+        return res.status(400).json({ message: "Invalid verification code" });
+      }
+      user.twoFactorRecoveryCodes = user.twoFactorRecoveryCodes.filter((hash) => hash !== codeHash);
+    }
+
+    // the challenge is spent and the run of wrong codes is over
+    user.twoFactorChallengeId = null;
+    user.twoFactorChallengeAttempts = 0;
+    user.twoFactorFailedAttempts = 0;
+    user.twoFactorLockedUntil = null;
+    await user.save();
+
+    await startSession(user._id, req, res);
+
+    res.status(200).json(toAuthUser(user));
+  } catch (error) {
+    console.error("Error in verifyTwoFactorLogin controller:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
 };
 
-export const updateProfile = async (req, res) => {
+// Step 1 of enrollment: a new secret to scan. Nothing changes until enableTwoFactor confirms it.
+export const setupTwoFactor = async (req, res) => {
   try {
-    const file = req.file;
-    if (!file) return res.status(400).json({ message: "Profile pic is required" });
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+    }
 
-    const userId = req.user._id;
+    const secret = generateTotpSecret();
+    const otpauthURL = buildOtpAuthURL(secret, req.user.email);
+    const qrCode = await QRCode.toDataURL(otpauthURL);
 
-    // Check if Cloudinary is configured
-    if (!ENV.CLOUDINARY_CLOUD_NAME || !ENV.CLOUDINARY_API_KEY || !ENV.CLOUDINARY_API_SECRET) {
-      return res.status(500).json({ 
-        message: "Cloudinary is not configured. Please set CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, and CLOUDINARY_API_SECRET in your .env file" 
-      });
+    await User.findByIdAndUpdate(req.user._id, { twoFactorSecret: secret });
+
+    res.status(200).json({ secret, otpauthURL, qrCode });
+  } catch (error) {
+    console.error("Error in setupTwoFactor controller:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const enableTwoFactor = async (req, res) => {
+  const { code } = req.body;
+
+  try {
+    const user = await User.findById(req.user._id).select("+twoFactorSecret");
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+    }
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({ message: "Start two-factor setup first" });
     }
 
-    // Upload file buffer to Cloudinary using promise-based approach
-    const uploadPromise = new Promise((resolve, reject) => {
-      const uploadStream = cloudinary.uploader.upload_stream(
-        {
-          folder: "chat-app/profiles",
-          transformation: [{ width: 200, height: 200, crop: "fill" }],
-        },
-        (error, result) => {
-          if (error) {
-            console.error("Cloudinary upload error:", error);
-            // Provide more helpful error messages
-            if (error.message && error.message.includes("Invalid cloud_name")) {
-              reject(new Error("Invalid Cloudinary cloud name. Please check your CLOUDINARY_CLOUD_NAME in .env file"));
-            } else if (error.message && error.message.includes("Invalid API Key")) {
-              reject(new Error("Invalid Cloudinary API key. Please check your CLOUDINARY_API_KEY in .env file"));
-            } else {
-              reject(new Error(`Cloudinary upload failed: ${error.message || "Unknown error"}`));
-            }
-          } else {
-            resolve(result);
-          }
-        }
-      );
+    const step = verifyTotp(user.twoFactorSecret, code);
+    if (step === null) {
+      return res.status(400).json({ message: "Invalid verification code" });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactorEnabled = true;
+    user.twoFactorRecoveryCodes = hashes;
+    user.twoFactorLastStep = step;
+    await user.save();
+
+    // the plain recovery codes are only ever shown in this response
+    res.status(200).json({ recoveryCodes: codes });
+  } catch (error) {
+    console.error("Error in enableTwoFactor controller:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const disableTwoFactor = async (req, res) => {
+  const { password } = req.body;
+
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    const isPasswordCorrect = await bcrypt.compare(password, user.password);
+    if (!isPasswordCorrect) return res.status(400).json({ message: "Incorrect password" });
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = null;
+    user.twoFactorRecoveryCodes = [];
+    user.twoFactorLastStep = null;
+    user.twoFactorChallengeId = null;
+    user.twoFactorChallengeAttempts = 0;
+    user.twoFactorFailedAttempts = 0;
+    user.twoFactorLockedUntil = null;
+    await user.save();
+
+    res.status(200).json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    console.error("Error in disableTwoFactor controller:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
 
-      // Handle stream errors
-      uploadStream.on("error", (error) => {
-        console.error("Upload stream error:", error);
-        reject(error);
+// Public: the link may be opened in a browser where the user isn't logged in
+export const verifyEmail = async (req, res) => {
+  const { token } = req.body;
+
+  try {
+    const user = await User.findOne({
+      emailVerificationTokenHash: hashToken(token),
+      emailVerificationExpiresAt: { $gt: new Date() },
+    });
+    if (!user) {
+      return res.status(400).json({ message: "This verification link is invalid or has expired" });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationTokenHash = null;
+    user.emailVerificationExpiresAt = null;
+    await user.save();
+
+    res.status(200).json({ message: "Email verified successfully" });
+
+    try {
+      await sendWelcomeEmail(user.email, user.fullName, getClientURL());
+    } catch (error) {
+      console.error("Failed to send welcome email:", error);
+    }
+  } catch (error) {
+    console.error("Error in verify email:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (user.emailVerified) {
+      return res.status(400).json({ message: "Email is already verified" });
+    }
+
+    const wait = verificationResendWait(user);
+    if (wait > 0) {
+      return res.status(429).json({
+        message: `Please wait ${wait} seconds before requesting another verification email`,
       });
+    }
+
+    const verifyURL = issueEmailVerification(user);
+    await user.save();
+
+    await sendVerificationEmail(user.email, user.fullName, verifyURL, EMAIL_VERIFICATION_TTL_HOURS);
+
+    res.status(200).json({ message: "Verification email sent" });
+  } catch (error) {
+    console.error("Error in resend verification:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const PASSWORD_RESET_TTL_MINUTES = 60;
+
+// Always answers the same way so the endpoint can't be used to find out who has an account
+export const forgotPassword = async (req, res) => {
+  const { email } = req.body;
+
+  try {
+    const user = await User.findOne({ email });
+    if (user) {
+      const { token, tokenHash } = generateOneTimeToken();
+      user.passwordResetTokenHash = tokenHash;
+      user.passwordResetExpiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+      await user.save();
+
+      const resetURL = `${getClientURL()}/reset-password?token=${token}`;
+      try {
+        await sendPasswordResetEmail(user.email, user.fullName, resetURL, PASSWORD_RESET_TTL_MINUTES);
+      } catch (error) {
+        console.error("Failed to send password reset email:", error);
+      }
+    }
+
+    res.status(200).json({
+      message: "If an account exists for that email, a password reset link has been sent",
+    });
+  } catch (error) {
+    console.error("Error in forgot password:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
 
-      Readable.from(file.buffer).pipe(uploadStream);
+export const resetPassword = async (req, res) => {
+  const { token, password } = req.body;
+
+  try {
+    const user = await User.findOne({
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpiresAt: { $gt: new Date() },
     });
+    if (!user) {
+      return res.status(400).json({ message: "This reset link is invalid or has expired" });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(password, salt);
+
+    // single use: the token stops working as soon as it has been redeemed
+    user.passwordResetTokenHash = null;
+    user.passwordResetExpiresAt = null;
+    await user.save();
+
+    // whoever knew the old password may still be logged in somewhere
+    await revokeSessions({ userId: user._id });
+
+    res.status(200).json({ message: "Password reset successfully. You can now log in." });
+  } catch (error) {
+    console.error("Error in reset password:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const logout = async (req, res) => {
+  try {
+    // the access token may already have expired, so find the session by its refresh token
+    const refreshToken = req.cookies.refreshToken;
+    if (refreshToken) {
+      await revokeSessions({ refreshTokenHash: hashToken(refreshToken) });
+    }
+  } catch (error) {
+    console.error("Error revoking session on logout:", error);
+  }
+
+  clearAuthCookies(res);
+  res.status(200).json({ message: "Logged out successfully" });
+};
+
+export const refresh = async (req, res) => {
+  const refreshToken = req.cookies.refreshToken;
+  if (!refreshToken) {
+    return res.status(401).json({ message: "Unauthorized - No refresh token provided" });
+  }
+
+  try {
+    const session = await rotateSession(refreshToken, req, res);
+    if (!session) {
+      clearAuthCookies(res);
+      return res.status(401).json({ message: "Session expired, please log in again" });
+    }
+
+    res.status(200).json({ message: "Session refreshed" });
+  } catch (error) {
+    console.error("Error in refresh controller:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    res.status(200).json(
+      sessions.map((session) => ({
+        _id: session._id,
+        device: session.device,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        lastUsedAt: session.lastUsedAt,
+        createdAt: session.createdAt,
+        isCurrent: session._id.toString() === req.sessionId,
+      }))
+    );
+  } catch (error) {
+    console.error("Error in getSessions controller:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const revokeSession = async (req, res) => {
+  const { sessionId } = req.params;
+
+  try {
+    const session = await Session.findOne({ _id: sessionId, userId: req.user._id });
+    if (!session) return res.status(404).json({ message: "Session not found" });
+
+    await revokeSessions({ _id: session._id });
+
+    if (sessionId === req.sessionId) clearAuthCookies(res);
+    res.status(200).json({ message: "Device logged out" });
+  } catch (error) {
+    console.error("Error in revokeSession controller:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
 
-    const uploadResponse = await uploadPromise;
+// "Log out everywhere else": the device making the request stays signed in
+export const revokeOtherSessions = async (req, res) => {
+  try {
+    const count = await revokeSessions({ userId: req.user._id, _id: { $ne: req.sessionId } });
+    res.status(200).json({ message: `Logged out of ${count} other device${count === 1 ? "" : "s"}` });
+  } catch (error) {
+    console.error("Error in revokeOtherSessions controller:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const updateProfile = async (req, res) => {
+  try {
+    const file = req.file;
+    if (!file) return res.status(400).json({ message: "Profile pic is required" });
+
+    const userId = req.user._id;
+
+    const { url } = await uploadMedia(file, {
+      folder: MEDIA_FOLDERS.profiles,
+      resourceType: "image",
+      transformation: [{ width: 200, height: 200, crop: "fill" }],
+    });
 
     const updatedUser = await User.findByIdAndUpdate(
       userId,
-      { profilePic: uploadResponse.secure_url },
+      { profilePic: url },
       { new: true }
-    ).select("-password");
+    ).select("-password +blockedUsers");
 
     res.status(200).json(updatedUser);
   } catch (error) {
@@ -164,3 +565,20 @@ export const updateProfile = async (req, res) => {
     res.status(500).json({ message: errorMessage });
   }
 };
+
+export const updatePrivacy = async (req, res) => {
+  try {
+    const { showLastSeen } = req.body;
+
+    const updatedUser = await User.findByIdAndUpdate(
+      req.user._id,
+      { showLastSeen },
+      { new: true }
+    ).select("-password +blockedUsers");
+
+    res.status(200).json(updatedUser);
+  } catch (error) {
+    console.error("Error in update privacy:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
@@ -0,0 +1,195 @@
+import Contact from "../models/Contact.js";
+import User from "../models/User.js";
+import { emitToUsers } from "../lib/socket.js";
+
+const CONTACT_USER_FIELDS = "fullName email profilePic";
+
+const populateRequest = (request) =>
+  request.populate([
+    { path: "requesterId", select: CONTACT_USER_FIELDS },
+    { path: "recipientId", select: CONTACT_USER_FIELDS },
+  ]);
+
+// Marks a pending request as accepted and tells both sides (and their other tabs)
+const acceptRequest = async (request, req, res) => {
+  request.status = "accepted";
+  request.acceptedAt = new Date();
+  await request.save();
+  await populateRequest(request);
+
+  emitToUsers(
+    [request.requesterId._id, request.recipientId._id],
+    "contactRequestAccepted",
+    request.toObject(),
+    { exceptSocketId: req.get("X-Socket-Id") }
+  );
+
+  res.status(200).json(request);
+};
+
+// Shared by decline (recipient) and cancel (requester): both just delete the pending row
+const removeRequest = async (req, res, side) => {
+  const { requestId } = req.params;
+
+  const request = await Contact.findOneAndDelete({
+    _id: requestId,
+    status: "pending",
+    [side]: req.user._id,
+  });
+  if (!request) return res.status(404).json({ message: "Request not found" });
+
+  emitToUsers(
+    [request.requesterId, request.recipientId],
+    "contactRequestRemoved",
+    { requestId: request._id },
+    { exceptSocketId: req.get("X-Socket-Id") }
+  );
+
+  res.status(200).json({ requestId: request._id });
+};
+
+// Pending requests split by direction, hiding anyone on either side of a block
+export const getContactRequests = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const [requests, blockedIds] = await Promise.all([
+      Contact.find({
+        status: "pending",
+        $or: [{ requesterId: userId }, { recipientId: userId }],
+      })
+        .sort({ createdAt: -1 })
+        .populate("requesterId", CONTACT_USER_FIELDS)
+        .populate("recipientId", CONTACT_USER_FIELDS),
+      User.getBlockedRelations(userId),
+    ]);
+
+    const incoming = [];
+    const outgoing = [];
+    for (const request of requests) {
+      if (!request.requesterId || !request.recipientId) continue; // the other account was deleted
+
+      const isIncoming = request.recipientId._id.equals(userId);
+      const otherUser = isIncoming ? request.requesterId : request.recipientId;
+      if (blockedIds.has(otherUser._id.toString())) continue;
+
+      (isIncoming ? incoming : outgoing).push(request);
+    }
+
+    res.status(200).json({ incoming, outgoing });
+  } catch (error) {
+    console.error("Error in getContactRequests controller:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Body: { userId }. Suspended accounts can't be asked, and look the same as missing ones.
+export const sendContactRequest = async (req, res) => {
+  const { userId: targetId } = req.body;
+  const userId = req.user._id;
+
+  try {
+    const target = await User.findOne({ _id: targetId, suspendedAt: null });
+
+    if (!target) return res.status(404).json({ message: "User not found" });
+    if (target._id.equals(userId)) {
+      return res.status(400).json({ message: "You can't add yourself as a contact" });
+    }
+    if (await User.isBlockedBetween(userId, target._id)) {
+      return res.status(403).json({ message: "You can't add this user" });
+    }
+
+    const existing = await Contact.findBetween(userId, target._id);
+    if (existing?.status === "accepted") {
+      return res.status(400).json({ message: "You're already contacts" });
+    }
+    if (existing?.requesterId.equals(userId)) {
+      return res.status(400).json({ message: "Contact request already sent" });
+    }
+    // they already asked us, so asking back counts as accepting
+    if (existing) return await acceptRequest(existing, req, res);
+
+    const request = await Contact.create({ requesterId: userId, recipientId: target._id });
+    await populateRequest(request);
+
+    emitToUsers([userId, target._id], "contactRequestCreated", request.toObject(), {
+      exceptSocketId: req.get("X-Socket-Id"),
+    });
+
+    res.status(201).json(request);
+  } catch (error) {
+    // two requests racing each other past the findBetween check
+    if (error.code === 11000) {
+      return res.status(400).json({ message: "Contact request already sent" });
+    }
+    console.error("Error in sendContactRequest controller:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const acceptContactRequest = async (req, res) => {
+  const { requestId } = req.params;
+
+  try {
+    const request = await Contact.findOne({
+      _id: requestId,
+      recipientId: req.user._id,
+      status: "pending",
+    });
+    if (!request) return res.status(404).json({ message: "Request not found" });
+
+    if (await User.isBlockedBetween(request.requesterId, request.recipientId)) {
+      return res.status(403).json({ message: "You can't add this user" });
+    }
+
+    await acceptRequest(request, req, res);
+  } catch (error) {
+    console.error("Error in acceptContactRequest controller:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const declineContactRequest = async (req, res) => {
+  try {
+    await removeRequest(req, res, "recipientId");
+  } catch (error) {
+    console.error("Error in declineContactRequest controller:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const cancelContactRequest = async (req, res) => {
+  try {
+    await removeRequest(req, res, "requesterId");
+  } catch (error) {
+    console.error("Error in cancelContactRequest controller:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const removeContact = async (req, res) => {
+  const { userId: otherUserId } = req.params;
+  const userId = req.user._id;
+
+  try {
+    const contact = await Contact.findOneAndDelete({
+      status: "accepted",
+      $or: [
+        { requesterId: userId, recipientId: otherUserId },
+        { requesterId: otherUserId, recipientId: userId },
+      ],
+    });
+    if (!contact) return res.status(404).json({ message: "Contact not found" });
+
+    emitToUsers(
+      [contact.requesterId, contact.recipientId],
+      "contactRemoved",
+      { userIds: [contact.requesterId, contact.recipientId] },
+      { exceptSocketId: req.get("X-Socket-Id") }
+    );
+
+    res.status(200).json({ message: "Contact removed" });
+  } catch (error) {
+    console.error("Error in removeContact controller:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
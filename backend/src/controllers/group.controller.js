@@ -0,0 +1,289 @@
+import Group from "../models/Group.js";
+import User from "../models/User.js";
+import Contact from "../models/Contact.js";
+import { ENV } from "../lib/env.js";
+import { uploadMedia, MEDIA_FOLDERS } from "../lib/storage.js";
+import { emitToUsers } from "../lib/socket.js";
+import { getConversationSummaries, byLastActivity } from "../lib/conversations.js";
+
+const MEMBER_FIELDS = "fullName email profilePic";
+
+// Keep only ids that point at existing users (memberIds arrive as an array of valid ids, see
+// group.schema.js)
+const findExistingUserIds = async (ids) => {
+  const users = await User.find({ _id: { $in: [...new Set(ids)] } }).select("_id");
+  return users.map((u) => u._id.toString());
+};
+
+// Narrow a selection to the users `userId` may put in a group, so groups can't be used to get
+// around direct-message rules: with CONTACTS_ONLY_MESSAGING on, only their accepted contacts.
+// Returns null when anyone selected is on either side of a block with them.
+const findAddableUserIds = async (userId, ids) => {
+  const [existingIds, blockedIds, contactIds] = await Promise.all([
+    findExistingUserIds(ids),
+    User.getBlockedRelations(userId),
+    ENV.CONTACTS_ONLY_MESSAGING ? Contact.getContactIds(userId) : null,
+  ]);
+  if (existingIds.some((id) => blockedIds.has(id))) return null;
+  if (!contactIds) return existingIds;
+
+  const contacts = new Set(contactIds.map((id) => id.toString()));
+  return existingIds.filter((id) => contacts.has(id));
+};
+
+const CANT_ADD_BLOCKED = { message: "You can't add some of the selected users" };
+
+const populateGroup = (group) => group.populate("members.userId", MEMBER_FIELDS);
+
+// Let every member know the group changed so their chat lists stay in sync
+const broadcastGroupUpdate = (group) => {
+  emitToUsers(group.getMemberIds(), "groupUpdated", group.toObject());
+};
+
+export const createGroup = async (req, res) => {
+  try {
+    const { name, memberIds } = req.body;
+    const creatorId = req.user._id.toString();
+
+    const addableIds = await findAddableUserIds(creatorId, memberIds);
+    if (!addableIds) return res.status(403).json(CANT_ADD_BLOCKED);
+
+    const otherMemberIds = addableIds.filter((id) => id !== creatorId);
+    if (otherMemberIds.length === 0) {
+      return res.status(400).json({ message: "Select at least one other member" });
+    }
+
+    let avatar = "";
+    if (req.file) {
+      try {
+        const { url } = await uploadMedia(req.file, {
+          folder: MEDIA_FOLDERS.groups,
+          resourceType: "image",
+        });
+        avatar = url;
+      } catch (error) {
+        console.error("Error uploading group avatar:", error);
+        return res.status(500).json({ message: "Failed to upload group avatar: " + error.message });
+      }
+    }
+
+    const group = new Group({
+      name,
+      avatar,
+      createdBy: creatorId,
+      members: [
+        { userId: creatorId, role: "admin" },
+        ...otherMemberIds.map((userId) => ({ userId, role: "member" })),
+      ],
+    });
+
+    await group.save();
+    await populateGroup(group);
+
+    broadcastGroupUpdate(group);
+
+    res.status(201).json(group);
+  } catch (error) {
+    console.log("Error in createGroup controller: ", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const getMyGroups = async (req, res) => {
+  try {
+    const myId = req.user._id;
+    const groups = await Group.find({ "members.userId": myId }).populate("members.userId", MEMBER_FIELDS);
+
+    // attach the last message and unread count of each group, most recently active first
+    const summaries = await getConversationSummaries(
+      myId,
+      { groupId: { $in: groups.map((g) => g._id) } },
+      "$groupId"
+    );
+
+    const groupsWithSummary = groups
+      .map((group) => ({
+        ...group.toJSON(),
+        lastMessage: null,
+        unreadCount: 0,
+        ...summaries.get(group._id.toString()),
+      }))
+      .sort(byLastActivity);
+
+    res.status(200).json(groupsWithSummary);
+  } catch (error) {
+    console.log("Error in getMyGroups controller: ", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const getGroupById = async (req, res) => {
+  try {
+    const group = await Group.findById(req.params.groupId).populate("members.userId", MEMBER_FIELDS);
+    if (!group) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+    if (!group.isMember(req.user._id)) {
+      return res.status(403).json({ message: "You are not a member of this group" });
+    }
+
+    res.status(200).json(group);
+  } catch (error) {
+    console.log("Error in getGroupById controller: ", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const updateGroup = async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    const group = await Group.findById(req.params.groupId);
+    if (!group) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+    if (!group.isAdmin(req.user._id)) {
+      return res.status(403).json({ message: "Only group admins can edit the group" });
+    }
+
+    if (name !== undefined) group.name = name;
+
+    if (req.file) {
+      try {
+        const { url } = await uploadMedia(req.file, {
+          folder: MEDIA_FOLDERS.groups,
+          resourceType: "image",
+        });
+        group.avatar = url;
+      } catch (error) {
+        console.error("Error uploading group avatar:", error);
+        return res.status(500).json({ message: "Failed to upload group avatar: " + error.message });
+      }
+    }
+
+    await group.save();
+    await populateGroup(group);
+
+    broadcastGroupUpdate(group);
+
+    res.status(200).json(group);
+  } catch (error) {
+    console.log("Error in updateGroup controller: ", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const addGroupMembers = async (req, res) => {
+  try {
+    const group = await Group.findById(req.params.groupId);
+    if (!group) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+    if (!group.isAdmin(req.user._id)) {
+      return res.status(403).json({ message: "Only group admins can add members" });
+    }
+
+    const addableIds = await findAddableUserIds(req.user._id, req.body.memberIds);
+    if (!addableIds) return res.status(403).json(CANT_ADD_BLOCKED);
+
+    const newMemberIds = addableIds.filter((id) => !group.isMember(id));
+    if (newMemberIds.length === 0) {
+      return res.status(400).json({ message: "No new members to add" });
+    }
+
+    group.members.push(...newMemberIds.map((userId) => ({ userId, role: "member" })));
+    await group.save();
+    await populateGroup(group);
+
+    broadcastGroupUpdate(group);
+
+    res.status(200).json(group);
+  } catch (error) {
+    console.log("Error in addGroupMembers controller: ", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Admins can remove anyone; any member can remove themselves (leave the group)
+export const removeGroupMember = async (req, res) => {
+  try {
+    const { groupId, userId: memberId } = req.params;
+    const requesterId = req.user._id.toString();
+
+    const group = await Group.findById(groupId);
+    if (!group) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+
+    const isSelf = memberId === requesterId;
+    if (!isSelf && !group.isAdmin(requesterId)) {
+      return res.status(403).json({ message: "Only group admins can remove members" });
+    }
+    if (!group.isMember(memberId)) {
+      return res.status(404).json({ message: "User is not a member of this group" });
+    }
+
+    group.members = group.members.filter((m) => m.userId.toString() !== memberId);
+
+    // The last member left - nothing to keep around
+    if (group.members.length === 0) {
+      await group.deleteOne();
+      emitToUsers([memberId], "groupRemoved", { groupId: group._id });
+      return res.status(200).json({ message: "Group deleted" });
+    }
+
+    // Never leave a group without an admin: promote the longest-standing member
+    if (!group.members.some((m) => m.role === "admin")) {
+      group.members[0].role = "admin";
+    }
+
+    await group.save();
+    await populateGroup(group);
+
+    broadcastGroupUpdate(group);
+    emitToUsers([memberId], "groupRemoved", { groupId: group._id });
+
+    res.status(200).json(group);
+  } catch (error) {
+    console.log("Error in removeGroupMember controller: ", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const updateMemberRole = async (req, res) => {
+  try {
+    const { groupId, userId: memberId } = req.params;
+    const { role } = req.body;
+
+    const group = await Group.findById(groupId);
+    if (!group) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+    if (!group.isAdmin(req.user._id)) {
+      return res.status(403).json({ message: "Only group admins can change roles" });
+    }
+
+    const member = group.getMember(memberId);
+    if (!member) {
+      return res.status(404).json({ message: "User is not a member of this group" });
+    }
+
+    if (role === "member" && member.role === "admin") {
+      const adminCount = group.members.filter((m) => m.role === "admin").length;
+      if (adminCount === 1) {
+        return res.status(400).json({ message: "A group needs at least one admin" });
+      }
+    }
+
+    member.role = role;
+    await group.save();
+    await populateGroup(group);
+
+    broadcastGroupUpdate(group);
+
+    res.status(200).json(group);
+  } catch (error) {
+    console.log("Error in updateMemberRole controller: ", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
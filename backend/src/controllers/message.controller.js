@@ -1,72 +1,203 @@
-import cloudinary from "../lib/cloudinary.js";
-import { getReceiverSocketId, io, getUserSocketMap } from "../lib/socket.js";
+import { uploadMedia, deleteMedia, mediaPublicIdFromUrl, MEDIA_FOLDERS } from "../lib/storage.js";
+import { getConversationSummaries, byLastActivity } from "../lib/conversations.js";
+import { isUserOnline, getOnlineUsers, emitToUsers } from "../lib/socket.js";
+import { MAX_ATTACHMENTS } from "../middleware/upload.middleware.js";
 import Message from "../models/Message.js";
 import User from "../models/User.js";
-import { Readable } from "stream";
+import Group from "../models/Group.js";
+import Contact from "../models/Contact.js";
 import { ENV } from "../lib/env.js";
 
-// Helper function to upload file buffer to Cloudinary
-const uploadToCloudinary = async (file, resourceType = "auto") => {
-  return new Promise((resolve, reject) => {
-    if (!file || !file.buffer) {
-      return reject(new Error("Invalid file: no buffer found"));
-    }
+// Storage resource type per attachment type
+// (Cloudinary uses "video" resource type for audio files and "raw" for documents)
+const RESOURCE_TYPES = { image: "image", video: "video", audio: "video", file: "raw" };
 
-    // Check if Cloudinary is configured
-    if (!ENV.CLOUDINARY_CLOUD_NAME || !ENV.CLOUDINARY_API_KEY || !ENV.CLOUDINARY_API_SECRET) {
-      return reject(new Error("Cloudinary is not configured. Please set CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, and CLOUDINARY_API_SECRET in your .env file"));
-    }
+// Single-media fields from before attachments; still accepted on upload and cleaned up on delete
+const LEGACY_MEDIA_FIELDS = ["image", "video", "audio"];
 
-    const uploadOptions = {
-      resource_type: resourceType,
-      folder: "chat-app",
-      use_filename: true,
-      unique_filename: true,
-    };
-
-    // Add format-specific options
-    if (resourceType === "image") {
-      // Don't set format - let Cloudinary auto-detect
-      uploadOptions.quality = "auto";
-    } else if (resourceType === "video") {
-      // For videos, let Cloudinary handle the format
-      uploadOptions.resource_type = "video";
-    }
+// Multer decodes multipart filenames as latin1; recover the original UTF-8 name
+const decodeFilename = (name) => Buffer.from(name, "latin1").toString("utf8");
 
-    const uploadStream = cloudinary.uploader.upload_stream(
-      uploadOptions,
-      (error, result) => {
-        if (error) {
-          console.error("Cloudinary upload error:", error);
-          // Provide more helpful error messages
-          if (error.message && error.message.includes("Invalid cloud_name")) {
-            reject(new Error("Invalid Cloudinary cloud name. Please check your CLOUDINARY_CLOUD_NAME in .env file"));
-          } else if (error.message && error.message.includes("Invalid API Key")) {
-            reject(new Error("Invalid Cloudinary API key. Please check your CLOUDINARY_API_KEY in .env file"));
-          } else {
-            reject(new Error(`Cloudinary upload failed: ${error.message || "Unknown error"}`));
-          }
-        } else {
-          resolve(result);
-        }
+const getAttachmentType = (file) => {
+  const kind = file.mimetype.split("/")[0];
+  return ["image", "video", "audio"].includes(kind) ? kind : "file";
+};
+
+// Every uploaded file in send order: the attachments field first, then the single
+// image/video/audio/file fields older clients send
+const collectUploads = (files) => [
+  ...(files?.attachments || []),
+  ...[...LEGACY_MEDIA_FIELDS, "file"].flatMap((field) => files?.[field] || []),
+];
+
+// Upload files to storage and return the message's ordered attachments array
+const uploadAttachments = (uploads) =>
+  Promise.all(
+    uploads.map(async (file) => {
+      const type = getAttachmentType(file);
+      const name = decodeFilename(file.originalname).slice(0, 255);
+      try {
+        console.log(`Uploading ${type}:`, name, "Size:", file.size);
+        const { url, publicId } = await uploadMedia(file, {
+          folder: MEDIA_FOLDERS.messages,
+          resourceType: RESOURCE_TYPES[type],
+        });
+        return { type, url, publicId, name, size: file.size, mimeType: file.mimetype };
+      } catch (error) {
+        console.error(`Error uploading ${name}:`, error);
+        throw new Error(`Failed to upload ${name}: ` + (error.message || "Unknown error"));
       }
-    );
+    })
+  );
+
+// Remove a message's media files from storage. IDs are cleared even when a delete fails,
+// which leaves the file orphaned for the cleanup job (see lib/mediaCleanup.js) to retry.
+// Messages from before publicIds were stored only have URLs, so the ID comes from the URL.
+const deleteMessageMedia = async (message) => {
+  const stored = [
+    ...message.attachments.map((a) => ({ publicId: a.publicId, url: a.url, type: a.type })),
+    ...LEGACY_MEDIA_FIELDS.map((field) => ({
+      publicId: message[`${field}PublicId`],
+      url: message[field],
+      type: field,
+    })),
+    { publicId: message.file?.publicId, url: message.file?.url, type: "file" },
+  ];
+
+  for (const { publicId: storedId, url, type } of stored) {
+    const publicId = storedId || mediaPublicIdFromUrl(url);
+    if (!publicId) continue;
+    try {
+      await deleteMedia(publicId, { resourceType: RESOURCE_TYPES[type] });
+    } catch (error) {
+      console.error(`Error deleting ${type} ${publicId}:`, error.message);
+    }
+  }
+
+  message.attachments = [];
+  for (const field of LEGACY_MEDIA_FIELDS) message[`${field}PublicId`] = null;
+  message.file = null;
+};
+
+// Wipes a message's content and media for everyone in the conversation and tells their clients.
+// Used by the sender's "delete for everyone" and by moderators resolving a report.
+export const deleteMessageForEveryone = async (message) => {
+  await deleteMessageMedia(message);
+  message.deletedForEveryone = true;
+  message.text = "";
+  message.image = "";
+  message.video = "";
+  message.audio = "";
+  await message.save();
+
+  // Populate for socket emission
+  await message.populate("senderId", "fullName profilePic");
+  await message.populate("receiverId", "fullName profilePic");
+
+  // Emit update to everyone in the conversation (both users, or all group members)
+  emitToUsers(await getParticipantIds(message), "messageDeleted", message.toObject());
+};
 
-    // Handle stream errors
-    uploadStream.on("error", (error) => {
-      console.error("Upload stream error:", error);
-      reject(error);
+// Populate a freshly saved message the same way for both direct and group sends
+const populateNewMessage = async (message) => {
+  await message.populate("senderId", "fullName profilePic");
+  await message.populate("receiverId", "fullName profilePic");
+  if (message.replyTo) {
+    await message.populate({
+      path: "replyTo",
+      select: "text senderId image video audio file attachments",
+      populate: { path: "senderId", select: "fullName profilePic" },
     });
+  }
+  await message.populate("reactions.userId", "fullName profilePic");
+};
 
-    Readable.from(file.buffer).pipe(uploadStream);
-  });
+// Blocks only apply to direct messages; in groups everyone can still interact
+const isBlockedDirectMessage = (message, userId) => {
+  if (message.groupId) return false;
+  const otherId = message.senderId.equals(userId) ? message.receiverId : message.senderId;
+  return User.isBlockedBetween(userId, otherId);
+};
+
+// Everyone who should receive socket updates about a message:
+// sender + receiver for direct messages, every current member for group messages
+const getParticipantIds = async (message) => {
+  const senderId = (message.senderId._id || message.senderId).toString();
+
+  if (message.groupId) {
+    const group = await Group.findById(message.groupId._id || message.groupId).select("members");
+    return group ? group.getMemberIds() : [senderId];
+  }
+
+  return [senderId, (message.receiverId._id || message.receiverId).toString()];
+};
+
+// Populate everything the chat UI renders for a message
+const populateMessages = (query) =>
+  query
+    .populate("senderId", "fullName profilePic")
+    .populate("receiverId", "fullName profilePic")
+    .populate({
+      path: "replyTo",
+      select: "text senderId image video audio file attachments",
+      populate: { path: "senderId", select: "fullName profilePic" },
+    })
+    .populate("reactions.userId", "fullName profilePic");
+
+// Fetch one page of a conversation, newest first from the cursor, returned oldest-first.
+// The page comes from ?before=<messageId>&limit=<n>, checked by pageQuery in message.schema.js.
+// Messages the user deleted for themselves are excluded in the query so pages stay full.
+const fetchMessagePage = async (filter, userId, { before, limit }) => {
+  const query = { ...filter, "deletedForMe.userId": { $ne: userId } };
+  if (before) query._id = { $lt: before };
+
+  const page = await populateMessages(Message.find(query).sort({ _id: -1 }).limit(limit + 1));
+
+  const hasMore = page.length > limit;
+  const messages = page.slice(0, limit).reverse();
+
+  return {
+    messages,
+    hasMore,
+    nextCursor: hasMore ? messages[0]._id : null,
+  };
+};
+
+// Mark messages sent by others as delivered to this user and notify each sender.
+// timestamps: false leaves updatedAt alone, so the messages don't count as changed for sync.
+const markMessagesDelivered = async (messages, userId, { timestamps = true } = {}) => {
+  const undelivered = messages.filter(
+    (msg) =>
+      (msg.senderId._id || msg.senderId).toString() !== userId.toString() &&
+      !msg.deliveredTo.some((d) => (d.userId._id || d.userId).toString() === userId.toString())
+  );
+
+  for (const msg of undelivered) {
+    msg.deliveredTo.push({ userId });
+    await msg.save({ timestamps });
+
+    // Emit delivered event to sender
+    const senderId = (msg.senderId._id || msg.senderId).toString();
+    emitToUsers([senderId], "messageDelivered", {
+      messageId: msg._id,
+      userId,
+    });
+  }
 };
 
 export const getAllContacts = async (req, res) => {
   try {
     const loggedInUserId = req.user._id;
-    // Get all users except logged-in user
-    const allUsers = await User.find({ _id: { $ne: loggedInUserId } }).select("-password");
+    // Accepted contacts only, minus anyone on either side of a block
+    const [contactIds, blockedIds] = await Promise.all([
+      Contact.getContactIds(loggedInUserId),
+      User.getBlockedRelations(loggedInUserId),
+    ]);
+    const allUsers = await User.find({
+      _id: { $in: contactIds, $nin: [...blockedIds] },
+    })
+      .select("-password")
+      .sort({ fullName: 1 });
     
     // Filter out chatbot (case-insensitive match on fullName)
     const filteredUsers = allUsers.filter(
@@ -85,136 +216,68 @@ export const getMessagesByUserId = async (req, res) => {
     const myId = req.user._id;
     const { id: userToChatId } = req.params;
 
-    // Get all messages first, then filter deleted ones
-    const allMessages = await Message.find({
-      $or: [
-        { senderId: myId, receiverId: userToChatId },
-        { senderId: userToChatId, receiverId: myId },
-      ],
-    })
-      .sort({ createdAt: 1 })
-      .populate("senderId", "fullName profilePic")
-      .populate("receiverId", "fullName profilePic")
-      .populate("replyTo", "text senderId image video audio")
-      .populate("reactions.userId", "fullName profilePic")
-      .populate("readBy.userId", "fullName profilePic")
-      .populate("deliveredTo.userId", "fullName profilePic");
-
-    // Filter out messages deleted for this user
-    const messages = allMessages.filter((msg) => {
-      const isDeletedForMe = msg.deletedForMe?.some(
-        (d) => d.userId?.toString() === myId.toString() || d.userId === myId.toString()
-      );
-      return !isDeletedForMe;
-    });
-
-    // Mark messages as delivered when user views them
-    const unreadMessages = messages.filter(
-      (msg) =>
-        (msg.receiverId._id || msg.receiverId).toString() === myId.toString() &&
-        !msg.deliveredTo.some((d) => (d.userId._id || d.userId).toString() === myId.toString())
+    const page = await fetchMessagePage(
+      {
+        $or: [
+          { senderId: myId, receiverId: userToChatId },
+          { senderId: userToChatId, receiverId: myId },
+        ],
+      },
+      myId,
+      req.query
     );
 
-    if (unreadMessages.length > 0) {
-      for (const msg of unreadMessages) {
-        msg.deliveredTo.push({ userId: myId });
-        await msg.save();
-
-        // Emit delivered event to sender
-        const senderId = (msg.senderId._id || msg.senderId).toString();
-        const senderSocketId = getReceiverSocketId(senderId);
-        if (senderSocketId) {
-          io.to(senderSocketId).emit("messageDelivered", {
-            messageId: msg._id,
-            userId: myId,
-          });
-        }
-      }
-    }
+    // Mark messages as delivered when user views them
+    await markMessagesDelivered(page.messages, myId);
 
-    res.status(200).json(messages);
+    res.status(200).json(page);
   } catch (error) {
     console.log("Error in getMessages controller: ", error.message);
-    res.status(500).json({ error: "Internal server error" });
+    res.status(500).json({ message: "Internal server error" });
   }
 };
 
 export const sendMessage = async (req, res) => {
   try {
-    const { text, replyTo } = req.body; // text and replyTo come from FormData
+    const { text, replyTo } = req.body; // text (already trimmed) and replyTo come from FormData
     const { id: receiverId } = req.params;
     const senderId = req.user._id;
-    const files = req.files;
+    const uploads = collectUploads(req.files);
 
     // Validate that at least one content type is provided
-    if (!text?.trim() && !files?.image && !files?.video && !files?.audio) {
-      return res.status(400).json({ message: "Text, image, video, or audio is required." });
+    if (!text && uploads.length === 0) {
+      return res.status(400).json({ message: "Text or at least one attachment is required." });
+    }
+    if (uploads.length > MAX_ATTACHMENTS) {
+      return res
+        .status(400)
+        .json({ message: `Too many files. Maximum is ${MAX_ATTACHMENTS} per message.` });
     }
 
     if (senderId.equals(receiverId)) {
       return res.status(400).json({ message: "Cannot send messages to yourself." });
     }
 
-    const receiverExists = await User.exists({ _id: receiverId });
-    if (!receiverExists) {
-      return res.status(404).json({ message: "Receiver not found." });
+    if (await User.isBlockedBetween(senderId, receiverId)) {
+      return res.status(403).json({ message: "You can't message this user." });
     }
 
-    let imageUrl, videoUrl, audioUrl;
-
-    // Upload image if present
-    if (files?.image && files.image[0]) {
-      try {
-        console.log("Uploading image:", files.image[0].originalname, "Size:", files.image[0].size);
-        const uploadResponse = await uploadToCloudinary(files.image[0], "image");
-        imageUrl = uploadResponse.secure_url;
-        console.log("Image uploaded successfully:", imageUrl);
-      } catch (error) {
-        console.error("Error uploading image:", error);
-        return res.status(500).json({ 
-          message: "Failed to upload image: " + (error.message || "Unknown error") 
-        });
-      }
+    if (ENV.CONTACTS_ONLY_MESSAGING && !(await Contact.areContacts(senderId, receiverId))) {
+      return res.status(403).json({ message: "You can only message your contacts." });
     }
 
-    // Upload video if present
-    if (files?.video && files.video[0]) {
-      try {
-        console.log("Uploading video:", files.video[0].originalname, "Size:", files.video[0].size);
-        const uploadResponse = await uploadToCloudinary(files.video[0], "video");
-        videoUrl = uploadResponse.secure_url;
-        console.log("Video uploaded successfully:", videoUrl);
-      } catch (error) {
-        console.error("Error uploading video:", error);
-        return res.status(500).json({ 
-          message: "Failed to upload video: " + (error.message || "Unknown error") 
-        });
-      }
-    }
-
-    // Upload audio if present
-    if (files?.audio && files.audio[0]) {
-      try {
-        console.log("Uploading audio:", files.audio[0].originalname, "Size:", files.audio[0].size);
-        // Cloudinary uses "video" resource type for audio files
-        const uploadResponse = await uploadToCloudinary(files.audio[0], "video");
-        audioUrl = uploadResponse.secure_url;
-        console.log("Audio uploaded successfully:", audioUrl);
-      } catch (error) {
-        console.error("Error uploading audio:", error);
-        return res.status(500).json({ 
-          message: "Failed to upload audio: " + (error.message || "Unknown error") 
-        });
-      }
+    let attachments;
+    try {
+      attachments = await uploadAttachments(uploads);
+    } catch (error) {
+      return res.status(500).json({ message: error.message });
     }
 
     const newMessage = new Message({
       senderId,
       receiverId,
-      text: text?.trim() || "",
-      image: imageUrl,
-      video: videoUrl,
-      audio: audioUrl,
+      text,
+      attachments,
       replyTo: replyTo || null,
       deliveredTo: [{ userId: senderId }], // Mark as delivered to sender immediately
     });
@@ -222,16 +285,7 @@ export const sendMessage = async (req, res) => {
     await newMessage.save();
 
     // Populate sender, receiver, replyTo, and reactions for socket emission
-    await newMessage.populate("senderId", "fullName profilePic");
-    await newMessage.populate("receiverId", "fullName profilePic");
-    if (newMessage.replyTo) {
-      await newMessage.populate({
-        path: "replyTo",
-        select: "text senderId image video audio",
-        populate: { path: "senderId", select: "fullName profilePic" }
-      });
-    }
-    await newMessage.populate("reactions.userId", "fullName profilePic");
+    await populateNewMessage(newMessage);
 
     // Convert to plain object for socket emission
     const messageToEmit = newMessage.toObject();
@@ -250,17 +304,14 @@ export const sendMessage = async (req, res) => {
       messageToEmit.receiverId = { _id: messageToEmit.receiverId };
     }
 
-    // Emit to receiver only (not to sender to prevent duplicates)
+    // Emit to every device of the receiver
     const receiverIdStr = receiverId.toString();
-    const receiverSocketId = getReceiverSocketId(receiverIdStr);
-    
-    const socketMap = getUserSocketMap();
+
     console.log(`🔍 Looking up receiver: ${receiverIdStr}`);
-    console.log(`📋 Current online users:`, Object.keys(socketMap));
-    console.log(`📋 Socket map:`, socketMap);
-    
-    if (receiverSocketId) {
-      console.log(`📤 Emitting message to receiver: ${receiverIdStr} (Socket: ${receiverSocketId})`);
+    console.log(`📋 Current online users:`, getOnlineUsers());
+
+    if (isUserOnline(receiverIdStr)) {
+      console.log(`📤 Emitting message to receiver: ${receiverIdStr}`);
       console.log(`📦 Message data:`, {
         _id: messageToEmit._id,
         senderId: messageToEmit.senderId?._id || messageToEmit.senderId,
@@ -271,74 +322,263 @@ export const sendMessage = async (req, res) => {
         hasAudio: !!messageToEmit.audio,
       });
       
-      // Emit to the specific socket
-      io.to(receiverSocketId).emit("newMessage", messageToEmit);
-      
-      // Also emit to all sockets as a fallback (for debugging)
-      // Remove this in production if not needed
-      console.log(`✅ Message emitted successfully to socket: ${receiverSocketId}`);
+      emitToUsers([receiverIdStr], "newMessage", messageToEmit);
+      console.log(`✅ Message emitted successfully to receiver: ${receiverIdStr}`);
     } else {
       console.log(`⚠️  Receiver ${receiverIdStr} is not online - message saved but not delivered in real-time`);
-      console.log(`📋 Available user IDs in socket map:`, Object.keys(socketMap));
       console.log(`💡 Tip: Make sure the receiver is logged in and socket is connected`);
     }
 
-    // Don't emit to sender - they already have the message from the API response
-    // This prevents duplicate messages
+    // Also show the message in the sender's other tabs; the sending socket already
+    // has it from the API response, so skip it to prevent duplicates
+    emitToUsers([senderId], "newMessage", messageToEmit, {
+      exceptSocketId: req.get("X-Socket-Id"),
+    });
 
     res.status(201).json(newMessage);
   } catch (error) {
     console.log("Error in sendMessage controller: ", error.message);
-    res.status(500).json({ error: "Internal server error" });
+    res.status(500).json({ message: "Internal server error" });
   }
 };
 
-export const markMessageAsRead = async (req, res) => {
+export const getGroupMessages = async (req, res) => {
   try {
-    const { messageId } = req.params;
-    const userId = req.user._id;
+    const myId = req.user._id;
+    const { groupId } = req.params;
 
-    const message = await Message.findById(messageId);
-    if (!message) {
-      return res.status(404).json({ message: "Message not found" });
+    const page = await fetchMessagePage({ groupId }, myId, req.query);
+    await markMessagesDelivered(page.messages, myId);
+
+    res.status(200).json(page);
+  } catch (error) {
+    console.log("Error in getGroupMessages controller: ", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const sendGroupMessage = async (req, res) => {
+  try {
+    const { text, replyTo } = req.body;
+    const { groupId } = req.params;
+    const senderId = req.user._id;
+    const uploads = collectUploads(req.files);
+
+    if (!text && uploads.length === 0) {
+      return res.status(400).json({ message: "Text or at least one attachment is required." });
+    }
+    if (uploads.length > MAX_ATTACHMENTS) {
+      return res
+        .status(400)
+        .json({ message: `Too many files. Maximum is ${MAX_ATTACHMENTS} per message.` });
     }
 
-    // Check if already read
-    const alreadyRead = message.readBy.some((r) => r.userId.toString() === userId.toString());
-    if (!alreadyRead) {
-      message.readBy.push({ userId });
-      await message.save();
-
-      // Emit read receipt to sender
-      const senderSocketId = getReceiverSocketId(message.senderId.toString());
-      if (senderSocketId) {
-        io.to(senderSocketId).emit("messageRead", {
-          messageId: message._id,
-          userId: userId,
-        });
+    const { group } = req; // loaded and membership-checked by requireGroupMember
+
+    let attachments;
+    try {
+      attachments = await uploadAttachments(uploads);
+    } catch (error) {
+      return res.status(500).json({ message: error.message });
+    }
+
+    const newMessage = new Message({
+      senderId,
+      groupId,
+      text,
+      attachments,
+      replyTo: replyTo || null,
+      deliveredTo: [{ userId: senderId }],
+    });
+
+    await newMessage.save();
+    await populateNewMessage(newMessage);
+
+    // Fan out to every member's devices except the sending socket, which already has the
+    // message from the API response
+    emitToUsers(group.getMemberIds(), "newMessage", newMessage.toObject(), {
+      exceptSocketId: req.get("X-Socket-Id"),
+    });
+
+    res.status(201).json(newMessage);
+  } catch (error) {
+    console.log("Error in sendGroupMessage controller: ", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const SEARCH_RESULT_LIMIT = 50;
+const SNIPPET_RADIUS = 60;
+
+// Cut a short excerpt of the message around the first matching search term
+const buildSnippet = (text, query) => {
+  const lowerText = text.toLowerCase();
+  const matchIndexes = query
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((term) => lowerText.indexOf(term))
+    .filter((index) => index >= 0);
+  const matchIndex = matchIndexes.length > 0 ? Math.min(...matchIndexes) : 0;
+
+  const start = Math.max(0, matchIndex - SNIPPET_RADIUS);
+  const end = Math.min(text.length, matchIndex + SNIPPET_RADIUS);
+  return (start > 0 ? "…" : "") + text.slice(start, end) + (end < text.length ? "…" : "");
+};
+
+export const searchMessages = async (req, res) => {
+  try {
+    const myId = req.user._id;
+    const query = req.query.q;
+
+    const myGroups = await Group.find({ "members.userId": myId }).select("_id");
+    const myGroupIds = myGroups.map((g) => g._id);
+
+    const hits = await Message.find(
+      {
+        $text: { $search: query },
+        deletedForEveryone: { $ne: true },
+        "deletedForMe.userId": { $ne: myId },
+        $or: [
+          { senderId: myId, groupId: null },
+          { receiverId: myId },
+          { groupId: { $in: myGroupIds } },
+        ],
+      },
+      { score: { $meta: "textScore" } }
+    )
+      .sort({ score: { $meta: "textScore" } })
+      .limit(SEARCH_RESULT_LIMIT)
+      .populate("senderId", "fullName profilePic")
+      .populate("receiverId", "fullName profilePic")
+      .populate("groupId", "name avatar");
+
+    // Group hits by conversation, keeping conversations in best-match order
+    const conversations = new Map();
+    for (const msg of hits) {
+      let key, conversation;
+      if (msg.groupId) {
+        key = `group:${msg.groupId._id}`;
+        conversation = {
+          _id: msg.groupId._id,
+          isGroup: true,
+          name: msg.groupId.name,
+          avatar: msg.groupId.avatar,
+        };
+      } else {
+        const isSentByMe = msg.senderId._id.toString() === myId.toString();
+        const partner = isSentByMe ? msg.receiverId : msg.senderId;
+        key = `user:${partner._id}`;
+        conversation = { _id: partner._id, fullName: partner.fullName, profilePic: partner.profilePic };
       }
+
+      if (!conversations.has(key)) {
+        conversations.set(key, { conversation, hits: [] });
+      }
+      conversations.get(key).hits.push({
+        _id: msg._id,
+        snippet: buildSnippet(msg.text, query),
+        createdAt: msg.createdAt,
+        sender: { _id: msg.senderId._id, fullName: msg.senderId.fullName },
+      });
+    }
+
+    const results = [...conversations.values()].map((entry) => ({
+      ...entry,
+      hits: entry.hits.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)),
+    }));
+
+    res.status(200).json({ query, results });
+  } catch (error) {
+    console.log("Error in searchMessages: ", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const SYNC_LIMIT = 500;
+
+// Everything that changed in my conversations since ?since=<serverTime from the previous sync>.
+// Edits, deletes, reactions and receipts all bump updatedAt, so one query covers every event a
+// disconnected client may have missed. Without ?since it only returns a starting serverTime.
+export const syncMessages = async (req, res) => {
+  try {
+    const myId = req.user._id;
+    const serverTime = new Date();
+
+    const { since } = req.query;
+    if (!since) {
+      return res.status(200).json({ messages: [], hasMore: false, serverTime });
+    }
+
+    const myGroups = await Group.find({ "members.userId": myId }).select("_id");
+    const myGroupIds = myGroups.map((g) => g._id);
+
+    const changed = await populateMessages(
+      Message.find({
+        updatedAt: { $gt: since, $lte: serverTime },
+        $or: [
+          { senderId: myId, groupId: null },
+          { receiverId: myId },
+          { groupId: { $in: myGroupIds } },
+        ],
+      })
+        .sort({ updatedAt: 1 })
+        .limit(SYNC_LIMIT + 1)
+    );
+
+    // Past the limit the client should reload instead of patching
+    const hasMore = changed.length > SYNC_LIMIT;
+    const messages = changed.slice(0, SYNC_LIMIT);
+
+    // Delivering them must not bump updatedAt past serverTime, or the next sync would
+    // return every one of them again
+    await markMessagesDelivered(messages, myId, { timestamps: false });
+
+    res.status(200).json({ messages, hasMore, serverTime });
+  } catch (error) {
+    console.log("Error in syncMessages: ", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const markMessageAsRead = async (req, res) => {
+  try {
+    const userId = req.user._id;
+
+    const { message } = req; // loaded and access-checked by requireMessageParticipant
+
+    // Only record the read once - done atomically so concurrent requests can't double count
+    const { modifiedCount } = await Message.updateOne(
+      { _id: message._id, "readBy.userId": { $ne: userId } },
+      { $push: { readBy: { userId } } }
+    );
+
+    if (modifiedCount > 0) {
+      // Emit read receipt to the sender, and to the reader so their unread counts stay in sync
+      emitToUsers([message.senderId, userId], "messageRead", {
+        messageId: message._id,
+        userId: userId,
+        senderId: message.senderId,
+        groupId: message.groupId,
+      });
     }
 
     res.status(200).json({ message: "Message marked as read" });
   } catch (error) {
     console.log("Error in markMessageAsRead: ", error.message);
-    res.status(500).json({ error: "Internal server error" });
+    res.status(500).json({ message: "Internal server error" });
   }
 };
 
 export const addReaction = async (req, res) => {
   try {
-    const { messageId } = req.params;
     const { emoji } = req.body;
     const userId = req.user._id;
 
-    if (!emoji) {
-      return res.status(400).json({ message: "Emoji is required" });
-    }
+    const { message } = req; // loaded and access-checked by requireMessageParticipant
 
-    const message = await Message.findById(messageId);
-    if (!message) {
-      return res.status(404).json({ message: "Message not found" });
+    if (await isBlockedDirectMessage(message, userId)) {
+      return res.status(403).json({ message: "You can't react to messages from this user." });
     }
 
     // Remove existing reaction from this user
@@ -352,32 +592,25 @@ export const addReaction = async (req, res) => {
 
     await message.populate("reactions.userId", "fullName profilePic");
 
-    // Emit reaction update to both users
-    const receiverSocketId = getReceiverSocketId(message.receiverId.toString());
-    const senderSocketId = getReceiverSocketId(message.senderId.toString());
+    // Emit reaction update to everyone in the conversation (both users, or all group members)
 
-    if (receiverSocketId) {
-      io.to(receiverSocketId).emit("reactionAdded", message);
-    }
-    if (senderSocketId) {
-      io.to(senderSocketId).emit("reactionAdded", message);
-    }
+    emitToUsers(await getParticipantIds(message), "reactionAdded", message);
 
     res.status(200).json(message);
   } catch (error) {
     console.log("Error in addReaction: ", error.message);
-    res.status(500).json({ error: "Internal server error" });
+    res.status(500).json({ message: "Internal server error" });
   }
 };
 
 export const removeReaction = async (req, res) => {
   try {
-    const { messageId } = req.params;
     const userId = req.user._id;
 
-    const message = await Message.findById(messageId);
-    if (!message) {
-      return res.status(404).json({ message: "Message not found" });
+    const { message } = req; // loaded and access-checked by requireMessageParticipant
+
+    if (await isBlockedDirectMessage(message, userId)) {
+      return res.status(403).json({ message: "You can't react to messages from this user." });
     }
 
     message.reactions = message.reactions.filter(
@@ -387,38 +620,23 @@ export const removeReaction = async (req, res) => {
 
     await message.populate("reactions.userId", "fullName profilePic");
 
-    // Emit reaction update to both users
-    const receiverSocketId = getReceiverSocketId(message.receiverId.toString());
-    const senderSocketId = getReceiverSocketId(message.senderId.toString());
+    // Emit reaction update to everyone in the conversation (both users, or all group members)
 
-    if (receiverSocketId) {
-      io.to(receiverSocketId).emit("reactionRemoved", message);
-    }
-    if (senderSocketId) {
-      io.to(senderSocketId).emit("reactionRemoved", message);
-    }
+    emitToUsers(await getParticipantIds(message), "reactionRemoved", message);
 
     res.status(200).json(message);
   } catch (error) {
     console.log("Error in removeReaction: ", error.message);
-    res.status(500).json({ error: "Internal server error" });
+    res.status(500).json({ message: "Internal server error" });
   }
 };
 
 export const editMessage = async (req, res) => {
   try {
-    const { messageId } = req.params;
     const { text } = req.body;
     const userId = req.user._id;
 
-    if (!text || !text.trim()) {
-      return res.status(400).json({ message: "Message text is required" });
-    }
-
-    const message = await Message.findById(messageId);
-    if (!message) {
-      return res.status(404).json({ message: "Message not found" });
-    }
+    const { message } = req; // loaded and access-checked by requireMessageParticipant
 
     // Only sender can edit their message
     if (message.senderId.toString() !== userId.toString()) {
@@ -431,7 +649,7 @@ export const editMessage = async (req, res) => {
     }
 
     // Update message
-    message.text = text.trim();
+    message.text = text;
     message.edited = true;
     message.editedAt = new Date();
     await message.save();
@@ -444,34 +662,23 @@ export const editMessage = async (req, res) => {
 
     const messageToEmit = message.toObject();
 
-    // Emit to both sender and receiver
-    const receiverSocketId = getReceiverSocketId(message.receiverId.toString());
-    const senderSocketId = getReceiverSocketId(message.senderId.toString());
+    // Emit update to everyone in the conversation (both users, or all group members)
 
-    if (receiverSocketId) {
-      io.to(receiverSocketId).emit("messageEdited", messageToEmit);
-    }
-    if (senderSocketId) {
-      io.to(senderSocketId).emit("messageEdited", messageToEmit);
-    }
+    emitToUsers(await getParticipantIds(message), "messageEdited", messageToEmit);
 
     res.status(200).json(message);
   } catch (error) {
     console.log("Error in editMessage: ", error.message);
-    res.status(500).json({ error: "Internal server error" });
+    res.status(500).json({ message: "Internal server error" });
   }
 };
 
 export const deleteMessage = async (req, res) => {
   try {
-    const { messageId } = req.params;
     const { deleteForEveryone } = req.body; // true or false
     const userId = req.user._id;
 
-    const message = await Message.findById(messageId);
-    if (!message) {
-      return res.status(404).json({ message: "Message not found" });
-    }
+    const { message } = req; // loaded and access-checked by requireMessageParticipant
 
     const isSender = message.senderId.toString() === userId.toString();
 
@@ -481,29 +688,7 @@ export const deleteMessage = async (req, res) => {
         return res.status(403).json({ message: "Only the sender can delete for everyone" });
       }
 
-      message.deletedForEveryone = true;
-      message.text = "";
-      message.image = "";
-      message.video = "";
-      message.audio = "";
-      await message.save();
-
-      // Populate for socket emission
-      await message.populate("senderId", "fullName profilePic");
-      await message.populate("receiverId", "fullName profilePic");
-
-      const messageToEmit = message.toObject();
-
-      // Emit to both users
-      const receiverSocketId = getReceiverSocketId(message.receiverId.toString());
-      const senderSocketId = getReceiverSocketId(message.senderId.toString());
-
-      if (receiverSocketId) {
-        io.to(receiverSocketId).emit("messageDeleted", messageToEmit);
-      }
-      if (senderSocketId) {
-        io.to(senderSocketId).emit("messageDeleted", messageToEmit);
-      }
+      await deleteMessageForEveryone(message);
     } else {
       // Delete for me - add user to deletedForMe array
       const alreadyDeleted = message.deletedForMe.some(
@@ -521,17 +706,14 @@ export const deleteMessage = async (req, res) => {
 
       const messageToEmit = message.toObject();
 
-      // Emit only to the user who deleted it
-      const userSocketId = getReceiverSocketId(userId.toString());
-      if (userSocketId) {
-        io.to(userSocketId).emit("messageDeletedForMe", messageToEmit);
-      }
+      // Emit only to the user who deleted it (all of their devices)
+      emitToUsers([userId], "messageDeletedForMe", messageToEmit);
     }
 
     res.status(200).json(message);
   } catch (error) {
     console.log("Error in deleteMessage: ", error.message);
-    res.status(500).json({ error: "Internal server error" });
+    res.status(500).json({ message: "Internal server error" });
   }
 };
 
@@ -539,31 +721,30 @@ export const getChatPartners = async (req, res) => {
   try {
     const loggedInUserId = req.user._id;
 
-    // find all the messages where the logged-in user is either sender or receiver
-    const messages = await Message.find({
-      $or: [{ senderId: loggedInUserId }, { receiverId: loggedInUserId }],
-    });
+    // summarise every direct conversation the logged-in user is part of, keyed by the other user
+    // (group messages are listed through the groups endpoint instead)
+    const summaries = await getConversationSummaries(
+      loggedInUserId,
+      {
+        $or: [{ senderId: loggedInUserId }, { receiverId: loggedInUserId }],
+        groupId: null,
+      },
+      { $cond: [{ $eq: ["$senderId", loggedInUserId] }, "$receiverId", "$senderId"] }
+    );
 
-    const chatPartnerIds = [
-      ...new Set(
-        messages.map((msg) =>
-          msg.senderId.toString() === loggedInUserId.toString()
-            ? msg.receiverId.toString()
-            : msg.senderId.toString()
-        )
-      ),
-    ];
-
-    const allChatPartners = await User.find({ _id: { $in: chatPartnerIds } }).select("-password");
+    const allChatPartners = await User.find({ _id: { $in: [...summaries.keys()] } }).select("-password");
     
     // Filter out chatbot from chat list (case-insensitive match on fullName)
-    const chatPartners = allChatPartners.filter(
-      (user) => !user.fullName.toLowerCase().includes("chatbot") && !user.fullName.toLowerCase().includes("chat bot")
-    );
+    const chatPartners = allChatPartners
+      .filter(
+        (user) => !user.fullName.toLowerCase().includes("chatbot") && !user.fullName.toLowerCase().includes("chat bot")
+      )
+      .map((user) => ({ ...user.toObject(), ...summaries.get(user._id.toString()) }))
+      .sort(byLastActivity);
 
     res.status(200).json(chatPartners);
   } catch (error) {
     console.error("Error in getChatPartners: ", error.message);
-    res.status(500).json({ error: "Internal server error" });
+    res.status(500).json({ message: "Internal server error" });
   }
 };
@@ -0,0 +1,186 @@
+import Report from "../models/Report.js";
+import Message from "../models/Message.js";
+import Group from "../models/Group.js";
+import User from "../models/User.js";
+import { deleteMessageForEveryone } from "./message.controller.js";
+import { suspendUser } from "../lib/moderation.js";
+
+const REPORTS_PAGE_SIZE = 20;
+
+// Users can only report messages they were able to see
+const canSeeMessage = async (message, userId) => {
+  if (message.groupId) {
+    const group = await Group.findById(message.groupId).select("members");
+    return !!group?.isMember(userId);
+  }
+  return message.senderId.equals(userId) || message.receiverId?.equals(userId);
+};
+
+// Works on queries and documents alike. Accounts deleted since the report populate as null.
+const REPORT_POPULATE = [
+  { path: "reporterId", select: "fullName email profilePic" },
+  { path: "reportedUserId", select: "fullName email profilePic suspendedAt" },
+  { path: "resolution.resolvedBy", select: "fullName" },
+];
+
+const populateReport = (queryOrReport) => queryOrReport.populate(REPORT_POPULATE);
+
+export const createReport = async (req, res) => {
+  const { targetType, messageId, userId, reason, details } = req.body;
+  const reporterId = req.user._id;
+
+  try {
+    const report = new Report({ reporterId, targetType, reason, details });
+
+    if (targetType === "message") {
+      const message = await Message.findById(messageId);
+      if (!message || !(await canSeeMessage(message, reporterId))) {
+        return res.status(404).json({ message: "Message not found" });
+      }
+      if (message.deletedForEveryone) {
+        return res.status(400).json({ message: "This message has already been deleted" });
+      }
+
+      report.messageId = message._id;
+      report.reportedUserId = message.senderId;
+      report.messageSnapshot = {
+        text: message.text || "",
+        attachments: message.attachments.map(({ type, url, name }) => ({ type, url, name })),
+        sentAt: message.createdAt,
+      };
+    } else {
+      const userExists = await User.exists({ _id: userId });
+      if (!userExists) return res.status(404).json({ message: "User not found" });
+      report.reportedUserId = userId;
+    }
+
+    if (report.reportedUserId.equals(reporterId)) {
+      return res.status(400).json({ message: "You can't report yourself" });
+    }
+
+    // one open report per reporter and target is enough for the queue
+    const duplicate = await Report.exists({
+      reporterId,
+      targetType,
+      status: "open",
+      ...(targetType === "message"
+        ? { messageId: report.messageId }
+        : { reportedUserId: report.reportedUserId }),
+    });
+    if (duplicate) {
+      return res.status(400).json({ message: "You have already reported this" });
+    }
+
+    await report.save();
+    res.status(201).json({ message: "Thanks, our moderators will review your report" });
+  } catch (error) {
+    console.error("Error in createReport controller:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Admin: the moderation queue, newest first. ?status=open|resolved|dismissed|all (default open)
+export const getReports = async (req, res) => {
+  const { status, page } = req.query;
+
+  try {
+    const filter = status === "all" ? {} : { status };
+    const [reports, total] = await Promise.all([
+      populateReport(
+        Report.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * REPORTS_PAGE_SIZE)
+          .limit(REPORTS_PAGE_SIZE)
+      ),
+      Report.countDocuments(filter),
+    ]);
+
+    res.status(200).json({ reports, total, page, pageSize: REPORTS_PAGE_SIZE });
+  } catch (error) {
+    console.error("Error in getReports controller:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Admin: one report plus how often the same account has been reported
+export const getReportById = async (req, res) => {
+  const { reportId } = req.params;
+
+  try {
+    const report = await Report.findById(reportId);
+    if (!report) return res.status(404).json({ message: "Report not found" });
+
+    // counted before populating, by the stored id, which outlives a deleted account
+    const reportsAgainstUser = await Report.countDocuments({
+      reportedUserId: report.reportedUserId,
+    });
+    await populateReport(report);
+
+    res.status(200).json({ report, reportsAgainstUser });
+  } catch (error) {
+    console.error("Error in getReportById controller:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Admin: close a report, optionally acting on it.
+// action: "dismiss" (no violation), "none" (resolved, nothing to do),
+// "delete_message" (delete for everyone) or "suspend_user"
+export const resolveReport = async (req, res) => {
+  const { reportId } = req.params;
+  const { action, note } = req.body;
+
+  try {
+    const report = await Report.findById(reportId);
+    if (!report) return res.status(404).json({ message: "Report not found" });
+    if (report.status !== "open") {
+      return res.status(400).json({ message: "This report has already been closed" });
+    }
+
+    let resolutionAction = "none";
+
+    if (action === "delete_message") {
+      if (report.targetType !== "message") {
+        return res.status(400).json({ message: "Only message reports can delete a message" });
+      }
+      const message = await Message.findById(report.messageId);
+      if (message && !message.deletedForEveryone) await deleteMessageForEveryone(message);
+      resolutionAction = "message_deleted";
+    } else if (action === "suspend_user") {
+      const accountGone = { message: "The reported account no longer exists" };
+      const target = await User.findById(report.reportedUserId).select("role");
+      if (!target) return res.status(404).json(accountGone);
+      // same rule as the admin dashboard: admins can't be moderated
+      if (target.role === "admin") {
+        return res.status(403).json({ message: "Admins can't be moderated from the dashboard" });
+      }
+
+      const reason = note || `Report ${report._id}: ${report.reason}`;
+      // null when the account was deleted in the meantime
+      if (!(await suspendUser(target._id, reason))) return res.status(404).json(accountGone);
+      resolutionAction = "user_suspended";
+    }
+
+    report.status = action === "dismiss" ? "dismissed" : "resolved";
+    report.resolution = {
+      action: resolutionAction,
+      note,
+      resolvedBy: req.user._id,
+      resolvedAt: new Date(),
+    };
+    await report.save();
+
+    // other open reports about the same message are settled by the same decision
+    if (resolutionAction === "message_deleted") {
+      await Report.updateMany(
+        { _id: { $ne: report._id }, messageId: report.messageId, status: "open" },
+        { status: "resolved", resolution: report.resolution }
+      );
+    }
+
+    res.status(200).json(await populateReport(Report.findById(report._id)));
+  } catch (error) {
+    console.error("Error in resolveReport controller:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
@@ -0,0 +1,108 @@
+import User from "../models/User.js";
+import Contact from "../models/Contact.js";
+import { emitToUsers } from "../lib/socket.js";
+import { escapeRegex } from "../lib/utils.js";
+
+const SEARCH_PAGE_SIZE = 20;
+
+// Shared by block/unblock: validates the target, applies the update and syncs the user's other tabs
+const updateBlockList = async (req, res, update) => {
+  const { userId: targetId } = req.params;
+  const userId = req.user._id;
+
+  if (userId.equals(targetId)) {
+    return res.status(400).json({ message: "You can't block yourself" });
+  }
+
+  const targetExists = await User.exists({ _id: targetId });
+  if (!targetExists) return res.status(404).json({ message: "User not found" });
+
+  const user = await User.findByIdAndUpdate(userId, update(targetId), { new: true }).select(
+    "+blockedUsers"
+  );
+
+  emitToUsers([userId], "blockListUpdated", { blockedUsers: user.blockedUsers }, {
+    exceptSocketId: req.get("X-Socket-Id"),
+  });
+
+  res.status(200).json({ blockedUsers: user.blockedUsers });
+};
+
+export const blockUser = async (req, res) => {
+  try {
+    await updateBlockList(req, res, (targetId) => ({ $addToSet: { blockedUsers: targetId } }));
+  } catch (error) {
+    console.error("Error in blockUser controller:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const unblockUser = async (req, res) => {
+  try {
+    await updateBlockList(req, res, (targetId) => ({ $pull: { blockedUsers: targetId } }));
+  } catch (error) {
+    console.error("Error in unblockUser controller:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// ?q= matches the start of the email or of any word in the name, ?page= pages through the
+// results. Each user carries contactStatus: "contact", "incoming", "outgoing" or null.
+export const searchUsers = async (req, res) => {
+  const { q, page } = req.query;
+  const userId = req.user._id;
+
+  try {
+    const blockedIds = await User.getBlockedRelations(userId);
+    const escaped = escapeRegex(q);
+    const filter = {
+      _id: { $ne: userId, $nin: [...blockedIds] },
+      suspendedAt: null,
+      $or: [
+        { fullName: new RegExp(`(^|\\s)${escaped}`, "i") },
+        { email: new RegExp(`^${escaped}`, "i") },
+      ],
+    };
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select("fullName email profilePic")
+        .sort({ fullName: 1, _id: 1 })
+        .skip((page - 1) * SEARCH_PAGE_SIZE)
+        .limit(SEARCH_PAGE_SIZE)
+        .lean(),
+      User.countDocuments(filter),
+    ]);
+
+    const ids = users.map((user) => user._id);
+    const relations = await Contact.find({
+      $or: [
+        { requesterId: userId, recipientId: { $in: ids } },
+        { requesterId: { $in: ids }, recipientId: userId },
+      ],
+    }).lean();
+
+    const statusByUser = new Map(
+      relations.map((relation) => {
+        const sentByMe = relation.requesterId.equals(userId);
+        const otherId = sentByMe ? relation.recipientId : relation.requesterId;
+        const status =
+          relation.status === "accepted" ? "contact" : sentByMe ? "outgoing" : "incoming";
+        return [otherId.toString(), status];
+      })
+    );
+
+    res.status(200).json({
+      users: users.map((user) => ({
+        ...user,
+        contactStatus: statusByUser.get(user._id.toString()) || null,
+      })),
+      total,
+      page,
+      pageSize: SEARCH_PAGE_SIZE,
+    });
+  } catch (error) {
+    console.error("Error in searchUsers controller:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
@@ -0,0 +1,17 @@
+// Shorthands for the hand-written JSON Schemas in openapi.js and socketEvents.js
+
+export const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+export const objectId = ref("ObjectId");
+export const dateTime = { type: "string", format: "date-time" };
+export const arrayOf = (items) => ({ type: "array", items });
+
+// OpenAPI 3.0 ignores anything next to a $ref, so referenced schemas are wrapped
+export const nullable = ({ $ref, ...schema }) =>
+  $ref ? { allOf: [{ $ref }], ...schema, nullable: true } : { ...schema, nullable: true };
+
+// Every property is required unless listed otherwise
+export const object = (properties, required = Object.keys(properties)) => ({
+  type: "object",
+  properties,
+  required,
+});
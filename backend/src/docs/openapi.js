@@ -0,0 +1,700 @@
+import { z } from "zod";
+import { SOCKET_EVENTS } from "./socketEvents.js";
+import { ref, objectId, dateTime, arrayOf, nullable, object } from "./jsonSchema.js";
+import { MAX_ATTACHMENTS } from "../middleware/upload.middleware.js";
+import {
+  signupBody,
+  loginBody,
+  twoFactorLoginBody,
+  twoFactorCodeBody,
+  disableTwoFactorBody,
+  verifyEmailBody,
+  forgotPasswordBody,
+  resetPasswordBody,
+  updatePrivacyBody,
+  sessionParams,
+} from "../schemas/auth.schema.js";
+import {
+  userParams,
+  groupParams,
+  messageParams,
+  pageQuery,
+  searchQuery,
+  syncQuery,
+  sendMessageBody,
+  reactionBody,
+  editMessageBody,
+  deleteMessageBody,
+} from "../schemas/message.schema.js";
+
+// The OpenAPI 3 document for /api/auth and /api/messages, served by routes/docs.route.js.
+// Request parameters and bodies are generated from the same zod schemas the routes validate
+// with, so they can't disagree; responses are described by hand below.
+// tests/openapi.test.js fails when a route is added, removed or changed without updating this.
+
+// JSON Schema for what a client sends, i.e. before trimming, coercion and defaults
+export const toJSONSchema = (schema) =>
+  z.toJSONSchema(schema, {
+    io: "input",
+    target: "openapi-3.0",
+    unrepresentable: "any",
+    override: ({ zodSchema, jsonSchema }) => {
+      // query dates arrive as strings (z.coerce.date)
+      if (zodSchema._zod.def.type === "date") {
+        Object.assign(jsonSchema, { type: "string", format: "date-time" });
+      }
+    },
+  });
+
+const schemas = {
+  ObjectId: { type: "string", pattern: "^[0-9a-f]{24}$", example: "665f1c2e8b3f4a0012345678" },
+  Error: {
+    type: "object",
+    description: "Every 4xx and 5xx response has this shape.",
+    properties: {
+      code: { type: "string", example: "VALIDATION_ERROR" },
+      message: { type: "string" },
+      details: nullable(arrayOf(ref("ValidationIssue"))),
+    },
+    required: ["code", "message", "details"],
+  },
+  ValidationIssue: object({
+    location: { type: "string", enum: ["params", "query", "body"] },
+    path: { type: "string" },
+    message: { type: "string" },
+  }),
+  Notice: object({ message: { type: "string" } }),
+  UserSummary: object({
+    _id: objectId,
+    fullName: { type: "string" },
+    profilePic: { type: "string" },
+  }),
+  User: {
+    type: "object",
+    properties: {
+      _id: objectId,
+      fullName: { type: "string" },
+      email: { type: "string" },
+      profilePic: { type: "string" },
+      role: { type: "string", enum: ["user", "admin"] },
+      emailVerified: { type: "boolean" },
+      twoFactorEnabled: { type: "boolean" },
+      showLastSeen: { type: "boolean" },
+      lastSeenAt: nullable({
+        ...dateTime,
+        description: "Left out when the user hides their last seen time",
+      }),
+      createdAt: dateTime,
+      updatedAt: dateTime,
+    },
+  },
+  AuthUser: {
+    type: "object",
+    description: "The logged-in user, including who they have blocked",
+    properties: {
+      _id: objectId,
+      fullName: { type: "string" },
+      email: { type: "string" },
+      profilePic: { type: "string" },
+      showLastSeen: { type: "boolean" },
+      emailVerified: { type: "boolean" },
+      twoFactorEnabled: { type: "boolean" },
+      role: { type: "string", enum: ["user", "admin"] },
+      blockedUsers: arrayOf(objectId),
+    },
+  },
+  TwoFactorChallenge: object({
+    twoFactorRequired: { type: "boolean", enum: [true] },
+    twoFactorToken: {
+      type: "string",
+      description: "Send it to POST /api/auth/login/2fa with the code, within 5 minutes",
+    },
+  }),
+  Session: object({
+    _id: objectId,
+    device: { type: "string" },
+    userAgent: { type: "string" },
+    ip: { type: "string" },
+    lastUsedAt: dateTime,
+    createdAt: dateTime,
+    isCurrent: { type: "boolean" },
+  }),
+  Attachment: object(
+    {
+      type: { type: "string", enum: ["image", "video", "audio", "file"] },
+      url: { type: "string" },
+      name: { type: "string" },
+      size: { type: "integer" },
+      mimeType: { type: "string" },
+    },
+    ["type", "url"]
+  ),
+  Message: {
+    type: "object",
+    description:
+      "Direct messages have a receiverId, group messages a groupId. image, video, audio and file are the single-media fields of messages sent before attachments.",
+    properties: {
+      _id: objectId,
+      senderId: ref("UserSummary"),
+      receiverId: nullable(ref("UserSummary")),
+      groupId: nullable(objectId),
+      text: { type: "string" },
+      attachments: arrayOf(ref("Attachment")),
+      image: { type: "string" },
+      video: { type: "string" },
+      audio: { type: "string" },
+      file: nullable(ref("Attachment")),
+      replyTo: nullable({
+        type: "object",
+        description: "The message replied to, with its sender",
+      }),
+      edited: { type: "boolean" },
+      editedAt: nullable(dateTime),
+      deletedForEveryone: { type: "boolean" },
+      reactions: arrayOf(object({ userId: ref("UserSummary"), emoji: { type: "string" } })),
+      readBy: arrayOf(object({ userId: objectId, readAt: dateTime })),
+      deliveredTo: arrayOf(object({ userId: objectId, deliveredAt: dateTime })),
+      createdAt: dateTime,
+      updatedAt: dateTime,
+    },
+  },
+  MessagePage: object({
+    messages: { ...arrayOf(ref("Message")), description: "Oldest first" },
+    hasMore: { type: "boolean" },
+    nextCursor: { ...nullable(objectId), description: "Pass as ?before= for the older page" },
+  }),
+  ChatPartner: {
+    allOf: [
+      ref("User"),
+      {
+        type: "object",
+        properties: {
+          lastMessage: { type: "object", description: "The latest message of the conversation" },
+          unreadCount: { type: "integer" },
+        },
+      },
+    ],
+  },
+  SearchResults: object({
+    query: { type: "string" },
+    results: arrayOf(
+      object({
+        conversation: {
+          type: "object",
+          description:
+            "The other user (_id, fullName, profilePic) or the group (_id, isGroup, name, avatar)",
+        },
+        hits: arrayOf(
+          object({
+            _id: objectId,
+            snippet: { type: "string" },
+            createdAt: dateTime,
+            sender: object({ _id: objectId, fullName: { type: "string" } }),
+          })
+        ),
+      })
+    ),
+  }),
+  SyncResult: object({
+    messages: { ...arrayOf(ref("Message")), description: "Oldest change first" },
+    hasMore: {
+      type: "boolean",
+      description: "More than 500 messages changed; reload the conversations instead",
+    },
+    serverTime: { ...dateTime, description: "Pass as ?since= on the next sync" },
+  }),
+  Group: {
+    type: "object",
+    properties: {
+      _id: objectId,
+      isGroup: { type: "boolean", enum: [true] },
+      name: { type: "string" },
+      avatar: { type: "string" },
+      createdBy: objectId,
+      members: arrayOf(
+        object({
+          userId: { oneOf: [objectId, ref("UserSummary")] },
+          role: { type: "string", enum: ["admin", "member"] },
+          joinedAt: dateTime,
+        })
+      ),
+      createdAt: dateTime,
+      updatedAt: dateTime,
+    },
+  },
+  ContactRequest: {
+    type: "object",
+    properties: {
+      _id: objectId,
+      requesterId: { oneOf: [objectId, ref("UserSummary")] },
+      recipientId: { oneOf: [objectId, ref("UserSummary")] },
+      status: { type: "string", enum: ["pending", "accepted"] },
+      acceptedAt: nullable(dateTime),
+      createdAt: dateTime,
+      updatedAt: dateTime,
+    },
+  },
+};
+
+const errorResponse = (description) => ({
+  description,
+  content: { "application/json": { schema: ref("Error") } },
+});
+
+const responses = {
+  BadRequest: errorResponse("Invalid input (code VALIDATION_ERROR lists every failed field)"),
+  Unauthorized: errorResponse("Not logged in, or the session has expired or been revoked"),
+  Forbidden: errorResponse("Not allowed"),
+  NotFound: errorResponse("Not found"),
+  RateLimited: errorResponse("Too many requests"),
+};
+
+const ERROR_RESPONSES = {
+  400: "BadRequest",
+  401: "Unauthorized",
+  403: "Forbidden",
+  404: "NotFound",
+  429: "RateLimited",
+};
+
+const json = (description, schema) => ({
+  description,
+  content: { "application/json": { schema } },
+});
+
+const notice = (description) => json(description, ref("Notice"));
+
+const parameters = (schema, location) => {
+  if (!schema) return [];
+  const { properties, required = [] } = toJSONSchema(schema);
+  return Object.entries(properties).map(([name, property]) => ({
+    name,
+    in: location,
+    required: required.includes(name),
+    schema: property,
+  }));
+};
+
+// files: multipart file fields, e.g. { profilePic: "The new picture" }
+const requestBody = (schema, files) => {
+  if (!files)
+    return { required: true, content: { "application/json": { schema: toJSONSchema(schema) } } };
+
+  const body = schema ? toJSONSchema(schema) : { type: "object", properties: {} };
+  const fileFields = Object.entries(files).map(([name, { description, maxCount = 1 }]) => {
+    const file = { type: "string", format: "binary" };
+    return [name, { ...(maxCount > 1 ? arrayOf(file) : file), description }];
+  });
+  body.properties = { ...body.properties, ...Object.fromEntries(fileFields) };
+  return { required: true, content: { "multipart/form-data": { schema: body } } };
+};
+
+// Every documented route goes through arcjet, so can answer 403 and 429. Authenticated
+// routes add 401, and routes with any validated input 400; `errors` lists the rest.
+const operation = ({
+  summary,
+  description,
+  params,
+  query,
+  body,
+  files,
+  auth = true,
+  security,
+  responses: success,
+  errors = [],
+}) => {
+  const statuses = new Set([...errors, 403, 429]);
+  if (auth) statuses.add(401);
+  if (params || query || body || files) statuses.add(400);
+
+  return {
+    summary,
+    ...(description && { description }),
+    ...(security ? { security } : !auth && { security: [] }),
+    parameters: [...parameters(params, "path"), ...parameters(query, "query")],
+    ...((body || files) && { requestBody: requestBody(body, files) }),
+    responses: {
+      ...success,
+      ...Object.fromEntries(
+        [...statuses]
+          .sort()
+          .map((status) => [status, { $ref: `#/components/responses/${ERROR_RESPONSES[status]}` }])
+      ),
+    },
+  };
+};
+
+const tagged = (tag, routes) =>
+  Object.fromEntries(
+    Object.entries(routes).map(([path, methods]) => [
+      path,
+      Object.fromEntries(
+        Object.entries(methods).map(([method, op]) => [method, { tags: [tag], ...op }])
+      ),
+    ])
+  );
+
+const SETS_COOKIES = "Sets the jwt and refreshToken cookies.";
+
+const authPaths = tagged("Auth", {
+  "/api/auth/signup": {
+    post: operation({
+      summary: "Create an account",
+      description: `Logs the new user in and emails them a verification link. ${SETS_COOKIES}`,
+      body: signupBody,
+      auth: false,
+      responses: { 201: json("The new user", ref("AuthUser")) },
+    }),
+  },
+  "/api/auth/login": {
+    post: operation({
+      summary: "Log in",
+      description: `Accounts with two-factor authentication get a challenge instead and finish with POST /api/auth/login/2fa. ${SETS_COOKIES}`,
+      body: loginBody,
+      auth: false,
+      responses: {
+        200: json("Logged in, or a two-factor challenge", {
+          oneOf: [ref("AuthUser"), ref("TwoFactorChallenge")],
+        }),
+      },
+    }),
+  },
+  "/api/auth/login/2fa": {
+    post: operation({
+      summary: "Finish a two-factor login",
+      description: `code is a 6-digit authenticator code or one of the recovery codes. ${SETS_COOKIES}`,
+      body: twoFactorLoginBody,
+      auth: false,
+      responses: { 200: json("Logged in", ref("AuthUser")) },
+      errors: [401],
+    }),
+  },
+  "/api/auth/logout": {
+    post: operation({
+      summary: "Log out",
+      description: "Ends this device's session and clears the auth cookies.",
+      auth: false,
+      responses: { 200: notice("Logged out") },
+    }),
+  },
+  "/api/auth/refresh": {
+    post: operation({
+      summary: "Refresh the access token",
+      description: `Rotates the refresh token. ${SETS_COOKIES}`,
+      security: [{ refreshCookie: [] }],
+      auth: false,
+      responses: { 200: notice("Session refreshed") },
+      errors: [401],
+    }),
+  },
+  "/api/auth/forgot-password": {
+    post: operation({
+      summary: "Email a password reset link",
+      description: "Answers the same whether or not the account exists.",
+      body: forgotPasswordBody,
+      auth: false,
+      responses: { 200: notice("Reset link sent if the account exists") },
+    }),
+  },
+  "/api/auth/reset-password": {
+    post: operation({
+      summary: "Set a new password with a reset token",
+      description: "Logs out every device.",
+      body: resetPasswordBody,
+      auth: false,
+      responses: { 200: notice("Password reset") },
+    }),
+  },
+  "/api/auth/verify-email": {
+    post: operation({
+      summary: "Verify an email address",
+      body: verifyEmailBody,
+      auth: false,
+      responses: { 200: notice("Email verified") },
+    }),
+  },
+  "/api/auth/resend-verification": {
+    post: operation({
+      summary: "Email a new verification link",
+      responses: { 200: notice("Verification email sent") },
+      errors: [400],
+    }),
+  },
+  "/api/auth/update-profile": {
+    put: operation({
+      summary: "Change the profile picture",
+      files: { profilePic: { description: "An image" } },
+      responses: { 200: json("The updated user", ref("AuthUser")) },
+    }),
+  },
+  "/api/auth/update-privacy": {
+    put: operation({
+      summary: "Show or hide your last seen time",
+      body: updatePrivacyBody,
+      responses: { 200: json("The updated user", ref("AuthUser")) },
+    }),
+  },
+  "/api/auth/2fa/setup": {
+    post: operation({
+      summary: "Start setting up two-factor authentication",
+      description: "Returns a new secret; it is only switched on by POST /api/auth/2fa/enable.",
+      responses: {
+        200: json(
+          "The secret for an authenticator app",
+          object({
+            secret: { type: "string" },
+            otpauthURL: { type: "string" },
+            qrCode: { type: "string", description: "The otpauth URL as a PNG data URL" },
+          })
+        ),
+      },
+      errors: [400],
+    }),
+  },
+  "/api/auth/2fa/enable": {
+    post: operation({
+      summary: "Switch on two-factor authentication",
+      description: "Confirms the setup with a code from the authenticator app.",
+      body: twoFactorCodeBody,
+      responses: {
+        200: json(
+          "One-time recovery codes, shown only once",
+          object({ recoveryCodes: arrayOf({ type: "string" }) })
+        ),
+      },
+    }),
+  },
+  "/api/auth/2fa/disable": {
+    post: operation({
+      summary: "Switch off two-factor authentication",
+      body: disableTwoFactorBody,
+      responses: { 200: notice("Two-factor authentication disabled") },
+    }),
+  },
+  "/api/auth/sessions": {
+    get: operation({
+      summary: "List the devices you are logged in on",
+      responses: {
+        200: json("Active sessions, most recently used first", arrayOf(ref("Session"))),
+      },
+    }),
+    delete: operation({
+      summary: "Log out every other device",
+      responses: { 200: notice("Other devices logged out") },
+    }),
+  },
+  "/api/auth/sessions/{sessionId}": {
+    delete: operation({
+      summary: "Log out one device",
+      description: "Its sockets get sessionRevoked and are disconnected.",
+      params: sessionParams,
+      responses: { 200: notice("Device logged out") },
+      errors: [404],
+    }),
+  },
+  "/api/auth/check": {
+    get: operation({
+      summary: "Get the logged-in user",
+      responses: { 200: json("The logged-in user", ref("AuthUser")) },
+    }),
+  },
+});
+
+const SKIPS_OWN_SOCKET =
+  "The socket named in X-Socket-Id doesn't get the resulting event; it already has the response.";
+
+const socketIdHeader = {
+  name: "X-Socket-Id",
+  in: "header",
+  required: false,
+  description: SKIPS_OWN_SOCKET,
+  schema: { type: "string" },
+};
+
+const messageFiles = {
+  attachments: { description: `Up to ${MAX_ATTACHMENTS} files`, maxCount: MAX_ATTACHMENTS },
+  image: { description: "Single-image upload from older clients" },
+  video: { description: "Single-video upload from older clients" },
+  audio: { description: "Single-audio upload from older clients" },
+  file: { description: "Single-document upload from older clients" },
+};
+
+const sendOperation = (options) => {
+  const op = operation({
+    ...options,
+    body: sendMessageBody,
+    files: messageFiles,
+    responses: { 201: json("The sent message", ref("Message")) },
+  });
+  op.parameters.push(socketIdHeader);
+  return op;
+};
+
+const messagePaths = tagged("Messages", {
+  "/api/messages/contacts": {
+    get: operation({
+      summary: "List your contacts",
+      description: "Accepted contacts only, without anyone on either side of a block.",
+      responses: { 200: json("Contacts by name", arrayOf(ref("User"))) },
+    }),
+  },
+  "/api/messages/chats": {
+    get: operation({
+      summary: "List your direct conversations",
+      responses: {
+        200: json("The other users, most recent activity first", arrayOf(ref("ChatPartner"))),
+      },
+    }),
+  },
+  "/api/messages/search": {
+    get: operation({
+      summary: "Search your messages",
+      description: "Full-text search over every conversation you are in, grouped by conversation.",
+      query: searchQuery,
+      responses: { 200: json("Up to 50 hits", ref("SearchResults")) },
+    }),
+  },
+  "/api/messages/sync": {
+    get: operation({
+      summary: "Catch up after reconnecting",
+      description:
+        "Every message in your conversations that was sent, edited, deleted, reacted to or read since the given time. Without since, only returns a serverTime to start from.",
+      query: syncQuery,
+      responses: { 200: json("Changed messages", ref("SyncResult")) },
+    }),
+  },
+  "/api/messages/group/{groupId}": {
+    get: operation({
+      summary: "Page through a group's messages",
+      params: groupParams,
+      query: pageQuery,
+      responses: { 200: json("One page, newest last", ref("MessagePage")) },
+      errors: [404],
+    }),
+  },
+  "/api/messages/group/send/{groupId}": {
+    post: sendOperation({
+      summary: "Send a message to a group",
+      description: `Needs text or at least one file. Members get newMessage. ${SKIPS_OWN_SOCKET}`,
+      params: groupParams,
+      errors: [404],
+    }),
+  },
+  "/api/messages/{id}": {
+    get: operation({
+      summary: "Page through a direct conversation",
+      description: "Marks the returned messages as delivered to you.",
+      params: userParams,
+      query: pageQuery,
+      responses: { 200: json("One page, newest last", ref("MessagePage")) },
+      errors: [404],
+    }),
+  },
+  "/api/messages/send/{id}": {
+    post: sendOperation({
+      summary: "Send a direct message",
+      description: `Needs text or at least one file. Both users get newMessage. ${SKIPS_OWN_SOCKET}`,
+      params: userParams,
+      errors: [404],
+    }),
+  },
+  "/api/messages/read/{messageId}": {
+    put: operation({
+      summary: "Mark a message as read",
+      description: "The sender gets messageRead.",
+      params: messageParams,
+      responses: { 200: notice("Marked as read") },
+      errors: [404],
+    }),
+  },
+  "/api/messages/reaction/{messageId}": {
+    post: operation({
+      summary: "React to a message",
+      description:
+        "Replaces your earlier reaction. Everyone in the conversation gets reactionAdded.",
+      params: messageParams,
+      body: reactionBody,
+      responses: { 200: json("The message", ref("Message")) },
+      errors: [404],
+    }),
+    delete: operation({
+      summary: "Remove your reaction",
+      description: "Everyone in the conversation gets reactionRemoved.",
+      params: messageParams,
+      responses: { 200: json("The message", ref("Message")) },
+      errors: [404],
+    }),
+  },
+  "/api/messages/edit/{messageId}": {
+    put: operation({
+      summary: "Edit one of your messages",
+      description: "Everyone in the conversation gets messageEdited.",
+      params: messageParams,
+      body: editMessageBody,
+      responses: { 200: json("The edited message", ref("Message")) },
+      errors: [404],
+    }),
+  },
+  "/api/messages/delete/{messageId}": {
+    delete: operation({
+      summary: "Delete a message",
+      description:
+        "For yourself (your other devices get messageDeletedForMe) or, for the sender, for everyone (everyone in the conversation gets messageDeleted).",
+      params: messageParams,
+      body: deleteMessageBody,
+      responses: { 200: json("The message", ref("Message")) },
+      errors: [404],
+    }),
+  },
+});
+
+const DIRECTIONS = {
+  toServer: "Client → server (socket.emit)",
+  toClient: "Server → client (socket.on)",
+};
+
+// Socket.IO has no place in OpenAPI, so the events are listed in the description for people
+// and under x-socket-events for tools
+const describeSocketEvents = () =>
+  Object.entries(DIRECTIONS)
+    .map(([direction, heading]) => {
+      const rows = SOCKET_EVENTS.filter((event) => event.direction === direction).map(
+        ({ name, description }) => `| \`${name}\` | ${description} |`
+      );
+      return [`### ${heading}`, "", "| Event | |", "| --- | --- |", ...rows].join("\n");
+    })
+    .join("\n\n");
+
+export const buildOpenApiDocument = () => ({
+  openapi: "3.0.3",
+  info: {
+    title: "Chatify API",
+    version: "1.0.0",
+    description: [
+      "The REST API behind the chat app. Authentication is cookie based: log in, then send the jwt cookie with every request.",
+      "",
+      "Every error response is `{ code, message, details }`; validation errors (code `VALIDATION_ERROR`) list each failed field in `details`.",
+      "",
+      "## Socket.IO events",
+      "",
+      "Connect to the same origin with the jwt cookie. Payload schemas are under `x-socket-events`.",
+      "",
+      describeSocketEvents(),
+    ].join("\n"),
+  },
+  tags: [
+    { name: "Auth", description: "Accounts, login sessions and two-factor authentication" },
+    { name: "Messages", description: "Direct and group messages" },
+  ],
+  security: [{ cookieAuth: [] }],
+  paths: { ...authPaths, ...messagePaths },
+  components: {
+    securitySchemes: {
+      cookieAuth: { type: "apiKey", in: "cookie", name: "jwt" },
+      refreshCookie: { type: "apiKey", in: "cookie", name: "refreshToken" },
+    },
+    schemas,
+    responses,
+  },
+  "x-socket-events": SOCKET_EVENTS,
+});
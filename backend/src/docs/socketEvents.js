@@ -0,0 +1,195 @@
+import { ref, objectId, dateTime, arrayOf, nullable, object } from "./jsonSchema.js";
+
+// The Socket.IO events clients can emit and listen for, published with the OpenAPI document
+// (see docs/openapi.js). Payloads are JSON Schemas; $refs point into the document's
+// components. tests/openapi.test.js fails when src/ emits or handles an event missing here.
+//
+// Sockets authenticate with the same jwt cookie as the REST API. Every socket joins its user's
+// room, so events addressed to a user reach all of their devices. Events caused by a REST
+// call skip the socket named in that request's X-Socket-Id header, which already has the result.
+
+const userIds = arrayOf(objectId);
+
+export const SOCKET_EVENTS = [
+  // client -> server
+  {
+    name: "presence",
+    direction: "toServer",
+    description:
+      'Reports whether this device is in use. A user is away while every one of their devices is "idle".',
+    payload: object({ status: { type: "string", enum: ["active", "idle"] } }),
+  },
+  {
+    name: "typing",
+    direction: "toServer",
+    description:
+      "Starts a typing indicator in a direct chat (receiverId) or a group (groupId). It clears itself after 3 seconds without another typing event. Ignored for anyone the user can't message (blocks, contacts-only messaging).",
+    payload: object({ receiverId: objectId, groupId: objectId }, []),
+  },
+  {
+    name: "stopTyping",
+    direction: "toServer",
+    description: "Clears the typing indicator started by typing.",
+    payload: object({ receiverId: objectId, groupId: objectId }, []),
+  },
+  {
+    name: "test",
+    direction: "toServer",
+    description: "Connection check, answered with testResponse.",
+    payload: {},
+  },
+
+  // server -> client: presence
+  {
+    name: "getOnlineUsers",
+    direction: "toClient",
+    description:
+      "Everyone online, sent on connect and whenever a user comes online or goes offline.",
+    payload: userIds,
+  },
+  {
+    name: "getAwayUsers",
+    direction: "toClient",
+    description: "Everyone online whose devices are all idle.",
+    payload: userIds,
+  },
+  {
+    name: "userLastSeen",
+    direction: "toClient",
+    description:
+      "A user's last device disconnected. lastSeenAt is null when they hide their last seen time.",
+    payload: object({ userId: objectId, lastSeenAt: nullable(dateTime) }),
+  },
+  {
+    name: "userTyping",
+    direction: "toClient",
+    description: "Someone started typing to you, or in one of your groups (groupId).",
+    payload: object({
+      userId: objectId,
+      userName: { type: "string" },
+      groupId: nullable(objectId),
+    }),
+  },
+  {
+    name: "userStoppedTyping",
+    direction: "toClient",
+    description: "Someone stopped typing, or their typing indicator timed out.",
+    payload: object({ userId: objectId, groupId: nullable(objectId) }),
+  },
+  {
+    name: "sessionRevoked",
+    direction: "toClient",
+    description:
+      "This device's login session was revoked. The socket is disconnected right after; the client should log out.",
+    payload: null,
+  },
+  {
+    name: "testResponse",
+    direction: "toClient",
+    description: "Answer to test.",
+    payload: object({ message: { type: "string" }, userId: objectId }),
+  },
+
+  // server -> client: messages
+  {
+    name: "newMessage",
+    direction: "toClient",
+    description:
+      "A direct message sent to or by you, or a message in one of your groups. Also reaches the sender's other devices.",
+    payload: ref("Message"),
+  },
+  {
+    name: "messageDelivered",
+    direction: "toClient",
+    description: "A message you sent reached one of its recipients.",
+    payload: object({ messageId: objectId, userId: objectId }),
+  },
+  {
+    name: "messageRead",
+    direction: "toClient",
+    description:
+      "userId read a message. Sent to the message's sender and to the reader's other devices.",
+    payload: object({
+      messageId: objectId,
+      userId: objectId,
+      senderId: objectId,
+      groupId: nullable(objectId),
+    }),
+  },
+  {
+    name: "reactionAdded",
+    direction: "toClient",
+    description: "Someone reacted to a message in one of your conversations.",
+    payload: ref("Message"),
+  },
+  {
+    name: "reactionRemoved",
+    direction: "toClient",
+    description: "Someone took their reaction back.",
+    payload: ref("Message"),
+  },
+  {
+    name: "messageEdited",
+    direction: "toClient",
+    description: "A message in one of your conversations was edited.",
+    payload: ref("Message"),
+  },
+  {
+    name: "messageDeleted",
+    direction: "toClient",
+    description:
+      "A message was deleted for everyone: deletedForEveryone is set and its text and media are gone.",
+    payload: ref("Message"),
+  },
+  {
+    name: "messageDeletedForMe",
+    direction: "toClient",
+    description: "You deleted a message for yourself on another device.",
+    payload: ref("Message"),
+  },
+
+  // server -> client: groups, contacts and blocks
+  {
+    name: "groupUpdated",
+    direction: "toClient",
+    description: "A group you are in was created or changed (name, avatar, members, roles).",
+    payload: ref("Group"),
+  },
+  {
+    name: "groupRemoved",
+    direction: "toClient",
+    description:
+      "You left or were removed from a group. A group is deleted when its last member leaves.",
+    payload: object({ groupId: objectId }),
+  },
+  {
+    name: "contactRequestCreated",
+    direction: "toClient",
+    description: "A contact request was sent to or by you.",
+    payload: ref("ContactRequest"),
+  },
+  {
+    name: "contactRequestAccepted",
+    direction: "toClient",
+    description: "A contact request between you and someone else was accepted.",
+    payload: ref("ContactRequest"),
+  },
+  {
+    name: "contactRequestRemoved",
+    direction: "toClient",
+    description: "A pending contact request was declined or cancelled.",
+    payload: object({ requestId: objectId }),
+  },
+  {
+    name: "contactRemoved",
+    direction: "toClient",
+    description: "A contact between the two users was removed.",
+    payload: object({ userIds }),
+  },
+  {
+    name: "blockListUpdated",
+    direction: "toClient",
+    description: "You blocked or unblocked someone on another device.",
+    payload: object({ blockedUsers: userIds }),
+  },
+];
@@ -1,5 +1,9 @@
 import { resendClient, sender } from "../lib/resend.js";
-import { createWelcomeEmailTemplate } from "../emails/emailTemplates.js";
+import {
+  createWelcomeEmailTemplate,
+  createPasswordResetEmailTemplate,
+  createVerificationEmailTemplate,
+} from "../emails/emailTemplates.js";
 
 export const sendWelcomeEmail = async (email, name, clientURL) => {
   const { data, error } = await resendClient.emails.send({
@@ -16,3 +20,35 @@ export const sendWelcomeEmail = async (email, name, clientURL) => {
 
   console.log("Welcome Email sent successfully", data);
 };
+
+export const sendPasswordResetEmail = async (email, name, resetURL, expiresInMinutes) => {
+  const { data, error } = await resendClient.emails.send({
+    from: `${sender.name} <${sender.email}>`,
+    to: email,
+    subject: "Reset your Chatify password",
+    html: createPasswordResetEmailTemplate(name, resetURL, expiresInMinutes),
+  });
+
+  if (error) {
+    console.error("Error sending password reset email:", error);
+    throw new Error("Failed to send password reset email");
+  }
+
+  console.log("Password reset email sent successfully", data);
+};
+
+export const sendVerificationEmail = async (email, name, verifyURL, expiresInHours) => {
+  const { data, error } = await resendClient.emails.send({
+    from: `${sender.name} <${sender.email}>`,
+    to: email,
+    subject: "Verify your Chatify email address",
+    html: createVerificationEmailTemplate(name, verifyURL, expiresInHours),
+  });
+
+  if (error) {
+    console.error("Error sending verification email:", error);
+    throw new Error("Failed to send verification email");
+  }
+
+  console.log("Verification email sent successfully", data);
+};
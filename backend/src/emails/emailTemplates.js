@@ -48,3 +48,79 @@ export function createWelcomeEmailTemplate(name, clientURL) {
   </html>
   `;
 }
+
+export function createPasswordResetEmailTemplate(name, resetURL, expiresInMinutes) {
+  return `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Reset your Messenger password</title>
+  </head>
+  <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f5f5f5;">
+    <div style="background: linear-gradient(to right, #36D1DC, #5B86E5); padding: 30px; text-align: center; border-radius: 12px 12px 0 0;">
+      <h1 style="color: white; margin: 0; font-size: 28px; font-weight: 500;">Reset your password</h1>
+    </div>
+    <div style="background-color: #ffffff; padding: 35px; border-radius: 0 0 12px 12px; box-shadow: 0 4px 15px rgba(0,0,0,0.05);">
+      <p style="font-size: 18px; color: #5B86E5;"><strong>Hello ${name},</strong></p>
+      <p>We received a request to reset the password for your Messenger account. Click the button below to choose a new one.</p>
+
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${resetURL}" style="background: linear-gradient(to right, #36D1DC, #5B86E5); color: white; text-decoration: none; padding: 12px 30px; border-radius: 50px; font-weight: 500; display: inline-block;">Reset Password</a>
+      </div>
+
+      <div style="background-color: #f8f9fa; padding: 20px; border-radius: 10px; margin: 25px 0; border-left: 4px solid #36D1DC;">
+        <p style="margin: 0;">This link expires in ${expiresInMinutes} minutes and can only be used once.</p>
+      </div>
+
+      <p>If you didn't ask to reset your password, you can safely ignore this email. Your password won't change.</p>
+
+      <p style="margin-top: 25px; margin-bottom: 0;">Best regards,<br>The Messenger Team</p>
+    </div>
+
+    <div style="text-align: center; padding: 20px; color: #999; font-size: 12px;">
+      <p>© 2025 Messenger. All rights reserved.</p>
+    </div>
+  </body>
+  </html>
+  `;
+}
+
+export function createVerificationEmailTemplate(name, verifyURL, expiresInHours) {
+  return `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Verify your email for Messenger</title>
+  </head>
+  <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f5f5f5;">
+    <div style="background: linear-gradient(to right, #36D1DC, #5B86E5); padding: 30px; text-align: center; border-radius: 12px 12px 0 0;">
+      <h1 style="color: white; margin: 0; font-size: 28px; font-weight: 500;">Confirm your email</h1>
+    </div>
+    <div style="background-color: #ffffff; padding: 35px; border-radius: 0 0 12px 12px; box-shadow: 0 4px 15px rgba(0,0,0,0.05);">
+      <p style="font-size: 18px; color: #5B86E5;"><strong>Hello ${name},</strong></p>
+      <p>Thanks for signing up for Messenger! Please confirm that this is your email address so we can finish setting up your account.</p>
+
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${verifyURL}" style="background: linear-gradient(to right, #36D1DC, #5B86E5); color: white; text-decoration: none; padding: 12px 30px; border-radius: 50px; font-weight: 500; display: inline-block;">Verify Email</a>
+      </div>
+
+      <div style="background-color: #f8f9fa; padding: 20px; border-radius: 10px; margin: 25px 0; border-left: 4px solid #36D1DC;">
+        <p style="margin: 0;">This link expires in ${expiresInHours} hours. You can request a new one from the app at any time.</p>
+      </div>
+
+      <p>If you didn't create a Messenger account, you can safely ignore this email.</p>
+
+      <p style="margin-top: 25px; margin-bottom: 0;">Best regards,<br>The Messenger Team</p>
+    </div>
+
+    <div style="text-align: center; padding: 20px; color: #999; font-size: 12px;">
+      <p>© 2025 Messenger. All rights reserved.</p>
+    </div>
+  </body>
+  </html>
+  `;
+}
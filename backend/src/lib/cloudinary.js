@@ -1,4 +1,5 @@
 import { v2 as cloudinary } from "cloudinary";
+import { Readable } from "stream";
 import { ENV } from "./env.js";
 
 // Validate Cloudinary credentials
@@ -6,8 +7,10 @@ const cloudName = ENV.CLOUDINARY_CLOUD_NAME;
 const apiKey = ENV.CLOUDINARY_API_KEY;
 const apiSecret = ENV.CLOUDINARY_API_SECRET;
 
-if (!cloudName || !apiKey || !apiSecret) {
-  console.warn("⚠️  Cloudinary credentials not configured. Media uploads will fail.");
+export const isCloudinaryConfigured = !!(cloudName && apiKey && apiSecret);
+
+if (!isCloudinaryConfigured) {
+  console.warn("⚠️  Cloudinary credentials not configured.");
   console.warn("   Please set CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, and CLOUDINARY_API_SECRET in your .env file");
 } else {
   try {
@@ -22,4 +25,100 @@ if (!cloudName || !apiKey || !apiSecret) {
   }
 }
 
+// Helper function to upload file buffer to Cloudinary
+// options: { folder, transformation } override the defaults
+export const uploadToCloudinary = async (file, resourceType = "auto", options = {}) => {
+  return new Promise((resolve, reject) => {
+    if (!file || !file.buffer) {
+      return reject(new Error("Invalid file: no buffer found"));
+    }
+
+    // Check if Cloudinary is configured
+    if (!isCloudinaryConfigured) {
+      return reject(new Error("Cloudinary is not configured. Please set CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, and CLOUDINARY_API_SECRET in your .env file"));
+    }
+
+    const uploadOptions = {
+      resource_type: resourceType,
+      folder: "chat-app",
+      use_filename: true,
+      unique_filename: true,
+      ...options,
+    };
+
+    // Add format-specific options
+    if (resourceType === "image") {
+      // Don't set format - let Cloudinary auto-detect
+      uploadOptions.quality = "auto";
+    } else if (resourceType === "video") {
+      // For videos, let Cloudinary handle the format
+      uploadOptions.resource_type = "video";
+    }
+
+    const uploadStream = cloudinary.uploader.upload_stream(
+      uploadOptions,
+      (error, result) => {
+        if (error) {
+          console.error("Cloudinary upload error:", error);
+          // Provide more helpful error messages
+          if (error.message && error.message.includes("Invalid cloud_name")) {
+            reject(new Error("Invalid Cloudinary cloud name. Please check your CLOUDINARY_CLOUD_NAME in .env file"));
+          } else if (error.message && error.message.includes("Invalid API Key")) {
+            reject(new Error("Invalid Cloudinary API key. Please check your CLOUDINARY_API_KEY in .env file"));
+          } else {
+            reject(new Error(`Cloudinary upload failed: ${error.message || "Unknown error"}`));
+          }
+        } else {
+          resolve(result);
+        }
+      }
+    );
+
+    // Handle stream errors
+    uploadStream.on("error", (error) => {
+      console.error("Upload stream error:", error);
+      reject(error);
+    });
+
+    Readable.from(file.buffer).pipe(uploadStream);
+  });
+};
+
+// Delete an uploaded asset; Cloudinary needs the resource type it was stored as
+export const deleteFromCloudinary = async (publicId, resourceType = "image") => {
+  const result = await cloudinary.uploader.destroy(publicId, {
+    resource_type: resourceType,
+    invalidate: true,
+  });
+  if (result.result !== "ok" && result.result !== "not found") {
+    throw new Error(`Cloudinary delete failed: ${result.result}`);
+  }
+};
+
+// List every asset under a folder prefix as [{ publicId, resourceType, createdAt }]
+export const listCloudinaryAssets = async (prefix, resourceTypes = ["image", "video", "raw"]) => {
+  const assets = [];
+  for (const resourceType of resourceTypes) {
+    let nextCursor;
+    do {
+      const page = await cloudinary.api.resources({
+        type: "upload",
+        prefix,
+        resource_type: resourceType,
+        max_results: 500,
+        next_cursor: nextCursor,
+      });
+      for (const resource of page.resources) {
+        assets.push({
+          publicId: resource.public_id,
+          resourceType,
+          createdAt: new Date(resource.created_at),
+        });
+      }
+      nextCursor = page.next_cursor;
+    } while (nextCursor);
+  }
+  return assets;
+};
+
 export default cloudinary;
@@ -0,0 +1,54 @@
+import Message from "../models/Message.js";
+
+// Summarise a user's conversations in one aggregation: the latest message of each
+// conversation plus how many messages from others the user hasn't read yet.
+// `match` selects the messages, `conversationKey` is the expression to group them by.
+// Returns a Map of conversation id -> { lastMessage, unreadCount }.
+export const getConversationSummaries = async (userId, match, conversationKey) => {
+  const summaries = await Message.aggregate([
+    { $match: { ...match, "deletedForMe.userId": { $ne: userId } } },
+    { $sort: { _id: -1 } },
+    {
+      $group: {
+        _id: conversationKey,
+        lastMessage: {
+          $first: {
+            _id: "$_id",
+            senderId: "$senderId",
+            text: "$text",
+            attachments: "$attachments",
+            image: "$image",
+            video: "$video",
+            audio: "$audio",
+            file: "$file",
+            deletedForEveryone: "$deletedForEveryone",
+            createdAt: "$createdAt",
+          },
+        },
+        unreadCount: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $ne: ["$senderId", userId] },
+                  { $ne: ["$deletedForEveryone", true] },
+                  { $not: [{ $in: [userId, { $ifNull: ["$readBy.userId", []] }] }] },
+                ],
+              },
+              1,
+              0,
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  return new Map(
+    summaries.map(({ _id, lastMessage, unreadCount }) => [_id.toString(), { lastMessage, unreadCount }])
+  );
+};
+
+// Most recent activity first; conversations without messages fall back to their creation date
+export const byLastActivity = (a, b) =>
+  new Date(b.lastMessage?.createdAt || b.createdAt) - new Date(a.lastMessage?.createdAt || a.createdAt);
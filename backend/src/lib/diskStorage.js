@@ -0,0 +1,127 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { ENV } from "./env.js";
+
+// Files live under UPLOADS_DIR (relative to the backend's working directory) and are served
+// by Express at UPLOADS_ROUTE (see server.js)
+export const UPLOADS_DIR = path.resolve(ENV.UPLOADS_DIR || "uploads");
+export const UPLOADS_ROUTE = "/uploads";
+
+// Absolute URLs so media also loads when the frontend runs on its own dev server
+const getPublicBaseURL = () => {
+  if (ENV.MEDIA_PUBLIC_URL) return ENV.MEDIA_PUBLIC_URL.replace(/\/$/, "");
+  if (ENV.NODE_ENV === "production") return "";
+  return `http://localhost:${ENV.PORT || 3000}`;
+};
+
+const MIME_EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+  "video/mp4": ".mp4",
+  "video/webm": ".webm",
+  "video/quicktime": ".mov",
+  "video/ogg": ".ogv",
+  "audio/mpeg": ".mp3",
+  "audio/wav": ".wav",
+  "audio/x-wav": ".wav",
+  "audio/wave": ".wav",
+  "audio/webm": ".webm",
+  "audio/ogg": ".ogg",
+  "audio/mp4": ".m4a",
+  "audio/x-m4a": ".m4a",
+  "audio/aac": ".aac",
+  // generic file attachments; always served as downloads (see setUploadHeaders)
+  "application/pdf": ".pdf",
+  "application/msword": ".doc",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": ".docx",
+  "application/vnd.ms-excel": ".xls",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": ".xlsx",
+  "application/vnd.ms-powerpoint": ".ppt",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation": ".pptx",
+  "application/vnd.oasis.opendocument.text": ".odt",
+  "application/vnd.oasis.opendocument.spreadsheet": ".ods",
+  "application/vnd.oasis.opendocument.presentation": ".odp",
+  "text/plain": ".txt",
+  "text/csv": ".csv",
+  "text/markdown": ".md",
+  "application/rtf": ".rtf",
+  "application/json": ".json",
+  "application/zip": ".zip",
+  "application/x-7z-compressed": ".7z",
+  "application/x-tar": ".tar",
+  "application/gzip": ".gz",
+};
+
+// The extension decides the Content-Type the file is served with, so it only ever comes from
+// the allow-list above and never from the client's filename (x.html sent as image/png must not
+// come back as a page). Anything else is stored without one and served as a download.
+const getExtension = (file) => MIME_EXTENSIONS[file.mimetype] || "";
+
+const INLINE_EXTENSIONS = new Set(
+  Object.entries(MIME_EXTENSIONS)
+    .filter(([mimeType]) => /^(image|video|audio)\//.test(mimeType))
+    .map(([, ext]) => ext)
+);
+
+// setHeaders for express.static on UPLOADS_ROUTE: uploads share the app's origin, so browsers
+// must never sniff them into something active, and only media may render inline
+export const setUploadHeaders = (res, filePath) => {
+  res.setHeader("X-Content-Type-Options", "nosniff");
+  if (!INLINE_EXTENSIONS.has(path.extname(filePath).toLowerCase())) {
+    res.setHeader("Content-Disposition", "attachment");
+  }
+};
+
+// Save a file buffer to disk and return { url, publicId } like the Cloudinary driver
+export const uploadToDisk = async (file, { folder = "chat-app" } = {}) => {
+  if (!file || !file.buffer) {
+    throw new Error("Invalid file: no buffer found");
+  }
+
+  const publicId = path.posix.join(folder, `${crypto.randomUUID()}${getExtension(file)}`);
+  const filePath = path.join(UPLOADS_DIR, publicId);
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, file.buffer);
+
+  return {
+    url: `${getPublicBaseURL()}${UPLOADS_ROUTE}/${publicId}`,
+    publicId,
+  };
+};
+
+// Delete a stored file; publicIds are relative paths, so refuse anything escaping UPLOADS_DIR
+export const deleteFromDisk = async (publicId) => {
+  const filePath = path.resolve(UPLOADS_DIR, publicId);
+  if (!filePath.startsWith(UPLOADS_DIR + path.sep)) {
+    throw new Error(`Invalid media id: ${publicId}`);
+  }
+  await fs.rm(filePath, { force: true });
+};
+
+// List every file under a folder as [{ publicId, createdAt }]
+export const listDiskAssets = async (folder) => {
+  const root = path.join(UPLOADS_DIR, folder);
+  let entries;
+  try {
+    entries = await fs.readdir(root, { recursive: true, withFileTypes: true });
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const assets = [];
+  for (const entry of entries) {
+    if (!entry.isFile()) continue;
+    const filePath = path.join(entry.parentPath ?? entry.path, entry.name);
+    const { mtime } = await fs.stat(filePath);
+    assets.push({
+      publicId: path.relative(UPLOADS_DIR, filePath).split(path.sep).join("/"),
+      createdAt: mtime,
+    });
+  }
+  return assets;
+};
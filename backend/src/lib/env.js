@@ -6,12 +6,17 @@ export const ENV = {
   JWT_SECRET: process.env.JWT_SECRET,
   NODE_ENV: process.env.NODE_ENV,
   CLIENT_URL: process.env.CLIENT_URL,
+  REQUIRE_EMAIL_VERIFICATION: process.env.REQUIRE_EMAIL_VERIFICATION === "true", // block sending until verified
+  CONTACTS_ONLY_MESSAGING: process.env.CONTACTS_ONLY_MESSAGING === "true", // direct messages need an accepted contact
   RESEND_API_KEY: process.env.RESEND_API_KEY,
   EMAIL_FROM: process.env.EMAIL_FROM,
   EMAIL_FROM_NAME: process.env.EMAIL_FROM_NAME,
   CLOUDINARY_CLOUD_NAME: process.env.CLOUDINARY_CLOUD_NAME,
   CLOUDINARY_API_KEY: process.env.CLOUDINARY_API_KEY,
   CLOUDINARY_API_SECRET: process.env.CLOUDINARY_API_SECRET,
+  STORAGE_DRIVER: process.env.STORAGE_DRIVER, // "cloudinary" | "local"; defaults to cloudinary when configured
+  UPLOADS_DIR: process.env.UPLOADS_DIR, // local driver only
+  MEDIA_PUBLIC_URL: process.env.MEDIA_PUBLIC_URL, // local driver only: origin the backend is reachable at
   ARCJET_KEY: process.env.ARCJET_KEY,
   ARCJET_ENV: process.env.ARCJET_ENV,
 };
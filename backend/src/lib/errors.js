@@ -0,0 +1,28 @@
+// Every API error leaves the server as { code, message, details }: code is a stable string
+// clients can branch on, message is safe to show to the user, and details carries anything
+// structured (the failed fields of a validation error), or null.
+
+const CODES_BY_STATUS = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  429: "RATE_LIMITED",
+  500: "INTERNAL_ERROR",
+};
+
+export const codeForStatus = (status) =>
+  CODES_BY_STATUS[status] || (status >= 500 ? "INTERNAL_ERROR" : "BAD_REQUEST");
+
+// Thrown (or passed to next) anywhere in a request; the error middleware turns it into the response
+export class ApiError extends Error {
+  constructor(status, message, { code = codeForStatus(status), details = null } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
@@ -0,0 +1,60 @@
+import { listMedia, deleteMedia, MEDIA_FOLDERS } from "./storage.js";
+import Message from "../models/Message.js";
+
+const CLEANUP_INTERVAL = 6 * 60 * 60 * 1000; // every 6 hours
+// Skip recent uploads: their message may not be saved yet
+const ORPHAN_GRACE_PERIOD = 60 * 60 * 1000; // 1 hour
+
+const PUBLIC_ID_FIELDS = [
+  "attachments.publicId",
+  "imagePublicId",
+  "videoPublicId",
+  "audioPublicId",
+  "file.publicId",
+];
+
+// Delete message media that no message references any more (failed sends, failed deletes,
+// messages removed from the database). Returns the number of files removed.
+export const cleanupOrphanedMedia = async () => {
+  const assets = await listMedia(MEDIA_FOLDERS.messages);
+
+  const referenced = new Set();
+  for (const field of PUBLIC_ID_FIELDS) {
+    const ids = await Message.distinct(field, { [field]: { $ne: null } });
+    ids.forEach((id) => referenced.add(id));
+  }
+
+  const cutoff = Date.now() - ORPHAN_GRACE_PERIOD;
+  let removed = 0;
+
+  for (const asset of assets) {
+    if (referenced.has(asset.publicId) || asset.createdAt.getTime() > cutoff) continue;
+
+    try {
+      await deleteMedia(asset.publicId, { resourceType: asset.resourceType });
+      removed++;
+    } catch (error) {
+      console.error(`Error deleting orphaned media ${asset.publicId}:`, error.message);
+    }
+  }
+
+  return removed;
+};
+
+// Run the cleanup periodically (global interval, runs once)
+let cleanupInterval = null;
+export const startMediaCleanupJob = () => {
+  if (cleanupInterval) return;
+
+  const run = async () => {
+    try {
+      const removed = await cleanupOrphanedMedia();
+      if (removed > 0) console.log(`🧹 Removed ${removed} orphaned media file(s)`);
+    } catch (error) {
+      console.error("Error in media cleanup job:", error.message);
+    }
+  };
+
+  cleanupInterval = setInterval(run, CLEANUP_INTERVAL);
+  run();
+};
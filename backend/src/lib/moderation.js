@@ -0,0 +1,76 @@
+import User from "../models/User.js";
+import Group from "../models/Group.js";
+import Message from "../models/Message.js";
+import Session from "../models/Session.js";
+import Contact from "../models/Contact.js";
+import { revokeSessions } from "./session.js";
+import { emitToUsers } from "./socket.js";
+
+// Locks an account: logins are refused (see auth.controller.js) and every existing
+// session is revoked, which also disconnects the user's live sockets.
+// Returns the updated user, or null when no such user exists.
+export async function suspendUser(userId, reason = "") {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { suspendedAt: new Date(), suspensionReason: reason },
+    { new: true }
+  ).select("-password");
+  if (!user) return null;
+
+  await revokeSessions({ userId: user._id });
+  console.log(`🚫 Suspended user ${user.fullName} (${user._id})`);
+  return user;
+}
+
+export async function unsuspendUser(userId) {
+  return User.findByIdAndUpdate(
+    userId,
+    { suspendedAt: null, suspensionReason: "" },
+    { new: true }
+  ).select("-password");
+}
+
+// Permanently removes an account: sessions, group memberships and every direct message
+// they were part of (a conversation can't be shown without both people). Their media
+// becomes unreferenced and is removed by the cleanup job (see lib/mediaCleanup.js).
+// Messages they sent to groups that still have members stay in those groups' history.
+export async function deleteUserAccount(userId) {
+  const user = await User.findById(userId).select("fullName");
+  if (!user) return false;
+
+  await revokeSessions({ userId: user._id });
+
+  const groups = await Group.find({ "members.userId": user._id });
+  for (const group of groups) {
+    group.members = group.members.filter((m) => !m.userId.equals(user._id));
+
+    if (group.members.length === 0) {
+      await Message.deleteMany({ groupId: group._id });
+      await group.deleteOne();
+      continue;
+    }
+
+    // Never leave a group without an admin: promote the longest-standing member
+    if (!group.members.some((m) => m.role === "admin")) {
+      group.members[0].role = "admin";
+    }
+    await group.save();
+    await group.populate("members.userId", "fullName email profilePic");
+    emitToUsers(group.getMemberIds(), "groupUpdated", group.toObject());
+  }
+
+  await Promise.all([
+    Message.deleteMany({
+      groupId: null,
+      $or: [{ senderId: user._id }, { receiverId: user._id }],
+    }),
+    Session.deleteMany({ userId: user._id }),
+    Contact.deleteMany({ $or: [{ requesterId: user._id }, { recipientId: user._id }] }),
+    // nobody can be blocked by, or have blocked, an account that no longer exists
+    User.updateMany({ blockedUsers: user._id }, { $pull: { blockedUsers: user._id } }),
+  ]);
+  await user.deleteOne();
+
+  console.log(`🗑️  Deleted user ${user.fullName} (${user._id})`);
+  return true;
+}
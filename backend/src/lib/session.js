@@ -0,0 +1,109 @@
+import Session from "../models/Session.js";
+import { disconnectSessions } from "./socket.js";
+import {
+  generateToken,
+  generateOneTimeToken,
+  hashToken,
+  setRefreshTokenCookie,
+  REFRESH_TOKEN_TTL_MS,
+} from "./utils.js";
+
+// how long a just-rotated refresh token is still honoured (tabs refreshing at the same moment)
+const ROTATION_GRACE_MS = 30 * 1000;
+
+// "Chrome on Windows" style label for the devices list; good enough without a UA parser
+export function describeDevice(userAgent = "") {
+  const browsers = [
+    ["Edge", /Edg\//],
+    ["Opera", /OPR\//],
+    ["Firefox", /Firefox\//],
+    ["Chrome", /Chrome\//],
+    ["Safari", /Safari\//],
+  ];
+  const systems = [
+    ["Android", /Android/],
+    ["iOS", /iPhone|iPad|iPod/],
+    ["Windows", /Windows/],
+    ["macOS", /Mac OS X/],
+    ["Linux", /Linux/],
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const os = systems.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || "Unknown device";
+}
+
+function getClientInfo(req) {
+  const userAgent = req.get("user-agent") || "";
+  return {
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: req.headers["x-forwarded-for"]?.split(",")[0].trim() || req.socket?.remoteAddress || "",
+  };
+}
+
+// Creates a session for a fresh login and sets both auth cookies
+export async function startSession(userId, req, res) {
+  const { token, tokenHash } = generateOneTimeToken();
+
+  const session = await Session.create({
+    userId,
+    refreshTokenHash: tokenHash,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    ...getClientInfo(req),
+  });
+
+  setRefreshTokenCookie(token, res);
+  generateToken(userId, session._id, res);
+  return session;
+}
+
+// Exchanges a refresh token for a new access token and a new refresh token.
+// Returns null when the token is unknown, expired or revoked.
+export async function rotateSession(refreshToken, req, res) {
+  const tokenHash = hashToken(refreshToken);
+
+  const session = await Session.findOne({ refreshTokenHash: tokenHash });
+  if (session) {
+    if (!session.isActive()) return null;
+
+    const { token, tokenHash: nextHash } = generateOneTimeToken();
+    session.previousTokenHash = tokenHash;
+    session.refreshTokenHash = nextHash;
+    session.rotatedAt = new Date();
+    session.lastUsedAt = new Date();
+    Object.assign(session, getClientInfo(req));
+    await session.save();
+
+    setRefreshTokenCookie(token, res);
+    generateToken(session.userId, session._id, res);
+    return session;
+  }
+
+  // An already-rotated token: fine right after rotation (another tab won the race and the
+  // browser already holds the new cookie), otherwise someone is replaying a stolen token
+  const rotated = await Session.findOne({ previousTokenHash: tokenHash });
+  if (!rotated || !rotated.isActive()) return null;
+
+  if (Date.now() - rotated.rotatedAt < ROTATION_GRACE_MS) {
+    generateToken(rotated.userId, rotated._id, res);
+    return rotated;
+  }
+
+  console.warn(`⚠️  Refresh token reuse detected, revoking session ${rotated._id}`);
+  await revokeSessions({ _id: rotated._id });
+  return null;
+}
+
+// Revokes every active session matching the filter and kicks their sockets off
+export async function revokeSessions(filter) {
+  const sessions = await Session.find({ ...filter, revokedAt: null }).select("_id");
+  if (sessions.length === 0) return 0;
+
+  const sessionIds = sessions.map((session) => session._id);
+  await Session.updateMany({ _id: { $in: sessionIds } }, { revokedAt: new Date() });
+  disconnectSessions(sessionIds);
+  return sessionIds.length;
+}
@@ -3,6 +3,9 @@ import http from "http";
 import express from "express";
 import { ENV } from "./env.js";
 import { socketAuthMiddleware } from "../middleware/socket.auth.middleware.js";
+import Contact from "../models/Contact.js";
+import Group from "../models/Group.js";
+import User from "../models/User.js";
 
 const app = express();
 const server = http.createServer(app);
@@ -20,14 +23,24 @@ const io = new Server(server, {
 io.use(socketAuthMiddleware);
 
 // this is for storing online users - use string IDs for consistency
-const userSocketMap = {}; // {userId: socketId}
-const typingUsers = {}; // {userId: {typingTo: receiverId, timestamp: Date}}
+// a user can have several sockets open at once (tabs, devices)
+const userSocketMap = {}; // {userId: Set<socketId>}
+const idleSockets = new Set(); // socket IDs whose client reported no recent activity
+const typingUsers = {}; // {userId: {typingTo: [recipientIds], groupId, timestamp: Date}}
+
+// every socket joins its user's room, so emitting to the room reaches all of their devices
+function getUserRoom(userId) {
+  return `user:${userId}`;
+}
+
+// sockets also join their login session's room so revoking a session can find them
+function getSessionRoom(sessionId) {
+  return `session:${sessionId}`;
+}
 
 // we will use this function to check if the user is online or not
-export function getReceiverSocketId(userId) {
-  // Convert to string to ensure consistent lookup
-  const userIdStr = userId?.toString();
-  return userSocketMap[userIdStr];
+export function isUserOnline(userId) {
+  return !!userSocketMap[userId?.toString()];
 }
 
 // Export userSocketMap for debugging
@@ -35,8 +48,61 @@ export function getOnlineUsers() {
   return Object.keys(userSocketMap);
 }
 
+// a user is away when they are online but every one of their devices is idle
+function isUserAway(userId) {
+  const socketIds = userSocketMap[userId];
+  return !!socketIds && [...socketIds].every((socketId) => idleSockets.has(socketId));
+}
+
+export function getAwayUsers() {
+  return Object.keys(userSocketMap).filter(isUserAway);
+}
+
 export function getUserSocketMap() {
-  return { ...userSocketMap };
+  return Object.fromEntries(
+    Object.entries(userSocketMap).map(([userId, socketIds]) => [userId, [...socketIds]])
+  );
+}
+
+// emit an event to every device of every user in the list (e.g. all members of a group);
+// exceptSocketId skips the socket that triggered the change, which already has the result
+export function emitToUsers(userIds, event, payload, { exceptSocketId } = {}) {
+  const rooms = [...new Set(userIds.map((id) => getUserRoom(id?.toString())))];
+  if (rooms.length === 0) return;
+
+  let target = io.to(rooms);
+  if (exceptSocketId) target = target.except(exceptSocketId);
+  target.emit(event, payload);
+}
+
+// tell the affected tabs why they are being dropped, then cut their live connections
+export function disconnectSessions(sessionIds) {
+  const rooms = sessionIds.map((id) => getSessionRoom(id.toString()));
+  if (rooms.length === 0) return;
+
+  io.to(rooms).emit("sessionRevoked");
+  io.in(rooms).disconnectSockets(true);
+}
+
+// resolve who should see a typing indicator: the receiver, or every other group member,
+// leaving out anyone on either side of a block. Direct chats follow the same contacts-only
+// rule as sendMessage, so typing can't reach someone the user couldn't message.
+async function getTypingRecipients(userId, { receiverId, groupId }) {
+  let recipients = [];
+  if (groupId) {
+    const group = await Group.findById(groupId).select("members");
+    if (!group || !group.isMember(userId)) return [];
+    recipients = group.getMemberIds().filter((id) => id !== userId);
+  } else if (receiverId) {
+    if (ENV.CONTACTS_ONLY_MESSAGING && !(await Contact.areContacts(userId, receiverId))) {
+      return [];
+    }
+    recipients = [receiverId.toString()];
+  }
+  if (recipients.length === 0) return [];
+
+  const blockedIds = await User.getBlockedRelations(userId);
+  return recipients.filter((id) => !blockedIds.has(id));
 }
 
 // Clean up typing indicators periodically (global interval, runs once)
@@ -48,12 +114,10 @@ if (!typingCleanupInterval) {
       if (now - typingData.timestamp > 3000) {
         // 3 seconds timeout
         delete typingUsers[uid];
-        const receiverSocketId = getReceiverSocketId(typingData.typingTo);
-        if (receiverSocketId) {
-          io.to(receiverSocketId).emit("userStoppedTyping", {
-            userId: uid,
-          });
-        }
+        emitToUsers(typingData.typingTo, "userStoppedTyping", {
+          userId: uid,
+          groupId: typingData.groupId,
+        });
       }
     }
   }, 1000);
@@ -66,46 +130,104 @@ io.on("connection", (socket) => {
   console.log(`✅ Socket connected: ${userName} (${userId}) - Socket ID: ${socket.id}`);
 
   // Store user socket mapping (always use string)
-  userSocketMap[userId] = socket.id;
+  const isFirstSocket = !userSocketMap[userId];
+  if (isFirstSocket) userSocketMap[userId] = new Set();
+  userSocketMap[userId].add(socket.id);
+  socket.join([getUserRoom(userId), getSessionRoom(socket.sessionId)]);
 
-  // Emit online users to all clients
-  io.emit("getOnlineUsers", Object.keys(userSocketMap));
+  // Everyone only needs to hear about the user's first device coming online
+  if (isFirstSocket) {
+    io.emit("getOnlineUsers", Object.keys(userSocketMap));
+  } else {
+    socket.emit("getOnlineUsers", Object.keys(userSocketMap));
+  }
+  // A new (active) device brings an away user back
+  io.emit("getAwayUsers", getAwayUsers());
   console.log(`📊 Online users: ${Object.keys(userSocketMap).length}`);
 
-  // Handle typing indicator
-  socket.on("typing", ({ receiverId }) => {
-    const receiverIdStr = receiverId?.toString();
-    typingUsers[userId] = { typingTo: receiverIdStr, timestamp: new Date() };
-    
-    const receiverSocketId = getReceiverSocketId(receiverIdStr);
-    if (receiverSocketId) {
-      console.log(`⌨️  Typing: ${userName} -> ${receiverIdStr}`);
-      io.to(receiverSocketId).emit("userTyping", {
-        userId: userId,
-        userName: userName,
-      });
+  // Handle client activity reports ("active" or "idle")
+  socket.on("presence", ({ status } = {}) => {
+    const wasAway = isUserAway(userId);
+    if (status === "idle") {
+      idleSockets.add(socket.id);
+    } else {
+      idleSockets.delete(socket.id);
+    }
+
+    if (isUserAway(userId) !== wasAway) {
+      io.emit("getAwayUsers", getAwayUsers());
+    }
+  });
+
+  // Handle typing indicator (receiverId for direct chats, groupId for groups)
+  socket.on("typing", async ({ receiverId, groupId } = {}) => {
+    try {
+      const recipients = await getTypingRecipients(userId, { receiverId, groupId });
+      typingUsers[userId] = { typingTo: recipients, groupId: groupId || null, timestamp: new Date() };
+
+      if (recipients.length > 0) {
+        console.log(`⌨️  Typing: ${userName} -> ${groupId ? `group ${groupId}` : recipients[0]}`);
+        emitToUsers(recipients, "userTyping", {
+          userId: userId,
+          userName: userName,
+          groupId: groupId || null,
+        });
+      }
+    } catch (error) {
+      console.error("Error handling typing event:", error.message);
     }
   });
 
   // Handle stop typing
-  socket.on("stopTyping", ({ receiverId }) => {
-    const receiverIdStr = receiverId?.toString();
-    delete typingUsers[userId];
-    
-    const receiverSocketId = getReceiverSocketId(receiverIdStr);
-    if (receiverSocketId) {
-      io.to(receiverSocketId).emit("userStoppedTyping", {
+  socket.on("stopTyping", async ({ receiverId, groupId } = {}) => {
+    try {
+      const recipients = await getTypingRecipients(userId, { receiverId, groupId });
+      delete typingUsers[userId];
+
+      emitToUsers(recipients, "userStoppedTyping", {
         userId: userId,
+        groupId: groupId || null,
       });
+    } catch (error) {
+      console.error("Error handling stopTyping event:", error.message);
     }
   });
 
   // Handle disconnect
-  socket.on("disconnect", (reason) => {
+  socket.on("disconnect", async (reason) => {
     console.log(`❌ Socket disconnected: ${userName} (${userId}) - Reason: ${reason}`);
-    delete userSocketMap[userId];
-    delete typingUsers[userId];
-    io.emit("getOnlineUsers", Object.keys(userSocketMap));
+    const wasAway = isUserAway(userId);
+    const socketIds = userSocketMap[userId];
+    socketIds?.delete(socket.id);
+    idleSockets.delete(socket.id);
+
+    // The user stays online while any of their other devices is still connected
+    if (!socketIds || socketIds.size === 0) {
+      delete userSocketMap[userId];
+      delete typingUsers[userId];
+      io.emit("getOnlineUsers", Object.keys(userSocketMap));
+      if (wasAway) io.emit("getAwayUsers", getAwayUsers());
+      console.log(`📊 Online users: ${Object.keys(userSocketMap).length}`);
+
+      try {
+        const lastSeenAt = new Date();
+        const user = await User.findByIdAndUpdate(userId, { lastSeenAt }, { new: true }).select(
+          "showLastSeen"
+        );
+        io.emit("userLastSeen", {
+          userId,
+          lastSeenAt: user?.showLastSeen ? lastSeenAt : null,
+        });
+      } catch (error) {
+        console.error("Error saving last seen:", error.message);
+      }
+      return;
+    }
+
+    // Closing the only active device can leave the remaining ones all idle
+    if (isUserAway(userId) !== wasAway) {
+      io.emit("getAwayUsers", getAwayUsers());
+    }
     console.log(`📊 Online users: ${Object.keys(userSocketMap).length}`);
   });
 
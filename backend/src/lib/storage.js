@@ -0,0 +1,83 @@
+import { ENV } from "./env.js";
+import {
+  uploadToCloudinary,
+  deleteFromCloudinary,
+  listCloudinaryAssets,
+  isCloudinaryConfigured,
+} from "./cloudinary.js";
+import { uploadToDisk, deleteFromDisk, listDiskAssets, UPLOADS_ROUTE } from "./diskStorage.js";
+
+// Folders per kind of media, so cleanup jobs can scan one kind without touching the others
+export const MEDIA_FOLDERS = {
+  messages: "chat-app/messages",
+  profiles: "chat-app/profiles",
+  groups: "chat-app/groups",
+};
+
+const pathOf = (url) => {
+  try {
+    return decodeURIComponent(new URL(url).pathname);
+  } catch {
+    return null;
+  }
+};
+
+// Media storage drivers:
+// - upload(file, { folder, resourceType, transformation }) resolves to { url, publicId }
+// - remove(publicId, { resourceType }) deletes the asset
+// - list(folder) resolves to [{ publicId, resourceType, createdAt }]
+// - publicIdFromUrl(url) recovers the publicId of an upload's URL, or null when it isn't one;
+//   for records saved before publicIds were stored
+const drivers = {
+  cloudinary: {
+    upload: async (file, { folder, resourceType = "auto", transformation } = {}) => {
+      const options = {};
+      if (folder) options.folder = folder;
+      if (transformation) options.transformation = transformation;
+
+      const result = await uploadToCloudinary(file, resourceType, options);
+      return { url: result.secure_url, publicId: result.public_id };
+    },
+    remove: (publicId, { resourceType } = {}) => deleteFromCloudinary(publicId, resourceType),
+    list: (folder) => listCloudinaryAssets(`${folder}/`),
+    // .../<resourceType>/upload/v<version>/<publicId>.<format>; raw publicIds keep their extension
+    publicIdFromUrl: (url) => {
+      const match = pathOf(url)?.match(/\/(image|video|raw)\/upload\/(?:v\d+\/)?(.+)$/);
+      if (!match) return null;
+      const [, resourceType, path] = match;
+      return resourceType === "raw" ? path : path.replace(/\.[^/.]+$/, "");
+    },
+  },
+  local: {
+    // resizing transformations are a Cloudinary feature; local files are stored as uploaded
+    upload: (file, { folder } = {}) => uploadToDisk(file, { folder }),
+    remove: (publicId) => deleteFromDisk(publicId),
+    list: (folder) => listDiskAssets(folder),
+    publicIdFromUrl: (url) => {
+      const path = pathOf(url);
+      return path?.startsWith(`${UPLOADS_ROUTE}/`) ? path.slice(UPLOADS_ROUTE.length + 1) : null;
+    },
+  },
+};
+
+// STORAGE_DRIVER wins; otherwise use Cloudinary when it is configured, local disk when not
+const resolveDriverName = () => {
+  if (ENV.STORAGE_DRIVER) return ENV.STORAGE_DRIVER;
+  return isCloudinaryConfigured ? "cloudinary" : "local";
+};
+
+export const storageDriverName = resolveDriverName();
+
+if (!drivers[storageDriverName]) {
+  throw new Error(
+    `Unknown STORAGE_DRIVER "${storageDriverName}". Use one of: ${Object.keys(drivers).join(", ")}`
+  );
+}
+
+console.log(`📦 Media storage driver: ${storageDriverName}`);
+
+export const uploadMedia = (file, options) => drivers[storageDriverName].upload(file, options);
+export const deleteMedia = (publicId, options) => drivers[storageDriverName].remove(publicId, options);
+export const listMedia = (folder) => drivers[storageDriverName].list(folder);
+export const mediaPublicIdFromUrl = (url) =>
+  url ? drivers[storageDriverName].publicIdFromUrl(url) : null;
@@ -0,0 +1,96 @@
+import crypto from "crypto";
+import { hashToken } from "./utils.js";
+
+// RFC 6238 time-based one-time passwords (the 6-digit codes from authenticator apps)
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+const ISSUER = "Chatify";
+
+function base32Encode(buffer) {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  let bits = "";
+  for (const char of input.replace(/=+$/, "").toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error("Invalid base32 character");
+    bits += value.toString(2).padStart(5, "0");
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return (binary % 10 ** DIGITS).toString().padStart(DIGITS, "0");
+}
+
+const currentStep = () => Math.floor(Date.now() / 1000 / PERIOD_SECONDS);
+
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// what authenticator apps scan from the QR code
+export function buildOtpAuthURL(secret, accountName) {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+// The code an authenticator app shows now, or stepOffset periods from now
+export function generateTotp(secret, { stepOffset = 0 } = {}) {
+  return generateCode(secret, currentStep() + stepOffset);
+}
+
+// Returns the matched time step (so callers can refuse to accept it twice) or null.
+// One step of drift either way covers clocks that are slightly off.
+export function verifyTotp(secret, code, { window = 1 } = {}) {
+  const normalized = String(code ?? "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const now = currentStep();
+  for (let step = now - window; step <= now + window; step++) {
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+  }
+  return null;
+}
+
+// Single-use backup codes shown once at enrollment; only their hashes are kept
+export function generateRecoveryCodes(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+export function hashRecoveryCode(code) {
+  return hashToken(String(code).trim().toLowerCase());
+}
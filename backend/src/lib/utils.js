@@ -1,25 +1,65 @@
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
 import { ENV } from "./env.js";
 
-export const generateToken = (userId, res) => {
+export const ACCESS_TOKEN_TTL = "15m";
+export const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const cookieOptions = () => ({
+  httpOnly: true, // prevent XSS attacks: cross-site scripting
+  sameSite: "strict", // CSRF attacks
+  secure: ENV.NODE_ENV === "development" ? false : true,
+});
+
+// Short-lived access token; protectRoute also checks that its session hasn't been revoked
+export const generateToken = (userId, sessionId, res) => {
   const { JWT_SECRET } = ENV;
   if (!JWT_SECRET) {
     throw new Error("JWT_SECRET is not configured");
   }
 
-  const token = jwt.sign({ userId }, JWT_SECRET, {
-    expiresIn: "7d",
+  const token = jwt.sign({ userId, sessionId }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
   });
 
+  // the cookie outlives the token so an expired one still reaches the server and gets a 401
   res.cookie("jwt", token, {
-    maxAge: 7 * 24 * 60 * 60 * 1000, // MS
-    httpOnly: true, // prevent XSS attacks: cross-site scripting
-    sameSite: "strict", // CSRF attacks
-    secure: ENV.NODE_ENV === "development" ? false : true,
+    ...cookieOptions(),
+    maxAge: REFRESH_TOKEN_TTL_MS, // MS
   });
 
   return token;
 };
 
+// only the auth routes need to see the refresh token
+export const setRefreshTokenCookie = (token, res) => {
+  res.cookie("refreshToken", token, {
+    ...cookieOptions(),
+    path: "/api/auth",
+    maxAge: REFRESH_TOKEN_TTL_MS,
+  });
+};
+
+export const clearAuthCookies = (res) => {
+  res.clearCookie("jwt", cookieOptions());
+  res.clearCookie("refreshToken", { ...cookieOptions(), path: "/api/auth" });
+};
+
 // http://localhost
 // https://dsmakmk.com
+
+// One-time tokens for emailed links: the raw token goes in the email, only its hash is stored,
+// so a leaked database can't be used to reset passwords
+export const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+export const generateOneTimeToken = () => {
+  const token = crypto.randomBytes(32).toString("hex");
+  return { token, tokenHash: hashToken(token) };
+};
+
+// Makes user input safe to embed in a RegExp
+export const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// CLIENT_URL may list several origins (see server.js); links in emails use the first
+export const getClientURL = () =>
+  (ENV.CLIENT_URL || "http://localhost:5173").split(",")[0].trim().replace(/\/$/, "");
@@ -1,5 +1,6 @@
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import Session from "../models/Session.js";
 import { ENV } from "../lib/env.js";
 
 export const protectRoute = async (req, res, next) => {
@@ -7,16 +8,49 @@ export const protectRoute = async (req, res, next) => {
     const token = req.cookies.jwt;
     if (!token) return res.status(401).json({ message: "Unauthorized - No token provided" });
 
-    const decoded = jwt.verify(token, ENV.JWT_SECRET);
-    if (!decoded) return res.status(401).json({ message: "Unauthorized - Invalid token" });
+    let decoded;
+    try {
+      decoded = jwt.verify(token, ENV.JWT_SECRET);
+    } catch (error) {
+      // the client refreshes and retries on "expired", anything else means logging in again
+      const message =
+        error.name === "TokenExpiredError" ? "Unauthorized - Token expired" : "Unauthorized - Invalid token";
+      return res.status(401).json({ message });
+    }
 
-    const user = await User.findById(decoded.userId).select("-password");
+    const session = await Session.findById(decoded.sessionId);
+    if (!session || !session.isActive()) {
+      return res.status(401).json({ message: "Unauthorized - Session revoked" });
+    }
+
+    // blockedUsers is private to its owner, so it's only ever loaded for the user themselves
+    const user = await User.findById(decoded.userId).select("-password +blockedUsers");
     if (!user) return res.status(404).json({ message: "User not found" });
+    if (user.suspendedAt) return res.status(403).json({ message: "This account has been suspended" });
 
     req.user = user;
+    req.sessionId = session._id.toString();
     next();
   } catch (error) {
     console.log("Error in protectRoute middleware:", error);
     res.status(500).json({ message: "Internal server error" });
   }
 };
+
+// must run after protectRoute
+export const requireAdmin = (req, res, next) => {
+  if (req.user.role !== "admin") {
+    return res.status(403).json({ message: "Forbidden - Admins only" });
+  }
+  next();
+};
+
+// Only enforced when REQUIRE_EMAIL_VERIFICATION is on; must run after protectRoute
+export const requireVerifiedEmail = (req, res, next) => {
+  if (ENV.REQUIRE_EMAIL_VERIFICATION && !req.user.emailVerified) {
+    return res
+      .status(403)
+      .json({ message: "Please verify your email address before sending messages" });
+  }
+  next();
+};
@@ -0,0 +1,95 @@
+import Message from "../models/Message.js";
+import Group from "../models/Group.js";
+import User from "../models/User.js";
+
+// Conversation-membership guards for the message routes; all of them must run after protectRoute.
+// Anything the caller isn't part of is reported as missing (404) rather than forbidden, so ids
+// from other people's conversations can't be probed. The one exception is a group the caller
+// can see exists but has left or been removed from (403, matching the group routes).
+// Malformed ids never get this far: the route schemas (see schemas/message.schema.js) reject them.
+
+// true when the user is the sender or receiver of a direct message, or a current member of its group
+const isParticipant = async (message, userId) => {
+  if (message.groupId) {
+    const group = await Group.findById(message.groupId).select("members");
+    return !!group?.isMember(userId);
+  }
+  return message.senderId.equals(userId) || !!message.receiverId?.equals(userId);
+};
+
+// :messageId routes (read receipts, reactions, edit, delete) - sets req.message
+export const requireMessageParticipant = async (req, res, next) => {
+  try {
+    const { messageId } = req.params;
+    const message = await Message.findById(messageId);
+    if (!message || !(await isParticipant(message, req.user._id))) {
+      return res.status(404).json({ message: "Message not found" });
+    }
+
+    req.message = message;
+    next();
+  } catch (error) {
+    console.log("Error in requireMessageParticipant middleware:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// :groupId routes - sets req.group
+export const requireGroupMember = async (req, res, next) => {
+  try {
+    const { groupId } = req.params;
+    const group = await Group.findById(groupId);
+    if (!group) return res.status(404).json({ message: "Group not found" });
+    if (!group.isMember(req.user._id)) {
+      return res.status(403).json({ message: "You are not a member of this group" });
+    }
+
+    req.group = group;
+    next();
+  } catch (error) {
+    console.log("Error in requireGroupMember middleware:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// :id routes for direct conversations - the other user has to exist
+export const requireChatPartner = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!(await User.exists({ _id: id }))) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    next();
+  } catch (error) {
+    console.log("Error in requireChatPartner middleware:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// Send routes: a replyTo must point at a message in the conversation being written to.
+// Runs after the upload middleware, which is what parses the multipart body, and its validation.
+export const requireReplyInConversation = async (req, res, next) => {
+  try {
+    const { replyTo } = req.body;
+    if (!replyTo) return next();
+
+    const userId = req.user._id;
+    const conversationFilter = req.params.groupId
+      ? { groupId: req.params.groupId }
+      : {
+          groupId: null,
+          $or: [
+            { senderId: userId, receiverId: req.params.id },
+            { senderId: req.params.id, receiverId: userId },
+          ],
+        };
+
+    if (!(await Message.exists({ _id: replyTo, ...conversationFilter }))) {
+      return res.status(404).json({ message: "The message you're replying to was not found" });
+    }
+    next();
+  } catch (error) {
+    console.log("Error in requireReplyInConversation middleware:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
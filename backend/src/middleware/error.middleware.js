@@ -0,0 +1,58 @@
+import multer from "multer";
+import { ApiError, codeForStatus } from "../lib/errors.js";
+
+// Controllers and guards still answer with res.status(4xx).json({ message }) for the errors
+// they expect; this fills in code and details so those bodies match what errorHandler sends
+export const formatErrorResponses = (req, res, next) => {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    if (res.statusCode < 400 || !body || typeof body !== "object" || "code" in body) {
+      return json(body);
+    }
+
+    const { message, error, details = null } = body;
+    return json({ code: codeForStatus(res.statusCode), message: message || error, details });
+  };
+
+  next();
+};
+
+// Requests under /api that no router handled
+export const apiNotFound = (req, res, next) => {
+  next(new ApiError(404, `Cannot ${req.method} ${req.originalUrl}`, { code: "ROUTE_NOT_FOUND" }));
+};
+
+// Turns whatever a request threw or passed to next() into the { code, message, details } shape
+const toApiError = (err) => {
+  if (err instanceof ApiError) return err;
+
+  if (err instanceof multer.MulterError) {
+    return new ApiError(400, "File upload error: " + err.message, { code: "UPLOAD_ERROR" });
+  }
+
+  // raised by express.json() before any route runs
+  if (err.type === "entity.parse.failed") {
+    return new ApiError(400, "Request body is not valid JSON", { code: "INVALID_JSON" });
+  }
+  if (err.type === "entity.too.large") {
+    return new ApiError(413, "Request body is too large");
+  }
+
+  return new ApiError(500, "Internal server error");
+};
+
+// Registered last in app.js. Express only treats middleware with four arguments as an error
+// handler, so next stays in the signature even though it's unused.
+export const errorHandler = (err, req, res, next) => {
+  const apiError = toApiError(err);
+  if (apiError.status >= 500) console.error("Unhandled error:", err);
+
+  if (res.headersSent) return;
+
+  res.status(apiError.status).json({
+    code: apiError.code,
+    message: apiError.message,
+    details: apiError.details,
+  });
+};
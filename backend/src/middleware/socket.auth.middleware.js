@@ -1,5 +1,6 @@
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import Session from "../models/Session.js";
 import { ENV } from "../lib/env.js";
 
 export const socketAuthMiddleware = async (socket, next) => {
@@ -22,6 +23,13 @@ export const socketAuthMiddleware = async (socket, next) => {
       return next(new Error("Unauthorized - Invalid Token"));
     }
 
+    // a revoked session (logged out remotely) can't open new connections
+    const session = await Session.findById(decoded.sessionId);
+    if (!session || !session.isActive()) {
+      console.log("Socket connection rejected: Session revoked");
+      return next(new Error("Unauthorized - Session revoked"));
+    }
+
     // find the user fromdb
     const user = await User.findById(decoded.userId).select("-password");
     if (!user) {
@@ -32,6 +40,7 @@ export const socketAuthMiddleware = async (socket, next) => {
     // attach user info to socket
     socket.user = user;
     socket.userId = user._id.toString();
+    socket.sessionId = session._id.toString();
 
     console.log(`Socket authenticated for user: ${user.fullName} (${user._id})`);
 
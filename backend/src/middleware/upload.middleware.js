@@ -1,30 +1,100 @@
 import multer from "multer";
 import path from "path";
+import { ApiError } from "../lib/errors.js";
 
 // Configure multer to store files in memory (for Cloudinary upload)
 const storage = multer.memoryStorage();
 
-// File filter function to accept only images, videos, and audio
-const fileFilter = (req, file, cb) => {
-  // Allowed file types
-  const allowedImageTypes = /jpeg|jpg|png|gif|webp/;
-  const allowedVideoTypes = /mp4|webm|ogg|mov|quicktime/;
-  const allowedAudioTypes = /mp3|wav|ogg|m4a|aac|webm/; // webm for MediaRecorder audio
+// Every file type an upload may have: extension -> the MIME types browsers report for it.
+// A file is accepted only when its extension and MIME type agree on one of these entries, so
+// neither the filename nor the client's Content-Type alone decides. Nothing active (HTML, SVG,
+// scripts) is listed, since uploads may be served from the app's own origin.
+const MEDIA_TYPES = {
+  ".jpg": ["image/jpeg"],
+  ".jpeg": ["image/jpeg"],
+  ".png": ["image/png"],
+  ".gif": ["image/gif"],
+  ".webp": ["image/webp"],
+  ".mp4": ["video/mp4"],
+  ".mov": ["video/quicktime"],
+  ".webm": ["video/webm", "audio/webm"], // audio/webm is what MediaRecorder voice notes use
+  ".ogv": ["video/ogg"],
+  ".ogg": ["audio/ogg", "video/ogg"],
+  ".mp3": ["audio/mpeg"],
+  ".wav": ["audio/wav", "audio/x-wav", "audio/wave"],
+  ".m4a": ["audio/mp4", "audio/x-m4a"],
+  ".aac": ["audio/aac"],
+};
+
+// Documents, spreadsheets, presentations and archives accepted as generic "file" attachments.
+// Browsers report types they don't know (e.g. some archives) as application/octet-stream.
+const UNKNOWN_TYPE = "application/octet-stream";
+const DOCUMENT_TYPES = {
+  ".pdf": ["application/pdf"],
+  ".doc": ["application/msword"],
+  ".docx": ["application/vnd.openxmlformats-officedocument.wordprocessingml.document"],
+  ".xls": ["application/vnd.ms-excel"],
+  ".xlsx": ["application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"],
+  ".ppt": ["application/vnd.ms-powerpoint"],
+  ".pptx": ["application/vnd.openxmlformats-officedocument.presentationml.presentation"],
+  ".odt": ["application/vnd.oasis.opendocument.text"],
+  ".ods": ["application/vnd.oasis.opendocument.spreadsheet"],
+  ".odp": ["application/vnd.oasis.opendocument.presentation"],
+  ".txt": ["text/plain"],
+  ".csv": ["text/csv", "application/vnd.ms-excel"],
+  ".rtf": ["application/rtf", "text/rtf"],
+  ".md": ["text/markdown", "text/plain"],
+  ".json": ["application/json"],
+  ".zip": ["application/zip", "application/x-zip-compressed"],
+  ".rar": ["application/vnd.rar", "application/x-rar-compressed"],
+  ".7z": ["application/x-7z-compressed"],
+  ".tar": ["application/x-tar"],
+  ".gz": ["application/gzip", "application/x-gzip"],
+};
 
-  const extname = allowedImageTypes.test(path.extname(file.originalname).toLowerCase()) ||
-                  allowedVideoTypes.test(path.extname(file.originalname).toLowerCase()) ||
-                  allowedAudioTypes.test(path.extname(file.originalname).toLowerCase());
+const ALLOWED_FILE_EXTENSIONS = Object.keys(DOCUMENT_TYPES);
 
-  const mimetype = file.mimetype.startsWith("image/") ||
-                  file.mimetype.startsWith("video/") ||
-                  file.mimetype.startsWith("audio/") ||
-                  file.mimetype === "audio/webm"; // MediaRecorder creates audio/webm
+// Which kinds of file each upload field takes
+const FIELD_KINDS = {
+  attachments: ["image", "video", "audio", "file"],
+  image: ["image"],
+  video: ["video"],
+  audio: ["audio"],
+  file: ["file"],
+  profilePic: ["image"],
+  avatar: ["image"],
+};
+
+// "image", "video", "audio" or "file" when extension and MIME type agree, otherwise null
+const getFileKind = (extension, mimeType) => {
+  if (MEDIA_TYPES[extension]?.includes(mimeType)) return mimeType.split("/")[0];
+  const documentTypes = DOCUMENT_TYPES[extension];
+  if (documentTypes && (documentTypes.includes(mimeType) || mimeType === UNKNOWN_TYPE)) {
+    return "file";
+  }
+  return null;
+};
 
-  if (mimetype || extname) {
+// Maximum number of files in one message (album)
+export const MAX_ATTACHMENTS = 10;
+
+// Accept a file only when it is a kind its field takes (see FIELD_KINDS)
+const fileFilter = (req, file, cb) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+  // drop parameters such as ";codecs=opus" so storage and the controllers see the bare type
+  file.mimetype = file.mimetype.split(";")[0].trim().toLowerCase();
+
+  const allowedKinds = FIELD_KINDS[file.fieldname] || [];
+  if (allowedKinds.includes(getFileKind(extension, file.mimetype))) {
     return cb(null, true);
-  } else {
-    cb(new Error(`Invalid file type: ${file.mimetype}. Only images, videos, and audio files are allowed.`));
   }
+
+  let message = `Invalid file type: ${file.mimetype}. Only ${allowedKinds.join(", ")} files are allowed.`;
+  if (allowedKinds.includes("file")) {
+    const media = allowedKinds.length > 1 ? "images, videos, audio, " : "";
+    message = `Unsupported file type: ${extension || file.mimetype}. Allowed: ${media}${ALLOWED_FILE_EXTENSIONS.join(", ")}`;
+  }
+  cb(new ApiError(400, message, { code: "UNSUPPORTED_FILE_TYPE" }));
 };
 
 // Configure multer
@@ -41,9 +111,12 @@ const uploadFields = upload.fields([
   { name: "image", maxCount: 1 },
   { name: "video", maxCount: 1 },
   { name: "audio", maxCount: 1 },
+  { name: "file", maxCount: 1 },
+  { name: "attachments", maxCount: MAX_ATTACHMENTS },
 ]);
 
-// Middleware for message media uploads (image, video, audio) with error handling
+// Middleware for message media uploads (attachments, or the single image, video, audio and file
+// fields) with error handling
 export const uploadMessageMedia = (req, res, next) => {
   uploadFields(req, res, (err) => {
     if (err) {
@@ -52,14 +125,24 @@ export const uploadMessageMedia = (req, res, next) => {
         if (err.code === "LIMIT_FILE_SIZE") {
           return res.status(400).json({ message: "File size too large. Maximum size is 50MB." });
         }
+        if (err.code === "LIMIT_UNEXPECTED_FILE" && err.field === "attachments") {
+          return res
+            .status(400)
+            .json({ message: `Too many files. Maximum is ${MAX_ATTACHMENTS} per message.` });
+        }
         return res.status(400).json({ message: "File upload error: " + err.message });
       }
+      if (err instanceof ApiError) return next(err);
       return res.status(400).json({ message: err.message || "File upload failed" });
     }
     next();
   });
 };
 
+// Rejections from the two single-file uploads below go to the error handler in app.js
+
 // Middleware for profile picture upload (single image)
 export const uploadProfilePic = upload.single("profilePic");
 
+// Middleware for group avatar upload (single image)
+export const uploadGroupAvatar = upload.single("avatar");
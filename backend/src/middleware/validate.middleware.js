@@ -0,0 +1,40 @@
+import { ApiError } from "../lib/errors.js";
+
+const LOCATIONS = ["params", "query", "body"];
+
+// Checks a request against zod schemas for any of its params, query and body (see src/schemas)
+// and answers 400 VALIDATION_ERROR, listing every failed field in details, before the
+// controller runs. Valid input replaces the original, so controllers get trimmed strings,
+// numbers for numeric query params and defaults filled in, and never see unknown fields.
+//
+// Multipart bodies only exist once the upload middleware has run, so routes that take files
+// validate their params first and their body after the upload.
+//
+// The schemas stay readable on the returned middleware as .schemas, which is how
+// tests/openapi.test.js checks the routes against the API docs.
+export const validate = (schemas) => {
+  const middleware = (req, res, next) => {
+    const details = [];
+
+    for (const location of LOCATIONS) {
+      if (!schemas[location]) continue;
+
+      const result = schemas[location].safeParse(req[location] ?? {});
+      if (result.success) {
+        req[location] = result.data;
+        continue;
+      }
+
+      for (const issue of result.error.issues) {
+        details.push({ location, path: issue.path.join("."), message: issue.message });
+      }
+    }
+
+    if (details.length > 0) {
+      return next(new ApiError(400, details[0].message, { code: "VALIDATION_ERROR", details }));
+    }
+    next();
+  };
+
+  return Object.assign(middleware, { schemas });
+};
@@ -0,0 +1,71 @@
+import mongoose from "mongoose";
+
+// One row per pair of users: a pending request from requester to recipient, or, once
+// accepted, a mutual contact. Declining or cancelling a request simply deletes the row.
+const contactSchema = new mongoose.Schema(
+  {
+    requesterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    recipientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "accepted"],
+      default: "pending",
+    },
+    acceptedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // createdAt & updatedAt
+  }
+);
+
+contactSchema.index({ requesterId: 1, recipientId: 1 }, { unique: true });
+contactSchema.index({ recipientId: 1, status: 1 });
+
+// the row linking two users, whichever of them sent the request
+contactSchema.statics.findBetween = function (userId, otherUserId) {
+  return this.findOne({
+    $or: [
+      { requesterId: userId, recipientId: otherUserId },
+      { requesterId: otherUserId, recipientId: userId },
+    ],
+  });
+};
+
+contactSchema.statics.areContacts = async function (userId, otherUserId) {
+  const contact = await this.exists({
+    status: "accepted",
+    $or: [
+      { requesterId: userId, recipientId: otherUserId },
+      { requesterId: otherUserId, recipientId: userId },
+    ],
+  });
+  return !!contact;
+};
+
+// ids of everyone the user has an accepted contact with
+contactSchema.statics.getContactIds = async function (userId) {
+  const contacts = await this.find({
+    status: "accepted",
+    $or: [{ requesterId: userId }, { recipientId: userId }],
+  }).lean();
+  return contacts.map((c) => (c.requesterId.equals(userId) ? c.recipientId : c.requesterId));
+};
+
+contactSchema.methods.getOtherUserId = function (userId) {
+  return this.requesterId.equals(userId) ? this.recipientId : this.requesterId;
+};
+
+const Contact = mongoose.model("Contact", contactSchema);
+
+export default Contact;
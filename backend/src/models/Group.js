@@ -0,0 +1,74 @@
+import mongoose from "mongoose";
+
+const groupSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    avatar: {
+      type: String,
+      default: "",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    members: [
+      {
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        role: {
+          type: String,
+          enum: ["admin", "member"],
+          default: "member",
+        },
+        joinedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+    // expose the isGroup virtual so the client can tell groups and users apart
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+groupSchema.index({ "members.userId": 1 });
+
+groupSchema.virtual("isGroup").get(function () {
+  return true;
+});
+
+// members may or may not be populated, so always compare on the raw id
+const memberIdOf = (member) => (member.userId?._id || member.userId).toString();
+
+groupSchema.methods.getMember = function (userId) {
+  return this.members.find((m) => memberIdOf(m) === userId.toString());
+};
+
+groupSchema.methods.isMember = function (userId) {
+  return !!this.getMember(userId);
+};
+
+groupSchema.methods.isAdmin = function (userId) {
+  return this.getMember(userId)?.role === "admin";
+};
+
+groupSchema.methods.getMemberIds = function () {
+  return this.members.map(memberIdOf);
+};
+
+const Group = mongoose.model("Group", groupSchema);
+
+export default Group;
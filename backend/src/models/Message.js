@@ -1,5 +1,30 @@
 import mongoose from "mongoose";
 
+// One uploaded file in a message; attachments keep the order they were sent in
+const attachmentSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ["image", "video", "audio", "file"], required: true },
+    url: { type: String, required: true },
+    publicId: { type: String, default: null },
+    name: { type: String, default: "", maxlength: 255 },
+    size: { type: Number, default: 0 },
+    mimeType: { type: String, default: "" },
+  },
+  { _id: false }
+);
+
+// Single file attachment (PDFs, documents, archives) from before attachments
+const fileAttachmentSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    publicId: { type: String, default: null },
+    name: { type: String, required: true, maxlength: 255 },
+    size: { type: Number, required: true },
+    mimeType: { type: String, required: true },
+  },
+  { _id: false }
+);
+
 const messageSchema = new mongoose.Schema(
   {
     senderId: {
@@ -7,16 +32,30 @@ const messageSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // direct messages have a receiverId, group messages have a groupId instead
     receiverId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      required: function () {
+        return !this.groupId;
+      },
+      default: null,
+    },
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Group",
+      default: null,
     },
     text: {
       type: String,
       trim: true,
       maxlength: 2000,
     },
+    attachments: {
+      type: [attachmentSchema],
+      default: [],
+    },
+    // single-media fields from before attachments; kept so older messages still render
     image: {
       type: String,
     },
@@ -26,6 +65,23 @@ const messageSchema = new mongoose.Schema(
     audio: {
       type: String,
     },
+    file: {
+      type: fileAttachmentSchema,
+      default: null,
+    },
+    // storage IDs of the media above, used to delete the files (see lib/storage.js)
+    imagePublicId: {
+      type: String,
+      default: null,
+    },
+    videoPublicId: {
+      type: String,
+      default: null,
+    },
+    audioPublicId: {
+      type: String,
+      default: null,
+    },
     replyTo: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Message",
@@ -95,6 +151,16 @@ const messageSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// Conversation history is paged newest-first by _id (see fetchMessagePage)
+messageSchema.index({ senderId: 1, receiverId: 1, _id: -1 });
+messageSchema.index({ groupId: 1, _id: -1 });
+
+// Full-text search over message bodies (see searchMessages)
+messageSchema.index({ text: "text" });
+
+// Reconnecting clients fetch everything changed since their last sync (see syncMessages)
+messageSchema.index({ updatedAt: 1 });
+
 const Message = mongoose.model("Message", messageSchema);
 
 export default Message;
@@ -0,0 +1,80 @@
+import mongoose from "mongoose";
+
+export const REPORT_REASONS = ["spam", "harassment", "hate", "violence", "sexual", "impersonation", "other"];
+
+const snapshotAttachmentSchema = new mongoose.Schema(
+  {
+    type: { type: String },
+    url: { type: String },
+    name: { type: String, default: "" },
+  },
+  { _id: false }
+);
+
+const reportSchema = new mongoose.Schema(
+  {
+    reporterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    targetType: {
+      type: String,
+      enum: ["message", "user"],
+      required: true,
+    },
+    // for message reports this is the sender, so reports about one account can be found together
+    reportedUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+    // copy of the message at report time, since the sender can still edit or delete it
+    messageSnapshot: {
+      text: { type: String, default: "" },
+      attachments: { type: [snapshotAttachmentSchema], default: [] },
+      sentAt: { type: Date, default: null },
+    },
+    reason: {
+      type: String,
+      enum: REPORT_REASONS,
+      required: true,
+    },
+    details: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+      default: "",
+    },
+    status: {
+      type: String,
+      enum: ["open", "resolved", "dismissed"],
+      default: "open",
+    },
+    resolution: {
+      action: {
+        type: String,
+        enum: ["none", "message_deleted", "user_suspended"],
+        default: null,
+      },
+      note: { type: String, trim: true, maxlength: 1000, default: "" },
+      resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      resolvedAt: { type: Date, default: null },
+    },
+  },
+  {
+    timestamps: true, // createdAt & updatedAt
+  }
+);
+
+reportSchema.index({ status: 1, createdAt: -1 });
+reportSchema.index({ reportedUserId: 1 });
+
+const Report = mongoose.model("Report", reportSchema);
+
+export default Report;
@@ -0,0 +1,68 @@
+import mongoose from "mongoose";
+
+// One row per logged-in device. The refresh token itself is never stored, only its hash.
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    // the token that was just rotated out, accepted briefly so parallel tabs don't trip reuse detection
+    previousTokenHash: {
+      type: String,
+      default: null,
+      index: true,
+      select: false,
+    },
+    rotatedAt: {
+      type: Date,
+      default: null,
+    },
+    device: {
+      type: String,
+      default: "Unknown device",
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true, // createdAt & updatedAt
+  }
+);
+
+// MongoDB drops sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
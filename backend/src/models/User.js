@@ -1,5 +1,10 @@
 import mongoose from "mongoose";
 
+function hideLastSeen(doc, ret) {
+  if (ret.showLastSeen === false) delete ret.lastSeenAt;
+  return ret;
+}
+
 const userSchema = new mongoose.Schema(
   {
     email: {
@@ -20,10 +25,136 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: "",
     },
+    role: {
+      type: String,
+      enum: ["user", "admin"],
+      default: "user",
+    },
+    // set by a moderator; suspended accounts can't log in and their sessions are revoked
+    suspendedAt: {
+      type: Date,
+      default: null,
+    },
+    suspensionReason: {
+      type: String,
+      default: "",
+      select: false,
+    },
+    // set when the user's last socket disconnects
+    lastSeenAt: {
+      type: Date,
+      default: null,
+    },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerificationTokenHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    emailVerificationExpiresAt: {
+      type: Date,
+      default: null,
+      select: false,
+    },
+    // two-factor auth (TOTP); the secret is saved at setup and only takes effect once enabled
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorSecret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    twoFactorRecoveryCodes: {
+      type: [String], // SHA-256 hashes, removed as they are used
+      default: [],
+      select: false,
+    },
+    // last accepted time step, so a code can't be replayed within its 30s window
+    twoFactorLastStep: {
+      type: Number,
+      default: null,
+      select: false,
+    },
+    // the one live login challenge (its jti) and how many codes have been tried against it
+    twoFactorChallengeId: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    twoFactorChallengeAttempts: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+    // wrong codes in a row across challenges; every few of them lock 2FA login for a while
+    twoFactorFailedAttempts: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+    twoFactorLockedUntil: {
+      type: Date,
+      default: null,
+      select: false,
+    },
+    // password reset: only the SHA-256 hash of the emailed token is stored (see lib/utils.js)
+    passwordResetTokenHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    passwordResetExpiresAt: {
+      type: Date,
+      default: null,
+      select: false,
+    },
+    // users this user has blocked; hidden from everyone else (only protectRoute selects it)
+    blockedUsers: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+      default: [],
+      select: false,
+    },
+    // privacy: when false, lastSeenAt is never sent to other users
+    showLastSeen: {
+      type: Boolean,
+      default: true,
+    },
   },
-  { timestamps: true } // createdAt & updatedAt
+  {
+    timestamps: true, // createdAt & updatedAt
+    toJSON: { transform: hideLastSeen },
+    toObject: { transform: hideLastSeen },
+  }
 );
 
+userSchema.index({ blockedUsers: 1 });
+userSchema.index({ fullName: 1 }); // directory search results are sorted by name
+
+// true when either user has blocked the other; blocking works both ways
+userSchema.statics.isBlockedBetween = async function (userId, otherUserId) {
+  const blocked = await this.exists({
+    $or: [
+      { _id: userId, blockedUsers: otherUserId },
+      { _id: otherUserId, blockedUsers: userId },
+    ],
+  });
+  return !!blocked;
+};
+
+// ids (as strings) of everyone this user has blocked or been blocked by
+userSchema.statics.getBlockedRelations = async function (userId) {
+  const [user, blockedBy] = await Promise.all([
+    this.findById(userId).select("+blockedUsers").lean(),
+    this.find({ blockedUsers: userId }).distinct("_id"),
+  ]);
+  return new Set([...(user?.blockedUsers || []), ...blockedBy].map((id) => id.toString()));
+};
+
 const User = mongoose.model("User", userSchema);
 
 export default User;
@@ -0,0 +1,43 @@
+import express from "express";
+import { getReports, getReportById, resolveReport } from "../controllers/report.controller.js";
+import {
+  getUsers,
+  suspendAccount,
+  unsuspendAccount,
+  deleteAccount,
+  forceLogout,
+  getStats,
+} from "../controllers/admin.controller.js";
+import { protectRoute, requireAdmin } from "../middleware/auth.middleware.js";
+import { arcjetProtection } from "../middleware/arcjet.middleware.js";
+import { validate } from "../middleware/validate.middleware.js";
+import { usersQuery, userParams, suspendBody } from "../schemas/admin.schema.js";
+import { reportsQuery, reportParams, resolveReportBody } from "../schemas/report.schema.js";
+
+const router = express.Router();
+
+router.use(arcjetProtection, protectRoute, requireAdmin);
+
+router.get("/stats", getStats);
+
+// accounts
+router.get("/users", validate({ query: usersQuery }), getUsers);
+router.put(
+  "/users/:userId/suspend",
+  validate({ params: userParams, body: suspendBody }),
+  suspendAccount
+);
+router.put("/users/:userId/unsuspend", validate({ params: userParams }), unsuspendAccount);
+router.post("/users/:userId/logout", validate({ params: userParams }), forceLogout);
+router.delete("/users/:userId", validate({ params: userParams }), deleteAccount);
+
+// moderation queue
+router.get("/reports", validate({ query: reportsQuery }), getReports);
+router.get("/reports/:reportId", validate({ params: reportParams }), getReportById);
+router.put(
+  "/reports/:reportId/resolve",
+  validate({ params: reportParams, body: resolveReportBody }),
+  resolveReport
+);
+
+export default router;
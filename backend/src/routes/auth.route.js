@@ -1,18 +1,74 @@
 import express from "express";
-import { signup, login, logout, updateProfile } from "../controllers/auth.controller.js";
+import {
+  signup,
+  login,
+  logout,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  refresh,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  updateProfile,
+  updatePrivacy,
+} from "../controllers/auth.controller.js";
 import { protectRoute } from "../middleware/auth.middleware.js";
 import { arcjetProtection } from "../middleware/arcjet.middleware.js";
 import { uploadProfilePic } from "../middleware/upload.middleware.js";
+import { validate } from "../middleware/validate.middleware.js";
+import {
+  signupBody,
+  loginBody,
+  twoFactorLoginBody,
+  twoFactorCodeBody,
+  disableTwoFactorBody,
+  verifyEmailBody,
+  forgotPasswordBody,
+  resetPasswordBody,
+  updatePrivacyBody,
+  sessionParams,
+} from "../schemas/auth.schema.js";
 
 const router = express.Router();
 
 router.use(arcjetProtection);
 
-router.post("/signup", signup);
-router.post("/login", login);
+router.post("/signup", validate({ body: signupBody }), signup);
+router.post("/login", validate({ body: loginBody }), login);
+router.post("/login/2fa", validate({ body: twoFactorLoginBody }), verifyTwoFactorLogin);
 router.post("/logout", logout);
+router.post("/refresh", refresh);
+router.post("/forgot-password", validate({ body: forgotPasswordBody }), forgotPassword);
+router.post("/reset-password", validate({ body: resetPasswordBody }), resetPassword);
+router.post("/verify-email", validate({ body: verifyEmailBody }), verifyEmail);
+router.post("/resend-verification", protectRoute, resendVerification);
 
 router.put("/update-profile", protectRoute, uploadProfilePic, updateProfile);
+router.put("/update-privacy", protectRoute, validate({ body: updatePrivacyBody }), updatePrivacy);
+
+router.post("/2fa/setup", protectRoute, setupTwoFactor);
+router.post("/2fa/enable", protectRoute, validate({ body: twoFactorCodeBody }), enableTwoFactor);
+router.post(
+  "/2fa/disable",
+  protectRoute,
+  validate({ body: disableTwoFactorBody }),
+  disableTwoFactor
+);
+
+router.get("/sessions", protectRoute, getSessions);
+router.delete(
+  "/sessions/:sessionId",
+  protectRoute,
+  validate({ params: sessionParams }),
+  revokeSession
+);
+router.delete("/sessions", protectRoute, revokeOtherSessions);
 
 router.get("/check", protectRoute, (req, res) => res.status(200).json(req.user));
 
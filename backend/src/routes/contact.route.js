@@ -0,0 +1,35 @@
+import express from "express";
+import {
+  getContactRequests,
+  sendContactRequest,
+  acceptContactRequest,
+  declineContactRequest,
+  cancelContactRequest,
+  removeContact,
+} from "../controllers/contact.controller.js";
+import { protectRoute } from "../middleware/auth.middleware.js";
+import { arcjetProtection } from "../middleware/arcjet.middleware.js";
+import { validate } from "../middleware/validate.middleware.js";
+import { contactRequestBody, requestParams, contactParams } from "../schemas/contact.schema.js";
+
+const router = express.Router();
+
+router.use(arcjetProtection, protectRoute);
+
+// the accepted contacts themselves are listed by GET /api/messages/contacts
+router.get("/requests", getContactRequests);
+router.post("/requests", validate({ body: contactRequestBody }), sendContactRequest);
+router.post(
+  "/requests/:requestId/accept",
+  validate({ params: requestParams }),
+  acceptContactRequest
+);
+router.post(
+  "/requests/:requestId/decline",
+  validate({ params: requestParams }),
+  declineContactRequest
+);
+router.delete("/requests/:requestId", validate({ params: requestParams }), cancelContactRequest);
+router.delete("/:userId", validate({ params: contactParams }), removeContact);
+
+export default router;
@@ -0,0 +1,14 @@
+import express from "express";
+import swaggerUi from "swagger-ui-express";
+import { buildOpenApiDocument } from "../docs/openapi.js";
+
+const router = express.Router();
+
+const document = buildOpenApiDocument();
+
+router.get("/openapi.json", (req, res) => res.status(200).json(document));
+
+// interactive docs; requests made from the page send the browser's auth cookies
+router.use("/", swaggerUi.serve, swaggerUi.setup(document, { customSiteTitle: "Chatify API" }));
+
+export default router;
@@ -0,0 +1,50 @@
+import express from "express";
+import {
+  createGroup,
+  getMyGroups,
+  getGroupById,
+  updateGroup,
+  addGroupMembers,
+  removeGroupMember,
+  updateMemberRole,
+} from "../controllers/group.controller.js";
+import { protectRoute } from "../middleware/auth.middleware.js";
+import { arcjetProtection } from "../middleware/arcjet.middleware.js";
+import { uploadGroupAvatar } from "../middleware/upload.middleware.js";
+import { validate } from "../middleware/validate.middleware.js";
+import {
+  groupParams,
+  memberParams,
+  createGroupBody,
+  updateGroupBody,
+  addMembersBody,
+  memberRoleBody,
+} from "../schemas/group.schema.js";
+
+const router = express.Router();
+
+router.use(arcjetProtection, protectRoute);
+
+router.get("/", getMyGroups);
+router.post("/", uploadGroupAvatar, validate({ body: createGroupBody }), createGroup);
+router.get("/:groupId", validate({ params: groupParams }), getGroupById);
+router.put(
+  "/:groupId",
+  validate({ params: groupParams }),
+  uploadGroupAvatar,
+  validate({ body: updateGroupBody }),
+  updateGroup
+);
+router.post(
+  "/:groupId/members",
+  validate({ params: groupParams, body: addMembersBody }),
+  addGroupMembers
+);
+router.delete("/:groupId/members/:userId", validate({ params: memberParams }), removeGroupMember);
+router.put(
+  "/:groupId/members/:userId/role",
+  validate({ params: memberParams, body: memberRoleBody }),
+  updateMemberRole
+);
+
+export default router;
@@ -4,15 +4,38 @@ import {
   getChatPartners,
   getMessagesByUserId,
   sendMessage,
+  getGroupMessages,
+  sendGroupMessage,
+  searchMessages,
+  syncMessages,
   markMessageAsRead,
   addReaction,
   removeReaction,
   editMessage,
   deleteMessage,
 } from "../controllers/message.controller.js";
-import { protectRoute } from "../middleware/auth.middleware.js";
+import { protectRoute, requireVerifiedEmail } from "../middleware/auth.middleware.js";
 import { arcjetProtection } from "../middleware/arcjet.middleware.js";
 import { uploadMessageMedia } from "../middleware/upload.middleware.js";
+import {
+  requireMessageParticipant,
+  requireGroupMember,
+  requireChatPartner,
+  requireReplyInConversation,
+} from "../middleware/conversation.middleware.js";
+import { validate } from "../middleware/validate.middleware.js";
+import {
+  userParams,
+  groupParams,
+  messageParams,
+  pageQuery,
+  searchQuery,
+  syncQuery,
+  sendMessageBody,
+  reactionBody,
+  editMessageBody,
+  deleteMessageBody,
+} from "../schemas/message.schema.js";
 
 const router = express.Router();
 
@@ -22,12 +45,69 @@ router.use(arcjetProtection, protectRoute);
 
 router.get("/contacts", getAllContacts);
 router.get("/chats", getChatPartners);
-router.get("/:id", getMessagesByUserId);
-router.post("/send/:id", uploadMessageMedia, sendMessage);
-router.put("/read/:messageId", markMessageAsRead);
-router.post("/reaction/:messageId", addReaction);
-router.delete("/reaction/:messageId", removeReaction);
-router.put("/edit/:messageId", editMessage);
-router.delete("/delete/:messageId", deleteMessage);
+router.get("/search", validate({ query: searchQuery }), searchMessages);
+router.get("/sync", validate({ query: syncQuery }), syncMessages);
+router.get(
+  "/group/:groupId",
+  validate({ params: groupParams, query: pageQuery }),
+  requireGroupMember,
+  getGroupMessages
+);
+router.post(
+  "/group/send/:groupId",
+  validate({ params: groupParams }),
+  requireVerifiedEmail,
+  requireGroupMember,
+  uploadMessageMedia,
+  validate({ body: sendMessageBody }),
+  requireReplyInConversation,
+  sendGroupMessage
+);
+router.get(
+  "/:id",
+  validate({ params: userParams, query: pageQuery }),
+  requireChatPartner,
+  getMessagesByUserId
+);
+router.post(
+  "/send/:id",
+  validate({ params: userParams }),
+  requireVerifiedEmail,
+  requireChatPartner,
+  uploadMessageMedia,
+  validate({ body: sendMessageBody }),
+  requireReplyInConversation,
+  sendMessage
+);
+router.put(
+  "/read/:messageId",
+  validate({ params: messageParams }),
+  requireMessageParticipant,
+  markMessageAsRead
+);
+router.post(
+  "/reaction/:messageId",
+  validate({ params: messageParams, body: reactionBody }),
+  requireMessageParticipant,
+  addReaction
+);
+router.delete(
+  "/reaction/:messageId",
+  validate({ params: messageParams }),
+  requireMessageParticipant,
+  removeReaction
+);
+router.put(
+  "/edit/:messageId",
+  validate({ params: messageParams, body: editMessageBody }),
+  requireMessageParticipant,
+  editMessage
+);
+router.delete(
+  "/delete/:messageId",
+  validate({ params: messageParams, body: deleteMessageBody }),
+  requireMessageParticipant,
+  deleteMessage
+);
 
 export default router;
@@ -0,0 +1,14 @@
+import express from "express";
+import { createReport } from "../controllers/report.controller.js";
+import { protectRoute } from "../middleware/auth.middleware.js";
+import { arcjetProtection } from "../middleware/arcjet.middleware.js";
+import { validate } from "../middleware/validate.middleware.js";
+import { createReportBody } from "../schemas/report.schema.js";
+
+const router = express.Router();
+
+router.use(arcjetProtection, protectRoute);
+
+router.post("/", validate({ body: createReportBody }), createReport);
+
+export default router;
@@ -0,0 +1,16 @@
+import express from "express";
+import { searchUsers, blockUser, unblockUser } from "../controllers/user.controller.js";
+import { protectRoute } from "../middleware/auth.middleware.js";
+import { arcjetProtection } from "../middleware/arcjet.middleware.js";
+import { validate } from "../middleware/validate.middleware.js";
+import { searchUsersQuery, userParams } from "../schemas/user.schema.js";
+
+const router = express.Router();
+
+router.use(arcjetProtection, protectRoute);
+
+router.get("/search", validate({ query: searchUsersQuery }), searchUsers);
+router.post("/:userId/block", validate({ params: userParams }), blockUser);
+router.delete("/:userId/block", validate({ params: userParams }), unblockUser);
+
+export default router;
@@ -0,0 +1,15 @@
+import { z } from "zod";
+import { idParams, pageNumber } from "./common.schema.js";
+
+// ?q= matches name or email, ?status=all|active|suspended, ?page=
+export const usersQuery = z.object({
+  q: z.string().trim().max(100, "Search query is too long").default(""),
+  status: z.enum(["all", "active", "suspended"], { error: "Invalid status filter" }).default("all"),
+  page: pageNumber,
+});
+
+export const userParams = idParams({ userId: "user" });
+
+export const suspendBody = z.object({
+  reason: z.string().trim().max(500, "Reasons can be at most 500 characters").default(""),
+});
@@ -0,0 +1,55 @@
+import { z } from "zod";
+import { idParams, requiredText, booleanField } from "./common.schema.js";
+
+const MIN_PASSWORD_LENGTH = 6; // matches the User model
+const EMAIL_FORMAT = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Passwords are taken exactly as typed, never trimmed
+const password = (message) => z.string({ error: message }).min(1, message);
+
+const newPassword = z
+  .string({ error: "Password is required" })
+  .min(MIN_PASSWORD_LENGTH, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+
+export const signupBody = z.object({
+  fullName: requiredText("Full name is required").max(100, "Full name is too long"),
+  email: requiredText("Email is required").regex(EMAIL_FORMAT, "Invalid email format"),
+  password: newPassword,
+});
+
+export const loginBody = z.object({
+  email: requiredText("Email and password are required"),
+  password: password("Email and password are required"),
+});
+
+export const twoFactorLoginBody = z.object({
+  twoFactorToken: requiredText("Login attempt expired, please sign in again"),
+  code: requiredText("Verification code is required"),
+});
+
+export const twoFactorCodeBody = z.object({
+  code: requiredText("Verification code is required"),
+});
+
+export const disableTwoFactorBody = z.object({
+  password: password("Current password is required"),
+});
+
+export const verifyEmailBody = z.object({
+  token: requiredText("Verification token is required"),
+});
+
+export const forgotPasswordBody = z.object({
+  email: requiredText("Email is required"),
+});
+
+export const resetPasswordBody = z.object({
+  token: requiredText("Reset token is required"),
+  password: newPassword,
+});
+
+export const updatePrivacyBody = z.object({
+  showLastSeen: booleanField("showLastSeen"),
+});
+
+export const sessionParams = idParams({ sessionId: "session" });
@@ -0,0 +1,37 @@
+import { z } from "zod";
+
+// Building blocks shared by the per-router schemas; every route validates through
+// validate() from middleware/validate.middleware.js
+
+export const OBJECT_ID = /^[0-9a-f]{24}$/i;
+
+// label names the thing in the error message, e.g. objectId("message") -> "Invalid message id"
+export const objectId = (label) =>
+  z.string({ error: `A ${label} id is required` }).regex(OBJECT_ID, `Invalid ${label} id`);
+
+// Route params that are all ObjectIds, e.g. idParams({ groupId: "group", userId: "user" })
+export const idParams = (labels) =>
+  z.object(
+    Object.fromEntries(Object.entries(labels).map(([param, label]) => [param, objectId(label)]))
+  );
+
+// ?page= for the paginated lists, starting at 1
+export const pageNumber = z.coerce
+  .number()
+  .int("page must be a whole number")
+  .min(1, "page must be 1 or more")
+  .default(1);
+
+// A required, trimmed ?q= search term
+export const searchTerm = (maxLength) =>
+  z
+    .string({ error: "Search query is required" })
+    .trim()
+    .min(1, "Search query is required")
+    .max(maxLength, "Search query is too long");
+
+// A trimmed string that has to contain something
+export const requiredText = (message) => z.string({ error: message }).trim().min(1, message);
+
+// For bodies that are JSON booleans (not "true" / "false" strings)
+export const booleanField = (name) => z.boolean({ error: `${name} must be true or false` });
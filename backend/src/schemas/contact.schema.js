@@ -0,0 +1,9 @@
+import { z } from "zod";
+import { objectId, idParams } from "./common.schema.js";
+
+// Targets come from the user directory by id; there is no lookup by email, which would tell
+// anyone who has an account
+export const contactRequestBody = z.object({ userId: objectId("user") });
+
+export const requestParams = idParams({ requestId: "request" });
+export const contactParams = idParams({ userId: "user" });
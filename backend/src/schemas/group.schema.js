@@ -0,0 +1,43 @@
+import { z } from "zod";
+import { objectId, idParams, requiredText } from "./common.schema.js";
+
+const MAX_NAME_LENGTH = 100; // matches the Group model
+
+// memberIds can arrive as a JSON array, a single FormData value, or repeated FormData values
+const parseMemberIds = (memberIds) => {
+  if (!memberIds) return [];
+  if (Array.isArray(memberIds)) return memberIds.map(String);
+  try {
+    const parsed = JSON.parse(memberIds);
+    return Array.isArray(parsed) ? parsed.map(String) : [String(parsed)];
+  } catch {
+    return [String(memberIds)];
+  }
+};
+
+const memberIds = z.preprocess(parseMemberIds, z.array(objectId("member")));
+
+const groupName = (message) =>
+  requiredText(message).max(
+    MAX_NAME_LENGTH,
+    `Group names can be at most ${MAX_NAME_LENGTH} characters`
+  );
+
+export const groupParams = idParams({ groupId: "group" });
+export const memberParams = idParams({ groupId: "group", userId: "user" });
+
+// Multipart (the avatar), so checked after the upload middleware
+export const createGroupBody = z.object({
+  name: groupName("Group name is required"),
+  memberIds,
+});
+
+export const updateGroupBody = z.object({
+  name: groupName("Group name cannot be empty").optional(),
+});
+
+export const addMembersBody = z.object({ memberIds });
+
+export const memberRoleBody = z.object({
+  role: z.enum(["admin", "member"], { error: "Role must be either admin or member" }),
+});
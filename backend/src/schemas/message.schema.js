@@ -0,0 +1,66 @@
+import { z } from "zod";
+import {
+  OBJECT_ID,
+  objectId,
+  idParams,
+  searchTerm,
+  requiredText,
+  booleanField,
+} from "./common.schema.js";
+
+const MAX_TEXT_LENGTH = 2000; // matches the Message model
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+
+const textTooLong = `Messages can be at most ${MAX_TEXT_LENGTH} characters`;
+
+// One emoji as the user sees it: a single grapheme, which covers skin tones, ZWJ families,
+// flags and keycaps, that is actually pictographic
+const graphemes = new Intl.Segmenter();
+const isSingleEmoji = (value) =>
+  [...graphemes.segment(value)].length === 1 &&
+  /\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20e3/u.test(value);
+
+export const userParams = idParams({ id: "user" });
+export const groupParams = idParams({ groupId: "group" });
+export const messageParams = idParams({ messageId: "message" });
+
+// ?before=<messageId>&limit=<n>
+export const pageQuery = z.object({
+  before: z.string().regex(OBJECT_ID, "Invalid pagination cursor").optional(),
+  limit: z.coerce
+    .number()
+    .int("limit must be a whole number")
+    .min(1, "limit must be 1 or more")
+    .max(MAX_PAGE_SIZE, `limit can be at most ${MAX_PAGE_SIZE}`)
+    .default(DEFAULT_PAGE_SIZE),
+});
+
+export const searchQuery = z.object({ q: searchTerm(200) });
+
+// ?since=<serverTime from the previous sync>
+export const syncQuery = z.object({
+  since: z.coerce.date({ error: "Invalid sync timestamp" }).optional(),
+});
+
+// Multipart, so only checked after the upload middleware. Whether there is any text or file
+// at all is up to the controller, which is the one that sees the files.
+export const sendMessageBody = z.object({
+  text: z.string().trim().max(MAX_TEXT_LENGTH, textTooLong).default(""),
+  replyTo: objectId("reply").optional(),
+});
+
+export const reactionBody = z.object({
+  emoji: requiredText("Emoji is required").refine(
+    isSingleEmoji,
+    "Reactions must be a single emoji"
+  ),
+});
+
+export const editMessageBody = z.object({
+  text: requiredText("Message text is required").max(MAX_TEXT_LENGTH, textTooLong),
+});
+
+export const deleteMessageBody = z.object({
+  deleteForEveryone: booleanField("deleteForEveryone").default(false),
+});
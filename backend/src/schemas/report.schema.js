@@ -0,0 +1,53 @@
+import { z } from "zod";
+import { REPORT_REASONS } from "../models/Report.js";
+import { objectId, idParams, pageNumber } from "./common.schema.js";
+
+export const RESOLUTION_ACTIONS = ["dismiss", "none", "delete_message", "suspend_user"];
+
+const MAX_NOTE_LENGTH = 1000; // matches the Report model
+
+const note = (name) =>
+  z
+    .string()
+    .trim()
+    .max(MAX_NOTE_LENGTH, `${name} can be at most ${MAX_NOTE_LENGTH} characters`)
+    .default("");
+
+// The id to send depends on targetType: messageId for "message", userId for "user"
+export const createReportBody = z
+  .object({
+    targetType: z.enum(["message", "user"], { error: "targetType must be 'message' or 'user'" }),
+    messageId: objectId("message").optional(),
+    userId: objectId("user").optional(),
+    reason: z.enum(REPORT_REASONS, {
+      error: `reason must be one of: ${REPORT_REASONS.join(", ")}`,
+    }),
+    details: note("Details"),
+  })
+  .superRefine((body, ctx) => {
+    const field = `${body.targetType}Id`;
+    if (!body[field]) {
+      ctx.addIssue({
+        code: "custom",
+        path: [field],
+        message: `A valid ${body.targetType} id is required`,
+      });
+    }
+  });
+
+// Admin: ?status=open|resolved|dismissed|all&page=
+export const reportsQuery = z.object({
+  status: z
+    .enum(["open", "resolved", "dismissed", "all"], { error: "Invalid status filter" })
+    .default("open"),
+  page: pageNumber,
+});
+
+export const reportParams = idParams({ reportId: "report" });
+
+export const resolveReportBody = z.object({
+  action: z.enum(RESOLUTION_ACTIONS, {
+    error: `action must be one of: ${RESOLUTION_ACTIONS.join(", ")}`,
+  }),
+  note: note("Notes"),
+});
@@ -0,0 +1,9 @@
+import { z } from "zod";
+import { idParams, pageNumber, searchTerm } from "./common.schema.js";
+
+export const searchUsersQuery = z.object({
+  q: searchTerm(100),
+  page: pageNumber,
+});
+
+export const userParams = idParams({ userId: "user" });
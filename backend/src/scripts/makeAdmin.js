@@ -0,0 +1,25 @@
+// Grants (or with --revoke, removes) the admin role: npm run make-admin -- someone@example.com
+import mongoose from "mongoose";
+import { connectDB } from "../lib/db.js";
+import User from "../models/User.js";
+
+const [email, flag] = process.argv.slice(2);
+
+if (!email) {
+  console.error("Usage: npm run make-admin -- <email> [--revoke]");
+  process.exit(1);
+}
+
+await connectDB();
+
+const role = flag === "--revoke" ? "user" : "admin";
+const user = await User.findOneAndUpdate({ email }, { role }, { new: true });
+
+if (user) {
+  console.log(`✅ ${user.fullName} (${user.email}) is now ${role === "admin" ? "an admin" : "a regular user"}`);
+} else {
+  console.error(`❌ No user with email ${email}`);
+}
+
+await mongoose.disconnect();
+process.exit(user ? 0 : 1);
@@ -1,67 +1,11 @@
-import express from "express";
-import cookieParser from "cookie-parser";
-import path from "path";
-import cors from "cors";
-
-import authRoutes from "./routes/auth.route.js";
-import messageRoutes from "./routes/message.route.js";
-import { connectDB } from "./lib/db.js";
 import { ENV } from "./lib/env.js";
-import { app, server } from "./lib/socket.js";
-
-const __dirname = path.resolve();
+import { connectDB } from "./lib/db.js";
+import { startMediaCleanupJob } from "./lib/mediaCleanup.js";
+import { server } from "./app.js";
 
 const PORT = ENV.PORT || 3000;
 
-app.use(express.json({ limit: "5mb" })); // req.body
-
-// CORS configuration - allow multiple origins in development
-const allowedOrigins = ENV.CLIENT_URL
-  ? ENV.CLIENT_URL.split(",").map((url) => url.trim())
-  : ["http://localhost:5173", "http://localhost:3000", "http://127.0.0.1:5173"];
-
-app.use(
-  cors({
-    origin: function (origin, callback) {
-      // Allow requests with no origin (like mobile apps or curl requests)
-      if (!origin) return callback(null, true);
-      if (allowedOrigins.indexOf(origin) !== -1 || !origin) {
-        callback(null, true);
-      } else {
-        // In development, allow all origins
-        if (ENV.NODE_ENV === "development") {
-          callback(null, true);
-        } else {
-          callback(new Error("Not allowed by CORS"));
-        }
-      }
-    },
-    credentials: true,
-    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
-  })
-);
-
-app.use(cookieParser());
-
-// Health check endpoint (before auth routes)
-app.get("/api/health", (req, res) => {
-  res.status(200).json({ status: "ok", message: "Server is running" });
-});
-
-app.use("/api/auth", authRoutes);
-app.use("/api/messages", messageRoutes);
-
-// make ready for deployment
-if (ENV.NODE_ENV === "production") {
-  app.use(express.static(path.join(__dirname, "../frontend/dist")));
-
-  app.get("*", (_, res) => {
-    res.sendFile(path.join(__dirname, "../frontend", "dist", "index.html"));
-  });
-}
-
 server.listen(PORT, () => {
   console.log("Server running on port: " + PORT);
-  connectDB();
+  connectDB().then(startMediaCleanupJob);
 });
@@ -0,0 +1,43 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import request from "supertest";
+import { app } from "../src/app.js";
+import Message from "../src/models/Message.js";
+import { useTestDatabase } from "./helpers/db.js";
+import {
+  createUser,
+  createAuthCookie,
+  createDirectMessage,
+  createGroup,
+  createGroupMessage,
+} from "./helpers/factories.js";
+
+useTestDatabase();
+
+let admin, alice, bob, adminCookie;
+
+beforeEach(async () => {
+  [admin, alice, bob] = await Promise.all([
+    createUser({ role: "admin" }),
+    createUser(),
+    createUser(),
+  ]);
+  adminCookie = await createAuthCookie(admin);
+});
+
+describe("DELETE /api/admin/users/:id", () => {
+  it("removes the account's direct messages but keeps what it said in groups", async () => {
+    const group = await createGroup(alice, [bob]);
+    const [direct, inGroup] = await Promise.all([
+      createDirectMessage(alice, bob),
+      createGroupMessage(alice, group),
+    ]);
+
+    const res = await request(app)
+      .delete(`/api/admin/users/${alice._id}`)
+      .set("Cookie", adminCookie);
+
+    expect(res.status).toBe(200);
+    expect(await Message.findById(direct._id)).toBeNull();
+    expect(await Message.findById(inGroup._id)).not.toBeNull();
+  });
+});
@@ -0,0 +1,570 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import request from "supertest";
+import mongoose from "mongoose";
+import { app } from "../src/app.js";
+import User from "../src/models/User.js";
+import Session from "../src/models/Session.js";
+import { generateTotp } from "../src/lib/totp.js";
+import aj from "../src/lib/arcjet.js";
+import { deniedDecision } from "./fakes/arcjet.js";
+import { sentEmails, findEmailLink } from "./fakes/resend.js";
+import { uploadedAssets } from "./fakes/cloudinary.js";
+import { useTestDatabase } from "./helpers/db.js";
+import { TEST_PASSWORD, createUser, createAuthCookie } from "./helpers/factories.js";
+
+useTestDatabase();
+
+// The auth cookies are Secure, which supertest's cookie jar won't send over plain http, so
+// they're passed along by hand as a Cookie header
+const authCookies = (res) =>
+  (res.headers["set-cookie"] || []).map((cookie) => cookie.split(";")[0]).join("; ");
+
+const cookieNames = (res) =>
+  (res.headers["set-cookie"] || [])
+    .filter((cookie) => !/Expires=Thu, 01 Jan 1970/.test(cookie))
+    .map((cookie) => cookie.split("=")[0]);
+
+const signup = (overrides = {}) =>
+  request(app)
+    .post("/api/auth/signup")
+    .send({
+      fullName: "Ada Lovelace",
+      email: "ada@example.com",
+      password: TEST_PASSWORD,
+      ...overrides,
+    });
+
+const login = (email, password = TEST_PASSWORD) =>
+  request(app).post("/api/auth/login").send({ email, password });
+
+// Turns on 2FA for the user through the API and returns the secret and recovery codes
+const enableTwoFactor = async (cookie) => {
+  const setup = await request(app).post("/api/auth/2fa/setup").set("Cookie", cookie);
+  const { secret } = setup.body;
+  const enable = await request(app)
+    .post("/api/auth/2fa/enable")
+    .set("Cookie", cookie)
+    .send({ code: generateTotp(secret) });
+  return { secret, recoveryCodes: enable.body.recoveryCodes };
+};
+
+let user, cookie;
+
+beforeEach(async () => {
+  user = await createUser();
+  cookie = await createAuthCookie(user);
+});
+
+describe("POST /api/auth/signup", () => {
+  it("creates the user, logs them in and emails a verification link", async () => {
+    const res = await signup();
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ email: "ada@example.com", emailVerified: false });
+    expect(res.body.password).toBeUndefined();
+    expect(cookieNames(res)).toEqual(expect.arrayContaining(["jwt", "refreshToken"]));
+
+    // the email goes out after the response
+    await vi.waitFor(() =>
+      expect(findEmailLink("ada@example.com", "/verify-email")).not.toBeNull()
+    );
+  });
+
+  it("rejects duplicate emails, short passwords and missing fields", async () => {
+    expect((await signup({ email: user.email })).status).toBe(400);
+    expect((await signup({ password: "123" })).status).toBe(400);
+    expect((await signup({ fullName: "" })).status).toBe(400);
+    expect((await signup({ email: "not-an-email" })).status).toBe(400);
+  });
+
+  it("is rate limited by Arcjet", async () => {
+    aj.protect.mockResolvedValueOnce(deniedDecision("rateLimit"));
+
+    const res = await signup();
+
+    expect(res.status).toBe(429);
+    expect(await User.exists({ email: "ada@example.com" })).toBeNull();
+  });
+
+  it("turns away bots", async () => {
+    aj.protect.mockResolvedValueOnce(deniedDecision("bot"));
+
+    expect((await signup()).status).toBe(403);
+  });
+});
+
+describe("POST /api/auth/verify-email", () => {
+  it("verifies the address with the emailed token and sends the welcome email", async () => {
+    await signup();
+    await vi.waitFor(() =>
+      expect(findEmailLink("ada@example.com", "/verify-email")).not.toBeNull()
+    );
+    const token = findEmailLink("ada@example.com", "/verify-email").searchParams.get("token");
+
+    const res = await request(app).post("/api/auth/verify-email").send({ token });
+
+    expect(res.status).toBe(200);
+    expect((await User.findOne({ email: "ada@example.com" })).emailVerified).toBe(true);
+    await vi.waitFor(() =>
+      expect(sentEmails.some((email) => email.subject === "Welcome to Chatify!")).toBe(true)
+    );
+
+    // single use
+    const again = await request(app).post("/api/auth/verify-email").send({ token });
+    expect(again.status).toBe(400);
+  });
+
+  it("rejects unknown and missing tokens", async () => {
+    expect(
+      (await request(app).post("/api/auth/verify-email").send({ token: "abc123" })).status
+    ).toBe(400);
+    expect((await request(app).post("/api/auth/verify-email").send({})).status).toBe(400);
+  });
+});
+
+describe("POST /api/auth/resend-verification", () => {
+  it("emails a new link to unverified users", async () => {
+    const unverified = await createUser({ emailVerified: false });
+
+    const res = await request(app)
+      .post("/api/auth/resend-verification")
+      .set("Cookie", await createAuthCookie(unverified));
+
+    expect(res.status).toBe(200);
+    expect(findEmailLink(unverified.email, "/verify-email")).not.toBeNull();
+  });
+
+  it("waits a minute between emails", async () => {
+    const unverified = await createUser({ emailVerified: false });
+    const unverifiedCookie = await createAuthCookie(unverified);
+    const resend = () =>
+      request(app).post("/api/auth/resend-verification").set("Cookie", unverifiedCookie);
+
+    expect((await resend()).status).toBe(200);
+    const tooSoon = await resend();
+    expect(tooSoon.status).toBe(429);
+    expect(tooSoon.body.message).toMatch(/wait \d+ seconds/);
+    expect(sentEmails).toHaveLength(1);
+
+    // as if the last email went out two minutes ago
+    const { emailVerificationExpiresAt } = await User.findById(unverified._id);
+    await User.updateOne(
+      { _id: unverified._id },
+      { emailVerificationExpiresAt: new Date(emailVerificationExpiresAt - 2 * 60 * 1000) }
+    );
+    expect((await resend()).status).toBe(200);
+    expect(sentEmails).toHaveLength(2);
+  });
+
+  it("refuses when the email is already verified", async () => {
+    const res = await request(app).post("/api/auth/resend-verification").set("Cookie", cookie);
+
+    expect(res.status).toBe(400);
+    expect(sentEmails).toHaveLength(0);
+  });
+
+  it("requires a login", async () => {
+    expect((await request(app).post("/api/auth/resend-verification")).status).toBe(401);
+  });
+});
+
+describe("POST /api/auth/login", () => {
+  it("starts a session for valid credentials", async () => {
+    const res = await login(user.email);
+
+    expect(res.status).toBe(200);
+    expect(res.body._id).toBe(user._id.toString());
+    expect(cookieNames(res)).toEqual(expect.arrayContaining(["jwt", "refreshToken"]));
+    expect(await Session.countDocuments({ userId: user._id })).toBe(2);
+  });
+
+  it("rejects wrong passwords and unknown emails alike", async () => {
+    const wrongPassword = await login(user.email, "wrong-password");
+    const unknownEmail = await login("nobody@example.com");
+
+    expect(wrongPassword.status).toBe(400);
+    expect(unknownEmail.status).toBe(400);
+    expect(wrongPassword.body.message).toBe(unknownEmail.body.message);
+  });
+
+  it("refuses suspended accounts", async () => {
+    await User.updateOne({ _id: user._id }, { suspendedAt: new Date() });
+
+    expect((await login(user.email)).status).toBe(403);
+  });
+
+  it("asks for a second factor instead of logging in when 2FA is on", async () => {
+    await enableTwoFactor(cookie);
+
+    const res = await login(user.email);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ twoFactorRequired: true, twoFactorToken: expect.any(String) });
+    expect(cookieNames(res)).not.toContain("jwt");
+  });
+});
+
+describe("POST /api/auth/login/2fa", () => {
+  let secret, recoveryCodes, twoFactorToken;
+
+  beforeEach(async () => {
+    ({ secret, recoveryCodes } = await enableTwoFactor(cookie));
+    twoFactorToken = (await login(user.email)).body.twoFactorToken;
+  });
+
+  const verify = (code) => request(app).post("/api/auth/login/2fa").send({ twoFactorToken, code });
+
+  it("logs in with the authenticator code", async () => {
+    // the step used to enable 2FA can't be replayed, so use the next one
+    const res = await verify(generateTotp(secret, { stepOffset: 1 }));
+
+    expect(res.status).toBe(200);
+    expect(res.body._id).toBe(user._id.toString());
+    expect(cookieNames(res)).toEqual(expect.arrayContaining(["jwt", "refreshToken"]));
+  });
+
+  it("doesn't accept the same code twice", async () => {
+    const code = generateTotp(secret, { stepOffset: 1 });
+    expect((await verify(code)).status).toBe(200);
+
+    twoFactorToken = (await login(user.email)).body.twoFactorToken;
+    expect((await verify(code)).status).toBe(400);
+  });
+
+  it("accepts each recovery code once", async () => {
+    expect((await verify(recoveryCodes[0])).status).toBe(200);
+
+    twoFactorToken = (await login(user.email)).body.twoFactorToken;
+    expect((await verify(recoveryCodes[0])).status).toBe(400);
+  });
+
+  it("uses up the challenge once it logs in", async () => {
+    expect((await verify(recoveryCodes[0])).status).toBe(200);
+
+    expect((await verify(recoveryCodes[1])).status).toBe(401);
+  });
+
+  it("only honours the newest challenge", async () => {
+    const first = twoFactorToken;
+    await login(user.email);
+
+    twoFactorToken = first;
+    expect((await verify(recoveryCodes[0])).status).toBe(401);
+  });
+
+  it("gives up on a challenge after 5 wrong codes", async () => {
+    for (let attempt = 1; attempt < 5; attempt++) {
+      expect((await verify("000000")).status).toBe(400);
+    }
+    expect((await verify("000000")).status).toBe(401);
+
+    expect((await verify(generateTotp(secret, { stepOffset: 1 }))).status).toBe(401);
+  });
+
+  it("locks two-factor login for a while after repeated wrong codes", async () => {
+    for (let attempt = 0; attempt < 5; attempt++) await verify("000000");
+
+    const res = await login(user.email);
+    expect(res.status).toBe(429);
+    expect(res.body.message).toMatch(/try again in 1 minute/i);
+
+    await User.updateOne({ _id: user._id }, { twoFactorLockedUntil: new Date(Date.now() - 1000) });
+    twoFactorToken = (await login(user.email)).body.twoFactorToken;
+    expect((await verify(generateTotp(secret, { stepOffset: 1 }))).status).toBe(200);
+    expect(
+      (await User.findById(user._id).select("+twoFactorFailedAttempts")).twoFactorFailedAttempts
+    ).toBe(0);
+  });
+
+  it("rejects wrong codes and tampered tokens", async () => {
+    expect((await verify("000000")).status).toBe(400);
+
+    const res = await request(app)
+      .post("/api/auth/login/2fa")
+      .send({ twoFactorToken: "not-a-token", code: generateTotp(secret, { stepOffset: 1 }) });
+    expect(res.status).toBe(401);
+  });
+});
+
+describe("two-factor setup", () => {
+  it("POST /2fa/setup returns a secret and QR code without enabling 2FA yet", async () => {
+    const res = await request(app).post("/api/auth/2fa/setup").set("Cookie", cookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      secret: expect.any(String),
+      qrCode: expect.stringMatching(/^data:image/),
+    });
+    expect((await User.findById(user._id)).twoFactorEnabled).toBe(false);
+  });
+
+  it("POST /2fa/enable needs a valid code and returns recovery codes", async () => {
+    const setup = await request(app).post("/api/auth/2fa/setup").set("Cookie", cookie);
+
+    const wrong = await request(app)
+      .post("/api/auth/2fa/enable")
+      .set("Cookie", cookie)
+      .send({ code: "000000" });
+    expect(wrong.status).toBe(400);
+
+    const res = await request(app)
+      .post("/api/auth/2fa/enable")
+      .set("Cookie", cookie)
+      .send({ code: generateTotp(setup.body.secret) });
+
+    expect(res.status).toBe(200);
+    expect(res.body.recoveryCodes).toHaveLength(10);
+    expect((await User.findById(user._id)).twoFactorEnabled).toBe(true);
+  });
+
+  it("POST /2fa/enable refuses before setup has started", async () => {
+    const res = await request(app)
+      .post("/api/auth/2fa/enable")
+      .set("Cookie", cookie)
+      .send({ code: "123456" });
+
+    expect(res.status).toBe(400);
+  });
+
+  it("POST /2fa/disable requires the current password", async () => {
+    await enableTwoFactor(cookie);
+
+    const wrong = await request(app)
+      .post("/api/auth/2fa/disable")
+      .set("Cookie", cookie)
+      .send({ password: "wrong-password" });
+    expect(wrong.status).toBe(400);
+
+    const res = await request(app)
+      .post("/api/auth/2fa/disable")
+      .set("Cookie", cookie)
+      .send({ password: TEST_PASSWORD });
+
+    expect(res.status).toBe(200);
+    expect((await User.findById(user._id)).twoFactorEnabled).toBe(false);
+    expect((await login(user.email)).body.twoFactorRequired).toBeUndefined();
+  });
+});
+
+describe("POST /api/auth/logout", () => {
+  it("revokes the session and clears the cookies", async () => {
+    const loggedIn = await login(user.email);
+    const cookies = authCookies(loggedIn);
+
+    const res = await request(app).post("/api/auth/logout").set("Cookie", cookies);
+
+    expect(res.status).toBe(200);
+    expect(cookieNames(res)).toEqual([]);
+    expect((await request(app).get("/api/auth/check").set("Cookie", cookies)).status).toBe(401);
+  });
+
+  it("succeeds even without a session", async () => {
+    expect((await request(app).post("/api/auth/logout")).status).toBe(200);
+  });
+});
+
+describe("POST /api/auth/refresh", () => {
+  it("swaps the refresh token for new cookies", async () => {
+    const loggedIn = await login(user.email);
+
+    const res = await request(app).post("/api/auth/refresh").set("Cookie", authCookies(loggedIn));
+
+    expect(res.status).toBe(200);
+    expect(cookieNames(res)).toEqual(expect.arrayContaining(["jwt", "refreshToken"]));
+    expect(authCookies(res)).not.toBe(authCookies(loggedIn));
+    expect((await request(app).get("/api/auth/check").set("Cookie", authCookies(res))).status).toBe(
+      200
+    );
+  });
+
+  it("rejects missing, unknown and revoked refresh tokens", async () => {
+    expect((await request(app).post("/api/auth/refresh")).status).toBe(401);
+
+    const unknown = await request(app)
+      .post("/api/auth/refresh")
+      .set("Cookie", "refreshToken=abc123");
+    expect(unknown.status).toBe(401);
+
+    const loggedIn = await login(user.email);
+    await request(app).post("/api/auth/logout").set("Cookie", authCookies(loggedIn));
+    const revoked = await request(app)
+      .post("/api/auth/refresh")
+      .set("Cookie", authCookies(loggedIn));
+    expect(revoked.status).toBe(401);
+  });
+});
+
+describe("password reset", () => {
+  it("POST /forgot-password emails a link only when the account exists", async () => {
+    const known = await request(app).post("/api/auth/forgot-password").send({ email: user.email });
+    const unknown = await request(app)
+      .post("/api/auth/forgot-password")
+      .send({ email: "nobody@example.com" });
+
+    expect(known.status).toBe(200);
+    expect(unknown.status).toBe(200);
+    expect(known.body.message).toBe(unknown.body.message);
+    expect(sentEmails.map((email) => email.to)).toEqual([user.email]);
+  });
+
+  it("POST /reset-password sets the new password and logs out every session", async () => {
+    await request(app).post("/api/auth/forgot-password").send({ email: user.email });
+    const token = findEmailLink(user.email, "/reset-password").searchParams.get("token");
+
+    const res = await request(app)
+      .post("/api/auth/reset-password")
+      .send({ token, password: "new-password" });
+
+    expect(res.status).toBe(200);
+    expect((await request(app).get("/api/auth/check").set("Cookie", cookie)).status).toBe(401);
+    expect((await login(user.email)).status).toBe(400);
+    expect((await login(user.email, "new-password")).status).toBe(200);
+
+    // single use
+    const again = await request(app)
+      .post("/api/auth/reset-password")
+      .send({ token, password: "another-password" });
+    expect(again.status).toBe(400);
+  });
+
+  it("POST /reset-password validates its input", async () => {
+    await request(app).post("/api/auth/forgot-password").send({ email: user.email });
+    const token = findEmailLink(user.email, "/reset-password").searchParams.get("token");
+
+    const short = await request(app)
+      .post("/api/auth/reset-password")
+      .send({ token, password: "123" });
+    const unknown = await request(app)
+      .post("/api/auth/reset-password")
+      .send({ token: "abc123", password: "new-password" });
+
+    expect(short.status).toBe(400);
+    expect(unknown.status).toBe(400);
+  });
+});
+
+describe("PUT /api/auth/update-profile", () => {
+  it("uploads the picture and stores its URL", async () => {
+    const res = await request(app)
+      .put("/api/auth/update-profile")
+      .set("Cookie", cookie)
+      .attach("profilePic", Buffer.from("fake image bytes"), {
+        filename: "avatar.png",
+        contentType: "image/png",
+      });
+
+    expect(res.status).toBe(200);
+    expect(uploadedAssets.size).toBe(1);
+    expect(res.body.profilePic).toMatch(/^https:\/\/res\.cloudinary\.test\//);
+    expect((await User.findById(user._id)).profilePic).toBe(res.body.profilePic);
+  });
+
+  it("requires a picture", async () => {
+    const res = await request(app).put("/api/auth/update-profile").set("Cookie", cookie);
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe("PUT /api/auth/update-privacy", () => {
+  it("updates showLastSeen", async () => {
+    const res = await request(app)
+      .put("/api/auth/update-privacy")
+      .set("Cookie", cookie)
+      .send({ showLastSeen: false });
+
+    expect(res.status).toBe(200);
+    expect(res.body.showLastSeen).toBe(false);
+  });
+
+  it("only accepts booleans", async () => {
+    const res = await request(app)
+      .put("/api/auth/update-privacy")
+      .set("Cookie", cookie)
+      .send({ showLastSeen: "no" });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe("sessions", () => {
+  it("GET /sessions lists the active sessions and flags the current one", async () => {
+    await login(user.email);
+
+    const res = await request(app).get("/api/auth/sessions").set("Cookie", cookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveLength(2);
+    expect(res.body.filter((session) => session.isCurrent)).toHaveLength(1);
+  });
+
+  it("DELETE /sessions/:sessionId logs out that device only", async () => {
+    const other = authCookies(await login(user.email));
+    const sessions = (await request(app).get("/api/auth/sessions").set("Cookie", cookie)).body;
+    const otherSession = sessions.find((session) => !session.isCurrent);
+
+    const res = await request(app)
+      .delete(`/api/auth/sessions/${otherSession._id}`)
+      .set("Cookie", cookie);
+
+    expect(res.status).toBe(200);
+    expect((await request(app).get("/api/auth/check").set("Cookie", other)).status).toBe(401);
+    expect((await request(app).get("/api/auth/check").set("Cookie", cookie)).status).toBe(200);
+  });
+
+  it("DELETE /sessions/:sessionId can't touch another user's sessions", async () => {
+    const stranger = await createUser();
+    await createAuthCookie(stranger);
+    const strangerSession = await Session.findOne({ userId: stranger._id });
+
+    for (const sessionId of [strangerSession._id, new mongoose.Types.ObjectId()]) {
+      const res = await request(app)
+        .delete(`/api/auth/sessions/${sessionId}`)
+        .set("Cookie", cookie);
+      expect(res.status).toBe(404);
+    }
+    const malformed = await request(app)
+      .delete("/api/auth/sessions/not-an-id")
+      .set("Cookie", cookie);
+    expect(malformed.status).toBe(400);
+    expect((await Session.findById(strangerSession._id)).revokedAt).toBeNull();
+  });
+
+  it("DELETE /sessions logs out every other device", async () => {
+    const others = await Promise.all([login(user.email), login(user.email)]);
+
+    const res = await request(app).delete("/api/auth/sessions").set("Cookie", cookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe("Logged out of 2 other devices");
+    for (const other of others) {
+      expect(
+        (await request(app).get("/api/auth/check").set("Cookie", authCookies(other))).status
+      ).toBe(401);
+    }
+    expect((await request(app).get("/api/auth/check").set("Cookie", cookie)).status).toBe(200);
+  });
+});
+
+describe("GET /api/auth/check", () => {
+  it("returns the logged-in user without the password", async () => {
+    const res = await request(app).get("/api/auth/check").set("Cookie", cookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body._id).toBe(user._id.toString());
+    expect(res.body.password).toBeUndefined();
+  });
+
+  it("rejects missing and invalid tokens", async () => {
+    expect((await request(app).get("/api/auth/check")).status).toBe(401);
+    expect((await request(app).get("/api/auth/check").set("Cookie", "jwt=garbage")).status).toBe(
+      401
+    );
+  });
+
+  it("rejects suspended users", async () => {
+    await User.updateOne({ _id: user._id }, { suspendedAt: new Date() });
+
+    expect((await request(app).get("/api/auth/check").set("Cookie", cookie)).status).toBe(403);
+  });
+});
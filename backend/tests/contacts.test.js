@@ -0,0 +1,44 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import request from "supertest";
+import { app } from "../src/app.js";
+import Contact from "../src/models/Contact.js";
+import { useTestDatabase } from "./helpers/db.js";
+import { createUser, createAuthCookie } from "./helpers/factories.js";
+
+useTestDatabase();
+
+let alice, bob, aliceCookie;
+
+beforeEach(async () => {
+  [alice, bob] = await Promise.all([createUser(), createUser()]);
+  aliceCookie = await createAuthCookie(alice);
+});
+
+const sendRequest = (body) =>
+  request(app).post("/api/contacts/requests").set("Cookie", aliceCookie).send(body);
+
+describe("POST /api/contacts/requests", () => {
+  it("sends a request to a user picked from the directory", async () => {
+    const res = await sendRequest({ userId: bob._id.toString() });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ status: "pending", recipientId: { _id: bob._id.toString() } });
+  });
+
+  it("doesn't look people up by email", async () => {
+    const res = await sendRequest({ email: bob.email });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("VALIDATION_ERROR");
+    expect(await Contact.countDocuments()).toBe(0);
+  });
+
+  it("treats suspended accounts as missing", async () => {
+    const suspended = await createUser({ suspendedAt: new Date() });
+
+    const res = await sendRequest({ userId: suspended._id.toString() });
+
+    expect(res.status).toBe(404);
+    expect(await Contact.countDocuments()).toBe(0);
+  });
+});
@@ -0,0 +1,53 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+import request from "supertest";
+import { afterAll, describe, expect, it, vi } from "vitest";
+
+// The local storage driver serves uploads from the app's own origin, so what a client names
+// its file must never decide how it is served back. No database needed.
+
+const uploadsDir = vi.hoisted(() => {
+  const dir = require("path").join(require("os").tmpdir(), `uploads-test-${process.pid}`);
+  process.env.UPLOADS_DIR = dir;
+  return dir;
+});
+
+const { uploadToDisk, setUploadHeaders, UPLOADS_DIR, UPLOADS_ROUTE } =
+  await import("../src/lib/diskStorage.js");
+
+const app = express();
+app.use(UPLOADS_ROUTE, express.static(UPLOADS_DIR, { setHeaders: setUploadHeaders }));
+
+afterAll(() => fs.rmSync(uploadsDir, { recursive: true, force: true }));
+
+const upload = (originalname, mimetype, content = "<script>alert(1)</script>") =>
+  uploadToDisk({ originalname, mimetype, buffer: Buffer.from(content) }, { folder: "test" });
+
+describe("local uploads", () => {
+  it("are stored in the temporary directory", () => {
+    expect(UPLOADS_DIR).toBe(path.resolve(uploadsDir));
+    expect(UPLOADS_DIR.startsWith(os.tmpdir())).toBe(true);
+  });
+
+  it("take their extension from the MIME type, not the filename", async () => {
+    const { publicId } = await upload("x.html", "image/png");
+    expect(publicId).toMatch(/\.png$/);
+
+    const res = await request(app).get(`${UPLOADS_ROUTE}/${publicId}`);
+    expect(res.headers["content-type"]).toBe("image/png");
+    expect(res.headers["x-content-type-options"]).toBe("nosniff");
+    expect(res.headers["content-disposition"]).toBeUndefined();
+  });
+
+  it("are downloaded rather than rendered unless they are media", async () => {
+    const { publicId } = await upload("x.svg", "image/svg+xml");
+    expect(path.extname(publicId)).toBe("");
+
+    const res = await request(app).get(`${UPLOADS_ROUTE}/${publicId}`);
+    expect(res.headers["content-type"]).not.toMatch(/html|svg/);
+    expect(res.headers["x-content-type-options"]).toBe("nosniff");
+    expect(res.headers["content-disposition"]).toBe("attachment");
+  });
+});
@@ -0,0 +1,27 @@
+import { vi } from "vitest";
+
+// Stands in for the Arcjet client from src/lib/arcjet.js. Every request is allowed unless a
+// test queues a denial with aj.protect.mockResolvedValueOnce(deniedDecision("rateLimit")).
+
+const reason = (kind) => ({
+  isRateLimit: () => kind === "rateLimit",
+  isBot: () => kind === "bot",
+});
+
+export const allowedDecision = () => ({
+  isDenied: () => false,
+  reason: reason(null),
+  results: [],
+});
+
+export const deniedDecision = (kind) => ({
+  isDenied: () => true,
+  reason: reason(kind),
+  results: [],
+});
+
+const aj = {
+  protect: vi.fn(async () => allowedDecision()),
+};
+
+export default aj;
@@ -0,0 +1,38 @@
+// Stands in for src/lib/cloudinary.js: uploads are kept in memory and get fake CDN URLs
+
+export const uploadedAssets = new Map(); // publicId -> { resourceType, folder, size, createdAt }
+
+let uploadCount = 0;
+
+export const isCloudinaryConfigured = true;
+
+export const uploadToCloudinary = async (file, resourceType = "auto", options = {}) => {
+  if (!file || !file.buffer) throw new Error("Invalid file: no buffer found");
+
+  uploadCount += 1;
+  const folder = options.folder || "chat-app";
+  const publicId = `${folder}/test-upload-${uploadCount}`;
+  const storedType = resourceType === "auto" ? "image" : resourceType;
+  uploadedAssets.set(publicId, {
+    resourceType: storedType,
+    folder,
+    size: file.buffer.length,
+    createdAt: new Date(),
+  });
+
+  return {
+    public_id: publicId,
+    secure_url: `https://res.cloudinary.test/${storedType}/upload/${publicId}`,
+  };
+};
+
+export const deleteFromCloudinary = async (publicId) => {
+  uploadedAssets.delete(publicId);
+};
+
+export const listCloudinaryAssets = async (prefix) =>
+  [...uploadedAssets.entries()]
+    .filter(([publicId]) => publicId.startsWith(prefix))
+    .map(([publicId, { resourceType, createdAt }]) => ({ publicId, resourceType, createdAt }));
+
+export default {};
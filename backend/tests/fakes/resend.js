@@ -0,0 +1,24 @@
+// Stands in for src/lib/resend.js: emails are recorded in memory instead of being sent
+
+export const sentEmails = [];
+
+export const resendClient = {
+  emails: {
+    send: async (email) => {
+      sentEmails.push(email);
+      return { data: { id: `test-email-${sentEmails.length}` }, error: null };
+    },
+  },
+};
+
+export const sender = {
+  email: "noreply@example.com",
+  name: "Chatify Tests",
+};
+
+// The first link to `path` (e.g. "/verify-email") in the latest email sent to `to`
+export const findEmailLink = (to, path) => {
+  const email = sentEmails.findLast((sent) => sent.to === to);
+  const match = email?.html.match(new RegExp(`https?://[^"'\\s<]*${path}\\?token=[a-f0-9]+`));
+  return match ? new URL(match[0]) : null;
+};
@@ -0,0 +1,79 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import request from "supertest";
+import { app } from "../src/app.js";
+import Group from "../src/models/Group.js";
+import User from "../src/models/User.js";
+import { ENV } from "../src/lib/env.js";
+import { useTestDatabase } from "./helpers/db.js";
+import { createUser, createAuthCookie, createGroup, createContact } from "./helpers/factories.js";
+
+useTestDatabase();
+
+// Groups must not be a way around the direct-message rules: blocks always apply, and with
+// CONTACTS_ONLY_MESSAGING only the caller's contacts can be added
+
+let alice, bob, carol, aliceCookie;
+
+beforeEach(async () => {
+  [alice, bob, carol] = await Promise.all([createUser(), createUser(), createUser()]);
+  aliceCookie = await createAuthCookie(alice);
+});
+
+afterEach(() => {
+  ENV.CONTACTS_ONLY_MESSAGING = false;
+});
+
+const create = (memberIds) =>
+  request(app)
+    .post("/api/groups")
+    .set("Cookie", aliceCookie)
+    .send({ name: "Plans", memberIds: memberIds.map(String) });
+
+const addMembers = (group, memberIds) =>
+  request(app)
+    .post(`/api/groups/${group._id}/members`)
+    .set("Cookie", aliceCookie)
+    .send({ memberIds: memberIds.map(String) });
+
+const memberIdsOf = (group) => group.members.map((member) => member.userId._id ?? member.userId);
+
+describe("adding group members", () => {
+  it("refuses anyone who blocked the caller, when creating a group", async () => {
+    await User.updateOne({ _id: bob._id }, { $push: { blockedUsers: alice._id } });
+
+    const res = await create([bob._id, carol._id]);
+
+    expect(res.status).toBe(403);
+    expect(await Group.countDocuments()).toBe(0);
+  });
+
+  it("refuses anyone the caller blocked, when adding to a group", async () => {
+    const group = await createGroup(alice, [carol]);
+    await User.updateOne({ _id: alice._id }, { $push: { blockedUsers: bob._id } });
+
+    const res = await addMembers(group, [bob._id]);
+
+    expect(res.status).toBe(403);
+    expect((await Group.findById(group._id)).isMember(bob._id)).toBe(false);
+  });
+
+  it("only takes the caller's contacts when messaging is contacts-only", async () => {
+    ENV.CONTACTS_ONLY_MESSAGING = true;
+    await createContact(alice, bob);
+
+    const created = await create([bob._id, carol._id]);
+    expect(created.status).toBe(201);
+    expect(memberIdsOf(created.body).sort()).toEqual([alice._id, bob._id].map(String).sort());
+
+    const added = await addMembers(created.body, [carol._id]);
+    expect(added.status).toBe(400);
+    expect((await Group.findById(created.body._id)).isMember(carol._id)).toBe(false);
+  });
+
+  it("takes anyone without contacts-only messaging", async () => {
+    const res = await create([bob._id, carol._id]);
+
+    expect(res.status).toBe(201);
+    expect(res.body.members).toHaveLength(3);
+  });
+});
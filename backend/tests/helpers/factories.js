@@ -0,0 +1,76 @@
+import bcrypt from "bcryptjs";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import User from "../../src/models/User.js";
+import Session from "../../src/models/Session.js";
+import Message from "../../src/models/Message.js";
+import Group from "../../src/models/Group.js";
+import Contact from "../../src/models/Contact.js";
+import { ENV } from "../../src/lib/env.js";
+import { ACCESS_TOKEN_TTL, REFRESH_TOKEN_TTL_MS, hashToken } from "../../src/lib/utils.js";
+
+export const TEST_PASSWORD = "password123";
+
+let userCount = 0;
+
+export const createUser = async (overrides = {}) => {
+  userCount += 1;
+  return User.create({
+    fullName: `Test User ${userCount}`,
+    email: `user${userCount}@example.com`,
+    password: await bcrypt.hash(overrides.password || TEST_PASSWORD, 4),
+    emailVerified: true,
+    ...overrides,
+  });
+};
+
+// Logs the user in without going through /api/auth: a session row plus a signed access token,
+// returned as a Cookie header value for supertest (or the socket handshake)
+export const createAuthCookie = async (user) => {
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(crypto.randomBytes(32).toString("hex")),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+  const token = jwt.sign({ userId: user._id, sessionId: session._id }, ENV.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+  return `jwt=${token}`;
+};
+
+export const createDirectMessage = (sender, receiver, overrides = {}) =>
+  Message.create({
+    senderId: sender._id,
+    receiverId: receiver._id,
+    text: "hello",
+    deliveredTo: [{ userId: sender._id }],
+    ...overrides,
+  });
+
+export const createGroup = (admin, members = [], overrides = {}) =>
+  Group.create({
+    name: "Test group",
+    createdBy: admin._id,
+    members: [
+      { userId: admin._id, role: "admin" },
+      ...members.map((member) => ({ userId: member._id, role: "member" })),
+    ],
+    ...overrides,
+  });
+
+export const createGroupMessage = (sender, group, overrides = {}) =>
+  Message.create({
+    senderId: sender._id,
+    groupId: group._id,
+    text: "hello group",
+    deliveredTo: [{ userId: sender._id }],
+    ...overrides,
+  });
+
+export const createContact = (requester, recipient) =>
+  Contact.create({
+    requesterId: requester._id,
+    recipientId: recipient._id,
+    status: "accepted",
+    acceptedAt: new Date(),
+  });
@@ -0,0 +1,76 @@
+import { afterAll, afterEach, beforeAll } from "vitest";
+import { io as connect } from "socket.io-client";
+import { server } from "../../src/app.js";
+
+// Starts the shared HTTP + Socket.IO server on a free port for the calling test file and
+// returns a function that opens authenticated clients, all closed again after each test
+export const useSocketServer = () => {
+  let url;
+  const clients = [];
+
+  beforeAll(async () => {
+    await new Promise((resolve) => server.listen(0, resolve));
+    url = `http://localhost:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    clients.splice(0).forEach((client) => client.disconnect());
+    // let the server run its disconnect handlers before the database is emptied
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  return async (cookie) => {
+    const client = connect(url, {
+      transports: ["websocket"],
+      extraHeaders: { cookie },
+      reconnection: false,
+    });
+    clients.push(client);
+
+    await new Promise((resolve, reject) => {
+      client.once("connect", resolve);
+      client.once("connect_error", reject);
+    });
+    return client;
+  };
+};
+
+// Resolves with the payload of the next `event` that passes `predicate`
+export const waitForEvent = (client, event, predicate = () => true, timeout = 2000) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      client.off(event, handler);
+      reject(new Error(`Timed out waiting for "${event}"`));
+    }, timeout);
+
+    function handler(payload) {
+      if (!predicate(payload)) return;
+      clearTimeout(timer);
+      client.off(event, handler);
+      resolve(payload);
+    }
+
+    client.on(event, handler);
+  });
+
+// Resolves if `event` is NOT emitted within `wait` ms
+export const expectNoEvent = (client, event, wait = 300) =>
+  new Promise((resolve, reject) => {
+    const handler = (payload) => {
+      clearTimeout(timer);
+      reject(new Error(`Unexpected "${event}": ${JSON.stringify(payload)}`));
+    };
+    const timer = setTimeout(() => {
+      client.off(event, handler);
+      resolve();
+    }, wait);
+    client.on(event, handler);
+  });
+
+// Gives events already on the wire (e.g. the presence broadcasts from connecting) time to arrive,
+// so a following expectNoEvent only sees what the test triggers next
+export const settle = (wait = 100) => new Promise((resolve) => setTimeout(resolve, wait));
@@ -0,0 +1,294 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import request from "supertest";
+import mongoose from "mongoose";
+import { app } from "../src/app.js";
+import Message from "../src/models/Message.js";
+import { useTestDatabase } from "./helpers/db.js";
+import {
+  createUser,
+  createAuthCookie,
+  createDirectMessage,
+  createGroup,
+  createGroupMessage,
+} from "./helpers/factories.js";
+
+useTestDatabase();
+
+// Alice and Bob share a direct conversation and a group; Mallory is in neither
+let alice, bob, mallory;
+let aliceCookie, bobCookie, malloryCookie;
+let directMessage, group, groupMessage;
+
+beforeEach(async () => {
+  [alice, bob, mallory] = await Promise.all([createUser(), createUser(), createUser()]);
+  [aliceCookie, bobCookie, malloryCookie] = await Promise.all(
+    [alice, bob, mallory].map(createAuthCookie)
+  );
+
+  directMessage = await createDirectMessage(alice, bob, { text: "secret plans" });
+  group = await createGroup(alice, [bob]);
+  groupMessage = await createGroupMessage(alice, group, { text: "secret group plans" });
+});
+
+const missingId = () => new mongoose.Types.ObjectId().toString();
+
+describe("message routes reject outsiders", () => {
+  it("GET /contacts doesn't list people the caller has no contact with", async () => {
+    const res = await request(app).get("/api/messages/contacts").set("Cookie", malloryCookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual([]);
+  });
+
+  it("GET /chats only lists the caller's own conversations", async () => {
+    const res = await request(app).get("/api/messages/chats").set("Cookie", malloryCookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual([]);
+  });
+
+  it("GET /search doesn't return messages from other conversations", async () => {
+    await Message.init(); // the text index must exist before $text queries
+    const res = await request(app)
+      .get("/api/messages/search")
+      .query({ q: "secret" })
+      .set("Cookie", malloryCookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body.results).toEqual([]);
+  });
+
+  it("GET /sync doesn't return changes from other conversations", async () => {
+    const res = await request(app)
+      .get("/api/messages/sync")
+      .query({ since: new Date(0).toISOString() })
+      .set("Cookie", malloryCookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body.messages).toEqual([]);
+  });
+
+  it("GET /group/:groupId is forbidden to non-members", async () => {
+    const res = await request(app)
+      .get(`/api/messages/group/${group._id}`)
+      .set("Cookie", malloryCookie);
+
+    expect(res.status).toBe(403);
+    expect(res.body.messages).toBeUndefined();
+  });
+
+  it("GET /group/:groupId returns 404 for unknown ids and 400 for malformed ones", async () => {
+    const unknown = await request(app)
+      .get(`/api/messages/group/${missingId()}`)
+      .set("Cookie", aliceCookie);
+    expect(unknown.status).toBe(404);
+
+    const malformed = await request(app)
+      .get("/api/messages/group/not-an-id")
+      .set("Cookie", aliceCookie);
+    expect(malformed.status).toBe(400);
+  });
+
+  it("POST /group/send/:groupId is forbidden to non-members", async () => {
+    const res = await request(app)
+      .post(`/api/messages/group/send/${group._id}`)
+      .set("Cookie", malloryCookie)
+      .field("text", "let me in");
+
+    expect(res.status).toBe(403);
+    expect(await Message.countDocuments({ groupId: group._id })).toBe(1);
+  });
+
+  it("GET /:id never includes another pair's messages", async () => {
+    const res = await request(app).get(`/api/messages/${alice._id}`).set("Cookie", malloryCookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body.messages).toEqual([]);
+  });
+
+  it("GET /:id returns 404 for unknown user ids and 400 for malformed ones", async () => {
+    const unknown = await request(app)
+      .get(`/api/messages/${missingId()}`)
+      .set("Cookie", aliceCookie);
+    expect(unknown.status).toBe(404);
+
+    const malformed = await request(app).get("/api/messages/not-an-id").set("Cookie", aliceCookie);
+    expect(malformed.status).toBe(400);
+  });
+
+  it("POST /send/:id returns 404 for unknown users", async () => {
+    const res = await request(app)
+      .post(`/api/messages/send/${missingId()}`)
+      .set("Cookie", aliceCookie)
+      .field("text", "anyone there?");
+
+    expect(res.status).toBe(404);
+  });
+
+  it("PUT /read/:messageId returns 404 and records nothing", async () => {
+    const res = await request(app)
+      .put(`/api/messages/read/${directMessage._id}`)
+      .set("Cookie", malloryCookie);
+
+    expect(res.status).toBe(404);
+    const message = await Message.findById(directMessage._id);
+    expect(message.readBy).toHaveLength(0);
+  });
+
+  it("POST /reaction/:messageId returns 404 and adds no reaction", async () => {
+    for (const message of [directMessage, groupMessage]) {
+      const res = await request(app)
+        .post(`/api/messages/reaction/${message._id}`)
+        .set("Cookie", malloryCookie)
+        .send({ emoji: "👀" });
+
+      expect(res.status).toBe(404);
+      expect((await Message.findById(message._id)).reactions).toHaveLength(0);
+    }
+  });
+
+  it("DELETE /reaction/:messageId returns 404 and leaves reactions alone", async () => {
+    await Message.updateOne(
+      { _id: directMessage._id },
+      { $push: { reactions: { userId: bob._id, emoji: "❤️" } } }
+    );
+
+    const res = await request(app)
+      .delete(`/api/messages/reaction/${directMessage._id}`)
+      .set("Cookie", malloryCookie);
+
+    expect(res.status).toBe(404);
+    expect((await Message.findById(directMessage._id)).reactions).toHaveLength(1);
+  });
+
+  it("PUT /edit/:messageId returns 404 and leaves the text unchanged", async () => {
+    const res = await request(app)
+      .put(`/api/messages/edit/${directMessage._id}`)
+      .set("Cookie", malloryCookie)
+      .send({ text: "hacked" });
+
+    expect(res.status).toBe(404);
+    expect((await Message.findById(directMessage._id)).text).toBe("secret plans");
+  });
+
+  it("DELETE /delete/:messageId returns 404 for both delete modes", async () => {
+    for (const deleteForEveryone of [false, true]) {
+      const res = await request(app)
+        .delete(`/api/messages/delete/${directMessage._id}`)
+        .set("Cookie", malloryCookie)
+        .send({ deleteForEveryone });
+
+      expect(res.status).toBe(404);
+    }
+
+    const message = await Message.findById(directMessage._id);
+    expect(message.deletedForEveryone).toBe(false);
+    expect(message.deletedForMe).toHaveLength(0);
+  });
+
+  it("message routes reject malformed message ids before looking anything up", async () => {
+    const res = await request(app).put("/api/messages/read/not-an-id").set("Cookie", aliceCookie);
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("VALIDATION_ERROR");
+  });
+
+  it("group messages are off limits to members who have left", async () => {
+    await group.updateOne({ $pull: { members: { userId: bob._id } } });
+
+    const res = await request(app)
+      .post(`/api/messages/reaction/${groupMessage._id}`)
+      .set("Cookie", bobCookie)
+      .send({ emoji: "👋" });
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe("replies stay within their conversation", () => {
+  it("rejects replying to a message from someone else's conversation", async () => {
+    const res = await request(app)
+      .post(`/api/messages/send/${alice._id}`)
+      .set("Cookie", malloryCookie)
+      .field("text", "quoting you")
+      .field("replyTo", directMessage._id.toString());
+
+    expect(res.status).toBe(404);
+    expect(await Message.countDocuments({ senderId: mallory._id })).toBe(0);
+  });
+
+  it("rejects replying in a group to a message from a direct conversation", async () => {
+    const res = await request(app)
+      .post(`/api/messages/group/send/${group._id}`)
+      .set("Cookie", bobCookie)
+      .field("text", "quoting a DM")
+      .field("replyTo", directMessage._id.toString());
+
+    expect(res.status).toBe(404);
+  });
+
+  it("rejects replying to a message from another group", async () => {
+    const otherGroup = await createGroup(mallory, [bob]);
+    const otherGroupMessage = await createGroupMessage(mallory, otherGroup);
+
+    const res = await request(app)
+      .post(`/api/messages/group/send/${group._id}`)
+      .set("Cookie", bobCookie)
+      .field("text", "cross-posting")
+      .field("replyTo", otherGroupMessage._id.toString());
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe("participants keep their access", () => {
+  it("the receiver can read, react to and reply to a direct message", async () => {
+    const read = await request(app)
+      .put(`/api/messages/read/${directMessage._id}`)
+      .set("Cookie", bobCookie);
+    expect(read.status).toBe(200);
+
+    const reaction = await request(app)
+      .post(`/api/messages/reaction/${directMessage._id}`)
+      .set("Cookie", bobCookie)
+      .send({ emoji: "👍" });
+    expect(reaction.status).toBe(200);
+
+    const reply = await request(app)
+      .post(`/api/messages/send/${alice._id}`)
+      .set("Cookie", bobCookie)
+      .field("text", "sounds good")
+      .field("replyTo", directMessage._id.toString());
+    expect(reply.status).toBe(201);
+    expect(reply.body.replyTo._id).toBe(directMessage._id.toString());
+  });
+
+  it("the receiver still can't edit someone else's message", async () => {
+    const res = await request(app)
+      .put(`/api/messages/edit/${directMessage._id}`)
+      .set("Cookie", bobCookie)
+      .send({ text: "edited" });
+
+    expect(res.status).toBe(403);
+  });
+
+  it("group members can load, read and reply within their group", async () => {
+    const page = await request(app)
+      .get(`/api/messages/group/${group._id}`)
+      .set("Cookie", bobCookie);
+    expect(page.status).toBe(200);
+    expect(page.body.messages).toHaveLength(1);
+
+    const read = await request(app)
+      .put(`/api/messages/read/${groupMessage._id}`)
+      .set("Cookie", bobCookie);
+    expect(read.status).toBe(200);
+
+    const reply = await request(app)
+      .post(`/api/messages/group/send/${group._id}`)
+      .set("Cookie", bobCookie)
+      .field("text", "on it")
+      .field("replyTo", groupMessage._id.toString());
+    expect(reply.status).toBe(201);
+  });
+});
@@ -0,0 +1,415 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import request from "supertest";
+import { app } from "../src/app.js";
+import Message from "../src/models/Message.js";
+import User from "../src/models/User.js";
+import aj from "../src/lib/arcjet.js";
+import { deniedDecision } from "./fakes/arcjet.js";
+import { uploadedAssets } from "./fakes/cloudinary.js";
+import { useTestDatabase } from "./helpers/db.js";
+import {
+  createUser,
+  createAuthCookie,
+  createContact,
+  createDirectMessage,
+  createGroup,
+  createGroupMessage,
+} from "./helpers/factories.js";
+
+useTestDatabase();
+
+// Happy paths for every route in message.route.js; who may and may not reach each route is
+// covered in messageAuthorization.test.js
+
+let alice, bob, carol;
+let aliceCookie, bobCookie;
+
+beforeEach(async () => {
+  [alice, bob, carol] = await Promise.all([
+    createUser({ fullName: "Alice" }),
+    createUser({ fullName: "Bob" }),
+    createUser({ fullName: "Carol" }),
+  ]);
+  [aliceCookie, bobCookie] = await Promise.all([alice, bob].map(createAuthCookie));
+});
+
+describe("GET /api/messages/contacts", () => {
+  it("lists accepted contacts by name, minus blocked users", async () => {
+    await createContact(alice, carol);
+    await createContact(bob, alice);
+    await createContact(alice, await createUser({ fullName: "Dave" }));
+    await User.updateOne({ fullName: "Dave" }, { $push: { blockedUsers: alice._id } });
+
+    const res = await request(app).get("/api/messages/contacts").set("Cookie", aliceCookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body.map((user) => user.fullName)).toEqual(["Bob", "Carol"]);
+    expect(res.body[0].password).toBeUndefined();
+  });
+
+  it("is behind Arcjet and the login", async () => {
+    aj.protect.mockResolvedValueOnce(deniedDecision("rateLimit"));
+    expect(
+      (await request(app).get("/api/messages/contacts").set("Cookie", aliceCookie)).status
+    ).toBe(429);
+
+    expect((await request(app).get("/api/messages/contacts")).status).toBe(401);
+  });
+});
+
+describe("GET /api/messages/chats", () => {
+  it("summarises each direct conversation, most recent first", async () => {
+    await createDirectMessage(alice, carol, {
+      text: "older",
+      createdAt: new Date(Date.now() - 60000),
+    });
+    await createDirectMessage(bob, alice, { text: "newer" });
+
+    const res = await request(app).get("/api/messages/chats").set("Cookie", aliceCookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body.map((user) => user.fullName)).toEqual(["Bob", "Carol"]);
+    expect(res.body[0]).toMatchObject({ unreadCount: 1, lastMessage: { text: "newer" } });
+    expect(res.body[1].unreadCount).toBe(0);
+  });
+});
+
+describe("GET /api/messages/search", () => {
+  beforeEach(() => Message.init()); // the text index must exist before $text queries
+
+  it("groups matching messages by conversation", async () => {
+    await createDirectMessage(alice, bob, { text: "lunch on friday?" });
+    const group = await createGroup(alice, [carol], { name: "Team" });
+    await createGroupMessage(carol, group, { text: "friday release" });
+    await createDirectMessage(alice, bob, { text: "unrelated" });
+
+    const res = await request(app)
+      .get("/api/messages/search")
+      .query({ q: "friday" })
+      .set("Cookie", aliceCookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body.results).toHaveLength(2);
+    expect(
+      res.body.results
+        .map((result) => result.conversation.name || result.conversation.fullName)
+        .sort()
+    ).toEqual(["Bob", "Team"]);
+  });
+
+  it("requires a query", async () => {
+    const res = await request(app).get("/api/messages/search").set("Cookie", aliceCookie);
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe("GET /api/messages/sync", () => {
+  it("returns only a serverTime without ?since", async () => {
+    const res = await request(app).get("/api/messages/sync").set("Cookie", aliceCookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      messages: [],
+      hasMore: false,
+      serverTime: expect.any(String),
+    });
+  });
+
+  it("returns messages changed since the last sync and marks them delivered", async () => {
+    const { serverTime } = (await request(app).get("/api/messages/sync").set("Cookie", bobCookie))
+      .body;
+    const message = await createDirectMessage(alice, bob);
+
+    const res = await request(app)
+      .get("/api/messages/sync")
+      .query({ since: serverTime })
+      .set("Cookie", bobCookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body.messages.map((m) => m._id)).toEqual([message._id.toString()]);
+    const delivered = await Message.findById(message._id);
+    expect(delivered.deliveredTo.map((d) => d.userId.toString())).toContain(bob._id.toString());
+  });
+
+  it("doesn't return messages again just because the last sync delivered them", async () => {
+    const { serverTime: start } = (
+      await request(app).get("/api/messages/sync").set("Cookie", bobCookie)
+    ).body;
+    await createDirectMessage(alice, bob);
+
+    const first = await request(app)
+      .get("/api/messages/sync")
+      .query({ since: start })
+      .set("Cookie", bobCookie);
+    expect(first.body.messages).toHaveLength(1);
+
+    const next = await request(app)
+      .get("/api/messages/sync")
+      .query({ since: first.body.serverTime })
+      .set("Cookie", bobCookie);
+    expect(next.body.messages).toEqual([]);
+  });
+
+  it("rejects invalid timestamps", async () => {
+    const res = await request(app)
+      .get("/api/messages/sync")
+      .query({ since: "yesterday-ish" })
+      .set("Cookie", aliceCookie);
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe("GET /api/messages/:id", () => {
+  it("pages through the conversation oldest-first", async () => {
+    for (let i = 0; i < 3; i++) {
+      await createDirectMessage(i % 2 ? bob : alice, i % 2 ? alice : bob, { text: `message ${i}` });
+    }
+
+    const first = await request(app)
+      .get(`/api/messages/${bob._id}`)
+      .query({ limit: 2 })
+      .set("Cookie", aliceCookie);
+
+    expect(first.status).toBe(200);
+    expect(first.body.messages.map((m) => m.text)).toEqual(["message 1", "message 2"]);
+    expect(first.body.hasMore).toBe(true);
+
+    const second = await request(app)
+      .get(`/api/messages/${bob._id}`)
+      .query({ limit: 2, before: first.body.nextCursor })
+      .set("Cookie", aliceCookie);
+
+    expect(second.body.messages.map((m) => m.text)).toEqual(["message 0"]);
+    expect(second.body.hasMore).toBe(false);
+  });
+
+  it("rejects invalid cursors", async () => {
+    const res = await request(app)
+      .get(`/api/messages/${bob._id}`)
+      .query({ before: "not-an-id" })
+      .set("Cookie", aliceCookie);
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe("POST /api/messages/send/:id", () => {
+  it("sends a text message", async () => {
+    const res = await request(app)
+      .post(`/api/messages/send/${bob._id}`)
+      .set("Cookie", aliceCookie)
+      .field("text", "  hi bob  ");
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ text: "hi bob", senderId: { _id: alice._id.toString() } });
+    expect(await Message.countDocuments({ senderId: alice._id, receiverId: bob._id })).toBe(1);
+  });
+
+  it("uploads attachments to storage", async () => {
+    const res = await request(app)
+      .post(`/api/messages/send/${bob._id}`)
+      .set("Cookie", aliceCookie)
+      .attach("attachments", Buffer.from("fake image"), {
+        filename: "photo.png",
+        contentType: "image/png",
+      })
+      .attach("attachments", Buffer.from("%PDF-1.4"), {
+        filename: "notes.pdf",
+        contentType: "application/pdf",
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.attachments).toMatchObject([
+      {
+        type: "image",
+        name: "photo.png",
+        url: expect.stringMatching(/^https:\/\/res\.cloudinary\.test\//),
+      },
+      { type: "file", name: "notes.pdf", mimeType: "application/pdf" },
+    ]);
+    expect(uploadedAssets.size).toBe(2);
+  });
+
+  it("rejects empty messages and messages to yourself", async () => {
+    const empty = await request(app)
+      .post(`/api/messages/send/${bob._id}`)
+      .set("Cookie", aliceCookie);
+    expect(empty.status).toBe(400);
+
+    const toSelf = await request(app)
+      .post(`/api/messages/send/${alice._id}`)
+      .set("Cookie", aliceCookie)
+      .field("text", "note to self");
+    expect(toSelf.status).toBe(400);
+  });
+
+  it("refuses when either side has blocked the other", async () => {
+    await User.updateOne({ _id: bob._id }, { $push: { blockedUsers: alice._id } });
+
+    const res = await request(app)
+      .post(`/api/messages/send/${bob._id}`)
+      .set("Cookie", aliceCookie)
+      .field("text", "hello?");
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe("group messages", () => {
+  let group;
+
+  beforeEach(async () => {
+    group = await createGroup(alice, [bob]);
+  });
+
+  it("POST /group/send/:groupId posts to the group", async () => {
+    const res = await request(app)
+      .post(`/api/messages/group/send/${group._id}`)
+      .set("Cookie", bobCookie)
+      .field("text", "hello team");
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ text: "hello team", groupId: group._id.toString() });
+  });
+
+  it("GET /group/:groupId returns the page and marks it delivered", async () => {
+    const message = await createGroupMessage(alice, group);
+
+    const res = await request(app).get(`/api/messages/group/${group._id}`).set("Cookie", bobCookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body.messages.map((m) => m._id)).toEqual([message._id.toString()]);
+    const delivered = await Message.findById(message._id);
+    expect(delivered.deliveredTo.map((d) => d.userId.toString())).toContain(bob._id.toString());
+  });
+});
+
+describe("message actions", () => {
+  let message;
+
+  beforeEach(async () => {
+    message = await createDirectMessage(alice, bob, { text: "original" });
+  });
+
+  it("PUT /read/:messageId records the read once", async () => {
+    for (let i = 0; i < 2; i++) {
+      const res = await request(app)
+        .put(`/api/messages/read/${message._id}`)
+        .set("Cookie", bobCookie);
+      expect(res.status).toBe(200);
+    }
+
+    expect((await Message.findById(message._id)).readBy).toHaveLength(1);
+  });
+
+  it("POST /reaction/:messageId replaces the user's previous reaction", async () => {
+    await request(app)
+      .post(`/api/messages/reaction/${message._id}`)
+      .set("Cookie", bobCookie)
+      .send({ emoji: "👍" });
+    const res = await request(app)
+      .post(`/api/messages/reaction/${message._id}`)
+      .set("Cookie", bobCookie)
+      .send({ emoji: "😂" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.reactions).toMatchObject([
+      { emoji: "😂", userId: { _id: bob._id.toString() } },
+    ]);
+  });
+
+  it("POST /reaction/:messageId requires an emoji", async () => {
+    const res = await request(app)
+      .post(`/api/messages/reaction/${message._id}`)
+      .set("Cookie", bobCookie);
+
+    expect(res.status).toBe(400);
+  });
+
+  it("DELETE /reaction/:messageId removes the user's reaction", async () => {
+    await request(app)
+      .post(`/api/messages/reaction/${message._id}`)
+      .set("Cookie", bobCookie)
+      .send({ emoji: "👍" });
+
+    const res = await request(app)
+      .delete(`/api/messages/reaction/${message._id}`)
+      .set("Cookie", bobCookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body.reactions).toEqual([]);
+  });
+
+  it("PUT /edit/:messageId updates the sender's message", async () => {
+    const res = await request(app)
+      .put(`/api/messages/edit/${message._id}`)
+      .set("Cookie", aliceCookie)
+      .send({ text: "edited" });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ text: "edited", edited: true });
+  });
+
+  it("PUT /edit/:messageId requires text", async () => {
+    const res = await request(app)
+      .put(`/api/messages/edit/${message._id}`)
+      .set("Cookie", aliceCookie)
+      .send({ text: "   " });
+
+    expect(res.status).toBe(400);
+  });
+
+  it("DELETE /delete/:messageId hides the message for the caller only", async () => {
+    const res = await request(app)
+      .delete(`/api/messages/delete/${message._id}`)
+      .set("Cookie", bobCookie)
+      .send({ deleteForEveryone: false });
+
+    expect(res.status).toBe(200);
+    const bobsView = await request(app).get(`/api/messages/${alice._id}`).set("Cookie", bobCookie);
+    const alicesView = await request(app)
+      .get(`/api/messages/${bob._id}`)
+      .set("Cookie", aliceCookie);
+    expect(bobsView.body.messages).toEqual([]);
+    expect(alicesView.body.messages).toHaveLength(1);
+  });
+
+  it("DELETE /delete/:messageId deletes for everyone, but only for the sender", async () => {
+    const byReceiver = await request(app)
+      .delete(`/api/messages/delete/${message._id}`)
+      .set("Cookie", bobCookie)
+      .send({ deleteForEveryone: true });
+    expect(byReceiver.status).toBe(403);
+
+    const res = await request(app)
+      .delete(`/api/messages/delete/${message._id}`)
+      .set("Cookie", aliceCookie)
+      .send({ deleteForEveryone: true });
+
+    expect(res.status).toBe(200);
+    expect(await Message.findById(message._id)).toMatchObject({
+      deletedForEveryone: true,
+      text: "",
+    });
+  });
+
+  it("deletes media saved before publicIds were stored, going by its URL", async () => {
+    const publicId = "chat-app/legacy-photo";
+    uploadedAssets.set(publicId, { resourceType: "image", createdAt: new Date() });
+    await Message.updateOne(
+      { _id: message._id },
+      { image: `https://res.cloudinary.test/image/upload/v1700000000/${publicId}.jpg` }
+    );
+
+    const res = await request(app)
+      .delete(`/api/messages/delete/${message._id}`)
+      .set("Cookie", aliceCookie)
+      .send({ deleteForEveryone: true });
+
+    expect(res.status).toBe(200);
+    expect(uploadedAssets.has(publicId)).toBe(false);
+    expect((await Message.findById(message._id)).image).toBe("");
+  });
+});
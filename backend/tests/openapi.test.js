@@ -0,0 +1,162 @@
+import fs from "fs";
+import path from "path";
+import { describe, expect, it } from "vitest";
+import request from "supertest";
+import { app } from "../src/app.js";
+import authRoutes from "../src/routes/auth.route.js";
+import messageRoutes from "../src/routes/message.route.js";
+import { protectRoute } from "../src/middleware/auth.middleware.js";
+import { buildOpenApiDocument, toJSONSchema } from "../src/docs/openapi.js";
+import { SOCKET_EVENTS } from "../src/docs/socketEvents.js";
+
+// Contract between the routers and the published API docs: adding, removing or changing a
+// route (its path, method, validated input or authentication) without updating
+// src/docs/openapi.js fails here, and so does emitting a socket event missing from
+// src/docs/socketEvents.js. No database needed.
+
+const document = buildOpenApiDocument();
+
+const DOCUMENTED_ROUTERS = { "/api/auth": authRoutes, "/api/messages": messageRoutes };
+
+// Every route as it is registered: "METHOD /api/path/{param}", the schemas its validate()
+// middlewares check and whether protectRoute runs for it
+const registeredRoutes = Object.entries(DOCUMENTED_ROUTERS).flatMap(([prefix, router]) => {
+  const protectsAll = router.stack.some((layer) => !layer.route && layer.handle === protectRoute);
+
+  return router.stack
+    .filter((layer) => layer.route)
+    .flatMap(({ route }) => {
+      const handlers = route.stack.map((layer) => layer.handle);
+      const routePath = prefix + route.path.replace(/:(\w+)/g, "{$1}");
+      return Object.keys(route.methods).map((method) => ({
+        name: `${method.toUpperCase()} ${routePath}`,
+        path: routePath,
+        method,
+        schemas: Object.assign({}, ...handlers.map((handler) => handler.schemas)),
+        authenticated: protectsAll || handlers.includes(protectRoute),
+      }));
+    });
+});
+
+const documentedRoutes = Object.entries(document.paths).flatMap(([routePath, methods]) =>
+  Object.keys(methods).map((method) => `${method.toUpperCase()} ${routePath}`)
+);
+
+const documentedParameters = (operation, location) =>
+  Object.fromEntries(
+    operation.parameters
+      .filter((parameter) => parameter.in === location)
+      .map(({ name, schema }) => [name, schema])
+  );
+
+const expectedParameters = (schema) => (schema ? toJSONSchema(schema).properties : {});
+
+const isFileField = (property) => (property.items || property).format === "binary";
+
+describe("OpenAPI document", () => {
+  it("documents exactly the auth and message routes", () => {
+    expect(documentedRoutes.sort()).toEqual(registeredRoutes.map((route) => route.name).sort());
+  });
+
+  describe.each(registeredRoutes)(
+    "$name",
+    ({ path: routePath, method, schemas, authenticated }) => {
+      const operation = document.paths[routePath]?.[method];
+
+      it("documents the validated params and query", () => {
+        expect(documentedParameters(operation, "path")).toEqual(expectedParameters(schemas.params));
+        expect(documentedParameters(operation, "query")).toEqual(expectedParameters(schemas.query));
+      });
+
+      it("documents the validated body", () => {
+        const content = operation.requestBody?.content ?? {};
+        const body = Object.values(content)[0]?.schema;
+
+        if (!schemas.body) {
+          // only file uploads may go unvalidated
+          for (const property of Object.values(body?.properties ?? {})) {
+            expect(isFileField(property)).toBe(true);
+          }
+          return;
+        }
+
+        const expected = toJSONSchema(schemas.body);
+        const otherFields = Object.fromEntries(
+          Object.entries(body.properties).filter(([, property]) => !isFileField(property))
+        );
+        expect(otherFields).toEqual(expected.properties);
+        expect(body.required).toEqual(expected.required);
+      });
+
+      it(`is ${authenticated ? "" : "not "}marked as needing the auth cookie`, () => {
+        const security = operation.security ?? document.security;
+        const usesCookie = security.some((requirement) => "cookieAuth" in requirement);
+        expect(usesCookie).toBe(authenticated);
+      });
+    }
+  );
+
+  it("is served with the Swagger UI", async () => {
+    const spec = await request(app).get("/api/docs/openapi.json");
+    expect(spec.status).toBe(200);
+    expect(spec.body).toEqual(JSON.parse(JSON.stringify(document)));
+
+    const ui = await request(app).get("/api/docs/");
+    expect(ui.status).toBe(200);
+    expect(ui.text).toContain("swagger-ui");
+  });
+});
+
+// Events Socket.IO raises itself rather than the app
+const RESERVED_EVENTS = ["connection", "disconnect", "error"];
+
+const sourceFiles = (dir) =>
+  fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) return sourceFiles(file);
+    return file.endsWith(".js") ? [file] : [];
+  });
+
+// Event names straight from the source: the first string argument of every emit() and
+// emitToUsers() (skipping over nested calls in the arguments before it), and of socket.on()
+const eventsInSource = () => {
+  const emitted = new Set();
+  const handled = new Set();
+
+  for (const file of sourceFiles(path.resolve("src"))) {
+    const source = fs.readFileSync(file, "utf8");
+    for (const [, name] of source.matchAll(
+      /\b(?:emitToUsers|emit)\(\s*(?:[^"()]|\([^()]*\))*?"(\w+)"/g
+    )) {
+      emitted.add(name);
+    }
+    for (const [, name] of source.matchAll(/\bsocket\.on\(\s*"(\w+)"/g)) {
+      if (!RESERVED_EVENTS.includes(name)) handled.add(name);
+    }
+  }
+  return { emitted: [...emitted].sort(), handled: [...handled].sort() };
+};
+
+const documentedEvents = (direction) =>
+  SOCKET_EVENTS.filter((event) => event.direction === direction)
+    .map((event) => event.name)
+    .sort();
+
+describe("Socket.IO event contracts", () => {
+  const { emitted, handled } = eventsInSource();
+
+  it("document every event the server emits", () => {
+    expect(documentedEvents("toClient")).toEqual(emitted);
+  });
+
+  it("document every event the server listens for", () => {
+    expect(documentedEvents("toServer")).toEqual(handled);
+  });
+
+  it("are published with the OpenAPI document", () => {
+    expect(document["x-socket-events"]).toBe(SOCKET_EVENTS);
+    for (const { name } of SOCKET_EVENTS) {
+      expect(document.info.description).toContain(`\`${name}\``);
+    }
+  });
+});
@@ -0,0 +1,87 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import request from "supertest";
+import { app } from "../src/app.js";
+import Report from "../src/models/Report.js";
+import User from "../src/models/User.js";
+import { useTestDatabase } from "./helpers/db.js";
+import { createUser, createAuthCookie } from "./helpers/factories.js";
+
+useTestDatabase();
+
+// Alice reports Bob; the admin works through the moderation queue
+let admin, alice, bob, adminCookie, report;
+
+beforeEach(async () => {
+  [admin, alice, bob] = await Promise.all([
+    createUser({ role: "admin" }),
+    createUser(),
+    createUser(),
+  ]);
+  adminCookie = await createAuthCookie(admin);
+  report = await Report.create({
+    reporterId: alice._id,
+    targetType: "user",
+    reportedUserId: bob._id,
+    reason: "spam",
+  });
+});
+
+describe("GET /api/admin/reports/:reportId", () => {
+  it("still opens reports about accounts that have since been deleted", async () => {
+    const deleted = await request(app)
+      .delete(`/api/admin/users/${bob._id}`)
+      .set("Cookie", adminCookie);
+    expect(deleted.status).toBe(200);
+
+    const res = await request(app)
+      .get(`/api/admin/reports/${report._id}`)
+      .set("Cookie", adminCookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body.report.reportedUserId).toBeNull();
+    expect(res.body.report.reporterId.fullName).toBe(alice.fullName);
+    expect(res.body.reportsAgainstUser).toBe(1);
+  });
+});
+
+describe("PUT /api/admin/reports/:reportId/resolve with suspend_user", () => {
+  const suspend = () =>
+    request(app)
+      .put(`/api/admin/reports/${report._id}/resolve`)
+      .set("Cookie", adminCookie)
+      .send({ action: "suspend_user" });
+
+  it("suspends the reported account and closes the report", async () => {
+    const res = await suspend();
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe("resolved");
+    expect(res.body.resolution.action).toBe("user_suspended");
+    expect((await User.findById(bob._id)).suspendedAt).not.toBeNull();
+  });
+
+  it("answers 404 and leaves the report open when the account is gone", async () => {
+    await User.deleteOne({ _id: bob._id });
+
+    const res = await suspend();
+
+    expect(res.status).toBe(404);
+    expect((await Report.findById(report._id)).status).toBe("open");
+  });
+
+  it("refuses to suspend an admin", async () => {
+    const otherAdmin = await createUser({ role: "admin" });
+    report = await Report.create({
+      reporterId: alice._id,
+      targetType: "user",
+      reportedUserId: otherAdmin._id,
+      reason: "spam",
+    });
+
+    const res = await suspend();
+
+    expect(res.status).toBe(403);
+    expect((await User.findById(otherAdmin._id)).suspendedAt).toBeNull();
+    expect((await Report.findById(report._id)).status).toBe("open");
+  });
+});
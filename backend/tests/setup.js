@@ -0,0 +1,14 @@
+import { afterEach, vi } from "vitest";
+import { sentEmails } from "./fakes/resend.js";
+import { uploadedAssets } from "./fakes/cloudinary.js";
+
+// Arcjet, Cloudinary and Resend are swapped for in-memory fakes so the suite never
+// touches the network
+vi.mock("../src/lib/arcjet.js", () => import("./fakes/arcjet.js"));
+vi.mock("../src/lib/cloudinary.js", () => import("./fakes/cloudinary.js"));
+vi.mock("../src/lib/resend.js", () => import("./fakes/resend.js"));
+
+afterEach(() => {
+  sentEmails.length = 0;
+  uploadedAssets.clear();
+});
@@ -0,0 +1,306 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import request from "supertest";
+import { app } from "../src/app.js";
+import User from "../src/models/User.js";
+import Session from "../src/models/Session.js";
+import { ENV } from "../src/lib/env.js";
+import { useTestDatabase } from "./helpers/db.js";
+import { useSocketServer, waitForEvent, expectNoEvent, settle } from "./helpers/sockets.js";
+import {
+  createUser,
+  createAuthCookie,
+  createDirectMessage,
+  createGroup,
+  createGroupMessage,
+  createContact,
+} from "./helpers/factories.js";
+
+useTestDatabase();
+const connect = useSocketServer();
+
+let alice, bob, carol;
+let aliceCookie, bobCookie, carolCookie;
+
+beforeEach(async () => {
+  [alice, bob, carol] = await Promise.all([createUser(), createUser(), createUser()]);
+  [aliceCookie, bobCookie, carolCookie] = await Promise.all(
+    [alice, bob, carol].map(createAuthCookie)
+  );
+});
+
+const id = (user) => user._id.toString();
+
+describe("socket authentication", () => {
+  it("rejects connections without a token", async () => {
+    await expect(connect("")).rejects.toThrow(/No Token Provided/);
+  });
+
+  it("rejects connections from revoked sessions", async () => {
+    await Session.updateMany({ userId: alice._id }, { revokedAt: new Date() });
+
+    await expect(connect(aliceCookie)).rejects.toThrow(/Session revoked/);
+  });
+});
+
+describe("newMessage", () => {
+  it("reaches the receiver and the sender's other tabs, but not the sending tab", async () => {
+    const [sendingTab, otherTab, bobSocket] = await Promise.all([
+      connect(aliceCookie),
+      connect(aliceCookie),
+      connect(bobCookie),
+    ]);
+
+    const received = waitForEvent(bobSocket, "newMessage");
+    const synced = waitForEvent(otherTab, "newMessage");
+    const notEchoed = expectNoEvent(sendingTab, "newMessage");
+
+    const res = await request(app)
+      .post(`/api/messages/send/${bob._id}`)
+      .set("Cookie", aliceCookie)
+      .set("X-Socket-Id", sendingTab.id)
+      .field("text", "hi bob");
+
+    expect(res.status).toBe(201);
+    expect(await received).toMatchObject({ _id: res.body._id, text: "hi bob" });
+    expect((await synced)._id).toBe(res.body._id);
+    await notEchoed;
+  });
+
+  it("fans group messages out to the other members only", async () => {
+    const group = await createGroup(alice, [bob]);
+    const [aliceSocket, bobSocket, carolSocket] = await Promise.all([
+      connect(aliceCookie),
+      connect(bobCookie),
+      connect(carolCookie),
+    ]);
+
+    const received = waitForEvent(bobSocket, "newMessage");
+    const notEchoed = expectNoEvent(aliceSocket, "newMessage");
+    const notLeaked = expectNoEvent(carolSocket, "newMessage");
+
+    await request(app)
+      .post(`/api/messages/group/send/${group._id}`)
+      .set("Cookie", aliceCookie)
+      .set("X-Socket-Id", aliceSocket.id)
+      .field("text", "hi team");
+
+    expect(await received).toMatchObject({ text: "hi team", groupId: group._id.toString() });
+    await Promise.all([notEchoed, notLeaked]);
+  });
+});
+
+describe("messageDelivered", () => {
+  it("tells the sender once the receiver has fetched the conversation", async () => {
+    const message = await createDirectMessage(alice, bob);
+    const aliceSocket = await connect(aliceCookie);
+
+    const delivered = waitForEvent(aliceSocket, "messageDelivered");
+    await request(app).get(`/api/messages/${alice._id}`).set("Cookie", bobCookie);
+
+    expect(await delivered).toEqual({ messageId: message._id.toString(), userId: id(bob) });
+  });
+
+  it("covers group messages too", async () => {
+    const group = await createGroup(alice, [bob]);
+    const message = await createGroupMessage(alice, group);
+    const aliceSocket = await connect(aliceCookie);
+
+    const delivered = waitForEvent(aliceSocket, "messageDelivered");
+    await request(app).get(`/api/messages/group/${group._id}`).set("Cookie", bobCookie);
+
+    expect(await delivered).toEqual({ messageId: message._id.toString(), userId: id(bob) });
+  });
+
+  it("isn't repeated for messages that were already delivered", async () => {
+    await createDirectMessage(alice, bob);
+    await request(app).get(`/api/messages/${alice._id}`).set("Cookie", bobCookie);
+    const aliceSocket = await connect(aliceCookie);
+
+    const notRepeated = expectNoEvent(aliceSocket, "messageDelivered");
+    await request(app).get(`/api/messages/${alice._id}`).set("Cookie", bobCookie);
+
+    await notRepeated;
+  });
+});
+
+describe("messageRead", () => {
+  it("goes to the sender and to the reader's own devices", async () => {
+    const message = await createDirectMessage(alice, bob);
+    const [aliceSocket, bobSocket, carolSocket] = await Promise.all([
+      connect(aliceCookie),
+      connect(bobCookie),
+      connect(carolCookie),
+    ]);
+
+    const expected = {
+      messageId: message._id.toString(),
+      userId: id(bob),
+      senderId: id(alice),
+      groupId: null,
+    };
+    const toSender = waitForEvent(aliceSocket, "messageRead");
+    const toReader = waitForEvent(bobSocket, "messageRead");
+    const notLeaked = expectNoEvent(carolSocket, "messageRead");
+
+    await request(app).put(`/api/messages/read/${message._id}`).set("Cookie", bobCookie);
+
+    expect(await toSender).toEqual(expected);
+    expect(await toReader).toEqual(expected);
+    await notLeaked;
+  });
+
+  it("is only sent the first time a message is read", async () => {
+    const message = await createDirectMessage(alice, bob);
+    await request(app).put(`/api/messages/read/${message._id}`).set("Cookie", bobCookie);
+    const aliceSocket = await connect(aliceCookie);
+
+    const notRepeated = expectNoEvent(aliceSocket, "messageRead");
+    await request(app).put(`/api/messages/read/${message._id}`).set("Cookie", bobCookie);
+
+    await notRepeated;
+  });
+});
+
+describe("typing indicators", () => {
+  it("relays typing and stopTyping to the receiver", async () => {
+    const [aliceSocket, bobSocket] = await Promise.all([connect(aliceCookie), connect(bobCookie)]);
+
+    const typing = waitForEvent(bobSocket, "userTyping");
+    aliceSocket.emit("typing", { receiverId: id(bob) });
+    expect(await typing).toEqual({ userId: id(alice), userName: alice.fullName, groupId: null });
+
+    const stopped = waitForEvent(bobSocket, "userStoppedTyping");
+    aliceSocket.emit("stopTyping", { receiverId: id(bob) });
+    expect(await stopped).toEqual({ userId: id(alice), groupId: null });
+  });
+
+  it("relays group typing to members only", async () => {
+    const group = await createGroup(alice, [bob]);
+    const [aliceSocket, bobSocket, carolSocket] = await Promise.all([
+      connect(aliceCookie),
+      connect(bobCookie),
+      connect(carolCookie),
+    ]);
+
+    const typing = waitForEvent(bobSocket, "userTyping");
+    const notLeaked = expectNoEvent(carolSocket, "userTyping");
+    aliceSocket.emit("typing", { groupId: group._id.toString() });
+
+    expect(await typing).toMatchObject({ userId: id(alice), groupId: group._id.toString() });
+    await notLeaked;
+  });
+
+  it("ignores group typing from non-members", async () => {
+    const group = await createGroup(alice, [bob]);
+    const [bobSocket, carolSocket] = await Promise.all([connect(bobCookie), connect(carolCookie)]);
+
+    const ignored = expectNoEvent(bobSocket, "userTyping");
+    carolSocket.emit("typing", { groupId: group._id.toString() });
+
+    await ignored;
+  });
+
+  it("isn't shown across a block", async () => {
+    await User.updateOne({ _id: bob._id }, { $push: { blockedUsers: alice._id } });
+    const [aliceSocket, bobSocket] = await Promise.all([connect(aliceCookie), connect(bobCookie)]);
+
+    const hidden = expectNoEvent(bobSocket, "userTyping");
+    aliceSocket.emit("typing", { receiverId: id(bob) });
+
+    await hidden;
+  });
+
+  describe("with contacts-only messaging", () => {
+    beforeEach(() => {
+      ENV.CONTACTS_ONLY_MESSAGING = true;
+    });
+
+    afterEach(() => {
+      ENV.CONTACTS_ONLY_MESSAGING = false;
+    });
+
+    it("isn't shown to someone who isn't a contact", async () => {
+      const [aliceSocket, bobSocket] = await Promise.all([
+        connect(aliceCookie),
+        connect(bobCookie),
+      ]);
+
+      const hidden = expectNoEvent(bobSocket, "userTyping");
+      aliceSocket.emit("typing", { receiverId: id(bob) });
+
+      await hidden;
+    });
+
+    it("is shown to contacts", async () => {
+      await createContact(alice, bob);
+      const [aliceSocket, bobSocket] = await Promise.all([
+        connect(aliceCookie),
+        connect(bobCookie),
+      ]);
+
+      const typing = waitForEvent(bobSocket, "userTyping");
+      aliceSocket.emit("typing", { receiverId: id(bob) });
+
+      expect(await typing).toMatchObject({ userId: id(alice), groupId: null });
+    });
+  });
+});
+
+describe("presence", () => {
+  it("announces users coming online and going offline", async () => {
+    const aliceSocket = await connect(aliceCookie);
+    await settle();
+
+    const online = waitForEvent(aliceSocket, "getOnlineUsers", (ids) => ids.includes(id(bob)));
+    const bobSocket = await connect(bobCookie);
+    expect(await online).toEqual(expect.arrayContaining([id(alice), id(bob)]));
+
+    const offline = waitForEvent(aliceSocket, "getOnlineUsers", (ids) => !ids.includes(id(bob)));
+    const lastSeen = waitForEvent(aliceSocket, "userLastSeen");
+    bobSocket.disconnect();
+
+    expect(await offline).toEqual([id(alice)]);
+    expect(await lastSeen).toEqual({ userId: id(bob), lastSeenAt: expect.any(String) });
+    expect((await User.findById(bob._id)).lastSeenAt).toBeInstanceOf(Date);
+  });
+
+  it("keeps a user online while another of their devices is connected", async () => {
+    const aliceSocket = await connect(aliceCookie);
+    const [bobPhone] = await Promise.all([connect(bobCookie), connect(bobCookie)]);
+    await settle();
+
+    const stillOnline = expectNoEvent(aliceSocket, "getOnlineUsers");
+    bobPhone.disconnect();
+
+    await stillOnline;
+  });
+
+  it("hides the last seen time from users who turned it off", async () => {
+    await User.updateOne({ _id: bob._id }, { showLastSeen: false });
+    const aliceSocket = await connect(aliceCookie);
+    const bobSocket = await connect(bobCookie);
+
+    const lastSeen = waitForEvent(aliceSocket, "userLastSeen");
+    bobSocket.disconnect();
+
+    expect(await lastSeen).toEqual({ userId: id(bob), lastSeenAt: null });
+  });
+
+  it("marks a user away once every device is idle, and back when one is active", async () => {
+    const aliceSocket = await connect(aliceCookie);
+    const [bobLaptop, bobPhone] = await Promise.all([connect(bobCookie), connect(bobCookie)]);
+    await settle();
+
+    const notYetAway = expectNoEvent(aliceSocket, "getAwayUsers");
+    bobLaptop.emit("presence", { status: "idle" });
+    await notYetAway;
+
+    const away = waitForEvent(aliceSocket, "getAwayUsers", (ids) => ids.includes(id(bob)));
+    bobPhone.emit("presence", { status: "idle" });
+    expect(await away).toEqual([id(bob)]);
+
+    const back = waitForEvent(aliceSocket, "getAwayUsers", (ids) => !ids.includes(id(bob)));
+    bobPhone.emit("presence", { status: "active" });
+    expect(await back).toEqual([]);
+  });
+});
@@ -0,0 +1,61 @@
+import express from "express";
+import request from "supertest";
+import { describe, expect, it } from "vitest";
+import { uploadMessageMedia, uploadProfilePic } from "../src/middleware/upload.middleware.js";
+import { errorHandler } from "../src/middleware/error.middleware.js";
+
+// The upload filter on its own: extension and MIME type have to agree on the allow-list.
+// No database needed.
+
+const app = express();
+const describeFiles = (files) =>
+  files.map(({ originalname, mimetype }) => ({ originalname, mimetype }));
+app.post("/message", uploadMessageMedia, (req, res) =>
+  res.json(describeFiles(req.files.attachments))
+);
+app.post("/profile", uploadProfilePic, (req, res) => res.json(describeFiles([req.file])));
+app.use(errorHandler);
+
+const send = (route, filename, contentType, field = "attachments") =>
+  request(app).post(route).attach(field, Buffer.from("content"), { filename, contentType });
+
+describe("upload filter", () => {
+  it("accepts media and documents whose extension and type agree", async () => {
+    for (const [filename, contentType] of [
+      ["photo.png", "image/png"],
+      ["clip.mp4", "video/mp4"],
+      ["notes.pdf", "application/pdf"],
+      ["archive.7z", "application/octet-stream"],
+    ]) {
+      const res = await send("/message", filename, contentType);
+      expect(res.status, filename).toBe(200);
+    }
+  });
+
+  it("stores voice notes under their bare MIME type", async () => {
+    const res = await send("/message", "voice-message.webm", "audio/webm;codecs=opus");
+
+    expect(res.status).toBe(200);
+    expect(res.body[0].mimetype).toBe("audio/webm");
+  });
+
+  it("rejects active content whatever it claims to be", async () => {
+    for (const [filename, contentType] of [
+      ["x.html", "image/png"],
+      ["x.png", "text/html"],
+      ["x.svg", "image/svg+xml"],
+      ["x.svg", "image/png"],
+      ["x.html", "application/octet-stream"],
+      ["x.js", "text/plain"],
+    ]) {
+      const res = await send("/message", filename, contentType);
+      expect(res.status, `${filename} as ${contentType}`).toBe(400);
+      expect(res.body.code).toBe("UNSUPPORTED_FILE_TYPE");
+    }
+  });
+
+  it("only takes images as profile pictures", async () => {
+    expect((await send("/profile", "me.jpg", "image/jpeg", "profilePic")).status).toBe(200);
+    expect((await send("/profile", "me.pdf", "application/pdf", "profilePic")).status).toBe(400);
+  });
+});
@@ -0,0 +1,149 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import request from "supertest";
+import { app } from "../src/app.js";
+import Message from "../src/models/Message.js";
+import { useTestDatabase } from "./helpers/db.js";
+import { createUser, createAuthCookie, createDirectMessage } from "./helpers/factories.js";
+
+useTestDatabase();
+
+// The schema validation in front of the routes and the { code, message, details } shape every
+// error response shares
+
+let alice, bob, aliceCookie, message;
+
+beforeEach(async () => {
+  [alice, bob] = await Promise.all([createUser(), createUser()]);
+  aliceCookie = await createAuthCookie(alice);
+  message = await createDirectMessage(alice, bob, { text: "original" });
+});
+
+const expectValidationError = (res, path) => {
+  expect(res.status).toBe(400);
+  expect(res.body).toMatchObject({
+    code: "VALIDATION_ERROR",
+    message: expect.any(String),
+    details: expect.arrayContaining([expect.objectContaining({ path })]),
+  });
+};
+
+describe("request validation", () => {
+  it("rejects malformed ids in route params", async () => {
+    const responses = await Promise.all([
+      request(app).get("/api/messages/not-an-id").set("Cookie", aliceCookie),
+      request(app).get("/api/groups/not-an-id").set("Cookie", aliceCookie),
+      request(app).post("/api/users/not-an-id/block").set("Cookie", aliceCookie),
+      request(app).delete("/api/contacts/requests/not-an-id").set("Cookie", aliceCookie),
+    ]);
+
+    for (const res of responses) expect(res.status).toBe(400);
+    expect(responses[0].body.details).toEqual([
+      { location: "params", path: "id", message: "Invalid user id" },
+    ]);
+  });
+
+  it("only accepts a single emoji as a reaction", async () => {
+    for (const emoji of ["", "ok", "👍👍"]) {
+      const res = await request(app)
+        .post(`/api/messages/reaction/${message._id}`)
+        .set("Cookie", aliceCookie)
+        .send({ emoji });
+      expectValidationError(res, "emoji");
+    }
+
+    const res = await request(app)
+      .post(`/api/messages/reaction/${message._id}`)
+      .set("Cookie", aliceCookie)
+      .send({ emoji: "👍🏽" });
+    expect(res.status).toBe(200);
+  });
+
+  it("limits message text to 2000 characters", async () => {
+    const tooLong = "a".repeat(2001);
+
+    const edit = await request(app)
+      .put(`/api/messages/edit/${message._id}`)
+      .set("Cookie", aliceCookie)
+      .send({ text: tooLong });
+    expectValidationError(edit, "text");
+    expect((await Message.findById(message._id)).text).toBe("original");
+
+    const send = await request(app)
+      .post(`/api/messages/send/${bob._id}`)
+      .set("Cookie", aliceCookie)
+      .field("text", tooLong);
+    expectValidationError(send, "text");
+  });
+
+  it("requires deleteForEveryone to be a boolean", async () => {
+    const res = await request(app)
+      .delete(`/api/messages/delete/${message._id}`)
+      .set("Cookie", aliceCookie)
+      .send({ deleteForEveryone: "yes" });
+
+    expectValidationError(res, "deleteForEveryone");
+    expect((await Message.findById(message._id)).deletedForEveryone).toBe(false);
+  });
+
+  it("lists every failed field", async () => {
+    const res = await request(app).post("/api/auth/signup").send({ email: "nope", password: "1" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map((detail) => detail.path)).toEqual([
+      "fullName",
+      "email",
+      "password",
+    ]);
+    expect(res.body.message).toBe(res.body.details[0].message);
+  });
+
+  it("hands controllers trimmed values", async () => {
+    const res = await request(app)
+      .put(`/api/messages/edit/${message._id}`)
+      .set("Cookie", aliceCookie)
+      .send({ text: "  edited  " });
+
+    expect(res.status).toBe(200);
+    expect(res.body.text).toBe("edited");
+  });
+});
+
+describe("error format", () => {
+  it("is used for the errors controllers return", async () => {
+    const res = await request(app)
+      .put(`/api/messages/edit/${message._id}`)
+      .set("Cookie", await createAuthCookie(bob))
+      .send({ text: "not mine" });
+
+    expect(res.status).toBe(403);
+    expect(res.body).toEqual({
+      code: "FORBIDDEN",
+      message: "You can only edit your own messages",
+      details: null,
+    });
+  });
+
+  it("is used when authentication fails", async () => {
+    const res = await request(app).get("/api/messages/chats");
+
+    expect(res.status).toBe(401);
+    expect(res.body).toMatchObject({ code: "UNAUTHORIZED", details: null });
+  });
+
+  it("reports malformed JSON bodies", async () => {
+    const res = await request(app)
+      .post("/api/auth/login")
+      .set("Content-Type", "application/json")
+      .send("{not json");
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("INVALID_JSON");
+  });
+
+  it("reports unknown API routes", async () => {
+    const res = await request(app).get("/api/nothing-here");
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe("ROUTE_NOT_FOUND");
+  });
+});
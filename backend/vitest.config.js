@@ -0,0 +1,28 @@
+import { defineConfig } from "vitest/config";
+
+export default defineConfig({
+  test: {
+    environment: "node",
+    include: ["tests/**/*.test.js"],
+    setupFiles: ["tests/setup.js"],
+    // each test file starts its own in-memory MongoDB; one at a time keeps memory use down
+    fileParallelism: false,
+    // the first run downloads a MongoDB binary
+    hookTimeout: 120000,
+    // set before src/lib/env.js loads, and dotenv never overrides existing variables, so a
+    // developer's .env can't point the tests at real services (see tests/setup.js for the fakes)
+    env: {
+      NODE_ENV: "test",
+      JWT_SECRET: "test-jwt-secret",
+      MONGO_URI: "",
+      CLIENT_URL: "http://localhost:5173",
+      REQUIRE_EMAIL_VERIFICATION: "false",
+      CONTACTS_ONLY_MESSAGING: "false",
+      ARCJET_KEY: "ajkey_test",
+      CLOUDINARY_CLOUD_NAME: "test",
+      CLOUDINARY_API_KEY: "test",
+      CLOUDINARY_API_SECRET: "test",
+      STORAGE_DRIVER: "cloudinary",
+    },
+  },
+});
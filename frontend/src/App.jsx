@@ -2,6 +2,10 @@ import { Navigate, Route, Routes } from "react-router";
 import ChatPage from "./pages/ChatPage";
 import LoginPage from "./pages/LoginPage";
 import SignUpPage from "./pages/SignUpPage";
+import ForgotPasswordPage from "./pages/ForgotPasswordPage";
+import ResetPasswordPage from "./pages/ResetPasswordPage";
+import VerifyEmailPage from "./pages/VerifyEmailPage";
+import AdminPage from "./pages/AdminPage";
 import { useAuthStore } from "./store/useAuthStore";
 import { useEffect } from "react";
 import PageLoader from "./components/PageLoader";
@@ -28,6 +32,19 @@ function App() {
         <Route path="/" element={authUser ? <ChatPage /> : <Navigate to={"/login"} />} />
         <Route path="/login" element={!authUser ? <LoginPage /> : <Navigate to={"/"} />} />
         <Route path="/signup" element={!authUser ? <SignUpPage /> : <Navigate to={"/"} />} />
+        <Route
+          path="/forgot-password"
+          element={!authUser ? <ForgotPasswordPage /> : <Navigate to={"/"} />}
+        />
+        <Route
+          path="/reset-password"
+          element={!authUser ? <ResetPasswordPage /> : <Navigate to={"/"} />}
+        />
+        <Route path="/verify-email" element={<VerifyEmailPage />} />
+        <Route
+          path="/admin"
+          element={authUser?.role === "admin" ? <AdminPage /> : <Navigate to={"/"} />}
+        />
       </Routes>
 
       <Toaster />
@@ -1,7 +1,9 @@
 import { useChatStore } from "../store/useChatStore";
+import { useContactStore } from "../store/useContactStore";
 
 function ActiveTabSwitch() {
   const { activeTab, setActiveTab } = useChatStore();
+  const { incomingRequests } = useContactStore();
 
   return (
     <div className="tabs tabs-boxed bg-transparent p-2 m-2">
@@ -21,6 +23,11 @@ function ActiveTabSwitch() {
         }`}
       >
         Contacts
+        {incomingRequests.length > 0 && (
+          <span className="ml-2 bg-cyan-500 text-slate-900 text-xs font-medium rounded-full px-1.5 min-w-5 text-center">
+            {incomingRequests.length}
+          </span>
+        )}
       </button>
     </div>
   );
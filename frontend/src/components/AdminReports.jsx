@@ -0,0 +1,172 @@
+import { useEffect, useState } from "react";
+import { LoaderIcon, ChevronLeftIcon, ChevronRightIcon } from "lucide-react";
+import { useAdminStore } from "../store/useAdminStore";
+import { describeAttachments } from "../lib/utils";
+
+const STATUS_FILTERS = ["open", "resolved", "dismissed", "all"];
+
+const RESOLUTION_LABELS = {
+  none: "Resolved, no action",
+  message_deleted: "Message deleted",
+  user_suspended: "User suspended",
+};
+
+function AdminReports() {
+  const { reports, reportsTotal, reportsPageSize, isReportsLoading, getReports, resolveReport } =
+    useAdminStore();
+  const [status, setStatus] = useState("open");
+  const [page, setPage] = useState(1);
+  const pageCount = Math.max(1, Math.ceil(reportsTotal / reportsPageSize));
+
+  useEffect(() => {
+    getReports({ status, page });
+  }, [status, page, getReports]);
+
+  const handleResolve = (report, action) => {
+    const prompts = {
+      delete_message: "Delete this message for everyone?",
+      suspend_user: `Suspend ${report.reportedUserId?.fullName || "this user"}?`,
+    };
+    if (prompts[action] && !window.confirm(prompts[action])) return;
+
+    const note = window.prompt("Note for the record (optional):");
+    if (note === null) return;
+    resolveReport(report._id, action, note.trim());
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex gap-2">
+        {STATUS_FILTERS.map((filter) => (
+          <button
+            key={filter}
+            onClick={() => {
+              setStatus(filter);
+              setPage(1);
+            }}
+            className={`px-3 py-1 rounded-full text-sm capitalize transition-colors ${
+              status === filter
+                ? "bg-cyan-500/20 text-cyan-400"
+                : "text-slate-400 hover:text-slate-200"
+            }`}
+          >
+            {filter}
+          </button>
+        ))}
+      </div>
+
+      {isReportsLoading && reports.length === 0 ? (
+        <div className="flex justify-center py-10">
+          <LoaderIcon className="w-6 h-6 text-slate-400 animate-spin" />
+        </div>
+      ) : reports.length === 0 ? (
+        <p className="text-sm text-slate-400 text-center py-10">No reports</p>
+      ) : (
+        <div className="space-y-2">
+          {reports.map((report) => (
+            <div key={report._id} className="p-4 rounded-lg bg-slate-800/30 space-y-2">
+              <div className="flex items-center justify-between gap-2">
+                <p className="text-sm text-slate-200">
+                  <span className="capitalize text-red-400">{report.reason}</span>
+                  {" · "}
+                  {report.targetType === "message" ? "Message from " : "User "}
+                  <span className="font-medium">
+                    {report.reportedUserId?.fullName || "Deleted user"}
+                  </span>
+                  {report.reportedUserId?.suspendedAt && (
+                    <span className="ml-2 text-xs text-red-400 bg-red-500/10 rounded-full px-2 py-0.5">
+                      Suspended
+                    </span>
+                  )}
+                </p>
+                <span className="text-xs text-slate-500 shrink-0">
+                  {new Date(report.createdAt).toLocaleString()}
+                </span>
+              </div>
+
+              {report.targetType === "message" && (
+                <div className="text-sm text-slate-300 bg-slate-900/50 rounded-lg p-3 border-l-4 border-red-500/50">
+                  {report.messageSnapshot.text ||
+                    describeAttachments(report.messageSnapshot.attachments) ||
+                    "(empty message)"}
+                </div>
+              )}
+
+              <p className="text-xs text-slate-400">
+                Reported by {report.reporterId?.fullName || "a deleted user"}
+                {report.details && `: "${report.details}"`}
+              </p>
+
+              {report.status === "open" ? (
+                <div className="flex flex-wrap gap-2 pt-1">
+                  {report.targetType === "message" && (
+                    <button
+                      onClick={() => handleResolve(report, "delete_message")}
+                      className="px-3 py-1 text-xs rounded-lg bg-red-600 hover:bg-red-700 text-white"
+                    >
+                      Delete message
+                    </button>
+                  )}
+                  {report.reportedUserId && !report.reportedUserId.suspendedAt && (
+                    <button
+                      onClick={() => handleResolve(report, "suspend_user")}
+                      className="px-3 py-1 text-xs rounded-lg bg-red-600 hover:bg-red-700 text-white"
+                    >
+                      Suspend user
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleResolve(report, "none")}
+                    className="px-3 py-1 text-xs rounded-lg bg-slate-700 hover:bg-slate-600 text-slate-200"
+                  >
+                    Resolve
+                  </button>
+                  <button
+                    onClick={() => handleResolve(report, "dismiss")}
+                    className="px-3 py-1 text-xs rounded-lg bg-slate-700 hover:bg-slate-600 text-slate-200"
+                  >
+                    Dismiss
+                  </button>
+                </div>
+              ) : (
+                <p className="text-xs text-slate-500">
+                  {report.status === "dismissed"
+                    ? "Dismissed"
+                    : RESOLUTION_LABELS[report.resolution.action]}
+                  {report.resolution.resolvedBy && ` by ${report.resolution.resolvedBy.fullName}`}
+                  {report.resolution.resolvedAt &&
+                    ` on ${new Date(report.resolution.resolvedAt).toLocaleString()}`}
+                  {report.resolution.note && ` · ${report.resolution.note}`}
+                </p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between text-sm text-slate-400">
+        <span>{reportsTotal} reports</span>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="p-1 hover:text-slate-200 disabled:opacity-30"
+          >
+            <ChevronLeftIcon className="w-4 h-4" />
+          </button>
+          <span>
+            {page} / {pageCount}
+          </span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= pageCount}
+            className="p-1 hover:text-slate-200 disabled:opacity-30"
+          >
+            <ChevronRightIcon className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+export default AdminReports;
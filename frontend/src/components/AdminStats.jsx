@@ -0,0 +1,65 @@
+import { useEffect } from "react";
+import { LoaderIcon } from "lucide-react";
+import { useAdminStore } from "../store/useAdminStore";
+
+function StatCard({ label, value }) {
+  return (
+    <div className="bg-slate-800/50 rounded-lg p-4">
+      <p className="text-xs text-slate-400">{label}</p>
+      <p className="text-2xl font-semibold text-slate-200 mt-1">{value.toLocaleString()}</p>
+    </div>
+  );
+}
+
+function AdminStats() {
+  const { stats, isStatsLoading, getStats } = useAdminStore();
+
+  useEffect(() => {
+    getStats();
+  }, [getStats]);
+
+  if (!stats) {
+    return isStatsLoading ? (
+      <div className="flex justify-center py-10">
+        <LoaderIcon className="w-6 h-6 text-slate-400 animate-spin" />
+      </div>
+    ) : null;
+  }
+
+  const maxPerDay = Math.max(1, ...stats.messagesPerDay.map((day) => day.count));
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+        <StatCard label="Users" value={stats.totalUsers} />
+        <StatCard label="Online now" value={stats.onlineUsers} />
+        <StatCard label="Suspended" value={stats.suspendedUsers} />
+        <StatCard label="Messages" value={stats.totalMessages} />
+        <StatCard label="Groups" value={stats.totalGroups} />
+        <StatCard label="Open reports" value={stats.openReports} />
+      </div>
+
+      <div className="bg-slate-800/50 rounded-lg p-4">
+        <h3 className="text-sm font-medium text-slate-200 mb-4">
+          Messages per day (last {stats.messagesPerDay.length} days)
+        </h3>
+        <div className="flex items-end gap-2 h-40">
+          {stats.messagesPerDay.map((day) => (
+            <div
+              key={day.date}
+              className="flex-1 flex flex-col items-center justify-end h-full"
+              title={`${day.date}: ${day.count} messages`}
+            >
+              <div
+                className="w-full bg-cyan-500/60 rounded-t"
+                style={{ height: `${(day.count / maxPerDay) * 100}%` }}
+              />
+              <span className="text-[10px] text-slate-500 mt-1">{day.date.slice(5)}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+export default AdminStats;
@@ -0,0 +1,190 @@
+import { useEffect, useState } from "react";
+import {
+  SearchIcon,
+  LoaderIcon,
+  BanIcon,
+  RotateCcwIcon,
+  LogOutIcon,
+  TrashIcon,
+  ChevronLeftIcon,
+  ChevronRightIcon,
+} from "lucide-react";
+import { useAdminStore } from "../store/useAdminStore";
+import { useAuthStore } from "../store/useAuthStore";
+
+function AdminUsers() {
+  const {
+    users,
+    usersTotal,
+    usersPageSize,
+    isUsersLoading,
+    getUsers,
+    suspendUser,
+    unsuspendUser,
+    deleteUser,
+    forceLogout,
+  } = useAdminStore();
+  const { authUser } = useAuthStore();
+  const [query, setQuery] = useState("");
+  const [status, setStatus] = useState("all");
+  const [page, setPage] = useState(1);
+  const pageCount = Math.max(1, Math.ceil(usersTotal / usersPageSize));
+
+  // Debounce so we only search once the admin pauses typing
+  useEffect(() => {
+    const timeoutId = setTimeout(() => getUsers({ q: query, status, page }), 300);
+    return () => clearTimeout(timeoutId);
+  }, [query, status, page, getUsers]);
+
+  const handleSuspend = (user) => {
+    const reason = window.prompt(`Suspend ${user.fullName}? Optionally give a reason:`);
+    if (reason === null) return;
+    suspendUser(user._id, reason.trim());
+  };
+
+  const handleDelete = (user) => {
+    if (!window.confirm(`Permanently delete ${user.fullName} and all of their direct messages?`)) {
+      return;
+    }
+    deleteUser(user._id);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex gap-2">
+        <div className="relative flex-1">
+          <SearchIcon className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-400" />
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => {
+              setQuery(e.target.value);
+              setPage(1);
+            }}
+            className="w-full bg-slate-800/50 border border-slate-700/50 rounded-lg py-2 pl-9 pr-3 text-sm text-slate-200 placeholder-slate-500"
+            placeholder="Search by name or email..."
+          />
+        </div>
+        <select
+          value={status}
+          onChange={(e) => {
+            setStatus(e.target.value);
+            setPage(1);
+          }}
+          className="bg-slate-800/50 border border-slate-700/50 rounded-lg px-3 text-sm text-slate-200"
+        >
+          <option value="all">All</option>
+          <option value="active">Active</option>
+          <option value="suspended">Suspended</option>
+        </select>
+      </div>
+
+      {isUsersLoading && users.length === 0 ? (
+        <div className="flex justify-center py-10">
+          <LoaderIcon className="w-6 h-6 text-slate-400 animate-spin" />
+        </div>
+      ) : users.length === 0 ? (
+        <p className="text-sm text-slate-400 text-center py-10">No users found</p>
+      ) : (
+        <div className="space-y-1">
+          {users.map((user) => {
+            const canModerate = user.role !== "admin" && user._id !== authUser._id;
+            return (
+              <div
+                key={user._id}
+                className="flex items-center gap-3 p-3 rounded-lg bg-slate-800/30 hover:bg-slate-800/60"
+              >
+                <div className={`avatar ${user.isOnline ? "online" : "offline"}`}>
+                  <div className="size-10 rounded-full">
+                    <img src={user.profilePic || "/avatar.png"} alt={user.fullName} />
+                  </div>
+                </div>
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm text-slate-200 truncate">
+                    {user.fullName}
+                    {user.role === "admin" && (
+                      <span className="ml-2 text-xs text-cyan-400 bg-cyan-500/10 rounded-full px-2 py-0.5">
+                        Admin
+                      </span>
+                    )}
+                    {user.suspendedAt && (
+                      <span className="ml-2 text-xs text-red-400 bg-red-500/10 rounded-full px-2 py-0.5">
+                        Suspended
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-xs text-slate-500 truncate">
+                    {user.email} · joined {new Date(user.createdAt).toLocaleDateString()}
+                    {user.suspensionReason && ` · ${user.suspensionReason}`}
+                  </p>
+                </div>
+
+                {canModerate && (
+                  <div className="flex items-center gap-3">
+                    {user.isOnline && (
+                      <button
+                        onClick={() => forceLogout(user._id)}
+                        className="text-slate-400 hover:text-slate-200"
+                        title="Log out everywhere"
+                      >
+                        <LogOutIcon className="w-4 h-4" />
+                      </button>
+                    )}
+                    {user.suspendedAt ? (
+                      <button
+                        onClick={() => unsuspendUser(user._id)}
+                        className="text-slate-400 hover:text-slate-200"
+                        title="Reinstate account"
+                      >
+                        <RotateCcwIcon className="w-4 h-4" />
+                      </button>
+                    ) : (
+                      <button
+                        onClick={() => handleSuspend(user)}
+                        className="text-slate-400 hover:text-red-400"
+                        title="Suspend account"
+                      >
+                        <BanIcon className="w-4 h-4" />
+                      </button>
+                    )}
+                    <button
+                      onClick={() => handleDelete(user)}
+                      className="text-slate-400 hover:text-red-400"
+                      title="Delete account"
+                    >
+                      <TrashIcon className="w-4 h-4" />
+                    </button>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between text-sm text-slate-400">
+        <span>{usersTotal} users</span>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="p-1 hover:text-slate-200 disabled:opacity-30"
+          >
+            <ChevronLeftIcon className="w-4 h-4" />
+          </button>
+          <span>
+            {page} / {pageCount}
+          </span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= pageCount}
+            className="p-1 hover:text-slate-200 disabled:opacity-30"
+          >
+            <ChevronRightIcon className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+export default AdminUsers;
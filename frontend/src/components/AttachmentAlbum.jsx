@@ -0,0 +1,104 @@
+import { useState } from "react";
+import { FileTextIcon, DownloadIcon, LoaderIcon, PlayIcon } from "lucide-react";
+import MediaViewer from "./MediaViewer";
+import { formatFileSize } from "../lib/utils";
+
+const MAX_GRID_TILES = 4;
+
+// Renders a message's attachments: photos and videos as a grid that opens the fullscreen
+// viewer, then voice/audio players, then download cards for documents
+function AttachmentAlbum({ attachments }) {
+  const [viewerIndex, setViewerIndex] = useState(null);
+
+  const visual = attachments.filter((a) => a.type === "image" || a.type === "video");
+  const audio = attachments.filter((a) => a.type === "audio");
+  const files = attachments.filter((a) => a.type === "file");
+
+  const tiles = visual.slice(0, MAX_GRID_TILES);
+  const hiddenCount = visual.length - tiles.length;
+  const isSingle = visual.length === 1;
+
+  return (
+    <>
+      {visual.length > 0 && (
+        <div className={`grid gap-1 mb-2 max-w-xs ${isSingle ? "grid-cols-1" : "grid-cols-2"}`}>
+          {tiles.map((item, index) => (
+            <button
+              key={item.url || index}
+              type="button"
+              onClick={() => setViewerIndex(index)}
+              className={`relative overflow-hidden rounded-lg ${isSingle ? "" : "aspect-square"}`}
+            >
+              {item.type === "video" ? (
+                <>
+                  <video
+                    src={item.url}
+                    preload="metadata"
+                    muted
+                    className={`w-full object-cover ${isSingle ? "h-auto" : "h-full"}`}
+                  />
+                  <div className="absolute inset-0 flex items-center justify-center bg-black/30">
+                    <PlayIcon className="w-8 h-8 text-white" />
+                  </div>
+                </>
+              ) : (
+                <img
+                  src={item.url}
+                  alt={item.name || "Shared"}
+                  className={`w-full object-cover ${isSingle ? "h-auto" : "h-full"}`}
+                  onError={(e) => {
+                    e.target.src = "/avatar.png";
+                  }}
+                />
+              )}
+
+              {/* "+N" over the last tile when the album has more than fits */}
+              {hiddenCount > 0 && index === tiles.length - 1 && (
+                <div className="absolute inset-0 flex items-center justify-center bg-black/60 text-white text-xl font-semibold">
+                  +{hiddenCount}
+                </div>
+              )}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {audio.map((item, index) => (
+        <div key={item.url || index} className="flex items-center gap-2 mb-2">
+          <audio controls className="max-w-xs">
+            <source src={item.url} type="audio/webm" />
+            <source src={item.url} type="audio/mpeg" />
+            Your browser does not support audio playback.
+          </audio>
+        </div>
+      ))}
+
+      {files.map((item, index) => (
+        <a
+          key={item.url || index}
+          href={item.url || undefined}
+          download={item.name}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="flex items-center gap-3 bg-black/20 hover:bg-black/30 rounded-lg p-3 mb-2 max-w-xs transition-colors"
+        >
+          <FileTextIcon className="w-8 h-8 shrink-0 opacity-80" />
+          <div className="min-w-0 flex-1">
+            <p className="text-sm font-medium truncate">{item.name}</p>
+            <p className="text-xs opacity-75">{formatFileSize(item.size)}</p>
+          </div>
+          {item.url ? (
+            <DownloadIcon className="w-5 h-5 shrink-0" />
+          ) : (
+            <LoaderIcon className="w-5 h-5 shrink-0 animate-spin" />
+          )}
+        </a>
+      ))}
+
+      {viewerIndex !== null && (
+        <MediaViewer items={visual} startIndex={viewerIndex} onClose={() => setViewerIndex(null)} />
+      )}
+    </>
+  );
+}
+export default AttachmentAlbum;
@@ -1,4 +1,4 @@
-import { useEffect, useRef, useState } from "react";
+import { useEffect, useLayoutEffect, useRef, useState } from "react";
 import { useAuthStore } from "../store/useAuthStore";
 import { useChatStore } from "../store/useChatStore";
 import ChatHeader from "./ChatHeader";
@@ -7,7 +7,9 @@ import MessageInput from "./MessageInput";
 import MessagesLoadingSkeleton from "./MessagesLoadingSkeleton";
 import MessageMenu from "./MessageMenu";
 import { axiosInstance } from "../lib/axios";
-import { SmileIcon, CheckIcon, CheckCheckIcon } from "lucide-react";
+import AttachmentAlbum from "./AttachmentAlbum";
+import { SmileIcon, CheckIcon, CheckCheckIcon, LoaderIcon } from "lucide-react";
+import { getMessageAttachments, describeAttachments } from "../lib/utils";
 
 
 //added for commit change
@@ -19,6 +21,7 @@ function ChatContainer() {
   const {
     selectedUser,
     getMessagesByUserId,
+    getGroupMessages,
     messages,
     isMessagesLoading,
     subscribeToMessages,
@@ -26,25 +29,91 @@ function ChatContainer() {
     typingUsers,
     addReaction,
     removeReaction,
+    hasMoreMessages,
+    isLoadingOlderMessages,
+    loadOlderMessages,
+    highlightedMessageId,
+    clearHighlightedMessage,
   } = useChatStore();
-  const { authUser } = useAuthStore();
+  const { authUser, isBlocked, unblockUser } = useAuthStore();
   const messageEndRef = useRef(null);
   const messagesContainerRef = useRef(null);
+  const prevScrollHeightRef = useRef(null); // scrollHeight captured before prepending older messages
   const [showReactions, setShowReactions] = useState(null); // messageId
 
-  // Auto-scroll to bottom when messages change
+  const lastMessageId = messages[messages.length - 1]?._id;
+
+  const prevLastMessageIdRef = useRef(null);
+
+  // Auto-scroll to bottom when a new message arrives (not when older pages are prepended).
+  // The first page jumps straight to the bottom so the scroll doesn't pass the top and trigger a load.
   useEffect(() => {
+    const isFirstPage = !prevLastMessageIdRef.current;
+    prevLastMessageIdRef.current = lastMessageId;
     if (messageEndRef.current) {
-      messageEndRef.current.scrollIntoView({ behavior: "smooth" });
+      messageEndRef.current.scrollIntoView({ behavior: isFirstPage ? "auto" : "smooth" });
+    }
+  }, [lastMessageId, typingUsers]);
+
+  // Keep the visible messages in place after older ones are prepended above them
+  useLayoutEffect(() => {
+    const container = messagesContainerRef.current;
+    if (container && prevScrollHeightRef.current !== null) {
+      container.scrollTop = container.scrollHeight - prevScrollHeightRef.current;
+      prevScrollHeightRef.current = null;
+    }
+  }, [messages]);
+
+  // Jump to a message opened from search: page back until it is loaded, then scroll to it
+  useEffect(() => {
+    if (!highlightedMessageId || messages.length === 0) return;
+    if (isMessagesLoading || isLoadingOlderMessages) return;
+
+    if (messages.some((msg) => msg._id === highlightedMessageId)) {
+      document
+        .getElementById(`message-${highlightedMessageId}`)
+        ?.scrollIntoView({ behavior: "smooth", block: "center" });
+      const timeoutId = setTimeout(clearHighlightedMessage, 2000);
+      return () => clearTimeout(timeoutId);
+    }
+
+    if (hasMoreMessages) {
+      loadOlderMessages();
+    } else {
+      clearHighlightedMessage();
     }
-  }, [messages, typingUsers]);
+  }, [
+    highlightedMessageId,
+    messages,
+    isMessagesLoading,
+    isLoadingOlderMessages,
+    hasMoreMessages,
+    loadOlderMessages,
+    clearHighlightedMessage,
+  ]);
+
+  // Infinite scroll upward: load the previous page when reaching the top
+  const handleScroll = async () => {
+    const container = messagesContainerRef.current;
+    if (!container || container.scrollTop > 80) return;
+    if (!hasMoreMessages || isLoadingOlderMessages || isMessagesLoading) return;
+
+    prevScrollHeightRef.current = container.scrollHeight;
+    const loaded = await loadOlderMessages();
+    if (!loaded) prevScrollHeightRef.current = null;
+  };
 
-  // Load messages when user is selected
+  const isGroup = !!selectedUser?.isGroup;
+
+  // Load messages when user or group is selected
   useEffect(() => {
-    if (selectedUser?._id) {
+    if (!selectedUser?._id) return;
+    if (isGroup) {
+      getGroupMessages(selectedUser._id);
+    } else {
       getMessagesByUserId(selectedUser._id);
     }
-  }, [selectedUser?._id, getMessagesByUserId]);
+  }, [selectedUser?._id, isGroup, getMessagesByUserId, getGroupMessages]);
 
   // Subscribe to socket messages when user is selected
   useEffect(() => {
@@ -111,14 +180,27 @@ function ChatContainer() {
     return Object.entries(reactionGroups);
   };
 
+  // A sent message counts as read/delivered once anyone other than me has read/received it
+  // (the receiver in a direct chat, any member in a group)
   const isMessageRead = (message) => {
     if (!message.readBy) return false;
-    return message.readBy.some((r) => (r.userId._id || r.userId) === authUser._id);
+    return message.readBy.some((r) => (r.userId?._id || r.userId) !== authUser._id);
   };
 
   const isMessageDelivered = (message) => {
     if (!message.deliveredTo) return false;
-    return message.deliveredTo.some((d) => (d.userId._id || d.userId) === message.receiverId._id || message.receiverId);
+    return message.deliveredTo.some((d) => (d.userId?._id || d.userId) !== authUser._id);
+  };
+
+  const chatName = isGroup ? selectedUser.name : selectedUser?.fullName;
+
+  const getTypingLabel = () => {
+    if (!isGroup) return `${selectedUser.fullName} is typing`;
+    const names = typingUsers.map((id) => {
+      const member = selectedUser.members.find((m) => (m.userId?._id || m.userId) === id);
+      return member?.userId?.fullName || "Someone";
+    });
+    return `${names.join(", ")} ${names.length > 1 ? "are" : "is"} typing`;
   };
 
   if (!selectedUser) {
@@ -132,24 +214,44 @@ function ChatContainer() {
   return (
     <>
       <ChatHeader />
-      <div className="flex-1 px-6 overflow-y-auto py-8" ref={messagesContainerRef}>
+      <div
+        className="flex-1 px-6 overflow-y-auto py-8"
+        ref={messagesContainerRef}
+        onScroll={handleScroll}
+      >
         {messages.length > 0 && !isMessagesLoading ? (
           <div className="max-w-3xl mx-auto space-y-6">
+            {/* Older messages loader */}
+            {isLoadingOlderMessages && (
+              <div className="flex justify-center">
+                <LoaderIcon className="w-5 h-5 text-slate-400 animate-spin" />
+              </div>
+            )}
+
             {messages.map((msg) => {
-              const isSentByMe = (msg.senderId._id || msg.senderId) === authUser._id;
+              const isSentByMe = (msg.senderId?._id || msg.senderId) === authUser._id;
               const reactions = getMessageReactions(msg);
 
               return (
                 <div
                   key={msg._id}
+                  id={`message-${msg._id}`}
                   className={`chat ${isSentByMe ? "chat-end" : "chat-start"}`}
                 >
+                  {/* Sender name in group chats */}
+                  {isGroup && !isSentByMe && (
+                    <div className="chat-header text-xs text-slate-400 mb-1">
+                      {msg.senderId?.fullName || "Unknown"}
+                    </div>
+                  )}
                   <div
                     className={`chat-bubble relative group ${
                       isSentByMe
                         ? "bg-cyan-600 text-white"
                         : "bg-slate-800 text-slate-200"
-                    } ${msg.deletedForEveryone ? "opacity-50" : ""}`}
+                    } ${msg.deletedForEveryone ? "opacity-50" : ""} ${
+                      msg._id === highlightedMessageId ? "ring-2 ring-yellow-400" : ""
+                    }`}
                   >
                     {/* Deleted Message Indicator */}
                     {msg.deletedForEveryone ? (
@@ -175,49 +277,16 @@ function ChatContainer() {
                             {msg.replyTo.text && (
                               <p className="text-sm truncate">{msg.replyTo.text}</p>
                             )}
-                            {msg.replyTo.image && (
-                              <p className="text-xs italic">📷 Photo</p>
-                            )}
-                            {msg.replyTo.video && (
-                              <p className="text-xs italic">🎥 Video</p>
-                            )}
-                            {msg.replyTo.audio && (
-                              <p className="text-xs italic">🎤 Audio</p>
+                            {getMessageAttachments(msg.replyTo).length > 0 && (
+                              <p className="text-xs italic truncate">
+                                {describeAttachments(getMessageAttachments(msg.replyTo))}
+                              </p>
                             )}
                           </div>
                         )}
 
-                        {/* Image Message */}
-                        {msg.image && (
-                          <img
-                            src={msg.image}
-                            alt="Shared"
-                            className="rounded-lg max-w-xs h-auto object-cover mb-2"
-                            onError={(e) => {
-                              e.target.src = "/avatar.png";
-                            }}
-                          />
-                        )}
-
-                        {/* Video Message */}
-                        {msg.video && (
-                          <video
-                            src={msg.video}
-                            controls
-                            className="rounded-lg max-w-xs h-auto mb-2"
-                          />
-                        )}
-
-                        {/* Audio Message */}
-                        {msg.audio && (
-                          <div className="flex items-center gap-2 mb-2">
-                            <audio controls className="max-w-xs">
-                              <source src={msg.audio} type="audio/webm" />
-                              <source src={msg.audio} type="audio/mpeg" />
-                              Your browser does not support audio playback.
-                            </audio>
-                          </div>
-                        )}
+                        {/* Attachments (photos/videos album, audio, files) */}
+                        <AttachmentAlbum attachments={getMessageAttachments(msg)} />
 
                         {/* Text Message */}
                         {msg.text && <p className="mt-2">{msg.text}</p>}
@@ -317,9 +386,7 @@ function ChatContainer() {
               <div className="chat chat-start">
                 <div className="chat-bubble bg-slate-800 text-slate-200">
                   <div className="flex items-center gap-1">
-                    <span className="text-sm italic">
-                      {selectedUser.fullName} is typing
-                    </span>
+                    <span className="text-sm italic">{getTypingLabel()}</span>
                     <div className="flex gap-1">
                       <span className="animate-bounce">.</span>
                       <span className="animate-bounce" style={{ animationDelay: "0.2s" }}>
@@ -340,11 +407,24 @@ function ChatContainer() {
         ) : isMessagesLoading ? (
           <MessagesLoadingSkeleton />
         ) : (
-          <NoChatHistoryPlaceholder name={selectedUser.fullName} />
+          <NoChatHistoryPlaceholder name={chatName} />
         )}
       </div>
 
-      <MessageInput />
+      {!selectedUser.isGroup && isBlocked(selectedUser._id) ? (
+        <div className="p-4 border-t border-slate-700/50 text-center text-sm text-slate-400">
+          You blocked {selectedUser.fullName}.{" "}
+          <button
+            onClick={() => unblockUser(selectedUser._id)}
+            className="text-cyan-400 hover:text-cyan-300 transition-colors"
+          >
+            Unblock
+          </button>{" "}
+          to send messages.
+        </div>
+      ) : (
+        <MessageInput />
+      )}
     </>
   );
 }
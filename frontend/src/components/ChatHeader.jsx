@@ -1,12 +1,38 @@
-import { XIcon } from "lucide-react";
+import {
+  XIcon,
+  UsersIcon,
+  InfoIcon,
+  BanIcon,
+  FlagIcon,
+  UserPlusIcon,
+  UserMinusIcon,
+  UserCheckIcon,
+} from "lucide-react";
 import { useChatStore } from "../store/useChatStore";
-import { useEffect } from "react";
+import { useEffect, useState } from "react";
 import { useAuthStore } from "../store/useAuthStore";
+import { useContactStore } from "../store/useContactStore";
+import GroupInfoModal from "./GroupInfoModal";
+import ReportModal from "./ReportModal";
+import { formatLastSeen } from "../lib/utils";
 
 function ChatHeader() {
-  const { selectedUser, setSelectedUser } = useChatStore();
-  const { onlineUsers } = useAuthStore();
-  const isOnline = onlineUsers.includes(selectedUser._id);
+  const { selectedUser, setSelectedUser, allContacts } = useChatStore();
+  const { onlineUsers, awayUsers, lastSeen, isBlocked, blockUser, unblockUser } = useAuthStore();
+  const {
+    getPendingRequestWith,
+    sendContactRequest,
+    acceptContactRequest,
+    removeContact,
+  } = useContactStore();
+  const [showGroupInfo, setShowGroupInfo] = useState(false);
+  const [showReport, setShowReport] = useState(false);
+  const isGroup = !!selectedUser.isGroup;
+  const isOnline = !isGroup && onlineUsers.includes(selectedUser._id);
+  const isUserBlocked = !isGroup && isBlocked(selectedUser._id);
+  const isContact = !isGroup && allContacts.some((c) => c._id === selectedUser._id);
+  const pendingRequest = isGroup || isContact ? null : getPendingRequestWith(selectedUser._id);
+  const isRequestSent = pendingRequest?.recipientId._id === selectedUser._id;
 
   useEffect(() => {
     const handleEscKey = (event) => {
@@ -19,27 +45,130 @@ function ChatHeader() {
     return () => window.removeEventListener("keydown", handleEscKey);
   }, [setSelectedUser]);
 
+  const getUserStatus = () => {
+    if (isOnline) return awayUsers.includes(selectedUser._id) ? "Away" : "Online";
+
+    // Live disconnects take precedence over the (possibly stale) value loaded with the user
+    const lastSeenAt =
+      selectedUser._id in lastSeen ? lastSeen[selectedUser._id] : selectedUser.lastSeenAt;
+    return lastSeenAt ? formatLastSeen(lastSeenAt) : "Offline";
+  };
+
+  const handleToggleBlock = () => {
+    if (isUserBlocked) return unblockUser(selectedUser._id);
+
+    if (!window.confirm(`Block ${selectedUser.fullName}? They won't be able to message you.`)) return;
+    blockUser(selectedUser._id);
+  };
+
+  const handleContactAction = () => {
+    if (isContact) {
+      if (!window.confirm(`Remove ${selectedUser.fullName} from your contacts?`)) return;
+      return removeContact(selectedUser._id);
+    }
+    if (pendingRequest) return acceptContactRequest(pendingRequest._id);
+    sendContactRequest({ userId: selectedUser._id });
+  };
+
+  const getContactActionTitle = () => {
+    if (isContact) return "Remove contact";
+    if (isRequestSent) return "Contact request sent";
+    if (pendingRequest) return "Accept contact request";
+    return "Add contact";
+  };
+
+  const getGroupStatus = () => {
+    const onlineCount = selectedUser.members.filter((m) =>
+      onlineUsers.includes(m.userId?._id || m.userId)
+    ).length;
+    return `${selectedUser.members.length} members, ${onlineCount} online`;
+  };
+
   return (
     <div
       className="flex justify-between items-center bg-slate-800/50 border-b
    border-slate-700/50 max-h-[84px] px-6 flex-1"
     >
       <div className="flex items-center space-x-3">
-        <div className={`avatar ${isOnline ? "online" : "offline"}`}>
-          <div className="w-12 rounded-full">
-            <img src={selectedUser.profilePic || "/avatar.png"} alt={selectedUser.fullName} />
+        {isGroup ? (
+          <div className="avatar placeholder">
+            <div className="w-12 rounded-full bg-slate-700 text-slate-300">
+              {selectedUser.avatar ? (
+                <img src={selectedUser.avatar} alt={selectedUser.name} />
+              ) : (
+                <UsersIcon className="size-6" />
+              )}
+            </div>
           </div>
-        </div>
+        ) : (
+          <div className={`avatar ${isOnline ? "online" : "offline"}`}>
+            <div className="w-12 rounded-full">
+              <img src={selectedUser.profilePic || "/avatar.png"} alt={selectedUser.fullName} />
+            </div>
+          </div>
+        )}
 
         <div>
-          <h3 className="text-slate-200 font-medium">{selectedUser.fullName}</h3>
-          <p className="text-slate-400 text-sm">{isOnline ? "Online" : "Offline"}</p>
+          <h3 className="text-slate-200 font-medium">
+            {isGroup ? selectedUser.name : selectedUser.fullName}
+          </h3>
+          <p className="text-slate-400 text-sm">
+            {isGroup ? getGroupStatus() : isUserBlocked ? "Blocked" : getUserStatus()}
+          </p>
         </div>
       </div>
 
-      <button onClick={() => setSelectedUser(null)}>
-        <XIcon className="w-5 h-5 text-slate-400 hover:text-slate-200 transition-colors cursor-pointer" />
-      </button>
+      <div className="flex items-center gap-4">
+        {!isGroup && !isUserBlocked && (
+          <button
+            onClick={handleContactAction}
+            disabled={isRequestSent}
+            title={getContactActionTitle()}
+            className="text-slate-400 hover:text-slate-200 transition-colors disabled:text-cyan-400"
+          >
+            {isContact ? (
+              <UserMinusIcon className="w-5 h-5" />
+            ) : isRequestSent ? (
+              <UserCheckIcon className="w-5 h-5" />
+            ) : (
+              <UserPlusIcon className="w-5 h-5" />
+            )}
+          </button>
+        )}
+        {!isGroup && (
+          <button onClick={() => setShowReport(true)} title="Report user">
+            <FlagIcon className="w-5 h-5 text-slate-400 hover:text-slate-200 transition-colors cursor-pointer" />
+          </button>
+        )}
+        {!isGroup && (
+          <button onClick={handleToggleBlock} title={isUserBlocked ? "Unblock user" : "Block user"}>
+            <BanIcon
+              className={`w-5 h-5 transition-colors cursor-pointer ${
+                isUserBlocked ? "text-red-400 hover:text-red-300" : "text-slate-400 hover:text-slate-200"
+              }`}
+            />
+          </button>
+        )}
+        {isGroup && (
+          <button onClick={() => setShowGroupInfo(true)} title="Group info">
+            <InfoIcon className="w-5 h-5 text-slate-400 hover:text-slate-200 transition-colors cursor-pointer" />
+          </button>
+        )}
+        <button onClick={() => setSelectedUser(null)}>
+          <XIcon className="w-5 h-5 text-slate-400 hover:text-slate-200 transition-colors cursor-pointer" />
+        </button>
+      </div>
+
+      {showReport && !isGroup && (
+        <ReportModal
+          target={{ userId: selectedUser._id, name: selectedUser.fullName }}
+          onClose={() => setShowReport(false)}
+        />
+      )}
+
+      {showGroupInfo && isGroup && (
+        <GroupInfoModal group={selectedUser} onClose={() => setShowGroupInfo(false)} />
+      )}
     </div>
   );
 }
@@ -1,38 +1,98 @@
-import { useEffect } from "react";
+import { useEffect, useState } from "react";
+import { UsersIcon, PlusIcon } from "lucide-react";
 import { useChatStore } from "../store/useChatStore";
 import UsersLoadingSkeleton from "./UsersLoadingSkeleton";
 import NoChatsFound from "./NoChatsFound";
+import CreateGroupModal from "./CreateGroupModal";
 import { useAuthStore } from "../store/useAuthStore";
+import { getMessagePreview, formatChatTimestamp } from "../lib/utils";
+
+const getLastActivity = (chat) => new Date(chat.lastMessage?.createdAt || chat.createdAt || 0);
 
 function ChatsList() {
-  const { getMyChatPartners, chats, isUsersLoading, setSelectedUser } = useChatStore();
-  const { onlineUsers } = useAuthStore();
+  const { getMyChatPartners, getMyGroups, chats, groups, isUsersLoading, setSelectedUser } =
+    useChatStore();
+  const { authUser, onlineUsers } = useAuthStore();
+  const [isCreatingGroup, setIsCreatingGroup] = useState(false);
 
   useEffect(() => {
     getMyChatPartners();
-  }, [getMyChatPartners]);
+    getMyGroups();
+  }, [getMyChatPartners, getMyGroups]);
 
   if (isUsersLoading) return <UsersLoadingSkeleton />;
-  if (chats.length === 0) return <NoChatsFound />;
+
+  // Groups and direct chats share one list, most recent activity first
+  const conversations = [...groups, ...chats].sort((a, b) => getLastActivity(b) - getLastActivity(a));
 
   return (
     <>
-      {chats.map((chat) => (
+      <button
+        onClick={() => setIsCreatingGroup(true)}
+        className="w-full flex items-center justify-center gap-2 px-4 py-2 text-sm text-cyan-400 bg-cyan-500/10 rounded-lg hover:bg-cyan-500/20 transition-colors"
+      >
+        <PlusIcon className="w-4 h-4" />
+        New group
+      </button>
+
+      {conversations.length === 0 && <NoChatsFound />}
+
+      {conversations.map((chat) => (
         <div
           key={chat._id}
           className="bg-cyan-500/10 p-4 rounded-lg cursor-pointer hover:bg-cyan-500/20 transition-colors"
           onClick={() => setSelectedUser(chat)}
         >
           <div className="flex items-center gap-3">
-            <div className={`avatar ${onlineUsers.includes(chat._id) ? "online" : "offline"}`}>
-              <div className="size-12 rounded-full">
-                <img src={chat.profilePic || "/avatar.png"} alt={chat.fullName} />
+            {chat.isGroup ? (
+              <div className="avatar placeholder">
+                <div className="size-12 rounded-full bg-slate-700 text-slate-300">
+                  {chat.avatar ? (
+                    <img src={chat.avatar} alt={chat.name} />
+                  ) : (
+                    <UsersIcon className="size-6" />
+                  )}
+                </div>
+              </div>
+            ) : (
+              <div className={`avatar ${onlineUsers.includes(chat._id) ? "online" : "offline"}`}>
+                <div className="size-12 rounded-full">
+                  <img src={chat.profilePic || "/avatar.png"} alt={chat.fullName} />
+                </div>
+              </div>
+            )}
+
+            <div className="flex-1 min-w-0">
+              <div className="flex items-center justify-between gap-2">
+                <h4 className="text-slate-200 font-medium truncate">
+                  {chat.isGroup ? chat.name : chat.fullName}
+                </h4>
+                {chat.lastMessage && (
+                  <span className="text-[10px] text-slate-500 shrink-0">
+                    {formatChatTimestamp(chat.lastMessage.createdAt)}
+                  </span>
+                )}
+              </div>
+              <div className="flex items-center justify-between gap-2">
+                <p className={`text-xs truncate ${chat.unreadCount ? "text-slate-200" : "text-slate-400"}`}>
+                  {chat.lastMessage
+                    ? getMessagePreview(chat.lastMessage, authUser._id)
+                    : chat.isGroup
+                      ? `${chat.members.length} members`
+                      : ""}
+                </p>
+                {chat.unreadCount > 0 && (
+                  <span className="badge badge-sm bg-cyan-500 border-none text-white shrink-0">
+                    {chat.unreadCount > 99 ? "99+" : chat.unreadCount}
+                  </span>
+                )}
               </div>
             </div>
-            <h4 className="text-slate-200 font-medium truncate">{chat.fullName}</h4>
           </div>
         </div>
       ))}
+
+      {isCreatingGroup && <CreateGroupModal onClose={() => setIsCreatingGroup(false)} />}
     </>
   );
 }
@@ -1,36 +1,156 @@
-import { useEffect } from "react";
+import { useEffect, useState } from "react";
+import { SearchIcon, CheckIcon, XIcon } from "lucide-react";
 import { useChatStore } from "../store/useChatStore";
+import { useContactStore } from "../store/useContactStore";
 import UsersLoadingSkeleton from "./UsersLoadingSkeleton";
+import UserSearchResults from "./UserSearchResults";
 import { useAuthStore } from "../store/useAuthStore";
 
 function ContactList() {
   const { getAllContacts, allContacts, setSelectedUser, isUsersLoading } = useChatStore();
+  const {
+    incomingRequests,
+    outgoingRequests,
+    searchUsers,
+    clearUserSearch,
+    acceptContactRequest,
+    declineContactRequest,
+    cancelContactRequest,
+  } = useContactStore();
   const { onlineUsers } = useAuthStore();
+  const [query, setQuery] = useState("");
+  const trimmedQuery = query.trim();
 
   useEffect(() => {
     getAllContacts();
   }, [getAllContacts]);
 
-  if (isUsersLoading) return <UsersLoadingSkeleton />;
+  // Debounce so the directory is only searched once the user pauses typing
+  useEffect(() => {
+    if (!trimmedQuery) {
+      clearUserSearch();
+      return;
+    }
+
+    const timeoutId = setTimeout(() => searchUsers(trimmedQuery), 300);
+    return () => clearTimeout(timeoutId);
+  }, [trimmedQuery, searchUsers, clearUserSearch]);
+
+  // start from a clean slate the next time the tab is opened
+  useEffect(() => clearUserSearch, [clearUserSearch]);
 
   return (
     <>
-      {allContacts.map((contact) => (
-        <div
-          key={contact._id}
-          className="bg-cyan-500/10 p-4 rounded-lg cursor-pointer hover:bg-cyan-500/20 transition-colors"
-          onClick={() => setSelectedUser(contact)}
-        >
-          <div className="flex items-center gap-3">
-            <div className={`avatar ${onlineUsers.includes(contact._id) ? "online" : "offline"}`}>
-              <div className="size-12 rounded-full">
-                <img src={contact.profilePic || "/avatar.png"} />
-              </div>
+      <div className="relative mb-2">
+        <SearchIcon className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-400" />
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          className="w-full bg-slate-800/50 border border-slate-700/50 rounded-lg py-2 pl-9 pr-8 text-sm text-slate-200 placeholder-slate-500"
+          placeholder="Find people by name or email..."
+        />
+        {query && (
+          <button
+            onClick={() => setQuery("")}
+            className="absolute right-3 top-1/2 -translate-y-1/2 text-slate-400 hover:text-slate-200"
+            title="Clear search"
+          >
+            <XIcon className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+
+      {trimmedQuery ? (
+        <UserSearchResults />
+      ) : (
+        <>
+          {incomingRequests.length > 0 && (
+            <div className="space-y-2 mb-2">
+              <h5 className="text-xs uppercase tracking-wide text-slate-500">Requests</h5>
+              {incomingRequests.map((request) => (
+                <div
+                  key={request._id}
+                  className="bg-slate-800/50 p-3 rounded-lg flex items-center gap-3"
+                >
+                  <div className="size-10 rounded-full overflow-hidden shrink-0">
+                    <img src={request.requesterId.profilePic || "/avatar.png"} />
+                  </div>
+                  <span className="flex-1 min-w-0 text-sm text-slate-200 truncate">
+                    {request.requesterId.fullName}
+                  </span>
+                  <button
+                    onClick={() => acceptContactRequest(request._id)}
+                    className="text-slate-400 hover:text-cyan-400 transition-colors"
+                    title="Accept"
+                  >
+                    <CheckIcon className="w-5 h-5" />
+                  </button>
+                  <button
+                    onClick={() => declineContactRequest(request._id)}
+                    className="text-slate-400 hover:text-red-400 transition-colors"
+                    title="Decline"
+                  >
+                    <XIcon className="w-5 h-5" />
+                  </button>
+                </div>
+              ))}
             </div>
-            <h4 className="text-slate-200 font-medium">{contact.fullName}</h4>
-          </div>
-        </div>
-      ))}
+          )}
+
+          {outgoingRequests.length > 0 && (
+            <div className="space-y-2 mb-2">
+              <h5 className="text-xs uppercase tracking-wide text-slate-500">Sent</h5>
+              {outgoingRequests.map((request) => (
+                <div
+                  key={request._id}
+                  className="bg-slate-800/30 p-3 rounded-lg flex items-center gap-3"
+                >
+                  <div className="size-10 rounded-full overflow-hidden shrink-0">
+                    <img src={request.recipientId.profilePic || "/avatar.png"} />
+                  </div>
+                  <span className="flex-1 min-w-0 text-sm text-slate-400 truncate">
+                    {request.recipientId.fullName}
+                  </span>
+                  <button
+                    onClick={() => cancelContactRequest(request._id)}
+                    className="text-xs text-slate-400 hover:text-red-400 transition-colors"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {isUsersLoading ? (
+            <UsersLoadingSkeleton />
+          ) : allContacts.length === 0 ? (
+            <p className="text-sm text-slate-400 text-center py-6">
+              No contacts yet. Search for someone above to send them a request.
+            </p>
+          ) : (
+            allContacts.map((contact) => (
+              <div
+                key={contact._id}
+                className="bg-cyan-500/10 p-4 rounded-lg cursor-pointer hover:bg-cyan-500/20 transition-colors"
+                onClick={() => setSelectedUser(contact)}
+              >
+                <div className="flex items-center gap-3">
+                  <div
+                    className={`avatar ${onlineUsers.includes(contact._id) ? "online" : "offline"}`}
+                  >
+                    <div className="size-12 rounded-full">
+                      <img src={contact.profilePic || "/avatar.png"} />
+                    </div>
+                  </div>
+                  <h4 className="text-slate-200 font-medium">{contact.fullName}</h4>
+                </div>
+              </div>
+            ))
+          )}
+        </>
+      )}
     </>
   );
 }
@@ -0,0 +1,35 @@
+import { CheckIcon } from "lucide-react";
+
+// Checkbox-style list of users, used when picking group members
+function ContactPicker({ contacts, selectedIds, onToggle }) {
+  if (contacts.length === 0) {
+    return <p className="text-sm text-slate-400 text-center py-4">No contacts available</p>;
+  }
+
+  return (
+    <div className="max-h-64 overflow-y-auto space-y-1">
+      {contacts.map((contact) => {
+        const isSelected = selectedIds.includes(contact._id);
+        return (
+          <button
+            key={contact._id}
+            type="button"
+            onClick={() => onToggle(contact._id)}
+            className={`w-full flex items-center gap-3 p-2 rounded-lg transition-colors ${
+              isSelected ? "bg-cyan-500/20" : "hover:bg-slate-700"
+            }`}
+          >
+            <img
+              src={contact.profilePic || "/avatar.png"}
+              alt={contact.fullName}
+              className="size-8 rounded-full object-cover"
+            />
+            <span className="flex-1 text-left text-sm text-slate-200 truncate">{contact.fullName}</span>
+            {isSelected && <CheckIcon className="w-4 h-4 text-cyan-400" />}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+export default ContactPicker;
@@ -0,0 +1,104 @@
+import { useEffect, useState } from "react";
+import { XIcon, LoaderIcon } from "lucide-react";
+import toast from "react-hot-toast";
+import { axiosInstance } from "../lib/axios";
+import { useChatStore } from "../store/useChatStore";
+import ContactPicker from "./ContactPicker";
+
+function CreateGroupModal({ onClose }) {
+  const { createGroup, setSelectedUser } = useChatStore();
+  const [name, setName] = useState("");
+  const [avatarFile, setAvatarFile] = useState(null);
+  const [contacts, setContacts] = useState([]);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Load contacts locally so the sidebar's loading state isn't affected
+  useEffect(() => {
+    axiosInstance
+      .get("/messages/contacts")
+      .then((res) => setContacts(res.data))
+      .catch(() => toast.error("Failed to load contacts"));
+  }, []);
+
+  const toggleMember = (id) => {
+    setSelectedIds((prev) => (prev.includes(id) ? prev.filter((m) => m !== id) : [...prev, id]));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) {
+      toast.error("Group name is required");
+      return;
+    }
+    if (selectedIds.length === 0) {
+      toast.error("Select at least one member");
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append("name", name.trim());
+    formData.append("memberIds", JSON.stringify(selectedIds));
+    if (avatarFile) formData.append("avatar", avatarFile);
+
+    setIsSubmitting(true);
+    try {
+      const group = await createGroup(formData);
+      setSelectedUser(group);
+      onClose();
+    } catch {
+      // toast already shown by the store
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <form onSubmit={handleSubmit} className="bg-slate-800 rounded-lg p-6 max-w-md w-full mx-4">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-slate-200">New Group</h3>
+          <button type="button" onClick={onClose} className="text-slate-400 hover:text-slate-200">
+            <XIcon className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className="w-full bg-slate-700 border border-slate-600 rounded-lg py-2 px-3 text-slate-200 placeholder-slate-500"
+            placeholder="Group name"
+            maxLength={100}
+            autoFocus
+          />
+
+          <div>
+            <label className="block text-sm text-slate-400 mb-1">Group picture (optional)</label>
+            <input
+              type="file"
+              accept="image/*"
+              onChange={(e) => setAvatarFile(e.target.files[0] || null)}
+              className="text-sm text-slate-300"
+            />
+          </div>
+
+          <div>
+            <p className="text-sm text-slate-400 mb-2">Members ({selectedIds.length} selected)</p>
+            <ContactPicker contacts={contacts} selectedIds={selectedIds} onToggle={toggleMember} />
+          </div>
+        </div>
+
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="w-full mt-4 bg-cyan-600 hover:bg-cyan-700 text-white rounded-lg py-2 px-4 disabled:opacity-50"
+        >
+          {isSubmitting ? <LoaderIcon className="w-5 h-5 mx-auto animate-spin" /> : "Create Group"}
+        </button>
+      </form>
+    </div>
+  );
+}
+export default CreateGroupModal;
@@ -0,0 +1,87 @@
+import { useEffect } from "react";
+import { XIcon, MonitorSmartphoneIcon, LogOutIcon, LoaderIcon } from "lucide-react";
+import { useAuthStore } from "../store/useAuthStore";
+
+function DevicesModal({ onClose }) {
+  const { sessions, isSessionsLoading, getSessions, revokeSession, revokeOtherSessions } =
+    useAuthStore();
+  const hasOtherSessions = sessions.some((session) => !session.isCurrent);
+
+  useEffect(() => {
+    getSessions();
+  }, [getSessions]);
+
+  const handleRevoke = (session) => {
+    if (!window.confirm(`Log out ${session.device}?`)) return;
+    revokeSession(session._id);
+  };
+
+  const handleRevokeOthers = () => {
+    if (!window.confirm("Log out of all other devices?")) return;
+    revokeOtherSessions();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-slate-800 rounded-lg p-6 max-w-md w-full mx-4">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-slate-200">Devices</h3>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-200">
+            <XIcon className="w-5 h-5" />
+          </button>
+        </div>
+
+        <p className="text-sm text-slate-400 mb-2">Where you're logged in</p>
+
+        {isSessionsLoading ? (
+          <div className="flex justify-center py-6">
+            <LoaderIcon className="w-5 h-5 text-slate-400 animate-spin" />
+          </div>
+        ) : (
+          <div className="max-h-64 overflow-y-auto space-y-1">
+            {sessions.map((session) => (
+              <div
+                key={session._id}
+                className="flex items-center gap-3 p-2 rounded-lg hover:bg-slate-700/50"
+                title={session.userAgent}
+              >
+                <MonitorSmartphoneIcon className="w-5 h-5 text-slate-400 shrink-0" />
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm text-slate-200 truncate">{session.device}</p>
+                  <p className="text-xs text-slate-500 truncate">
+                    {session.ip || "Unknown IP"} · Last active{" "}
+                    {new Date(session.lastUsedAt).toLocaleString()}
+                  </p>
+                </div>
+                {session.isCurrent ? (
+                  <span className="text-xs text-cyan-400 bg-cyan-500/10 rounded-full px-2 py-0.5 shrink-0">
+                    This device
+                  </span>
+                ) : (
+                  <button
+                    onClick={() => handleRevoke(session)}
+                    className="text-slate-400 hover:text-red-400"
+                    title="Log out this device"
+                  >
+                    <LogOutIcon className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {hasOtherSessions && (
+          <button
+            onClick={handleRevokeOthers}
+            className="mt-4 w-full flex items-center justify-center gap-2 px-4 py-2 text-sm text-red-400 bg-red-500/10 rounded-lg hover:bg-red-500/20 transition-colors"
+          >
+            <LogOutIcon className="w-4 h-4" />
+            Log out all other devices
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+export default DevicesModal;
@@ -0,0 +1,26 @@
+import { MailWarningIcon, LoaderIcon } from "lucide-react";
+import { useAuthStore } from "../store/useAuthStore";
+
+function EmailVerificationBanner() {
+  const { authUser, resendVerificationEmail, isResendingVerification } = useAuthStore();
+
+  if (authUser.emailVerified) return null;
+
+  return (
+    <div className="mx-4 mt-3 flex items-start gap-2 rounded-lg bg-amber-500/10 p-3 text-xs text-amber-300">
+      <MailWarningIcon className="size-4 shrink-0 mt-0.5" />
+      <div className="flex-1">
+        <p>Please verify your email address. Check your inbox for the link we sent you.</p>
+        <button
+          onClick={resendVerificationEmail}
+          disabled={isResendingVerification}
+          className="mt-1 flex items-center gap-1 font-medium text-amber-200 hover:text-amber-100 transition-colors disabled:opacity-50"
+        >
+          {isResendingVerification && <LoaderIcon className="size-3 animate-spin" />}
+          Resend email
+        </button>
+      </div>
+    </div>
+  );
+}
+export default EmailVerificationBanner;
@@ -0,0 +1,180 @@
+import { useEffect, useState } from "react";
+import { XIcon, UserMinusIcon, ShieldIcon, ShieldOffIcon, LogOutIcon, UserPlusIcon } from "lucide-react";
+import toast from "react-hot-toast";
+import { axiosInstance } from "../lib/axios";
+import { useChatStore } from "../store/useChatStore";
+import { useAuthStore } from "../store/useAuthStore";
+import ContactPicker from "./ContactPicker";
+
+function GroupInfoModal({ group, onClose }) {
+  const { addGroupMembers, removeGroupMember, updateMemberRole } = useChatStore();
+  const { authUser, onlineUsers } = useAuthStore();
+  const [isAdding, setIsAdding] = useState(false);
+  const [contacts, setContacts] = useState([]);
+  const [selectedIds, setSelectedIds] = useState([]);
+
+  const isAdmin = group.members.some(
+    (m) => (m.userId?._id || m.userId) === authUser._id && m.role === "admin"
+  );
+  const memberIds = group.members.map((m) => m.userId?._id || m.userId);
+
+  useEffect(() => {
+    if (!isAdding) return;
+    axiosInstance
+      .get("/messages/contacts")
+      .then((res) => setContacts(res.data))
+      .catch(() => toast.error("Failed to load contacts"));
+  }, [isAdding]);
+
+  const toggleMember = (id) => {
+    setSelectedIds((prev) => (prev.includes(id) ? prev.filter((m) => m !== id) : [...prev, id]));
+  };
+
+  const handleAddMembers = async () => {
+    if (selectedIds.length === 0) return;
+    try {
+      await addGroupMembers(group._id, selectedIds);
+      setSelectedIds([]);
+      setIsAdding(false);
+      toast.success("Members added");
+    } catch {
+      // toast already shown by the store
+    }
+  };
+
+  const handleRemove = async (member) => {
+    if (!window.confirm(`Remove ${member.userId.fullName} from the group?`)) return;
+    try {
+      await removeGroupMember(group._id, member.userId._id);
+    } catch {
+      // toast already shown by the store
+    }
+  };
+
+  const handleLeave = async () => {
+    if (!window.confirm(`Leave ${group.name}?`)) return;
+    try {
+      await removeGroupMember(group._id, authUser._id);
+      onClose();
+      toast.success("You left the group");
+    } catch {
+      // toast already shown by the store
+    }
+  };
+
+  const handleToggleRole = async (member) => {
+    try {
+      await updateMemberRole(group._id, member.userId._id, member.role === "admin" ? "member" : "admin");
+    } catch {
+      // toast already shown by the store
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-slate-800 rounded-lg p-6 max-w-md w-full mx-4">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-slate-200">{group.name}</h3>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-200">
+            <XIcon className="w-5 h-5" />
+          </button>
+        </div>
+
+        <p className="text-sm text-slate-400 mb-2">{group.members.length} members</p>
+
+        <div className="max-h-64 overflow-y-auto space-y-1">
+          {group.members.map((member) => {
+            const user = member.userId;
+            const isMe = user._id === authUser._id;
+            return (
+              <div key={user._id} className="flex items-center gap-3 p-2 rounded-lg hover:bg-slate-700/50">
+                <div className={`avatar ${onlineUsers.includes(user._id) ? "online" : "offline"}`}>
+                  <div className="size-8 rounded-full">
+                    <img src={user.profilePic || "/avatar.png"} alt={user.fullName} />
+                  </div>
+                </div>
+                <span className="flex-1 text-sm text-slate-200 truncate">
+                  {isMe ? "You" : user.fullName}
+                </span>
+                {member.role === "admin" && (
+                  <span className="text-xs text-cyan-400 bg-cyan-500/10 rounded-full px-2 py-0.5">Admin</span>
+                )}
+                {isAdmin && !isMe && (
+                  <>
+                    <button
+                      onClick={() => handleToggleRole(member)}
+                      className="text-slate-400 hover:text-slate-200"
+                      title={member.role === "admin" ? "Remove admin" : "Make admin"}
+                    >
+                      {member.role === "admin" ? (
+                        <ShieldOffIcon className="w-4 h-4" />
+                      ) : (
+                        <ShieldIcon className="w-4 h-4" />
+                      )}
+                    </button>
+                    <button
+                      onClick={() => handleRemove(member)}
+                      className="text-red-400 hover:text-red-300"
+                      title="Remove from group"
+                    >
+                      <UserMinusIcon className="w-4 h-4" />
+                    </button>
+                  </>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        {isAdmin && (
+          <div className="mt-4">
+            {isAdding ? (
+              <>
+                <ContactPicker
+                  contacts={contacts.filter((c) => !memberIds.includes(c._id))}
+                  selectedIds={selectedIds}
+                  onToggle={toggleMember}
+                />
+                <div className="flex gap-2 mt-2">
+                  <button
+                    onClick={handleAddMembers}
+                    disabled={selectedIds.length === 0}
+                    className="flex-1 bg-cyan-600 hover:bg-cyan-700 text-white rounded-lg py-2 px-4 disabled:opacity-50"
+                  >
+                    Add
+                  </button>
+                  <button
+                    onClick={() => {
+                      setIsAdding(false);
+                      setSelectedIds([]);
+                    }}
+                    className="flex-1 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-lg py-2 px-4"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </>
+            ) : (
+              <button
+                onClick={() => setIsAdding(true)}
+                className="w-full flex items-center justify-center gap-2 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-lg py-2 px-4"
+              >
+                <UserPlusIcon className="w-4 h-4" />
+                Add members
+              </button>
+            )}
+          </div>
+        )}
+
+        <button
+          onClick={handleLeave}
+          className="w-full mt-2 flex items-center justify-center gap-2 text-red-400 hover:bg-slate-700 rounded-lg py-2 px-4"
+        >
+          <LogOutIcon className="w-4 h-4" />
+          Leave group
+        </button>
+      </div>
+    </div>
+  );
+}
+export default GroupInfoModal;
@@ -0,0 +1,84 @@
+import { useCallback, useEffect, useState } from "react";
+import { createPortal } from "react-dom";
+import { XIcon, ChevronLeftIcon, ChevronRightIcon, DownloadIcon } from "lucide-react";
+
+// Fullscreen carousel over a message's photos and videos
+function MediaViewer({ items, startIndex = 0, onClose }) {
+  const [index, setIndex] = useState(startIndex);
+  const item = items[index];
+  const hasMany = items.length > 1;
+
+  const showPrevious = useCallback(
+    () => setIndex((i) => (i - 1 + items.length) % items.length),
+    [items.length]
+  );
+  const showNext = useCallback(() => setIndex((i) => (i + 1) % items.length), [items.length]);
+
+  useEffect(() => {
+    // Capture phase so Escape closes only the viewer, not the chat behind it (see ChatHeader)
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") onClose();
+      else if (event.key === "ArrowLeft") showPrevious();
+      else if (event.key === "ArrowRight") showNext();
+      else return;
+      event.stopPropagation();
+    };
+
+    window.addEventListener("keydown", handleKeyDown, true);
+    return () => window.removeEventListener("keydown", handleKeyDown, true);
+  }, [onClose, showPrevious, showNext]);
+
+  return createPortal(
+    <div className="fixed inset-0 bg-black/90 z-50 flex items-center justify-center" onClick={onClose}>
+      <div className="absolute top-4 right-4 flex items-center gap-4" onClick={(e) => e.stopPropagation()}>
+        {hasMany && (
+          <span className="text-sm text-slate-300">
+            {index + 1} / {items.length}
+          </span>
+        )}
+        {item.url && (
+          <a href={item.url} target="_blank" rel="noopener noreferrer" download className="text-slate-300 hover:text-white">
+            <DownloadIcon className="w-6 h-6" />
+          </a>
+        )}
+        <button onClick={onClose} className="text-slate-300 hover:text-white">
+          <XIcon className="w-6 h-6" />
+        </button>
+      </div>
+
+      {hasMany && (
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            showPrevious();
+          }}
+          className="absolute left-4 p-2 rounded-full bg-slate-800/70 text-slate-200 hover:bg-slate-700"
+        >
+          <ChevronLeftIcon className="w-6 h-6" />
+        </button>
+      )}
+
+      <div className="max-w-[90vw] max-h-[85vh]" onClick={(e) => e.stopPropagation()}>
+        {item.type === "video" ? (
+          <video key={item.url} src={item.url} controls autoPlay className="max-w-[90vw] max-h-[85vh] rounded-lg" />
+        ) : (
+          <img src={item.url} alt={item.name || "Shared"} className="max-w-[90vw] max-h-[85vh] object-contain rounded-lg" />
+        )}
+      </div>
+
+      {hasMany && (
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            showNext();
+          }}
+          className="absolute right-4 p-2 rounded-full bg-slate-800/70 text-slate-200 hover:bg-slate-700"
+        >
+          <ChevronRightIcon className="w-6 h-6" />
+        </button>
+      )}
+    </div>,
+    document.body
+  );
+}
+export default MediaViewer;
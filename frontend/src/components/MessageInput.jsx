@@ -10,15 +10,33 @@ import {
   VideoIcon,
   MicIcon,
   SquareIcon,
+  PaperclipIcon,
+  FileTextIcon,
+  ChevronLeftIcon,
+  ChevronRightIcon,
 } from "lucide-react";
+import {
+  formatFileSize,
+  getAttachmentType,
+  getMessageAttachments,
+  describeAttachments,
+} from "../lib/utils";
+
+// Mirrors the backend allow-list in upload.middleware.js
+const ATTACHMENT_ACCEPT =
+  ".pdf,.doc,.docx,.xls,.xlsx,.ppt,.pptx,.odt,.ods,.odp,.txt,.csv,.rtf,.md,.json,.zip,.rar,.7z,.tar,.gz";
+const MAX_ATTACHMENTS = 10; // per message, same as the server
+const MAX_FILE_SIZES = {
+  image: 10 * 1024 * 1024,
+  video: 50 * 1024 * 1024,
+  file: 50 * 1024 * 1024,
+};
 
 function MessageInput() {
   const { playRandomKeyStrokeSound } = useKeyboardSound();
   const [text, setText] = useState("");
-  const [imagePreview, setImagePreview] = useState(null);
-  const [imageFile, setImageFile] = useState(null);
-  const [videoPreview, setVideoPreview] = useState(null);
-  const [videoFile, setVideoFile] = useState(null);
+  // Files queued for the next message, in send order: [{ id, file, type, previewUrl }]
+  const [queuedFiles, setQueuedFiles] = useState([]);
   const [isRecording, setIsRecording] = useState(false);
   const [recordingTime, setRecordingTime] = useState(0);
   const [mediaRecorder, setMediaRecorder] = useState(null);
@@ -26,6 +44,9 @@ function MessageInput() {
 
   const fileInputRef = useRef(null);
   const videoInputRef = useRef(null);
+  const attachmentInputRef = useRef(null);
+  const queuedFilesRef = useRef(queuedFiles);
+  queuedFilesRef.current = queuedFiles;
   const recordingTimerRef = useRef(null);
   const mediaRecorderRef = useRef(null);
 
@@ -66,12 +87,15 @@ function MessageInput() {
       if (recordingTimerRef.current) {
         clearInterval(recordingTimerRef.current);
       }
+      queuedFilesRef.current.forEach((item) => item.previewUrl && URL.revokeObjectURL(item.previewUrl));
     };
   }, []);
 
+  const hasContent = text.trim() || queuedFiles.length > 0 || audioBlob;
+
   const handleSendMessage = async (e) => {
     e.preventDefault();
-    if (!text.trim() && !imageFile && !videoFile && !audioBlob) return;
+    if (!hasContent) return;
     if (isSoundEnabled) playRandomKeyStrokeSound();
 
     try {
@@ -81,84 +105,81 @@ function MessageInput() {
         formData.append("text", text.trim());
       }
 
-      // Handle image file - use actual file object
-      if (imageFile) {
-        formData.append("image", imageFile);
-      }
-
-      // Handle video file - use actual file object
-      if (videoFile) {
-        formData.append("video", videoFile);
-      }
-
-      // Handle audio file
+      // Queued files keep their order; the voice message goes last
+      queuedFiles.forEach((item) => formData.append("attachments", item.file));
       if (audioBlob) {
-        formData.append("audio", audioBlob, "voice-message.webm");
+        formData.append("attachments", audioBlob, "voice-message.webm");
       }
 
-      await sendMessage(formData);
+      // On failure the store has already said why; keep the text and queue for another try
+      if (!(await sendMessage(formData))) return;
 
       // Reset state
       setText("");
-      setImagePreview(null);
-      setImageFile(null);
-      setVideoPreview(null);
-      setVideoFile(null);
+      queuedFiles.forEach((item) => item.previewUrl && URL.revokeObjectURL(item.previewUrl));
+      setQueuedFiles([]);
       setAudioBlob(null);
-      if (fileInputRef.current) fileInputRef.current.value = "";
-      if (videoInputRef.current) videoInputRef.current.value = "";
     } catch (error) {
       console.error("Error sending message:", error);
       toast.error("Failed to send message. Please try again.");
     }
   };
 
-  const handleImageChange = (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
+  // Add picked files to the queue, skipping any that are too large or over the per-message limit
+  const handleFilesPicked = (e) => {
+    const picked = Array.from(e.target.files);
+    e.target.value = "";
+    if (picked.length === 0) return;
 
-    if (!file.type.startsWith("image/")) {
-      toast.error("Please select an image file");
-      return;
+    const room = MAX_ATTACHMENTS - queuedFiles.length - (audioBlob ? 1 : 0);
+    if (picked.length > room) {
+      toast.error(`You can send up to ${MAX_ATTACHMENTS} files per message`);
     }
 
-    // Check file size (max 10MB for images)
-    if (file.size > 10 * 1024 * 1024) {
-      toast.error("Image size should be less than 10MB");
-      return;
-    }
+    const additions = [];
+    for (const file of picked.slice(0, Math.max(room, 0))) {
+      const type = getAttachmentType(file.type);
 
-    // Store the actual file
-    setImageFile(file);
-
-    // Create preview
-    const reader = new FileReader();
-    reader.onloadend = () => setImagePreview(reader.result);
-    reader.readAsDataURL(file);
-  };
+      if (type === "file") {
+        const extension = file.name.slice(file.name.lastIndexOf(".")).toLowerCase();
+        if (!ATTACHMENT_ACCEPT.split(",").includes(extension)) {
+          toast.error(`${file.name}: this file type is not supported`);
+          continue;
+        }
+      }
 
-  const handleVideoChange = (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
+      const maxSize = MAX_FILE_SIZES[type] || MAX_FILE_SIZES.file;
+      if (file.size > maxSize) {
+        toast.error(`${file.name} is larger than ${formatFileSize(maxSize)}`);
+        continue;
+      }
 
-    if (!file.type.startsWith("video/")) {
-      toast.error("Please select a video file");
-      return;
+      additions.push({
+        id: `${Date.now()}-${Math.random()}`,
+        file,
+        type,
+        previewUrl: type === "image" || type === "video" ? URL.createObjectURL(file) : null,
+      });
     }
 
-    // Check file size (max 50MB for videos)
-    if (file.size > 50 * 1024 * 1024) {
-      toast.error("Video size should be less than 50MB");
-      return;
-    }
+    setQueuedFiles((prev) => [...prev, ...additions]);
+  };
 
-    // Store the actual file
-    setVideoFile(file);
+  const removeQueuedFile = (id) => {
+    const item = queuedFiles.find((q) => q.id === id);
+    if (item?.previewUrl) URL.revokeObjectURL(item.previewUrl);
+    setQueuedFiles((prev) => prev.filter((q) => q.id !== id));
+  };
 
-    // Create preview
-    const reader = new FileReader();
-    reader.onloadend = () => setVideoPreview(reader.result);
-    reader.readAsDataURL(file);
+  // Swap a queued file with its neighbour (direction -1 = earlier, 1 = later)
+  const moveQueuedFile = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= queuedFiles.length) return;
+    setQueuedFiles((prev) => {
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
   };
 
   const startRecording = async () => {
@@ -214,18 +235,6 @@ function MessageInput() {
     setAudioBlob(null);
   };
 
-  const removeImage = () => {
-    setImagePreview(null);
-    setImageFile(null);
-    if (fileInputRef.current) fileInputRef.current.value = "";
-  };
-
-  const removeVideo = () => {
-    setVideoPreview(null);
-    setVideoFile(null);
-    if (videoInputRef.current) videoInputRef.current.value = "";
-  };
-
   const removeAudio = () => {
     setAudioBlob(null);
     setRecordingTime(0);
@@ -249,14 +258,10 @@ function MessageInput() {
             {replyTo.text && (
               <p className="text-sm text-slate-300 truncate">{replyTo.text}</p>
             )}
-            {replyTo.image && (
-              <p className="text-xs text-slate-400 italic">📷 Photo</p>
-            )}
-            {replyTo.video && (
-              <p className="text-xs text-slate-400 italic">🎥 Video</p>
-            )}
-            {replyTo.audio && (
-              <p className="text-xs text-slate-400 italic">🎤 Audio</p>
+            {getMessageAttachments(replyTo).length > 0 && (
+              <p className="text-xs text-slate-400 italic truncate">
+                {describeAttachments(getMessageAttachments(replyTo))}
+              </p>
             )}
           </div>
           <button
@@ -269,43 +274,67 @@ function MessageInput() {
         </div>
       )}
 
-      {/* Image Preview */}
-      {imagePreview && (
-        <div className="max-w-3xl mx-auto mb-3 flex items-center">
-          <div className="relative">
-            <img
-              src={imagePreview}
-              alt="Preview"
-              className="w-32 h-32 object-cover rounded-lg border border-slate-700"
-            />
-            <button
-              onClick={removeImage}
-              className="absolute -top-2 -right-2 w-6 h-6 rounded-full bg-slate-800 flex items-center justify-center text-slate-200 hover:bg-slate-700"
-              type="button"
-            >
-              <XIcon className="w-4 h-4" />
-            </button>
-          </div>
-        </div>
-      )}
-
-      {/* Video Preview */}
-      {videoPreview && (
-        <div className="max-w-3xl mx-auto mb-3 flex items-center">
-          <div className="relative">
-            <video
-              src={videoPreview}
-              className="w-64 h-48 object-cover rounded-lg border border-slate-700"
-              controls
-            />
-            <button
-              onClick={removeVideo}
-              className="absolute -top-2 -right-2 w-6 h-6 rounded-full bg-slate-800 flex items-center justify-center text-slate-200 hover:bg-slate-700"
-              type="button"
-            >
-              <XIcon className="w-4 h-4" />
-            </button>
-          </div>
+      {/* Queued Files (sent in this order) */}
+      {queuedFiles.length > 0 && (
+        <div className="max-w-3xl mx-auto mb-3 flex flex-wrap gap-2">
+          {queuedFiles.map((item, index) => (
+            <div key={item.id} className="relative group w-24">
+              {item.type === "image" && (
+                <img
+                  src={item.previewUrl}
+                  alt={item.file.name}
+                  className="w-24 h-24 object-cover rounded-lg border border-slate-700"
+                />
+              )}
+              {item.type === "video" && (
+                <video
+                  src={item.previewUrl}
+                  muted
+                  className="w-24 h-24 object-cover rounded-lg border border-slate-700"
+                />
+              )}
+              {(item.type === "file" || item.type === "audio") && (
+                <div className="w-24 h-24 flex flex-col items-center justify-center gap-1 p-2 rounded-lg border border-slate-700 bg-slate-800/50">
+                  <FileTextIcon className="w-6 h-6 text-cyan-500" />
+                  <span className="text-[10px] text-slate-300 truncate w-full text-center">{item.file.name}</span>
+                  <span className="text-[10px] text-slate-500">{formatFileSize(item.file.size)}</span>
+                </div>
+              )}
+
+              <button
+                onClick={() => removeQueuedFile(item.id)}
+                className="absolute -top-2 -right-2 w-6 h-6 rounded-full bg-slate-800 flex items-center justify-center text-slate-200 hover:bg-slate-700"
+                type="button"
+                title="Remove"
+              >
+                <XIcon className="w-4 h-4" />
+              </button>
+
+              {/* Reorder */}
+              {queuedFiles.length > 1 && (
+                <div className="absolute bottom-1 inset-x-1 flex justify-between opacity-0 group-hover:opacity-100 transition-opacity">
+                  <button
+                    type="button"
+                    onClick={() => moveQueuedFile(index, -1)}
+                    disabled={index === 0}
+                    className="w-6 h-6 rounded-full bg-slate-900/80 flex items-center justify-center text-slate-200 disabled:invisible"
+                    title="Move earlier"
+                  >
+                    <ChevronLeftIcon className="w-4 h-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => moveQueuedFile(index, 1)}
+                    disabled={index === queuedFiles.length - 1}
+                    className="w-6 h-6 rounded-full bg-slate-900/80 flex items-center justify-center text-slate-200 disabled:invisible"
+                    title="Move later"
+                  >
+                    <ChevronRightIcon className="w-4 h-4" />
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
         </div>
       )}
 
@@ -360,7 +389,8 @@ function MessageInput() {
           type="file"
           accept="image/png,image/jpeg,image/jpg,image/gif,image/webp"
           ref={fileInputRef}
-          onChange={handleImageChange}
+          multiple
+          onChange={handleFilesPicked}
           className="hidden"
         />
 
@@ -369,18 +399,41 @@ function MessageInput() {
           type="file"
           accept="video/mp4,video/webm,video/ogg,video/quicktime"
           ref={videoInputRef}
-          onChange={handleVideoChange}
+          multiple
+          onChange={handleFilesPicked}
           className="hidden"
         />
 
+        {/* File Attachment Input */}
+        <input
+          type="file"
+          accept={ATTACHMENT_ACCEPT}
+          ref={attachmentInputRef}
+          multiple
+          onChange={handleFilesPicked}
+          className="hidden"
+        />
+
+        {/* Attachment Button */}
+        <button
+          type="button"
+          onClick={() => attachmentInputRef.current?.click()}
+          className={`bg-slate-800/50 text-slate-400 hover:text-slate-200 rounded-lg px-3 py-2 transition-colors ${
+            queuedFiles.some((q) => q.type === "file") ? "text-cyan-500" : ""
+          }`}
+          title="Attach file"
+        >
+          <PaperclipIcon className="w-5 h-5" />
+        </button>
+
         {/* Image Button */}
         <button
           type="button"
           onClick={() => fileInputRef.current?.click()}
           className={`bg-slate-800/50 text-slate-400 hover:text-slate-200 rounded-lg px-3 py-2 transition-colors ${
-            imagePreview ? "text-cyan-500" : ""
+            queuedFiles.some((q) => q.type === "image") ? "text-cyan-500" : ""
           }`}
-          title="Send image"
+          title="Add photos"
         >
           <ImageIcon className="w-5 h-5" />
         </button>
@@ -390,9 +443,9 @@ function MessageInput() {
           type="button"
           onClick={() => videoInputRef.current?.click()}
           className={`bg-slate-800/50 text-slate-400 hover:text-slate-200 rounded-lg px-3 py-2 transition-colors ${
-            videoPreview ? "text-cyan-500" : ""
+            queuedFiles.some((q) => q.type === "video") ? "text-cyan-500" : ""
           }`}
-          title="Send video"
+          title="Add videos"
         >
           <VideoIcon className="w-5 h-5" />
         </button>
@@ -421,7 +474,7 @@ function MessageInput() {
         {/* Send Button */}
         <button
           type="submit"
-          disabled={!text.trim() && !imageFile && !videoFile && !audioBlob}
+          disabled={!hasContent}
           className="bg-gradient-to-r from-cyan-500 to-cyan-600 text-white rounded-lg px-4 py-2 font-medium hover:from-cyan-600 hover:to-cyan-700 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
         >
           <SendIcon className="w-5 h-5" />
@@ -7,16 +7,19 @@ import {
   CopyIcon,
   InfoIcon,
   XIcon,
+  FlagIcon,
 } from "lucide-react";
 import { useChatStore } from "../store/useChatStore";
 import { useAuthStore } from "../store/useAuthStore";
 import toast from "react-hot-toast";
+import ReportModal from "./ReportModal";
 
 function MessageMenu({ message, isSentByMe }) {
   const [isOpen, setIsOpen] = useState(false);
   const [isEditing, setIsEditing] = useState(false);
   const [editText, setEditText] = useState(message.text || "");
   const [showInfo, setShowInfo] = useState(false);
+  const [showReport, setShowReport] = useState(false);
   const menuRef = useRef(null);
   const { editMessage, deleteMessage, setReplyTo } = useChatStore();
   const { authUser } = useAuthStore();
@@ -186,6 +189,20 @@ function MessageMenu({ message, isSentByMe }) {
                 <InfoIcon className="w-4 h-4" />
                 Info
               </button>
+
+              {/* Report - Only for other people's messages */}
+              {!isSentByMe && (
+                <button
+                  onClick={() => {
+                    setShowReport(true);
+                    setIsOpen(false);
+                  }}
+                  className="w-full px-4 py-2 text-left text-sm text-red-400 hover:bg-slate-700 flex items-center gap-2"
+                >
+                  <FlagIcon className="w-4 h-4" />
+                  Report
+                </button>
+              )}
             </div>
           </div>
         )}
@@ -235,6 +252,10 @@ function MessageMenu({ message, isSentByMe }) {
         </div>
       )}
 
+      {showReport && (
+        <ReportModal target={{ messageId: message._id }} onClose={() => setShowReport(false)} />
+      )}
+
       {/* Message info modal */}
       {showInfo && (
         <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
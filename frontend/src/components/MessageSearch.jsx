@@ -0,0 +1,83 @@
+import { useEffect, useState } from "react";
+import { SearchIcon, UsersIcon, LoaderIcon } from "lucide-react";
+import { useChatStore } from "../store/useChatStore";
+import { useAuthStore } from "../store/useAuthStore";
+
+function MessageSearch() {
+  const { searchMessages, searchResults, isSearching, jumpToMessage } = useChatStore();
+  const { authUser } = useAuthStore();
+  const [query, setQuery] = useState("");
+
+  // Debounce so we only search once the user pauses typing
+  useEffect(() => {
+    const timeoutId = setTimeout(() => searchMessages(query), 300);
+    return () => clearTimeout(timeoutId);
+  }, [query, searchMessages]);
+
+  return (
+    <div className="space-y-2">
+      <div className="relative">
+        <SearchIcon className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-400" />
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          className="w-full bg-slate-800/50 border border-slate-700/50 rounded-lg py-2 pl-9 pr-3 text-sm text-slate-200 placeholder-slate-500"
+          placeholder="Search messages..."
+          autoFocus
+        />
+      </div>
+
+      {isSearching && (
+        <div className="flex justify-center py-4">
+          <LoaderIcon className="w-5 h-5 text-slate-400 animate-spin" />
+        </div>
+      )}
+
+      {!isSearching && query.trim() && searchResults.length === 0 && (
+        <p className="text-sm text-slate-400 text-center py-4">No messages found</p>
+      )}
+
+      {!isSearching &&
+        searchResults.map(({ conversation, hits }) => (
+          <div key={conversation._id} className="bg-slate-800/30 rounded-lg p-2">
+            <div className="flex items-center gap-2 px-2 py-1">
+              {conversation.isGroup && !conversation.avatar ? (
+                <div className="size-6 rounded-full bg-slate-700 flex items-center justify-center">
+                  <UsersIcon className="size-3 text-slate-300" />
+                </div>
+              ) : (
+                <img
+                  src={(conversation.isGroup ? conversation.avatar : conversation.profilePic) || "/avatar.png"}
+                  alt=""
+                  className="size-6 rounded-full object-cover"
+                />
+              )}
+              <h4 className="text-sm text-slate-200 font-medium truncate">
+                {conversation.isGroup ? conversation.name : conversation.fullName}
+              </h4>
+            </div>
+
+            {hits.map((hit) => (
+              <button
+                key={hit._id}
+                onClick={() => jumpToMessage(conversation, hit._id)}
+                className="w-full text-left px-2 py-1.5 rounded hover:bg-cyan-500/10 transition-colors"
+              >
+                <p className="text-xs text-slate-300 line-clamp-2">
+                  <span className="text-slate-400">
+                    {hit.sender._id === authUser._id ? "You" : hit.sender.fullName}:{" "}
+                  </span>
+                  {hit.snippet}
+                </p>
+                <p className="text-[10px] text-slate-500 mt-0.5">
+                  {new Date(hit.createdAt).toLocaleString()}
+                </p>
+              </button>
+            ))}
+          </div>
+        ))}
+    </div>
+  );
+}
+export default MessageSearch;
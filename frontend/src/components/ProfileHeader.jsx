@@ -1,14 +1,28 @@
 import { useState, useRef } from "react";
-import { LogOutIcon, VolumeOffIcon, Volume2Icon } from "lucide-react";
+import {
+  LogOutIcon,
+  VolumeOffIcon,
+  Volume2Icon,
+  EyeIcon,
+  EyeOffIcon,
+  MonitorSmartphoneIcon,
+  ShieldCheckIcon,
+  LayoutDashboardIcon,
+} from "lucide-react";
+import { Link } from "react-router";
 import { useAuthStore } from "../store/useAuthStore";
 import { useChatStore } from "../store/useChatStore";
+import DevicesModal from "./DevicesModal";
+import TwoFactorModal from "./TwoFactorModal";
 
 const mouseClickSound = new Audio("/sounds/mouse-click.mp3");
 
 function ProfileHeader() {
-  const { logout, authUser, updateProfile } = useAuthStore();
+  const { logout, authUser, updateProfile, updatePrivacy } = useAuthStore();
   const { isSoundEnabled, toggleSound } = useChatStore();
   const [selectedImg, setSelectedImg] = useState(null);
+  const [showDevices, setShowDevices] = useState(false);
+  const [showTwoFactor, setShowTwoFactor] = useState(false);
 
   const fileInputRef = useRef(null);
 
@@ -107,8 +121,51 @@ function ProfileHeader() {
               <VolumeOffIcon className="size-5" />
             )}
           </button>
+
+          {/* LAST SEEN PRIVACY TOGGLE BTN */}
+          <button
+            className="text-slate-400 hover:text-slate-200 transition-colors"
+            onClick={() => updatePrivacy({ showLastSeen: !authUser.showLastSeen })}
+            title={authUser.showLastSeen ? "Hide my last seen" : "Show my last seen"}
+          >
+            {authUser.showLastSeen ? <EyeIcon className="size-5" /> : <EyeOffIcon className="size-5" />}
+          </button>
+
+          {/* DEVICES BTN */}
+          <button
+            className="text-slate-400 hover:text-slate-200 transition-colors"
+            onClick={() => setShowDevices(true)}
+            title="Devices"
+          >
+            <MonitorSmartphoneIcon className="size-5" />
+          </button>
+
+          {/* TWO-FACTOR AUTH BTN */}
+          <button
+            className={`transition-colors ${
+              authUser.twoFactorEnabled ? "text-cyan-400" : "text-slate-400 hover:text-slate-200"
+            }`}
+            onClick={() => setShowTwoFactor(true)}
+            title="Two-factor authentication"
+          >
+            <ShieldCheckIcon className="size-5" />
+          </button>
+
+          {/* ADMIN DASHBOARD LINK */}
+          {authUser.role === "admin" && (
+            <Link
+              to="/admin"
+              className="text-slate-400 hover:text-slate-200 transition-colors"
+              title="Admin dashboard"
+            >
+              <LayoutDashboardIcon className="size-5" />
+            </Link>
+          )}
         </div>
       </div>
+
+      {showDevices && <DevicesModal onClose={() => setShowDevices(false)} />}
+      {showTwoFactor && <TwoFactorModal onClose={() => setShowTwoFactor(false)} />}
     </div>
   );
 }
@@ -0,0 +1,110 @@
+import { useState } from "react";
+import { XIcon } from "lucide-react";
+import toast from "react-hot-toast";
+import { axiosInstance } from "../lib/axios";
+
+// Mirrors REPORT_REASONS in the backend Report model
+const REPORT_REASONS = [
+  { value: "spam", label: "Spam" },
+  { value: "harassment", label: "Harassment or bullying" },
+  { value: "hate", label: "Hate speech" },
+  { value: "violence", label: "Violence or threats" },
+  { value: "sexual", label: "Sexual content" },
+  { value: "impersonation", label: "Impersonation" },
+  { value: "other", label: "Something else" },
+];
+
+// target: { messageId } to report a message, { userId, name } to report a user
+function ReportModal({ target, onClose }) {
+  const [reason, setReason] = useState("");
+  const [details, setDetails] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const isMessage = !!target.messageId;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!reason) return toast.error("Please choose a reason");
+
+    setIsSubmitting(true);
+    try {
+      const res = await axiosInstance.post("/reports", {
+        targetType: isMessage ? "message" : "user",
+        messageId: target.messageId,
+        userId: target.userId,
+        reason,
+        details: details.trim(),
+      });
+      toast.success(res.data.message);
+      onClose();
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to send report");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <form onSubmit={handleSubmit} className="bg-slate-800 rounded-lg p-6 max-w-md w-full mx-4">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-slate-200">
+            {isMessage ? "Report message" : `Report ${target.name}`}
+          </h3>
+          <button type="button" onClick={onClose} className="text-slate-400 hover:text-slate-200">
+            <XIcon className="w-5 h-5" />
+          </button>
+        </div>
+
+        <p className="text-sm text-slate-400 mb-3">
+          Reports are sent to the moderators and aren't shared with the person you report.
+        </p>
+
+        <div className="space-y-1 mb-3">
+          {REPORT_REASONS.map(({ value, label }) => (
+            <label
+              key={value}
+              className="flex items-center gap-2 p-2 rounded-lg hover:bg-slate-700/50 cursor-pointer text-sm text-slate-200"
+            >
+              <input
+                type="radio"
+                name="reason"
+                value={value}
+                checked={reason === value}
+                onChange={() => setReason(value)}
+                className="radio radio-sm radio-info"
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+
+        <textarea
+          value={details}
+          onChange={(e) => setDetails(e.target.value)}
+          className="w-full bg-slate-700 border border-slate-600 rounded-lg p-3 text-sm text-slate-200 placeholder-slate-500 resize-none"
+          rows={3}
+          maxLength={1000}
+          placeholder="Anything else the moderators should know? (optional)"
+        />
+
+        <div className="flex gap-2 mt-4">
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="flex-1 bg-red-600 hover:bg-red-700 text-white rounded-lg py-2 px-4 disabled:opacity-50"
+          >
+            {isSubmitting ? "Sending..." : "Report"}
+          </button>
+          <button
+            type="button"
+            onClick={onClose}
+            className="flex-1 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-lg py-2 px-4"
+          >
+            Cancel
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+export default ReportModal;
@@ -0,0 +1,179 @@
+import { useState } from "react";
+import { XIcon, LoaderIcon, CopyIcon } from "lucide-react";
+import toast from "react-hot-toast";
+import { useAuthStore } from "../store/useAuthStore";
+
+function TwoFactorModal({ onClose }) {
+  const { authUser, setupTwoFactor, enableTwoFactor, disableTwoFactor } = useAuthStore();
+  const [setup, setSetup] = useState(null); // { secret, qrCode } while enrolling
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const withSubmitting = async (action) => {
+    setIsSubmitting(true);
+    try {
+      await action();
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleStartSetup = () =>
+    withSubmitting(async () => {
+      const data = await setupTwoFactor();
+      if (data) setSetup(data);
+    });
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    if (!code.trim()) return;
+    withSubmitting(async () => {
+      const codes = await enableTwoFactor(code.trim());
+      if (codes) setRecoveryCodes(codes);
+    });
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    if (!password) return;
+    withSubmitting(async () => {
+      if (await disableTwoFactor(password)) onClose();
+    });
+  };
+
+  const copyRecoveryCodes = () => {
+    navigator.clipboard
+      .writeText(recoveryCodes.join("\n"))
+      .then(() => toast.success("Recovery codes copied"))
+      .catch(() => toast.error("Failed to copy"));
+  };
+
+  const renderContent = () => {
+    if (recoveryCodes) {
+      return (
+        <>
+          <p className="text-sm text-slate-400 mb-3">
+            Save these recovery codes somewhere safe. Each one can be used once to sign in if you
+            lose access to your authenticator app. They won't be shown again.
+          </p>
+          <div className="grid grid-cols-2 gap-2 bg-slate-900/50 rounded-lg p-3 font-mono text-sm text-slate-200">
+            {recoveryCodes.map((recoveryCode) => (
+              <span key={recoveryCode}>{recoveryCode}</span>
+            ))}
+          </div>
+          <div className="flex justify-end gap-2 mt-4">
+            <button
+              onClick={copyRecoveryCodes}
+              className="flex items-center gap-1 px-4 py-2 text-sm text-slate-300 hover:text-slate-100"
+            >
+              <CopyIcon className="w-4 h-4" />
+              Copy
+            </button>
+            <button
+              onClick={onClose}
+              className="px-4 py-2 text-sm bg-cyan-600 text-white rounded-lg hover:bg-cyan-700"
+            >
+              Done
+            </button>
+          </div>
+        </>
+      );
+    }
+
+    if (authUser.twoFactorEnabled) {
+      return (
+        <form onSubmit={handleDisable}>
+          <p className="text-sm text-slate-400 mb-3">
+            Two-factor authentication is on. Enter your current password to turn it off.
+          </p>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="w-full bg-slate-700 border border-slate-600 rounded-lg py-2 px-3 text-sm text-slate-200 placeholder-slate-500"
+            placeholder="Current password"
+            autoFocus
+          />
+          <div className="flex justify-end mt-4">
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="px-4 py-2 text-sm bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+            >
+              {isSubmitting ? <LoaderIcon className="w-4 h-4 animate-spin" /> : "Disable 2FA"}
+            </button>
+          </div>
+        </form>
+      );
+    }
+
+    if (setup) {
+      return (
+        <form onSubmit={handleEnable}>
+          <p className="text-sm text-slate-400 mb-3">
+            Scan this QR code with an authenticator app, then enter the 6-digit code it shows.
+          </p>
+          <img src={setup.qrCode} alt="Two-factor QR code" className="mx-auto size-44 rounded-lg bg-white p-2" />
+          <p className="text-xs text-slate-500 text-center mt-2 break-all">
+            Or enter this key manually: <span className="font-mono text-slate-300">{setup.secret}</span>
+          </p>
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            className="mt-4 w-full bg-slate-700 border border-slate-600 rounded-lg py-2 px-3 text-sm text-slate-200 placeholder-slate-500"
+            placeholder="123456"
+            autoFocus
+          />
+          <div className="flex justify-end mt-4">
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="px-4 py-2 text-sm bg-cyan-600 text-white rounded-lg hover:bg-cyan-700 disabled:opacity-50"
+            >
+              {isSubmitting ? <LoaderIcon className="w-4 h-4 animate-spin" /> : "Enable 2FA"}
+            </button>
+          </div>
+        </form>
+      );
+    }
+
+    return (
+      <>
+        <p className="text-sm text-slate-400 mb-4">
+          Protect your account with a code from an authenticator app (Google Authenticator, Authy,
+          1Password...) in addition to your password.
+        </p>
+        <div className="flex justify-end">
+          <button
+            onClick={handleStartSetup}
+            disabled={isSubmitting}
+            className="px-4 py-2 text-sm bg-cyan-600 text-white rounded-lg hover:bg-cyan-700 disabled:opacity-50"
+          >
+            {isSubmitting ? <LoaderIcon className="w-4 h-4 animate-spin" /> : "Set up 2FA"}
+          </button>
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-slate-800 rounded-lg p-6 max-w-md w-full mx-4">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-slate-200">Two-factor authentication</h3>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-200">
+            <XIcon className="w-5 h-5" />
+          </button>
+        </div>
+
+        {renderContent()}
+      </div>
+    </div>
+  );
+}
+export default TwoFactorModal;
@@ -0,0 +1,109 @@
+import { UserPlusIcon, UserCheckIcon, CheckIcon, LoaderIcon } from "lucide-react";
+import { useChatStore } from "../store/useChatStore";
+import { useContactStore } from "../store/useContactStore";
+import { useAuthStore } from "../store/useAuthStore";
+
+// Directory search results for the Contacts tab; the query itself is owned by ContactList
+function UserSearchResults() {
+  const { setSelectedUser } = useChatStore();
+  const {
+    searchQuery,
+    searchResults,
+    searchTotal,
+    searchPage,
+    isSearching,
+    searchUsers,
+    sendContactRequest,
+    acceptContactRequest,
+    getPendingRequestWith,
+  } = useContactStore();
+  const { onlineUsers } = useAuthStore();
+
+  const renderContactAction = (user) => {
+    switch (user.contactStatus) {
+      case "contact":
+        return <span className="text-xs text-cyan-400">Contact</span>;
+      case "outgoing":
+        return (
+          <span title="Contact request sent">
+            <UserCheckIcon className="w-5 h-5 text-cyan-400" />
+          </span>
+        );
+      case "incoming":
+        return (
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              const request = getPendingRequestWith(user._id);
+              if (request) acceptContactRequest(request._id);
+            }}
+            className="text-slate-400 hover:text-cyan-400 transition-colors"
+            title="Accept contact request"
+          >
+            <CheckIcon className="w-5 h-5" />
+          </button>
+        );
+      default:
+        return (
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              sendContactRequest({ userId: user._id });
+            }}
+            className="text-slate-400 hover:text-cyan-400 transition-colors"
+            title="Add contact"
+          >
+            <UserPlusIcon className="w-5 h-5" />
+          </button>
+        );
+    }
+  };
+
+  if (isSearching && searchResults.length === 0) {
+    return (
+      <div className="flex justify-center py-6">
+        <LoaderIcon className="w-5 h-5 text-slate-400 animate-spin" />
+      </div>
+    );
+  }
+
+  if (searchResults.length === 0) {
+    return (
+      <p className="text-sm text-slate-400 text-center py-6">No people match "{searchQuery}"</p>
+    );
+  }
+
+  return (
+    <>
+      {searchResults.map((user) => (
+        <div
+          key={user._id}
+          className="bg-slate-800/50 p-3 rounded-lg cursor-pointer hover:bg-slate-700/50 transition-colors flex items-center gap-3"
+          onClick={() => setSelectedUser(user)}
+        >
+          <div className={`avatar ${onlineUsers.includes(user._id) ? "online" : "offline"}`}>
+            <div className="size-10 rounded-full">
+              <img src={user.profilePic || "/avatar.png"} />
+            </div>
+          </div>
+          <div className="flex-1 min-w-0">
+            <h4 className="text-sm text-slate-200 font-medium truncate">{user.fullName}</h4>
+            <p className="text-xs text-slate-500 truncate">{user.email}</p>
+          </div>
+          {renderContactAction(user)}
+        </div>
+      ))}
+
+      {searchResults.length < searchTotal && (
+        <button
+          onClick={() => searchUsers(searchQuery, searchPage + 1)}
+          disabled={isSearching}
+          className="w-full py-2 text-sm text-slate-400 hover:text-slate-200 disabled:opacity-50"
+        >
+          {isSearching ? "Loading..." : `Show more (${searchTotal - searchResults.length})`}
+        </button>
+      )}
+    </>
+  );
+}
+export default UserSearchResults;
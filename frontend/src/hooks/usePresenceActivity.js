@@ -0,0 +1,58 @@
+import { useEffect } from "react";
+import { useAuthStore } from "../store/useAuthStore";
+
+const IDLE_TIMEOUT = 5 * 60 * 1000; // 5 minutes without input marks this tab idle
+const ACTIVITY_EVENTS = ["mousemove", "mousedown", "keydown", "touchstart", "scroll"];
+
+// Reports this tab as "active" or "idle" so other users can see when we're away
+function usePresenceActivity() {
+  const { socket } = useAuthStore();
+
+  useEffect(() => {
+    if (!socket) return;
+
+    let status = "active";
+    let idleTimer = null;
+
+    const setStatus = (nextStatus) => {
+      if (status === nextStatus) return;
+      status = nextStatus;
+      socket.emit("presence", { status });
+    };
+
+    const handleActivity = () => {
+      clearTimeout(idleTimer);
+      if (document.visibilityState === "hidden") return;
+      setStatus("active");
+      idleTimer = setTimeout(() => setStatus("idle"), IDLE_TIMEOUT);
+    };
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === "hidden") {
+        clearTimeout(idleTimer);
+        setStatus("idle");
+      } else {
+        handleActivity();
+      }
+    };
+
+    // The server treats every new connection as active, so re-report after reconnecting
+    const handleConnect = () => {
+      if (status === "idle") socket.emit("presence", { status });
+    };
+
+    ACTIVITY_EVENTS.forEach((event) => window.addEventListener(event, handleActivity, { passive: true }));
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+    socket.on("connect", handleConnect);
+    handleVisibilityChange();
+
+    return () => {
+      clearTimeout(idleTimer);
+      ACTIVITY_EVENTS.forEach((event) => window.removeEventListener(event, handleActivity));
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+      socket.off("connect", handleConnect);
+    };
+  }, [socket]);
+}
+
+export default usePresenceActivity;
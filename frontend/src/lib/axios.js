@@ -17,6 +17,42 @@ export const axiosInstance = axios.create({
   timeout: 10000, // 10 second timeout
 });
 
+// Access tokens are short-lived; when one expires we trade the refresh cookie for a new one.
+// Concurrent 401s share a single refresh request.
+let refreshPromise = null;
+let onSessionExpired = () => {};
+
+export const setSessionExpiredHandler = (handler) => {
+  onSessionExpired = handler;
+};
+
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = axiosInstance
+      .post("/auth/refresh", null, { skipAuthRefresh: true })
+      .then(() => true)
+      .catch(() => {
+        onSessionExpired();
+        return false;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// The API answers every error with { code, message, details }; details lists the failed fields
+// of a VALIDATION_ERROR, whose message is the first of them. Error bodies that didn't come from
+// the API (a proxy's error page, an empty 502) get the same shape with an empty message, so
+// callers can always read error.response.data.message and fall back to their own text.
+const toApiError = (data) => {
+  if (data && typeof data === "object" && typeof data.message === "string") {
+    return { code: data.code || "UNKNOWN_ERROR", message: data.message, details: data.details ?? null };
+  }
+  return { code: "UNKNOWN_ERROR", message: "", details: null };
+};
+
 // Add request interceptor
 axiosInstance.interceptors.request.use(
   (config) => {
@@ -32,7 +68,15 @@ axiosInstance.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
+  async (error) => {
+    const { config, response } = error;
+    if (response?.status === 401 && config && !config.skipAuthRefresh && !config._retried) {
+      config._retried = true;
+      if (await refreshSession()) return axiosInstance(config);
+    }
+
+    if (response) response.data = toApiError(response.data);
+
     if (error.code === "ECONNABORTED") {
       toast.error("Request timeout. Please check your connection.");
     } else if (error.code === "ERR_NETWORK" || !error.response) {
@@ -0,0 +1,91 @@
+// Attachment type for a MIME type, matching the backend's classification
+export const getAttachmentType = (mimeType = "") => {
+  const kind = mimeType.split("/")[0];
+  return ["image", "video", "audio"].includes(kind) ? kind : "file";
+};
+
+// A message's files in display order, including the single-media fields of older messages
+export const getMessageAttachments = (message) => {
+  if (!message) return [];
+  if (message.attachments?.length) return message.attachments;
+
+  const legacy = [];
+  if (message.image) legacy.push({ type: "image", url: message.image });
+  if (message.video) legacy.push({ type: "video", url: message.video });
+  if (message.audio) legacy.push({ type: "audio", url: message.audio });
+  if (message.file) legacy.push({ type: "file", ...message.file });
+  return legacy;
+};
+
+const ATTACHMENT_LABELS = {
+  image: { icon: "📷", one: "Photo", many: "photos" },
+  video: { icon: "🎥", one: "Video", many: "videos" },
+  audio: { icon: "🎤", one: "Audio", many: "audio clips" },
+  file: { icon: "📎", one: "File", many: "files" },
+};
+
+// "📷 Photo", "📷 3 photos", "📎 report.pdf", or "📎 4 attachments" for a mix of types
+export const describeAttachments = (attachments) => {
+  if (attachments.length === 0) return "";
+
+  const types = new Set(attachments.map((a) => a.type));
+  if (types.size > 1) return `📎 ${attachments.length} attachments`;
+
+  const [type] = types;
+  const { icon, one, many } = ATTACHMENT_LABELS[type];
+  if (attachments.length > 1) return `${icon} ${attachments.length} ${many}`;
+  return type === "file" ? `${icon} ${attachments[0].name}` : `${icon} ${one}`;
+};
+
+// One-line summary of a message for the chat list (text, or a label for media)
+export const getMessagePreview = (message, authUserId) => {
+  if (!message) return "";
+  if (message.deletedForEveryone) return "This message was deleted";
+
+  const preview = message.text || describeAttachments(getMessageAttachments(message));
+
+  const senderId = message.senderId?._id || message.senderId;
+  return senderId === authUserId ? `You: ${preview}` : preview;
+};
+
+// Time for today's messages, weekday within the last week, date otherwise
+export const formatChatTimestamp = (date) => {
+  const value = new Date(date);
+  const now = new Date();
+
+  if (value.toDateString() === now.toDateString()) {
+    return value.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" });
+  }
+  if (now - value < 7 * 24 * 60 * 60 * 1000) {
+    return value.toLocaleDateString(undefined, { weekday: "short" });
+  }
+  return value.toLocaleDateString();
+};
+
+const relativeTime = new Intl.RelativeTimeFormat(undefined, { numeric: "auto" });
+
+// "last seen 5 minutes ago", falling back to a date after a week
+export const formatLastSeen = (date) => {
+  const seconds = Math.round((new Date(date) - new Date()) / 1000);
+  if (seconds > -60) return "last seen just now";
+
+  const minutes = Math.round(seconds / 60);
+  if (minutes > -60) return `last seen ${relativeTime.format(minutes, "minute")}`;
+
+  const hours = Math.round(minutes / 60);
+  if (hours > -24) return `last seen ${relativeTime.format(hours, "hour")}`;
+
+  const days = Math.round(hours / 24);
+  if (days > -7) return `last seen ${relativeTime.format(days, "day")}`;
+
+  return `last seen on ${new Date(date).toLocaleDateString()}`;
+};
+
+// 1536 -> "1.5 KB"
+export const formatFileSize = (bytes) => {
+  if (!bytes) return "0 B";
+  const units = ["B", "KB", "MB", "GB"];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  const value = bytes / 1024 ** exponent;
+  return `${exponent === 0 ? value : value.toFixed(1)} ${units[exponent]}`;
+};
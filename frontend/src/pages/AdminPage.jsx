@@ -0,0 +1,63 @@
+import { useState } from "react";
+import { Link } from "react-router";
+import { ArrowLeftIcon, BarChart3Icon, UsersIcon, FlagIcon } from "lucide-react";
+
+import BorderAnimatedContainer from "../components/BorderAnimatedContainer";
+import AdminStats from "../components/AdminStats";
+import AdminUsers from "../components/AdminUsers";
+import AdminReports from "../components/AdminReports";
+
+const TABS = [
+  { id: "overview", label: "Overview", icon: <BarChart3Icon className="size-4" /> },
+  { id: "users", label: "Users", icon: <UsersIcon className="size-4" /> },
+  { id: "reports", label: "Reports", icon: <FlagIcon className="size-4" /> },
+];
+
+function AdminPage() {
+  const [activeTab, setActiveTab] = useState("overview");
+
+  return (
+    <div className="relative w-full max-w-6xl h-[800px]">
+      <BorderAnimatedContainer>
+        {/* LEFT SIDE */}
+        <div className="w-64 bg-slate-800/50 backdrop-blur-sm flex flex-col">
+          <div className="p-6 border-b border-slate-700/50">
+            <Link
+              to="/"
+              className="flex items-center gap-2 text-sm text-slate-400 hover:text-slate-200 transition-colors"
+            >
+              <ArrowLeftIcon className="size-4" />
+              Back to chats
+            </Link>
+            <h2 className="text-lg font-medium text-slate-200 mt-4">Admin dashboard</h2>
+          </div>
+
+          <nav className="p-4 space-y-1">
+            {TABS.map(({ id, label, icon }) => (
+              <button
+                key={id}
+                onClick={() => setActiveTab(id)}
+                className={`w-full flex items-center gap-3 px-4 py-2 rounded-lg text-sm transition-colors ${
+                  activeTab === id
+                    ? "bg-cyan-500/20 text-cyan-400"
+                    : "text-slate-400 hover:bg-slate-700/50 hover:text-slate-200"
+                }`}
+              >
+                {icon}
+                {label}
+              </button>
+            ))}
+          </nav>
+        </div>
+
+        {/* RIGHT SIDE */}
+        <div className="flex-1 bg-slate-900/50 backdrop-blur-sm overflow-y-auto p-6">
+          {activeTab === "overview" && <AdminStats />}
+          {activeTab === "users" && <AdminUsers />}
+          {activeTab === "reports" && <AdminReports />}
+        </div>
+      </BorderAnimatedContainer>
+    </div>
+  );
+}
+export default AdminPage;
@@ -1,15 +1,50 @@
+import { useEffect } from "react";
+import { SearchIcon, XIcon } from "lucide-react";
 import { useChatStore } from "../store/useChatStore";
+import { useAuthStore } from "../store/useAuthStore";
+import { useContactStore } from "../store/useContactStore";
 
 import BorderAnimatedContainer from "../components/BorderAnimatedContainer";
 import ProfileHeader from "../components/ProfileHeader";
+import EmailVerificationBanner from "../components/EmailVerificationBanner";
 import ActiveTabSwitch from "../components/ActiveTabSwitch";
 import ChatsList from "../components/ChatsList";
 import ContactList from "../components/ContactList";
 import ChatContainer from "../components/ChatContainer";
+import MessageSearch from "../components/MessageSearch";
 import NoConversationPlaceholder from "../components/NoConversationPlaceholder";
+import usePresenceActivity from "../hooks/usePresenceActivity";
 
 function ChatPage() {
-  const { activeTab, selectedUser } = useChatStore();
+  const {
+    activeTab,
+    selectedUser,
+    subscribeToChatList,
+    isSearchOpen,
+    toggleSearch,
+    getAllContacts,
+  } = useChatStore();
+  const { getContactRequests, subscribeToContactEvents } = useContactStore();
+  const { socket } = useAuthStore();
+
+  usePresenceActivity();
+
+  // Keep chat list previews, unread counts and groups in sync with live events
+  useEffect(() => {
+    if (!socket) return;
+    return subscribeToChatList();
+  }, [socket, subscribeToChatList]);
+
+  // Contacts and pending requests back the Contacts tab badge and the chat header's contact button
+  useEffect(() => {
+    getAllContacts();
+    getContactRequests();
+  }, [getAllContacts, getContactRequests]);
+
+  useEffect(() => {
+    if (!socket) return;
+    return subscribeToContactEvents();
+  }, [socket, subscribeToContactEvents]);
 
   return (
     <div className="relative w-full max-w-6xl h-[800px]">
@@ -17,10 +52,22 @@ function ChatPage() {
         {/* LEFT SIDE */}
         <div className="w-80 bg-slate-800/50 backdrop-blur-sm flex flex-col">
           <ProfileHeader />
-          <ActiveTabSwitch />
+          <EmailVerificationBanner />
+          <div className="flex items-center justify-between pr-4">
+            <ActiveTabSwitch />
+            <button
+              onClick={toggleSearch}
+              className={`transition-colors ${
+                isSearchOpen ? "text-cyan-400" : "text-slate-400 hover:text-slate-200"
+              }`}
+              title={isSearchOpen ? "Close search" : "Search messages"}
+            >
+              {isSearchOpen ? <XIcon className="size-5" /> : <SearchIcon className="size-5" />}
+            </button>
+          </div>
 
           <div className="flex-1 overflow-y-auto p-4 space-y-2">
-            {activeTab === "chats" ? <ChatsList /> : <ContactList />}
+            {isSearchOpen ? <MessageSearch /> : activeTab === "chats" ? <ChatsList /> : <ContactList />}
           </div>
         </div>
 
@@ -0,0 +1,82 @@
+import { useState } from "react";
+import { useAuthStore } from "../store/useAuthStore";
+import BorderAnimatedContainer from "../components/BorderAnimatedContainer";
+import { KeyRoundIcon, MailIcon, LoaderIcon, MailCheckIcon } from "lucide-react";
+import { Link } from "react-router";
+
+function ForgotPasswordPage() {
+  const [email, setEmail] = useState("");
+  const [isSent, setIsSent] = useState(false);
+  const { requestPasswordReset, isSendingResetLink } = useAuthStore();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!email.trim()) return;
+
+    const sent = await requestPasswordReset(email.trim());
+    if (sent) setIsSent(true);
+  };
+
+  return (
+    <div className="w-full flex items-center justify-center p-4 bg-slate-900">
+      <div className="relative w-full max-w-md">
+        <BorderAnimatedContainer>
+          <div className="w-full p-8">
+            {isSent ? (
+              <div className="text-center">
+                <MailCheckIcon className="w-12 h-12 mx-auto text-cyan-400 mb-4" />
+                <h2 className="text-2xl font-bold text-slate-200 mb-2">Check your inbox</h2>
+                <p className="text-slate-400">
+                  If an account exists for <span className="text-slate-200">{email}</span>, we've
+                  sent a link to reset your password. The link expires in one hour.
+                </p>
+              </div>
+            ) : (
+              <>
+                {/* HEADING TEXT */}
+                <div className="text-center mb-8">
+                  <KeyRoundIcon className="w-12 h-12 mx-auto text-slate-400 mb-4" />
+                  <h2 className="text-2xl font-bold text-slate-200 mb-2">Forgot your password?</h2>
+                  <p className="text-slate-400">Enter your email and we'll send you a reset link</p>
+                </div>
+
+                {/* FORM */}
+                <form onSubmit={handleSubmit} className="space-y-6">
+                  <div>
+                    <label className="auth-input-label">Email</label>
+                    <div className="relative">
+                      <MailIcon className="auth-input-icon" />
+
+                      <input
+                        type="email"
+                        value={email}
+                        onChange={(e) => setEmail(e.target.value)}
+                        className="input"
+                        placeholder="johndoe@gmail.com"
+                      />
+                    </div>
+                  </div>
+
+                  <button className="auth-btn" type="submit" disabled={isSendingResetLink}>
+                    {isSendingResetLink ? (
+                      <LoaderIcon className="w-full h-5 animate-spin text-center" />
+                    ) : (
+                      "Send Reset Link"
+                    )}
+                  </button>
+                </form>
+              </>
+            )}
+
+            <div className="mt-6 text-center">
+              <Link to="/login" className="auth-link">
+                Back to Sign In
+              </Link>
+            </div>
+          </div>
+        </BorderAnimatedContainer>
+      </div>
+    </div>
+  );
+}
+export default ForgotPasswordPage;
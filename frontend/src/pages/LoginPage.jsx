@@ -1,12 +1,27 @@
 import { useState, useEffect } from "react";
 import { useAuthStore } from "../store/useAuthStore";
 import BorderAnimatedContainer from "../components/BorderAnimatedContainer";
-import { MessageCircleIcon, MailIcon, LoaderIcon, LockIcon } from "lucide-react";
+import {
+  MessageCircleIcon,
+  MailIcon,
+  LoaderIcon,
+  LockIcon,
+  ShieldCheckIcon,
+  KeyRoundIcon,
+} from "lucide-react";
 import { Link, useNavigate } from "react-router";
 
 function LoginPage() {
   const [formData, setFormData] = useState({ email: "", password: "" });
-  const { login, isLoggingIn, authUser } = useAuthStore();
+  const [code, setCode] = useState("");
+  const {
+    login,
+    isLoggingIn,
+    authUser,
+    twoFactorToken,
+    verifyTwoFactorLogin,
+    cancelTwoFactorLogin,
+  } = useAuthStore();
   const navigate = useNavigate();
 
   // Navigate to home if already logged in
@@ -25,6 +40,13 @@ function LoginPage() {
     // Navigation will happen automatically via useEffect when authUser is set
   };
 
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    if (!code.trim()) return;
+    await verifyTwoFactorLogin(code.trim());
+    setCode("");
+  };
+
   return (
     <div className="w-full flex items-center justify-center p-4 bg-slate-900">
       <div className="relative w-full max-w-6xl md:h-[800px] h-[650px]">
@@ -33,62 +55,124 @@ function LoginPage() {
             {/* FORM CLOUMN - LEFT SIDE */}
             <div className="md:w-1/2 p-8 flex items-center justify-center md:border-r border-slate-600/30">
               <div className="w-full max-w-md">
-                {/* HEADING TEXT */}
-                <div className="text-center mb-8">
-                  <MessageCircleIcon className="w-12 h-12 mx-auto text-slate-400 mb-4" />
-                  <h2 className="text-2xl font-bold text-slate-200 mb-2">Welcome Back</h2>
-                  <p className="text-slate-400">Login to access to your account</p>
-                </div>
-
-                {/* FORM */}
-                <form onSubmit={handleSubmit} className="space-y-6">
-                  {/* EMAIL INPUT */}
-                  <div>
-                    <label className="auth-input-label">Email</label>
-                    <div className="relative">
-                      <MailIcon className="auth-input-icon" />
-
-                      <input
-                        type="email"
-                        value={formData.email}
-                        onChange={(e) => setFormData({ ...formData, email: e.target.value })}
-                        className="input"
-                        placeholder="johndoe@gmail.com"
-                      />
+                {twoFactorToken ? (
+                  <>
+                    {/* HEADING TEXT */}
+                    <div className="text-center mb-8">
+                      <ShieldCheckIcon className="w-12 h-12 mx-auto text-slate-400 mb-4" />
+                      <h2 className="text-2xl font-bold text-slate-200 mb-2">Two-factor authentication</h2>
+                      <p className="text-slate-400">Enter the code from your authenticator app</p>
                     </div>
-                  </div>
 
-                  {/* PASSWORD INPUT */}
-                  <div>
-                    <label className="auth-input-label">Password</label>
-                    <div className="relative">
-                      <LockIcon className="auth-input-icon" />
-
-                      <input
-                        type="password"
-                        value={formData.password}
-                        onChange={(e) => setFormData({ ...formData, password: e.target.value })}
-                        className="input"
-                        placeholder="Enter your password"
-                      />
+                    {/* CODE FORM */}
+                    <form onSubmit={handleCodeSubmit} className="space-y-6">
+                      <div>
+                        <label className="auth-input-label">Authentication code</label>
+                        <div className="relative">
+                          <KeyRoundIcon className="auth-input-icon" />
+
+                          <input
+                            type="text"
+                            inputMode="numeric"
+                            autoComplete="one-time-code"
+                            value={code}
+                            onChange={(e) => setCode(e.target.value)}
+                            className="input"
+                            placeholder="123456"
+                            autoFocus
+                          />
+                        </div>
+                        <p className="mt-2 text-xs text-slate-500">
+                          Lost your device? Enter one of your recovery codes instead.
+                        </p>
+                      </div>
+
+                      <button className="auth-btn" type="submit" disabled={isLoggingIn}>
+                        {isLoggingIn ? (
+                          <LoaderIcon className="w-full h-5 animate-spin text-center" />
+                        ) : (
+                          "Verify"
+                        )}
+                      </button>
+                    </form>
+
+                    <div className="mt-6 text-center">
+                      <button onClick={cancelTwoFactorLogin} className="auth-link">
+                        Back to Sign In
+                      </button>
+                    </div>
+                  </>
+                ) : (
+                  <>
+                    {/* HEADING TEXT */}
+                    <div className="text-center mb-8">
+                      <MessageCircleIcon className="w-12 h-12 mx-auto text-slate-400 mb-4" />
+                      <h2 className="text-2xl font-bold text-slate-200 mb-2">Welcome Back</h2>
+                      <p className="text-slate-400">Login to access to your account</p>
                     </div>
-                  </div>
 
-                  {/* SUBMIT BUTTON */}
-                  <button className="auth-btn" type="submit" disabled={isLoggingIn}>
-                    {isLoggingIn ? (
-                      <LoaderIcon className="w-full h-5 animate-spin text-center" />
-                    ) : (
-                      "Sign In"
-                    )}
-                  </button>
-                </form>
+                    {/* FORM */}
+                    <form onSubmit={handleSubmit} className="space-y-6">
+                      {/* EMAIL INPUT */}
+                      <div>
+                        <label className="auth-input-label">Email</label>
+                        <div className="relative">
+                          <MailIcon className="auth-input-icon" />
 
-                <div className="mt-6 text-center">
-                  <Link to="/signup" className="auth-link">
-                    Don't have an account? Sign Up
-                  </Link>
-                </div>
+                          <input
+                            type="email"
+                            value={formData.email}
+                            onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+                            className="input"
+                            placeholder="johndoe@gmail.com"
+                          />
+                        </div>
+                      </div>
+
+                      {/* PASSWORD INPUT */}
+                      <div>
+                        <label className="auth-input-label">Password</label>
+                        <div className="relative">
+                          <LockIcon className="auth-input-icon" />
+
+                          <input
+                            type="password"
+                            value={formData.password}
+                            onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+                            className="input"
+                            placeholder="Enter your password"
+                          />
+                        </div>
+                      </div>
+
+                      <div className="text-right -mt-4">
+                        <Link
+                          to="/forgot-password"
+                          className="text-sm text-cyan-400 hover:text-cyan-500 transition-colors"
+                        >
+                          Forgot password?
+                        </Link>
+                      </div>
+
+                      {/* SUBMIT BUTTON */}
+                      <button className="auth-btn" type="submit" disabled={isLoggingIn}>
+                        {isLoggingIn ? (
+                          <LoaderIcon className="w-full h-5 animate-spin text-center" />
+                        ) : (
+                          "Sign In"
+                        )}
+                      </button>
+                    </form>
+                  </>
+                )}
+
+                {!twoFactorToken && (
+                  <div className="mt-6 text-center">
+                    <Link to="/signup" className="auth-link">
+                      Don't have an account? Sign Up
+                    </Link>
+                  </div>
+                )}
               </div>
             </div>
 
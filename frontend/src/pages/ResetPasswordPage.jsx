@@ -0,0 +1,105 @@
+import { useState } from "react";
+import { useAuthStore } from "../store/useAuthStore";
+import BorderAnimatedContainer from "../components/BorderAnimatedContainer";
+import { KeyRoundIcon, LockIcon, LoaderIcon } from "lucide-react";
+import { Link, useNavigate, useSearchParams } from "react-router";
+import toast from "react-hot-toast";
+
+function ResetPasswordPage() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const [formData, setFormData] = useState({ password: "", confirmPassword: "" });
+  const { resetPassword, isResettingPassword } = useAuthStore();
+  const navigate = useNavigate();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (formData.password.length < 6) {
+      return toast.error("Password must be at least 6 characters");
+    }
+    if (formData.password !== formData.confirmPassword) {
+      return toast.error("Passwords do not match");
+    }
+
+    const success = await resetPassword({ token, password: formData.password });
+    if (success) navigate("/login");
+  };
+
+  return (
+    <div className="w-full flex items-center justify-center p-4 bg-slate-900">
+      <div className="relative w-full max-w-md">
+        <BorderAnimatedContainer>
+          <div className="w-full p-8">
+            {/* HEADING TEXT */}
+            <div className="text-center mb-8">
+              <KeyRoundIcon className="w-12 h-12 mx-auto text-slate-400 mb-4" />
+              <h2 className="text-2xl font-bold text-slate-200 mb-2">Choose a new password</h2>
+              <p className="text-slate-400">
+                {token
+                  ? "Enter a new password for your account"
+                  : "This reset link is missing its token. Request a new one below."}
+              </p>
+            </div>
+
+            {token ? (
+              <form onSubmit={handleSubmit} className="space-y-6">
+                {/* PASSWORD INPUT */}
+                <div>
+                  <label className="auth-input-label">New password</label>
+                  <div className="relative">
+                    <LockIcon className="auth-input-icon" />
+
+                    <input
+                      type="password"
+                      value={formData.password}
+                      onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+                      className="input"
+                      placeholder="At least 6 characters"
+                    />
+                  </div>
+                </div>
+
+                {/* CONFIRM PASSWORD INPUT */}
+                <div>
+                  <label className="auth-input-label">Confirm password</label>
+                  <div className="relative">
+                    <LockIcon className="auth-input-icon" />
+
+                    <input
+                      type="password"
+                      value={formData.confirmPassword}
+                      onChange={(e) => setFormData({ ...formData, confirmPassword: e.target.value })}
+                      className="input"
+                      placeholder="Repeat your new password"
+                    />
+                  </div>
+                </div>
+
+                <button className="auth-btn" type="submit" disabled={isResettingPassword}>
+                  {isResettingPassword ? (
+                    <LoaderIcon className="w-full h-5 animate-spin text-center" />
+                  ) : (
+                    "Reset Password"
+                  )}
+                </button>
+              </form>
+            ) : (
+              <div className="text-center">
+                <Link to="/forgot-password" className="auth-link">
+                  Request a new link
+                </Link>
+              </div>
+            )}
+
+            <div className="mt-6 text-center">
+              <Link to="/login" className="auth-link">
+                Back to Sign In
+              </Link>
+            </div>
+          </div>
+        </BorderAnimatedContainer>
+      </div>
+    </div>
+  );
+}
+export default ResetPasswordPage;
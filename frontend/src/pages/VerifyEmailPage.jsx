@@ -0,0 +1,66 @@
+import { useEffect, useRef, useState } from "react";
+import { useAuthStore } from "../store/useAuthStore";
+import BorderAnimatedContainer from "../components/BorderAnimatedContainer";
+import { LoaderIcon, MailCheckIcon, MailXIcon } from "lucide-react";
+import { Link, useSearchParams } from "react-router";
+
+function VerifyEmailPage() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const { verifyEmail, authUser } = useAuthStore();
+  const [status, setStatus] = useState(token ? "verifying" : "failed");
+  const hasRequested = useRef(false);
+
+  // Tokens are single use, so guard against StrictMode running the effect twice
+  useEffect(() => {
+    if (!token || hasRequested.current) return;
+    hasRequested.current = true;
+
+    verifyEmail(token).then((success) => setStatus(success ? "verified" : "failed"));
+  }, [token, verifyEmail]);
+
+  return (
+    <div className="w-full flex items-center justify-center p-4 bg-slate-900">
+      <div className="relative w-full max-w-md">
+        <BorderAnimatedContainer>
+          <div className="w-full p-8 text-center">
+            {status === "verifying" && (
+              <>
+                <LoaderIcon className="w-12 h-12 mx-auto text-slate-400 mb-4 animate-spin" />
+                <h2 className="text-2xl font-bold text-slate-200 mb-2">Verifying your email...</h2>
+              </>
+            )}
+
+            {status === "verified" && (
+              <>
+                <MailCheckIcon className="w-12 h-12 mx-auto text-cyan-400 mb-4" />
+                <h2 className="text-2xl font-bold text-slate-200 mb-2">Email verified</h2>
+                <p className="text-slate-400">Thanks for confirming your email address.</p>
+              </>
+            )}
+
+            {status === "failed" && (
+              <>
+                <MailXIcon className="w-12 h-12 mx-auto text-red-400 mb-4" />
+                <h2 className="text-2xl font-bold text-slate-200 mb-2">Verification failed</h2>
+                <p className="text-slate-400">
+                  This verification link is invalid or has expired. Log in and use "Resend email"
+                  to get a new one.
+                </p>
+              </>
+            )}
+
+            {status !== "verifying" && (
+              <div className="mt-6">
+                <Link to={authUser ? "/" : "/login"} className="auth-link">
+                  {authUser ? "Go to chats" : "Go to Sign In"}
+                </Link>
+              </div>
+            )}
+          </div>
+        </BorderAnimatedContainer>
+      </div>
+    </div>
+  );
+}
+export default VerifyEmailPage;
@@ -0,0 +1,118 @@
+import { create } from "zustand";
+import { axiosInstance } from "../lib/axios";
+import toast from "react-hot-toast";
+
+export const useAdminStore = create((set, get) => ({
+  stats: null,
+  isStatsLoading: false,
+  users: [],
+  usersTotal: 0,
+  usersPageSize: 25,
+  isUsersLoading: false,
+  reports: [],
+  reportsTotal: 0,
+  reportsPageSize: 20,
+  isReportsLoading: false,
+
+  getStats: async () => {
+    set({ isStatsLoading: true });
+    try {
+      const res = await axiosInstance.get("/admin/stats");
+      set({ stats: res.data });
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to load stats");
+    } finally {
+      set({ isStatsLoading: false });
+    }
+  },
+
+  getUsers: async ({ q = "", status = "all", page = 1 } = {}) => {
+    set({ isUsersLoading: true });
+    try {
+      const res = await axiosInstance.get("/admin/users", { params: { q, status, page } });
+      set({ users: res.data.users, usersTotal: res.data.total, usersPageSize: res.data.pageSize });
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to load users");
+    } finally {
+      set({ isUsersLoading: false });
+    }
+  },
+
+  // keeps the row in place (with its isOnline flag) after suspend / unsuspend
+  replaceUser: (updated) => {
+    set({
+      users: get().users.map((user) => (user._id === updated._id ? { ...user, ...updated } : user)),
+    });
+  },
+
+  suspendUser: async (userId, reason) => {
+    try {
+      const res = await axiosInstance.put(`/admin/users/${userId}/suspend`, { reason });
+      get().replaceUser({ ...res.data, suspensionReason: reason, isOnline: false });
+      toast.success("Account suspended");
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to suspend account");
+    }
+  },
+
+  unsuspendUser: async (userId) => {
+    try {
+      const res = await axiosInstance.put(`/admin/users/${userId}/unsuspend`);
+      get().replaceUser({ ...res.data, suspensionReason: "" });
+      toast.success("Account reinstated");
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to reinstate account");
+    }
+  },
+
+  deleteUser: async (userId) => {
+    try {
+      await axiosInstance.delete(`/admin/users/${userId}`);
+      set({
+        users: get().users.filter((user) => user._id !== userId),
+        usersTotal: get().usersTotal - 1,
+      });
+      toast.success("Account deleted");
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to delete account");
+    }
+  },
+
+  forceLogout: async (userId) => {
+    try {
+      const res = await axiosInstance.post(`/admin/users/${userId}/logout`);
+      get().replaceUser({ _id: userId, isOnline: false });
+      toast.success(res.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to log out user");
+    }
+  },
+
+  getReports: async ({ status = "open", page = 1 } = {}) => {
+    set({ isReportsLoading: true });
+    try {
+      const res = await axiosInstance.get("/admin/reports", { params: { status, page } });
+      set({
+        reports: res.data.reports,
+        reportsTotal: res.data.total,
+        reportsPageSize: res.data.pageSize,
+      });
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to load reports");
+    } finally {
+      set({ isReportsLoading: false });
+    }
+  },
+
+  resolveReport: async (reportId, action, note = "") => {
+    try {
+      const res = await axiosInstance.put(`/admin/reports/${reportId}/resolve`, { action, note });
+      set({
+        reports: get().reports.map((report) => (report._id === reportId ? res.data : report)),
+      });
+      toast.success(action === "dismiss" ? "Report dismissed" : "Report resolved");
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to resolve report");
+    }
+  },
+}));
@@ -1,5 +1,5 @@
 import { create } from "zustand";
-import { axiosInstance } from "../lib/axios";
+import { axiosInstance, refreshSession, setSessionExpiredHandler } from "../lib/axios";
 import toast from "react-hot-toast";
 import { io } from "socket.io-client";
 
@@ -16,8 +16,16 @@ export const useAuthStore = create((set, get) => ({
   isCheckingAuth: true,
   isSigningUp: false,
   isLoggingIn: false,
+  twoFactorToken: null, // set between the password step and the code step of a 2FA login
+  isSendingResetLink: false,
+  isResettingPassword: false,
+  isResendingVerification: false,
+  sessions: [],
+  isSessionsLoading: false,
   socket: null,
   onlineUsers: [],
+  awayUsers: [],
+  lastSeen: {}, // {userId: lastSeenAt} from live disconnects; null when the user hides it
 
   checkAuth: async () => {
     try {
@@ -57,6 +65,10 @@ export const useAuthStore = create((set, get) => ({
     try {
       console.log("Attempting login to:", axiosInstance.defaults.baseURL);
       const res = await axiosInstance.post("/auth/login", data);
+      if (res.data.twoFactorRequired) {
+        set({ twoFactorToken: res.data.twoFactorToken });
+        return;
+      }
       set({ authUser: res.data });
 
       toast.success("Logged in successfully");
@@ -90,12 +102,129 @@ export const useAuthStore = create((set, get) => ({
     }
   },
 
+  verifyTwoFactorLogin: async (code) => {
+    set({ isLoggingIn: true });
+    try {
+      const res = await axiosInstance.post(
+        "/auth/login/2fa",
+        { twoFactorToken: get().twoFactorToken, code },
+        { skipAuthRefresh: true }
+      );
+      set({ authUser: res.data, twoFactorToken: null });
+      toast.success("Logged in successfully");
+      get().connectSocket();
+    } catch (error) {
+      // an expired challenge means starting over from the password step
+      if (error.response?.status === 401) set({ twoFactorToken: null });
+      toast.error(error.response?.data?.message || "Failed to verify code");
+    } finally {
+      set({ isLoggingIn: false });
+    }
+  },
+
+  cancelTwoFactorLogin: () => set({ twoFactorToken: null }),
+
+  // Resolves true once the request went through so the page can show its "check your inbox" state
+  requestPasswordReset: async (email) => {
+    set({ isSendingResetLink: true });
+    try {
+      const res = await axiosInstance.post("/auth/forgot-password", { email });
+      toast.success(res.data.message);
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to send reset link");
+      return false;
+    } finally {
+      set({ isSendingResetLink: false });
+    }
+  },
+
+  resetPassword: async ({ token, password }) => {
+    set({ isResettingPassword: true });
+    try {
+      const res = await axiosInstance.post("/auth/reset-password", { token, password });
+      toast.success(res.data.message);
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to reset password");
+      return false;
+    } finally {
+      set({ isResettingPassword: false });
+    }
+  },
+
+  verifyEmail: async (token) => {
+    try {
+      await axiosInstance.post("/auth/verify-email", { token });
+      // the link may be opened in the tab that's already logged in
+      const { authUser } = get();
+      if (authUser) set({ authUser: { ...authUser, emailVerified: true } });
+      return true;
+    } catch (error) {
+      console.log("Error in verify email:", error);
+      return false;
+    }
+  },
+
+  resendVerificationEmail: async () => {
+    set({ isResendingVerification: true });
+    try {
+      const res = await axiosInstance.post("/auth/resend-verification");
+      toast.success(res.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to send verification email");
+    } finally {
+      set({ isResendingVerification: false });
+    }
+  },
+
+  // Drops local auth state after the server ended the session (expired or revoked elsewhere)
+  clearSession: (message) => {
+    if (!get().authUser) return;
+    get().disconnectSocket();
+    set({ authUser: null, sessions: [] });
+    toast.error(message);
+  },
+
+  getSessions: async () => {
+    set({ isSessionsLoading: true });
+    try {
+      const res = await axiosInstance.get("/auth/sessions");
+      set({ sessions: res.data });
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to load devices");
+    } finally {
+      set({ isSessionsLoading: false });
+    }
+  },
+
+  revokeSession: async (sessionId) => {
+    try {
+      await axiosInstance.delete(`/auth/sessions/${sessionId}`);
+      set({ sessions: get().sessions.filter((session) => session._id !== sessionId) });
+      toast.success("Device logged out");
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to log out device");
+    }
+  },
+
+  revokeOtherSessions: async () => {
+    try {
+      const res = await axiosInstance.delete("/auth/sessions");
+      set({ sessions: get().sessions.filter((session) => session.isCurrent) });
+      toast.success(res.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to log out other devices");
+    }
+  },
+
   logout: async () => {
     try {
+      // drop the socket first so this tab doesn't receive its own "sessionRevoked"
+      get().disconnectSocket();
       await axiosInstance.post("/auth/logout");
-      set({ authUser: null });
+      set({ authUser: null, sessions: [] });
       toast.success("Logged out successfully");
-      get().disconnectSocket();
     } catch (error) {
       toast.error("Error logging out");
       console.log("Logout error:", error);
@@ -117,6 +246,75 @@ export const useAuthStore = create((set, get) => ({
     }
   },
 
+  // Returns { secret, otpauthURL, qrCode } for the enrollment screen
+  setupTwoFactor: async () => {
+    try {
+      const res = await axiosInstance.post("/auth/2fa/setup");
+      return res.data;
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to start two-factor setup");
+      return null;
+    }
+  },
+
+  // Returns the recovery codes, which the server will never show again
+  enableTwoFactor: async (code) => {
+    try {
+      const res = await axiosInstance.post("/auth/2fa/enable", { code });
+      set({ authUser: { ...get().authUser, twoFactorEnabled: true } });
+      toast.success("Two-factor authentication enabled");
+      return res.data.recoveryCodes;
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to enable two-factor authentication");
+      return null;
+    }
+  },
+
+  disableTwoFactor: async (password) => {
+    try {
+      const res = await axiosInstance.post("/auth/2fa/disable", { password });
+      set({ authUser: { ...get().authUser, twoFactorEnabled: false } });
+      toast.success(res.data.message);
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to disable two-factor authentication");
+      return false;
+    }
+  },
+
+  isBlocked: (userId) => !!get().authUser?.blockedUsers?.includes(userId),
+
+  blockUser: async (userId) => {
+    try {
+      const res = await axiosInstance.post(`/users/${userId}/block`);
+      set({ authUser: { ...get().authUser, blockedUsers: res.data.blockedUsers } });
+      toast.success("User blocked");
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to block user");
+    }
+  },
+
+  unblockUser: async (userId) => {
+    try {
+      const res = await axiosInstance.delete(`/users/${userId}/block`);
+      set({ authUser: { ...get().authUser, blockedUsers: res.data.blockedUsers } });
+      toast.success("User unblocked");
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to unblock user");
+    }
+  },
+
+  updatePrivacy: async (settings) => {
+    try {
+      const res = await axiosInstance.put("/auth/update-privacy", settings);
+      set({ authUser: res.data });
+      toast.success("Privacy settings updated");
+    } catch (error) {
+      console.log("Error in update privacy:", error);
+      toast.error(error.response?.data?.message || "Failed to update privacy settings");
+    }
+  },
+
   connectSocket: () => {
     const { authUser, socket } = get();
     
@@ -149,10 +347,15 @@ export const useAuthStore = create((set, get) => ({
       reconnectionAttempts: 5,
     });
 
+    let hasRetriedAuth = false;
+
     // Connection event handlers
     newSocket.on("connect", () => {
       console.log("✅ Socket connected successfully - ID:", newSocket.id);
+      hasRetriedAuth = false;
       console.log("🔌 Socket transport:", newSocket.io.engine.transport.name);
+      // Lets the server skip this tab when echoing our own changes to our other tabs
+      axiosInstance.defaults.headers.common["X-Socket-Id"] = newSocket.id;
     });
 
     newSocket.on("disconnect", (reason) => {
@@ -163,8 +366,18 @@ export const useAuthStore = create((set, get) => ({
       }
     });
 
-    newSocket.on("connect_error", (error) => {
+    // The handshake carries the access token cookie, which may have expired since the page loaded.
+    // Auth failures stop socket.io from retrying on its own, so refresh once and reconnect.
+    newSocket.on("connect_error", async (error) => {
       console.error("❌ Socket connection error:", error.message);
+      if (newSocket.active || hasRetriedAuth || !error.message.startsWith("Unauthorized")) return;
+
+      hasRetriedAuth = true;
+      if (await refreshSession()) newSocket.connect();
+    });
+
+    newSocket.on("sessionRevoked", () => {
+      get().clearSession("You were logged out of this device");
     });
 
     newSocket.on("reconnect", (attemptNumber) => {
@@ -190,6 +403,19 @@ export const useAuthStore = create((set, get) => ({
       set({ onlineUsers: userIds });
     });
 
+    newSocket.on("getAwayUsers", (userIds) => {
+      set({ awayUsers: userIds });
+    });
+
+    newSocket.on("userLastSeen", ({ userId, lastSeenAt }) => {
+      set({ lastSeen: { ...get().lastSeen, [userId]: lastSeenAt } });
+    });
+
+    // blocking/unblocking from another tab or device
+    newSocket.on("blockListUpdated", ({ blockedUsers }) => {
+      set({ authUser: { ...get().authUser, blockedUsers } });
+    });
+
     set({ socket: newSocket });
   },
 
@@ -199,7 +425,12 @@ export const useAuthStore = create((set, get) => ({
       console.log("🔌 Disconnecting socket");
       socket.removeAllListeners();
       socket.disconnect();
+      delete axiosInstance.defaults.headers.common["X-Socket-Id"];
       set({ socket: null });
     }
   },
 }));
+
+setSessionExpiredHandler(() =>
+  useAuthStore.getState().clearSession("Your session has expired. Please log in again.")
+);
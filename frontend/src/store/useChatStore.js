@@ -2,19 +2,32 @@ import { create } from "zustand";
 import { axiosInstance } from "../lib/axios";
 import toast from "react-hot-toast";
 import { useAuthStore } from "./useAuthStore";
+import { getAttachmentType } from "../lib/utils";
+
+// Open-chat listeners for events the chat list also listens to. Kept by reference so
+// leaving a chat removes only these and not the chat list's own listeners.
+let openChatHandlers = {};
 
 export const useChatStore = create((set, get) => ({
   allContacts: [],
   chats: [],
+  groups: [],
   messages: [],
   activeTab: "chats",
   selectedUser: null,
   isUsersLoading: false,
   isMessagesLoading: false,
+  hasMoreMessages: false, // Whether older pages of the open conversation exist
+  isLoadingOlderMessages: false,
   isSoundEnabled: JSON.parse(localStorage.getItem("isSoundEnabled")) === true,
   typingUsers: [], // Array of user IDs who are typing
   isTyping: false, // Whether current user is typing
   pendingMessages: new Set(), // Track pending message IDs to prevent duplicates
+  isSearchOpen: false,
+  searchResults: [], // [{ conversation, hits }]
+  isSearching: false,
+  highlightedMessageId: null, // Message to scroll to after jumping from search
+  lastSyncedAt: null, // Server time of the last reconnect sync
 
   toggleSound: () => {
     localStorage.setItem("isSoundEnabled", !get().isSoundEnabled);
@@ -22,8 +35,53 @@ export const useChatStore = create((set, get) => ({
   },
 //commit
   setActiveTab: (tab) => set({ activeTab: tab }),
+
+  toggleSearch: () => set({ isSearchOpen: !get().isSearchOpen, searchResults: [] }),
+
+  searchMessages: async (query) => {
+    if (!query.trim()) {
+      set({ searchResults: [] });
+      return;
+    }
+
+    set({ isSearching: true });
+    try {
+      const res = await axiosInstance.get("/messages/search", { params: { q: query.trim() } });
+      set({ searchResults: res.data.results });
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Search failed");
+    } finally {
+      set({ isSearching: false });
+    }
+  },
+
+  // Open the conversation a search hit belongs to and scroll to the hit
+  jumpToMessage: async (conversation, messageId) => {
+    let chat = conversation;
+
+    // Search results only carry a group summary; the chat view needs the full member list
+    if (conversation.isGroup) {
+      chat = get().groups.find((g) => g._id === conversation._id);
+      if (!chat) {
+        try {
+          const res = await axiosInstance.get(`/groups/${conversation._id}`);
+          chat = res.data;
+        } catch (error) {
+          toast.error(error.response?.data?.message || "Failed to open group");
+          return;
+        }
+      }
+    }
+
+    if (get().selectedUser?._id !== chat._id) {
+      get().setSelectedUser(chat);
+    }
+    set({ highlightedMessageId: messageId });
+  },
+
+  clearHighlightedMessage: () => set({ highlightedMessageId: null }),
   setSelectedUser: (selectedUser) => {
-    set({ selectedUser, messages: [], pendingMessages: new Set() }); // Clear messages when switching users
+    set({ selectedUser, messages: [], hasMoreMessages: false, pendingMessages: new Set() }); // Clear messages when switching users
     // Mark messages as read when selecting a user
     if (selectedUser) {
       const { messages } = get();
@@ -72,11 +130,109 @@ export const useChatStore = create((set, get) => ({
     }
   },
 
+  getMyGroups: async () => {
+    try {
+      const res = await axiosInstance.get("/groups");
+      set({ groups: res.data });
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Something went wrong");
+    }
+  },
+
+  createGroup: async (formData) => {
+    try {
+      const res = await axiosInstance.post("/groups", formData, {
+        headers: {
+          "Content-Type": "multipart/form-data",
+        },
+      });
+      get().upsertGroup(res.data);
+      toast.success("Group created");
+      return res.data;
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to create group");
+      throw error;
+    }
+  },
+
+  addGroupMembers: async (groupId, memberIds) => {
+    try {
+      const res = await axiosInstance.post(`/groups/${groupId}/members`, { memberIds });
+      get().upsertGroup(res.data);
+      return res.data;
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to add members");
+      throw error;
+    }
+  },
+
+  removeGroupMember: async (groupId, userId) => {
+    try {
+      const res = await axiosInstance.delete(`/groups/${groupId}/members/${userId}`);
+      const { authUser } = useAuthStore.getState();
+
+      if (userId === authUser._id) {
+        // We left the group
+        get().removeGroup(groupId);
+      } else {
+        get().upsertGroup(res.data);
+      }
+      return res.data;
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to remove member");
+      throw error;
+    }
+  },
+
+  updateMemberRole: async (groupId, userId, role) => {
+    try {
+      const res = await axiosInstance.put(`/groups/${groupId}/members/${userId}/role`, { role });
+      get().upsertGroup(res.data);
+      return res.data;
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to update role");
+      throw error;
+    }
+  },
+
+  // Insert or replace a group in the list, keeping the open chat in sync
+  upsertGroup: (group) => {
+    const { groups, selectedUser } = get();
+    const exists = groups.some((g) => g._id === group._id);
+    set({
+      // Merge so the chat list's lastMessage/unreadCount survive membership updates
+      groups: exists
+        ? groups.map((g) => (g._id === group._id ? { ...g, ...group } : g))
+        : [group, ...groups],
+      selectedUser: selectedUser?._id === group._id ? { ...selectedUser, ...group } : selectedUser,
+    });
+  },
+
+  removeGroup: (groupId) => {
+    const { groups, selectedUser } = get();
+    set({
+      groups: groups.filter((g) => g._id !== groupId),
+      selectedUser: selectedUser?._id === groupId ? null : selectedUser,
+    });
+  },
+
+  getGroupMessages: async (groupId) => {
+    set({ isMessagesLoading: true });
+    try {
+      const res = await axiosInstance.get(`/messages/group/${groupId}`);
+      set({ messages: res.data.messages, hasMoreMessages: res.data.hasMore, pendingMessages: new Set() });
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Something went wrong");
+    } finally {
+      set({ isMessagesLoading: false });
+    }
+  },
+
   getMessagesByUserId: async (userId) => {
     set({ isMessagesLoading: true });
     try {
       const res = await axiosInstance.get(`/messages/${userId}`);
-      set({ messages: res.data, pendingMessages: new Set() }); // Reset pending messages
+      set({ messages: res.data.messages, hasMoreMessages: res.data.hasMore, pendingMessages: new Set() }); // Reset pending messages
     } catch (error) {
       toast.error(error.response?.data?.message || "Something went wrong");
     } finally {
@@ -84,13 +240,49 @@ export const useChatStore = create((set, get) => ({
     }
   },
 
+  // Fetch the page of history just before the oldest loaded message and prepend it.
+  // Returns true when older messages were added.
+  loadOlderMessages: async () => {
+    const { selectedUser, messages, hasMoreMessages, isLoadingOlderMessages } = get();
+    if (!selectedUser || !hasMoreMessages || isLoadingOlderMessages) return false;
+
+    const oldestMessage = messages.find((msg) => !msg.isOptimistic);
+    if (!oldestMessage) return false;
+
+    const url = selectedUser.isGroup
+      ? `/messages/group/${selectedUser._id}`
+      : `/messages/${selectedUser._id}`;
+
+    set({ isLoadingOlderMessages: true });
+    try {
+      const res = await axiosInstance.get(url, { params: { before: oldestMessage._id } });
+
+      // Ignore the result if the user switched chats while it was loading
+      if (get().selectedUser?._id !== selectedUser._id) return false;
+
+      const currentMessages = get().messages;
+      const olderMessages = res.data.messages.filter(
+        (older) => !currentMessages.some((msg) => msg._id === older._id)
+      );
+      set({ messages: [...olderMessages, ...currentMessages], hasMoreMessages: res.data.hasMore });
+      return olderMessages.length > 0;
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to load older messages");
+      return false;
+    } finally {
+      set({ isLoadingOlderMessages: false });
+    }
+  },
+
+  // Resolves to true once the server has the message; on failure the error is already shown
+  // and the caller should keep what the user typed and picked
   sendMessage: async (formData) => {
     const { selectedUser, messages, pendingMessages, replyTo } = get();
     const { authUser } = useAuthStore.getState();
 
     if (!selectedUser) {
       toast.error("Please select a user to chat with");
-      return;
+      return false;
     }
 
     // Add replyTo to FormData if present
@@ -102,32 +294,30 @@ export const useChatStore = create((set, get) => ({
 
     // Create optimistic message preview
     const text = formData.get("text") || "";
-    const imageFile = formData.get("image");
-    const videoFile = formData.get("video");
-    const audioFile = formData.get("audio");
-
-    let imagePreview = null;
-    let videoPreview = null;
-    let audioPreview = null;
-
-    if (imageFile) {
-      imagePreview = URL.createObjectURL(imageFile);
-    }
-    if (videoFile) {
-      videoPreview = URL.createObjectURL(videoFile);
-    }
-    if (audioFile) {
-      audioPreview = URL.createObjectURL(audioFile);
-    }
+    // Local previews for photos, videos and voice notes; documents show name and size
+    // with a spinner until the upload finishes
+    const optimisticAttachments = formData.getAll("attachments").map((file) => {
+      const type = getAttachmentType(file.type);
+      return {
+        type,
+        url: type === "file" ? null : URL.createObjectURL(file),
+        name: file.name,
+        size: file.size,
+        mimeType: file.type,
+      };
+    });
+    const revokePreviews = () =>
+      optimisticAttachments.forEach((a) => a.url && URL.revokeObjectURL(a.url));
 
     const optimisticMessage = {
       _id: tempId,
       senderId: { _id: authUser._id, fullName: authUser.fullName, profilePic: authUser.profilePic },
-      receiverId: { _id: selectedUser._id, fullName: selectedUser.fullName, profilePic: selectedUser.profilePic },
+      receiverId: selectedUser.isGroup
+        ? null
+        : { _id: selectedUser._id, fullName: selectedUser.fullName, profilePic: selectedUser.profilePic },
+      groupId: selectedUser.isGroup ? selectedUser._id : null,
       text: text,
-      image: imagePreview,
-      video: videoPreview,
-      audio: audioPreview,
+      attachments: optimisticAttachments,
       replyTo: replyTo || null,
       reactions: [],
       readBy: [],
@@ -145,10 +335,15 @@ export const useChatStore = create((set, get) => ({
     set({ messages: [...messages, optimisticMessage] });
 
     try {
-      const res = await axiosInstance.post(`/messages/send/${selectedUser._id}`, formData, {
+      const sendUrl = selectedUser.isGroup
+        ? `/messages/group/send/${selectedUser._id}`
+        : `/messages/send/${selectedUser._id}`;
+      const res = await axiosInstance.post(sendUrl, formData, {
         headers: {
           "Content-Type": "multipart/form-data",
         },
+        // albums can take well past the default timeout to upload
+        timeout: optimisticAttachments.length > 0 ? 5 * 60 * 1000 : undefined,
       });
 
       const realMessage = res.data;
@@ -164,11 +359,10 @@ export const useChatStore = create((set, get) => ({
         msg._id === tempId ? realMessage : msg
       );
       set({ messages: updatedMessages });
+      get().applyMessageToChatList(realMessage);
 
       // Clean up object URLs
-      if (imagePreview) URL.revokeObjectURL(imagePreview);
-      if (videoPreview) URL.revokeObjectURL(videoPreview);
-      if (audioPreview) URL.revokeObjectURL(audioPreview);
+      revokePreviews();
 
       // Remove from pending after a delay (socket might still emit)
       setTimeout(() => {
@@ -177,6 +371,7 @@ export const useChatStore = create((set, get) => ({
         updatedPending.delete(realMessage._id);
         set({ pendingMessages: updatedPending });
       }, 2000);
+      return true;
     } catch (error) {
       console.error("Send message error:", error);
       
@@ -185,23 +380,25 @@ export const useChatStore = create((set, get) => ({
       set({ messages: currentMessages.filter((msg) => msg._id !== tempId) });
 
       // Clean up object URLs
-      if (imagePreview) URL.revokeObjectURL(imagePreview);
-      if (videoPreview) URL.revokeObjectURL(videoPreview);
-      if (audioPreview) URL.revokeObjectURL(audioPreview);
+      revokePreviews();
 
       const errorMessage =
         error.response?.data?.message ||
         error.message ||
         "Failed to send message. Please try again.";
       toast.error(errorMessage);
+      return false;
     }
   },
 
+  // Typing events target a user in direct chats and a group in group chats
+  getTypingTarget: (chatId) => (get().selectedUser?.isGroup ? { groupId: chatId } : { receiverId: chatId }),
+
   handleTyping: (receiverId) => {
     const socket = useAuthStore.getState().socket;
     if (socket && socket.connected && !get().isTyping) {
       set({ isTyping: true });
-      socket.emit("typing", { receiverId });
+      socket.emit("typing", get().getTypingTarget(receiverId));
     }
   },
 
@@ -209,7 +406,7 @@ export const useChatStore = create((set, get) => ({
     const socket = useAuthStore.getState().socket;
     if (socket && socket.connected && get().isTyping) {
       set({ isTyping: false });
-      socket.emit("stopTyping", { receiverId });
+      socket.emit("stopTyping", get().getTypingTarget(receiverId));
     }
   },
 
@@ -343,19 +540,27 @@ export const useChatStore = create((set, get) => ({
       const currentSelectedUserId = currentSelectedUser._id?.toString() || currentSelectedUser._id;
       const senderId = newMessage.senderId?._id || newMessage.senderId;
       const senderIdStr = senderId?.toString() || senderId;
-      
+      const groupIdStr = (newMessage.groupId?._id || newMessage.groupId)?.toString() || null;
+      const isFromMe = senderIdStr === useAuthStore.getState().authUser?._id;
+      const receiverIdStr = (newMessage.receiverId?._id || newMessage.receiverId)?.toString();
+
+      // Group messages belong to the open chat when they target the selected group,
+      // direct messages when they come from the selected user (or were sent to them
+      // by me from another tab)
+      const conversationId = groupIdStr || (isFromMe ? receiverIdStr : senderIdStr);
+      const isForOpenChat =
+        !!groupIdStr === !!currentSelectedUser.isGroup && conversationId === currentSelectedUserId;
+
       console.log("📨 New message received via socket:", {
         messageId: newMessage._id,
         senderId: senderIdStr,
+        groupId: groupIdStr,
         selectedUserId: currentSelectedUserId,
-        match: senderIdStr === currentSelectedUserId,
+        match: isForOpenChat,
       });
-      
-      // Check if message is from the currently selected user
-      const isMessageSentFromSelectedUser = senderIdStr === currentSelectedUserId;
-      
-      if (!isMessageSentFromSelectedUser) {
-        console.log(`⏭️  Message from different user (${senderIdStr} vs ${currentSelectedUserId}), ignoring`);
+
+      if (!isForOpenChat) {
+        console.log(`⏭️  Message for a different chat (${conversationId} vs ${currentSelectedUserId}), ignoring`);
         return;
       }
 
@@ -372,7 +577,7 @@ export const useChatStore = create((set, get) => ({
         console.log(`✅ Adding new message to UI: ${messageId}`);
         set({ messages: [...currentMessages, newMessage] });
 
-        if (currentState.isSoundEnabled) {
+        if (currentState.isSoundEnabled && !isFromMe) {
           const notificationSound = new Audio("/sounds/notification.mp3");
           notificationSound.currentTime = 0;
           notificationSound.play().catch((e) => console.log("Audio play failed:", e));
@@ -383,7 +588,7 @@ export const useChatStore = create((set, get) => ({
     };
 
     // Remove any existing listeners first to prevent duplicates
-    socket.off("newMessage");
+    get().unsubscribeFromMessages();
     socket.on("newMessage", handleNewMessage);
     console.log("✅ Socket listener attached for newMessage");
     
@@ -395,11 +600,14 @@ export const useChatStore = create((set, get) => ({
     });
 
     // Typing indicator
-    socket.on("userTyping", ({ userId, userName }) => {
+    socket.on("userTyping", ({ userId, userName, groupId }) => {
       const selectedUserId = selectedUser._id?.toString() || selectedUser._id;
       const typingUserId = userId?.toString() || userId;
-      
-      if (typingUserId === selectedUserId) {
+      const isTypingInOpenChat = selectedUser.isGroup
+        ? groupId?.toString() === selectedUserId
+        : !groupId && typingUserId === selectedUserId;
+
+      if (isTypingInOpenChat) {
         set({ typingUsers: [...get().typingUsers.filter((id) => id !== typingUserId), typingUserId] });
       }
     });
@@ -409,7 +617,7 @@ export const useChatStore = create((set, get) => ({
     });
 
     // Read receipt
-    socket.on("messageRead", ({ messageId, userId }) => {
+    const handleMessageRead = ({ messageId, userId }) => {
       const { messages } = get();
       const updatedMessages = messages.map((msg) => {
         if (msg._id === messageId) {
@@ -428,7 +636,8 @@ export const useChatStore = create((set, get) => ({
         return msg;
       });
       set({ messages: updatedMessages });
-    });
+    };
+    socket.on("messageRead", handleMessageRead);
 
     // Delivered receipt
     socket.on("messageDelivered", ({ messageId, userId }) => {
@@ -470,22 +679,31 @@ export const useChatStore = create((set, get) => ({
     });
 
     // Message edited
-    socket.on("messageEdited", (editedMessage) => {
+    const handleMessageEdited = (editedMessage) => {
       const { messages } = get();
       const updatedMessages = messages.map((msg) =>
         msg._id === editedMessage._id ? editedMessage : msg
       );
       set({ messages: updatedMessages });
-    });
+    };
+    socket.on("messageEdited", handleMessageEdited);
 
     // Message deleted
-    socket.on("messageDeleted", (deletedMessage) => {
+    const handleMessageDeleted = (deletedMessage) => {
       const { messages } = get();
       const updatedMessages = messages.map((msg) =>
         msg._id === deletedMessage._id ? deletedMessage : msg
       );
       set({ messages: updatedMessages });
-    });
+    };
+    socket.on("messageDeleted", handleMessageDeleted);
+
+    openChatHandlers = {
+      newMessage: handleNewMessage,
+      messageRead: handleMessageRead,
+      messageEdited: handleMessageEdited,
+      messageDeleted: handleMessageDeleted,
+    };
 
     // Message deleted for me
     socket.on("messageDeletedForMe", (deletedMessage) => {
@@ -500,30 +718,193 @@ export const useChatStore = create((set, get) => ({
       socket.off("newMessage", handleNewMessage);
       socket.off("userTyping");
       socket.off("userStoppedTyping");
-      socket.off("messageRead");
+      socket.off("messageRead", handleMessageRead);
       socket.off("messageDelivered");
       socket.off("reactionAdded");
       socket.off("reactionRemoved");
-      socket.off("messageEdited");
-      socket.off("messageDeleted");
+      socket.off("messageEdited", handleMessageEdited);
+      socket.off("messageDeleted", handleMessageDeleted);
       socket.off("messageDeletedForMe");
     };
   },
 
+  // Chat list previews, unread counts and group membership change regardless of which chat is open
+  subscribeToChatList: () => {
+    const socket = useAuthStore.getState().socket;
+    if (!socket) return () => {};
+
+    const handleNewMessage = (message) => get().applyMessageToChatList(message);
+
+    const handleMessageRead = ({ userId, senderId, groupId }) => {
+      // Only reads by me change my unread counts (others reading my messages don't)
+      if (userId?.toString() !== useAuthStore.getState().authUser?._id) return;
+      get().adjustUnreadCount((groupId || senderId)?.toString(), -1);
+    };
+
+    const handleMessageChanged = (message) => get().refreshLastMessage(message);
+    const handleConnect = () => get().syncMissedEvents();
+    const handleGroupUpdated = (group) => get().upsertGroup(group);
+    const handleGroupRemoved = ({ groupId }) => get().removeGroup(groupId);
+
+    socket.on("newMessage", handleNewMessage);
+    socket.on("messageRead", handleMessageRead);
+    socket.on("messageEdited", handleMessageChanged);
+    socket.on("messageDeleted", handleMessageChanged);
+    socket.on("groupUpdated", handleGroupUpdated);
+    socket.on("groupRemoved", handleGroupRemoved);
+    socket.on("connect", handleConnect);
+
+    // Every (re)connect syncs; when already connected, take the starting point now
+    if (socket.connected) get().syncMissedEvents();
+
+    return () => {
+      socket.off("newMessage", handleNewMessage);
+      socket.off("messageRead", handleMessageRead);
+      socket.off("messageEdited", handleMessageChanged);
+      socket.off("messageDeleted", handleMessageChanged);
+      socket.off("groupUpdated", handleGroupUpdated);
+      socket.off("groupRemoved", handleGroupRemoved);
+      socket.off("connect", handleConnect);
+      set({ lastSyncedAt: null });
+    };
+  },
+
+  // Catch up on messages, edits, deletes, reactions and receipts emitted while disconnected
+  syncMissedEvents: async () => {
+    const { lastSyncedAt } = get();
+    try {
+      const res = await axiosInstance.get("/messages/sync", {
+        params: lastSyncedAt ? { since: lastSyncedAt } : {},
+      });
+      const { messages, hasMore, serverTime } = res.data;
+      set({ lastSyncedAt: serverTime });
+
+      // First connect only establishes the starting point
+      if (!lastSyncedAt || (messages.length === 0 && !hasMore)) return;
+
+      // Previews and unread counts are recomputed by the server rather than patched
+      const [chatsRes, groupsRes] = await Promise.all([
+        axiosInstance.get("/messages/chats"),
+        axiosInstance.get("/groups"),
+      ]);
+      set({ chats: chatsRes.data, groups: groupsRes.data });
+
+      const { selectedUser } = get();
+      if (!selectedUser) return;
+
+      if (hasMore) {
+        if (selectedUser.isGroup) get().getGroupMessages(selectedUser._id);
+        else get().getMessagesByUserId(selectedUser._id);
+        return;
+      }
+
+      get().mergeSyncedMessages(messages);
+    } catch (error) {
+      console.error("Sync after reconnect failed:", error);
+    }
+  },
+
+  // Apply synced messages to the open chat: replace changed ones, add new ones, drop deleted-for-me
+  mergeSyncedMessages: (syncedMessages) => {
+    const { selectedUser, messages, hasMoreMessages } = get();
+    const myId = useAuthStore.getState().authUser._id;
+    const chatId = selectedUser._id;
+
+    const belongsToOpenChat = (msg) => {
+      const groupId = (msg.groupId?._id || msg.groupId)?.toString();
+      if (selectedUser.isGroup) return groupId === chatId;
+
+      const senderId = (msg.senderId?._id || msg.senderId)?.toString();
+      const receiverId = (msg.receiverId?._id || msg.receiverId)?.toString();
+      return (
+        !groupId &&
+        ((senderId === chatId && receiverId === myId) || (senderId === myId && receiverId === chatId))
+      );
+    };
+
+    // Older than the loaded page: leave it to pagination
+    const oldestLoaded = messages[0]?.createdAt;
+    const isBeforeLoadedPage = (msg) =>
+      hasMoreMessages && oldestLoaded && new Date(msg.createdAt) < new Date(oldestLoaded);
+
+    const byId = new Map(messages.map((msg) => [msg._id, msg]));
+    for (const msg of syncedMessages.filter(belongsToOpenChat)) {
+      const isDeletedForMe = msg.deletedForMe?.some((d) => (d.userId?._id || d.userId) === myId);
+      if (isDeletedForMe) {
+        byId.delete(msg._id);
+      } else if (byId.has(msg._id) || !isBeforeLoadedPage(msg)) {
+        byId.set(msg._id, msg);
+      }
+    }
+
+    set({
+      messages: [...byId.values()].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt)),
+    });
+  },
+
+  // Move a message's conversation to the top of the chat list with an updated preview,
+  // counting it as unread when it came from someone else
+  applyMessageToChatList: (message) => {
+    const { authUser } = useAuthStore.getState();
+    const senderId = (message.senderId?._id || message.senderId)?.toString();
+    const unreadIncrement = senderId === authUser._id ? 0 : 1;
+    const groupId = (message.groupId?._id || message.groupId)?.toString();
+
+    if (groupId) {
+      const { groups } = get();
+      const group = groups.find((g) => g._id === groupId);
+      if (!group) {
+        get().getMyGroups();
+        return;
+      }
+      set({
+        groups: [
+          { ...group, lastMessage: message, unreadCount: (group.unreadCount || 0) + unreadIncrement },
+          ...groups.filter((g) => g._id !== groupId),
+        ],
+      });
+      return;
+    }
+
+    const partner = senderId === authUser._id ? message.receiverId : message.senderId;
+    const partnerId = (partner?._id || partner)?.toString();
+    const { chats } = get();
+    const chat = chats.find((c) => c._id === partnerId) || (partner?._id ? partner : { _id: partnerId });
+    set({
+      chats: [
+        { ...chat, lastMessage: message, unreadCount: (chat.unreadCount || 0) + unreadIncrement },
+        ...chats.filter((c) => c._id !== partnerId),
+      ],
+    });
+  },
+
+  adjustUnreadCount: (chatId, delta) => {
+    const update = (chat) =>
+      chat._id === chatId
+        ? { ...chat, unreadCount: Math.max(0, (chat.unreadCount || 0) + delta) }
+        : chat;
+    set({ chats: get().chats.map(update), groups: get().groups.map(update) });
+  },
+
+  // Keep the preview in sync when the last message is edited or deleted
+  refreshLastMessage: (message) => {
+    const update = (chat) =>
+      chat.lastMessage?._id === message._id ? { ...chat, lastMessage: message } : chat;
+    set({ chats: get().chats.map(update), groups: get().groups.map(update) });
+  },
+
   unsubscribeFromMessages: () => {
     const socket = useAuthStore.getState().socket;
     if (!socket) return;
 
     console.log("🧹 Unsubscribing from all message events");
-    socket.off("newMessage");
+    Object.entries(openChatHandlers).forEach(([event, handler]) => socket.off(event, handler));
+    openChatHandlers = {};
     socket.off("userTyping");
     socket.off("userStoppedTyping");
-    socket.off("messageRead");
     socket.off("messageDelivered");
     socket.off("reactionAdded");
     socket.off("reactionRemoved");
-    socket.off("messageEdited");
-    socket.off("messageDeleted");
     socket.off("messageDeletedForMe");
   },
 }));
@@ -0,0 +1,216 @@
+import { create } from "zustand";
+import { axiosInstance } from "../lib/axios";
+import toast from "react-hot-toast";
+import { useAuthStore } from "./useAuthStore";
+import { useChatStore } from "./useChatStore";
+
+const isMe = (userId) => userId === useAuthStore.getState().authUser?._id;
+
+const otherUserId = (request) =>
+  isMe(request.requesterId._id) ? request.recipientId._id : request.requesterId._id;
+
+// The accepted contacts live in useChatStore.allContacts; this store owns the pending requests
+// and the user directory search
+export const useContactStore = create((set, get) => ({
+  incomingRequests: [],
+  outgoingRequests: [],
+  isRequestsLoading: false,
+  searchQuery: "",
+  searchResults: [],
+  searchTotal: 0,
+  searchPage: 1,
+  isSearching: false,
+
+  getContactRequests: async () => {
+    set({ isRequestsLoading: true });
+    try {
+      const res = await axiosInstance.get("/contacts/requests");
+      set({ incomingRequests: res.data.incoming, outgoingRequests: res.data.outgoing });
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to load contact requests");
+    } finally {
+      set({ isRequestsLoading: false });
+    }
+  },
+
+  // pending request (either direction) between me and this user, if any
+  getPendingRequestWith: (userId) => {
+    const { incomingRequests, outgoingRequests } = get();
+    return (
+      incomingRequests.find((r) => r.requesterId._id === userId) ||
+      outgoingRequests.find((r) => r.recipientId._id === userId) ||
+      null
+    );
+  },
+
+  addRequest: (request) => {
+    const isIncoming = isMe(request.recipientId._id);
+    get().setSearchResultStatus(otherUserId(request), isIncoming ? "incoming" : "outgoing");
+
+    if (isIncoming) {
+      set({
+        incomingRequests: [request, ...get().incomingRequests.filter((r) => r._id !== request._id)],
+      });
+    } else {
+      set({
+        outgoingRequests: [request, ...get().outgoingRequests.filter((r) => r._id !== request._id)],
+      });
+    }
+  },
+
+  removeRequest: (requestId) => {
+    const { incomingRequests, outgoingRequests } = get();
+    const request = [...incomingRequests, ...outgoingRequests].find((r) => r._id === requestId);
+    if (request) get().setSearchResultStatus(otherUserId(request), null);
+
+    set({
+      incomingRequests: get().incomingRequests.filter((r) => r._id !== requestId),
+      outgoingRequests: get().outgoingRequests.filter((r) => r._id !== requestId),
+    });
+  },
+
+  // an accepted request turns the other person into a contact
+  applyAcceptedRequest: (request) => {
+    get().removeRequest(request._id);
+
+    const contact = isMe(request.requesterId._id) ? request.recipientId : request.requesterId;
+    get().setSearchResultStatus(contact._id, "contact");
+
+    const { allContacts } = useChatStore.getState();
+    if (allContacts.some((c) => c._id === contact._id)) return;
+    useChatStore.setState({
+      allContacts: [...allContacts, contact].sort((a, b) => a.fullName.localeCompare(b.fullName)),
+    });
+  },
+
+  // body is { userId }
+  sendContactRequest: async (body) => {
+    try {
+      const res = await axiosInstance.post("/contacts/requests", body);
+      if (res.data.status === "accepted") {
+        get().applyAcceptedRequest(res.data);
+        toast.success(`${res.data.requesterId.fullName} is now a contact`);
+      } else {
+        get().addRequest(res.data);
+        toast.success("Contact request sent");
+      }
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to send contact request");
+      return false;
+    }
+  },
+
+  acceptContactRequest: async (requestId) => {
+    try {
+      const res = await axiosInstance.post(`/contacts/requests/${requestId}/accept`);
+      get().applyAcceptedRequest(res.data);
+      toast.success(`${res.data.requesterId.fullName} is now a contact`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to accept contact request");
+    }
+  },
+
+  declineContactRequest: async (requestId) => {
+    try {
+      await axiosInstance.post(`/contacts/requests/${requestId}/decline`);
+      get().removeRequest(requestId);
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to decline contact request");
+    }
+  },
+
+  cancelContactRequest: async (requestId) => {
+    try {
+      await axiosInstance.delete(`/contacts/requests/${requestId}`);
+      get().removeRequest(requestId);
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to cancel contact request");
+    }
+  },
+
+  removeContact: async (userId) => {
+    try {
+      await axiosInstance.delete(`/contacts/${userId}`);
+      get().setSearchResultStatus(userId, null);
+      useChatStore.setState({
+        allContacts: useChatStore.getState().allContacts.filter((c) => c._id !== userId),
+      });
+      toast.success("Contact removed");
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to remove contact");
+    }
+  },
+
+  // Page 1 replaces the results, later pages append to them
+  searchUsers: async (query, page = 1) => {
+    set({ searchQuery: query, isSearching: true });
+    try {
+      const res = await axiosInstance.get("/users/search", { params: { q: query, page } });
+      if (get().searchQuery !== query) return; // a newer search has started since
+
+      set({
+        searchResults: page === 1 ? res.data.users : [...get().searchResults, ...res.data.users],
+        searchTotal: res.data.total,
+        searchPage: page,
+      });
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to search users");
+    } finally {
+      if (get().searchQuery === query) set({ isSearching: false });
+    }
+  },
+
+  clearUserSearch: () => {
+    set({ searchQuery: "", searchResults: [], searchTotal: 0, searchPage: 1, isSearching: false });
+  },
+
+  setSearchResultStatus: (userId, contactStatus) => {
+    set({
+      searchResults: get().searchResults.map((user) =>
+        user._id === userId ? { ...user, contactStatus } : user
+      ),
+    });
+  },
+
+  // Requests and contacts changing on the other side (or in another of my tabs)
+  subscribeToContactEvents: () => {
+    const socket = useAuthStore.getState().socket;
+    if (!socket) return () => {};
+
+    const handleRequestCreated = (request) => {
+      get().addRequest(request);
+      if (isMe(request.recipientId._id)) {
+        toast(`${request.requesterId.fullName} sent you a contact request`, { icon: "👋" });
+      }
+    };
+
+    const handleRequestAccepted = (request) => {
+      get().applyAcceptedRequest(request);
+      if (isMe(request.requesterId._id)) {
+        toast.success(`${request.recipientId.fullName} accepted your contact request`);
+      }
+    };
+
+    const handleRequestRemoved = ({ requestId }) => get().removeRequest(requestId);
+
+    const handleContactRemoved = ({ userIds }) => {
+      userIds.filter((id) => !isMe(id)).forEach((id) => get().setSearchResultStatus(id, null));
+      useChatStore.setState({
+        allContacts: useChatStore.getState().allContacts.filter((c) => !userIds.includes(c._id)),
+      });
+    };
+
+    socket.on("contactRequestCreated", handleRequestCreated);
+    socket.on("contactRequestAccepted", handleRequestAccepted);
+    socket.on("contactRequestRemoved", handleRequestRemoved);
+    socket.on("contactRemoved", handleContactRemoved);
+
+    return () => {
+      socket.off("contactRequestCreated", handleRequestCreated);
+      socket.off("contactRequestAccepted", handleRequestAccepted);
+      socket.off("contactRequestRemoved", handleRequestRemoved);
+      socket.off("contactRemoved", handleContactRemoved);
+    };
+  },
+}));
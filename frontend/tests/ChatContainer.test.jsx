@@ -0,0 +1,113 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { act, render, screen, waitFor } from "@testing-library/react";
+import ChatContainer from "../src/components/ChatContainer";
+import { useAuthStore } from "../src/store/useAuthStore";
+import { axiosInstance } from "./fakes/axios.js";
+import { buildMessage, buildUser, openChat, signIn } from "./helpers/factories.js";
+
+let me, socket, friend;
+
+beforeEach(() => {
+  ({ authUser: me, socket } = signIn());
+  friend = buildUser({ fullName: "Friend" });
+});
+
+// Opens the chat with `messages` as the first page the API returns
+const renderChat = (messages, chat = friend) => {
+  axiosInstance.get.mockResolvedValue({ data: { messages, hasMore: false } });
+  openChat(chat);
+  return render(<ChatContainer />);
+};
+
+const receiptFor = (text) =>
+  screen
+    .getByText(text)
+    .closest(".chat-bubble")
+    .querySelector(".lucide-check, .lucide-check-check");
+
+describe("ChatContainer", () => {
+  it("loads and shows the conversation", async () => {
+    renderChat([
+      buildMessage(friend, me, { text: "how are you?", readBy: [{ userId: me._id }] }),
+      buildMessage(me, friend, { text: "great, thanks" }),
+    ]);
+
+    expect(await screen.findByText("how are you?")).toBeInTheDocument();
+    expect(screen.getByText("great, thanks").closest(".chat")).toHaveClass("chat-end");
+    expect(screen.getByText("how are you?").closest(".chat")).toHaveClass("chat-start");
+    expect(axiosInstance.get).toHaveBeenCalledWith(`/messages/${friend._id}`);
+  });
+
+  it("invites the user to start an empty conversation", async () => {
+    renderChat([]);
+
+    expect(await screen.findByText("Start your conversation with Friend")).toBeInTheDocument();
+  });
+
+  it("marks unread incoming messages as read", async () => {
+    const unread = buildMessage(friend, me, { text: "ping" });
+    const alreadyRead = buildMessage(friend, me, { readBy: [{ userId: me._id }] });
+    renderChat([unread, alreadyRead, buildMessage(me, friend)]);
+
+    await screen.findByText("ping");
+
+    const reads = axiosInstance.put.mock.calls.map(([url]) => url);
+    expect(reads).toEqual([`/messages/read/${unread._id}`]);
+  });
+
+  it("moves a sent message from sent to delivered to read", async () => {
+    const sent = buildMessage(me, friend, { text: "did you get this?" });
+    renderChat([sent]);
+    await screen.findByText("did you get this?");
+
+    expect(receiptFor("did you get this?")).toHaveClass("lucide-check");
+
+    act(() => socket.serverEmit("messageDelivered", { messageId: sent._id, userId: friend._id }));
+    expect(receiptFor("did you get this?")).toHaveClass("lucide-check-check", "opacity-50");
+
+    act(() => socket.serverEmit("messageRead", { messageId: sent._id, userId: friend._id }));
+    expect(receiptFor("did you get this?")).toHaveClass("lucide-check-check", "text-blue-400");
+  });
+
+  it("shows messages and typing from the socket", async () => {
+    renderChat([]);
+    await screen.findByText("Start your conversation with Friend");
+
+    act(() => socket.serverEmit("newMessage", buildMessage(friend, me, { text: "surprise" })));
+    expect(await screen.findByText("surprise")).toBeInTheDocument();
+
+    act(() => socket.serverEmit("userTyping", { userId: friend._id, userName: "Friend" }));
+    expect(screen.getByText("Friend is typing")).toBeInTheDocument();
+
+    act(() => socket.serverEmit("userStoppedTyping", { userId: friend._id }));
+    expect(screen.queryByText("Friend is typing")).not.toBeInTheDocument();
+  });
+
+  it("names senders in group chats", async () => {
+    const group = { _id: "group1", name: "Team", isGroup: true, members: [] };
+    renderChat([buildMessage(friend, null, { groupId: group._id, text: "hi all" })], group);
+
+    await screen.findByText("hi all");
+
+    expect(screen.getByText("Friend")).toHaveClass("chat-header");
+    expect(axiosInstance.get).toHaveBeenCalledWith(`/messages/group/${group._id}`);
+  });
+
+  it("replaces the input with an unblock prompt for blocked users", async () => {
+    useAuthStore.setState({ authUser: { ...me, blockedUsers: [friend._id] } });
+    renderChat([]);
+
+    await waitFor(() => expect(screen.getByText(/You blocked Friend/)).toBeInTheDocument());
+    expect(screen.queryByPlaceholderText("Type your message...")).not.toBeInTheDocument();
+  });
+
+  it("stops listening when it unmounts", async () => {
+    const { unmount } = renderChat([]);
+    await screen.findByText("Start your conversation with Friend");
+
+    unmount();
+
+    expect(socket.listenerCount("newMessage")).toBe(0);
+    expect(socket.listenerCount("messageRead")).toBe(0);
+  });
+});
@@ -0,0 +1,141 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { render, screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import toast from "react-hot-toast";
+import MessageInput from "../src/components/MessageInput";
+import { useChatStore } from "../src/store/useChatStore";
+import { axiosInstance, apiError } from "./fakes/axios.js";
+import { buildMessage, buildUser, openChat, signIn } from "./helpers/factories.js";
+
+let me, socket, friend;
+
+beforeEach(() => {
+  ({ authUser: me, socket } = signIn());
+  friend = buildUser({ fullName: "Friend" });
+  openChat(friend);
+});
+
+const renderInput = () => {
+  const user = userEvent.setup({ applyAccept: false });
+  const view = render(<MessageInput />);
+  const [imageInput, , fileInput] = view.container.querySelectorAll('input[type="file"]');
+  return { user, imageInput, fileInput, ...view };
+};
+
+const sendButton = () => document.querySelector('button[type="submit"]');
+
+describe("MessageInput", () => {
+  it("only enables sending once there is something to send", async () => {
+    const { user } = renderInput();
+
+    expect(sendButton()).toBeDisabled();
+    await user.type(screen.getByPlaceholderText("Type your message..."), "   ");
+    expect(sendButton()).toBeDisabled();
+    await user.type(screen.getByPlaceholderText("Type your message..."), "hi");
+    expect(sendButton()).toBeEnabled();
+  });
+
+  it("sends the trimmed text and clears the field", async () => {
+    axiosInstance.post.mockResolvedValueOnce({ data: buildMessage(me, friend, { text: "hello" }) });
+    const { user } = renderInput();
+    const input = screen.getByPlaceholderText("Type your message...");
+
+    await user.type(input, "  hello  {Enter}");
+
+    await waitFor(() => expect(input).toHaveValue(""));
+    const [url, formData] = axiosInstance.post.mock.calls[0];
+    expect(url).toBe(`/messages/send/${friend._id}`);
+    expect(formData.get("text")).toBe("hello");
+    expect(useChatStore.getState().messages.map((m) => m.text)).toEqual(["hello"]);
+  });
+
+  it("queues picked files and sends them in order", async () => {
+    axiosInstance.post.mockResolvedValueOnce({ data: buildMessage(me, friend) });
+    const { user, imageInput, fileInput } = renderInput();
+    const photo = new File(["png"], "photo.png", { type: "image/png" });
+    const notes = new File(["pdf"], "notes.pdf", { type: "application/pdf" });
+
+    await user.upload(imageInput, photo);
+    await user.upload(fileInput, notes);
+
+    expect(screen.getByAltText("photo.png")).toHaveAttribute("src", "blob:photo.png");
+    expect(screen.getByText("notes.pdf")).toBeInTheDocument();
+
+    await user.click(sendButton());
+
+    await waitFor(() => expect(axiosInstance.post).toHaveBeenCalled());
+    const formData = axiosInstance.post.mock.calls[0][1];
+    expect(formData.getAll("attachments").map((file) => file.name)).toEqual([
+      "photo.png",
+      "notes.pdf",
+    ]);
+    await waitFor(() => expect(screen.queryByText("notes.pdf")).not.toBeInTheDocument());
+  });
+
+  it("keeps the text and queued files when sending fails", async () => {
+    axiosInstance.post.mockRejectedValueOnce(apiError(500, "Failed to upload notes.pdf"));
+    const { user, fileInput } = renderInput();
+    const input = screen.getByPlaceholderText("Type your message...");
+
+    await user.upload(fileInput, new File(["pdf"], "notes.pdf", { type: "application/pdf" }));
+    await user.type(input, "see attached");
+    await user.click(sendButton());
+
+    await waitFor(() => expect(toast.error).toHaveBeenCalledWith("Failed to upload notes.pdf"));
+    expect(input).toHaveValue("see attached");
+    expect(screen.getByText("notes.pdf")).toBeInTheDocument();
+    expect(sendButton()).toBeEnabled();
+  });
+
+  it("turns away unsupported and oversized files", async () => {
+    const { user, fileInput, imageInput } = renderInput();
+
+    await user.upload(
+      fileInput,
+      new File(["exe"], "setup.exe", { type: "application/x-msdownload" })
+    );
+    const huge = new File(["x"], "huge.png", { type: "image/png" });
+    Object.defineProperty(huge, "size", { value: 11 * 1024 * 1024 });
+    await user.upload(imageInput, huge);
+
+    expect(toast.error).toHaveBeenCalledWith("setup.exe: this file type is not supported");
+    expect(toast.error).toHaveBeenCalledWith("huge.png is larger than 10.0 MB");
+    expect(sendButton()).toBeDisabled();
+  });
+
+  it("lets a queued file be removed again", async () => {
+    const { user, fileInput } = renderInput();
+
+    await user.upload(fileInput, new File(["pdf"], "notes.pdf", { type: "application/pdf" }));
+    await user.click(screen.getByTitle("Remove"));
+
+    expect(screen.queryByText("notes.pdf")).not.toBeInTheDocument();
+  });
+
+  it("shows the message being replied to and can cancel the reply", async () => {
+    useChatStore.setState({ replyTo: buildMessage(friend, me, { text: "original question" }) });
+    const { user } = renderInput();
+
+    expect(screen.getByText("Replying to Friend")).toBeInTheDocument();
+    expect(screen.getByText("original question")).toBeInTheDocument();
+
+    await user.click(screen.getByText("Replying to Friend").parentElement.nextElementSibling);
+
+    expect(useChatStore.getState().replyTo).toBeNull();
+    expect(screen.queryByText("original question")).not.toBeInTheDocument();
+  });
+
+  it("tells the other person while the user is typing", async () => {
+    const { user } = renderInput();
+
+    await user.type(screen.getByPlaceholderText("Type your message..."), "hm");
+
+    await waitFor(() =>
+      expect(socket.emitted).toContainEqual(["typing", { receiverId: friend._id }])
+    );
+    await waitFor(
+      () => expect(socket.emitted).toContainEqual(["stopTyping", { receiverId: friend._id }]),
+      { timeout: 2500 }
+    );
+  });
+});
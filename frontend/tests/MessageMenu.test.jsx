@@ -0,0 +1,146 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { render, screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import toast from "react-hot-toast";
+import MessageMenu from "../src/components/MessageMenu";
+import { useChatStore } from "../src/store/useChatStore";
+import { axiosInstance } from "./fakes/axios.js";
+import { buildMessage, buildUser, openChat, signIn } from "./helpers/factories.js";
+
+let me, friend;
+
+beforeEach(() => {
+  ({ authUser: me } = signIn());
+  friend = buildUser({ fullName: "Friend" });
+});
+
+// Renders the menu for a message in the open chat and opens it
+const openMenu = async (message) => {
+  openChat(friend, [message]);
+  const user = userEvent.setup();
+  const isSentByMe = message.senderId._id === me._id;
+  render(<MessageMenu message={message} isSentByMe={isSentByMe} />);
+  await user.click(screen.getByTitle("Message options"));
+  return user;
+};
+
+const menuItems = () =>
+  screen
+    .getAllByRole("button")
+    .map((button) => button.textContent.trim())
+    .filter(Boolean);
+
+describe("MessageMenu", () => {
+  it("offers editing and deleting for everyone on my own messages", async () => {
+    await openMenu(buildMessage(me, friend));
+
+    expect(menuItems()).toEqual([
+      "Reply",
+      "Copy",
+      "Edit",
+      "Delete for me",
+      "Delete for everyone",
+      "Info",
+    ]);
+  });
+
+  it("offers reporting instead on other people's messages", async () => {
+    await openMenu(buildMessage(friend, me, { text: "" }));
+
+    expect(menuItems()).toEqual(["Reply", "Delete for me", "Info", "Report"]);
+  });
+
+  it("shows nothing but a note for messages deleted for everyone", () => {
+    render(
+      <MessageMenu message={buildMessage(me, friend, { deletedForEveryone: true })} isSentByMe />
+    );
+
+    expect(screen.getByText("This message was deleted")).toBeInTheDocument();
+    expect(screen.queryByTitle("Message options")).not.toBeInTheDocument();
+  });
+
+  it("sets the message as the reply target", async () => {
+    const message = buildMessage(friend, me);
+    const user = await openMenu(message);
+
+    await user.click(screen.getByText("Reply"));
+
+    expect(useChatStore.getState().replyTo).toBe(message);
+    expect(screen.queryByText("Delete for me")).not.toBeInTheDocument();
+  });
+
+  it("copies the text", async () => {
+    const user = await openMenu(buildMessage(friend, me, { text: "copy me" }));
+
+    await user.click(screen.getByText("Copy"));
+
+    expect(await navigator.clipboard.readText()).toBe("copy me");
+  });
+
+  it("edits the message", async () => {
+    const message = buildMessage(me, friend, { text: "tpyo" });
+    const edited = { ...message, text: "typo", edited: true };
+    axiosInstance.put.mockResolvedValueOnce({ data: edited });
+    const user = await openMenu(message);
+
+    await user.click(screen.getByText("Edit"));
+    const textarea = screen.getByRole("textbox");
+    await user.clear(textarea);
+    await user.type(textarea, "typo");
+    await user.click(screen.getByText("Save"));
+
+    expect(axiosInstance.put).toHaveBeenCalledWith(`/messages/edit/${message._id}`, {
+      text: "typo",
+    });
+    await waitFor(() => expect(toast.success).toHaveBeenCalledWith("Message edited"));
+    expect(useChatStore.getState().messages).toEqual([edited]);
+    expect(screen.queryByText("Edit Message")).not.toBeInTheDocument();
+  });
+
+  it("won't save an empty edit", async () => {
+    const user = await openMenu(buildMessage(me, friend));
+
+    await user.click(screen.getByText("Edit"));
+    await user.clear(screen.getByRole("textbox"));
+    await user.click(screen.getByText("Save"));
+
+    expect(axiosInstance.put).not.toHaveBeenCalled();
+    expect(toast.error).toHaveBeenCalledWith("Message cannot be empty");
+  });
+
+  it("deletes for everyone after confirming", async () => {
+    vi.spyOn(window, "confirm").mockReturnValue(true);
+    const message = buildMessage(me, friend);
+    const deleted = { ...message, text: "", deletedForEveryone: true };
+    axiosInstance.delete.mockResolvedValueOnce({ data: deleted });
+    const user = await openMenu(message);
+
+    await user.click(screen.getByText("Delete for everyone"));
+
+    expect(window.confirm).toHaveBeenCalledWith("Delete this message for everyone?");
+    expect(axiosInstance.delete).toHaveBeenCalledWith(`/messages/delete/${message._id}`, {
+      data: { deleteForEveryone: true },
+    });
+    await waitFor(() => expect(useChatStore.getState().messages).toEqual([deleted]));
+  });
+
+  it("removes a message deleted for me from the chat", async () => {
+    vi.spyOn(window, "confirm").mockReturnValue(true);
+    const message = buildMessage(me, friend);
+    axiosInstance.delete.mockResolvedValueOnce({ data: message });
+    const user = await openMenu(message);
+
+    await user.click(screen.getByText("Delete for me"));
+
+    await waitFor(() => expect(useChatStore.getState().messages).toEqual([]));
+  });
+
+  it("does nothing when the delete isn't confirmed", async () => {
+    vi.spyOn(window, "confirm").mockReturnValue(false);
+    const user = await openMenu(buildMessage(me, friend));
+
+    await user.click(screen.getByText("Delete for everyone"));
+
+    expect(axiosInstance.delete).not.toHaveBeenCalled();
+  });
+});
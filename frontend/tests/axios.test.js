@@ -0,0 +1,59 @@
+import { describe, expect, it, vi } from "vitest";
+import { AxiosError } from "axios";
+import toast from "react-hot-toast";
+
+// The rest of the suite uses the fake from tests/fakes; this checks the real instance's
+// error handling by answering its requests from a stub adapter
+const { axiosInstance } = await vi.importActual("../src/lib/axios");
+
+const respondWith = (status, data) => {
+  axiosInstance.defaults.adapter = async (config) => {
+    const response = { status, data, headers: {}, config };
+    throw new AxiosError(
+      `Request failed with status code ${status}`,
+      "ERR_BAD_REQUEST",
+      config,
+      null,
+      response
+    );
+  };
+};
+
+const failedRequest = () => axiosInstance.get("/anything").catch((error) => error);
+
+describe("axiosInstance errors", () => {
+  it("keeps the API's { code, message, details }", async () => {
+    const body = {
+      code: "VALIDATION_ERROR",
+      message: "Emoji is required",
+      details: [{ location: "body", path: "emoji", message: "Emoji is required" }],
+    };
+    respondWith(400, body);
+
+    const error = await failedRequest();
+
+    expect(error.response.data).toEqual(body);
+    expect(toast.error).not.toHaveBeenCalled();
+  });
+
+  it("gives bodies without a code the same shape", async () => {
+    respondWith(404, { message: "Not here" });
+
+    const error = await failedRequest();
+
+    expect(error.response.data).toEqual({
+      code: "UNKNOWN_ERROR",
+      message: "Not here",
+      details: null,
+    });
+  });
+
+  it("leaves the message empty when the error didn't come from the API", async () => {
+    respondWith(502, "<html>Bad Gateway</html>");
+
+    const error = await failedRequest();
+
+    expect(error.response.data).toEqual({ code: "UNKNOWN_ERROR", message: "", details: null });
+    expect(toast.error).toHaveBeenCalledWith("Server error. Please try again later.");
+  });
+});
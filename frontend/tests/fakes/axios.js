@@ -0,0 +1,26 @@
+import { vi } from "vitest";
+
+// Stands in for src/lib/axios.js. Every request resolves with empty data unless a test queues
+// a response, e.g. axiosInstance.get.mockResolvedValueOnce({ data: { messages: [] } })
+
+const emptyResponse = async () => ({ data: {} });
+
+export const axiosInstance = {
+  get: vi.fn(emptyResponse),
+  post: vi.fn(emptyResponse),
+  put: vi.fn(emptyResponse),
+  patch: vi.fn(emptyResponse),
+  delete: vi.fn(emptyResponse),
+  defaults: { headers: { common: {} } },
+};
+
+export const refreshSession = vi.fn(async () => false);
+
+export const setSessionExpiredHandler = vi.fn();
+
+// What a rejected request looks like to the stores once the real instance's interceptor has
+// seen it: response.data always has the API's { code, message, details } shape
+export const apiError = (status, message, { code = "BAD_REQUEST", details = null } = {}) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, data: { code, message, details } },
+  });
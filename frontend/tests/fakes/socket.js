@@ -0,0 +1,54 @@
+// Stands in for a socket.io client socket. serverEmit() delivers an event to the listeners the
+// app registered, and everything the app sends is recorded in `emitted`.
+export class FakeSocket {
+  constructor() {
+    this.id = "fake-socket-id";
+    this.connected = true;
+    this.listeners = new Map(); // event -> Set<handler>
+    this.emitted = []; // [event, payload]
+  }
+
+  on(event, handler) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(handler);
+    return this;
+  }
+
+  once(event, handler) {
+    const wrapper = (payload) => {
+      this.off(event, wrapper);
+      handler(payload);
+    };
+    return this.on(event, wrapper);
+  }
+
+  // Without a handler every listener for the event goes, like socket.io's off(event)
+  off(event, handler) {
+    if (handler) this.listeners.get(event)?.delete(handler);
+    else this.listeners.delete(event);
+    return this;
+  }
+
+  removeAllListeners() {
+    this.listeners.clear();
+    return this;
+  }
+
+  listenerCount(event) {
+    return this.listeners.get(event)?.size || 0;
+  }
+
+  emit(event, payload) {
+    this.emitted.push([event, payload]);
+    return this;
+  }
+
+  disconnect() {
+    this.connected = false;
+    return this;
+  }
+
+  serverEmit(event, payload) {
+    [...(this.listeners.get(event) || [])].forEach((handler) => handler(payload));
+  }
+}
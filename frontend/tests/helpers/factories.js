@@ -0,0 +1,44 @@
+import { FakeSocket } from "../fakes/socket.js";
+import { useAuthStore } from "../../src/store/useAuthStore";
+import { useChatStore } from "../../src/store/useChatStore";
+
+let idCount = 0;
+const nextId = (prefix) => `${prefix}${++idCount}`;
+
+export const buildUser = (overrides = {}) => {
+  const _id = overrides._id || nextId("user");
+  return { _id, fullName: `User ${_id}`, profilePic: "", blockedUsers: [], ...overrides };
+};
+
+// A message as the API returns it, with the sender and receiver populated
+export const buildMessage = (sender, receiver, overrides = {}) => ({
+  _id: nextId("message"),
+  senderId: { _id: sender._id, fullName: sender.fullName, profilePic: sender.profilePic },
+  receiverId: receiver
+    ? { _id: receiver._id, fullName: receiver.fullName, profilePic: receiver.profilePic }
+    : null,
+  groupId: null,
+  text: "hello",
+  attachments: [],
+  replyTo: null,
+  reactions: [],
+  readBy: [],
+  deliveredTo: [{ userId: sender._id }],
+  deletedForMe: [],
+  deletedForEveryone: false,
+  createdAt: new Date().toISOString(),
+  ...overrides,
+});
+
+// Logs a user in with a connected fake socket
+export const signIn = (overrides = {}) => {
+  const authUser = buildUser({ email: "me@example.com", ...overrides });
+  const socket = new FakeSocket();
+  useAuthStore.setState({ authUser, socket });
+  return { authUser, socket };
+};
+
+// Opens the conversation without going through setSelectedUser's side effects
+export const openChat = (chat, messages = []) => {
+  useChatStore.setState({ selectedUser: chat, messages });
+};
@@ -0,0 +1,33 @@
+import "@testing-library/jest-dom/vitest";
+import { afterEach, vi } from "vitest";
+import { cleanup } from "@testing-library/react";
+import { FakeSocket } from "./fakes/socket.js";
+import { useAuthStore } from "../src/store/useAuthStore";
+import { useChatStore } from "../src/store/useChatStore";
+import { useContactStore } from "../src/store/useContactStore";
+
+// The API client and the socket connection are swapped for fakes so the suite never touches
+// the network, and toasts are spies so tests can check what the user was told
+vi.mock("../src/lib/axios", () => import("./fakes/axios.js"));
+vi.mock("socket.io-client", () => ({ io: vi.fn(() => new FakeSocket()) }));
+vi.mock("react-hot-toast", () => {
+  const toast = vi.fn();
+  toast.success = vi.fn();
+  toast.error = vi.fn();
+  return { default: toast, toast, Toaster: () => null };
+});
+
+// jsdom doesn't implement these
+Element.prototype.scrollIntoView = vi.fn();
+URL.createObjectURL = vi.fn((file) => `blob:${file.name}`);
+URL.revokeObjectURL = vi.fn();
+
+afterEach(() => {
+  cleanup();
+  vi.resetAllMocks();
+  vi.restoreAllMocks();
+  vi.useRealTimers();
+  for (const store of [useAuthStore, useChatStore, useContactStore]) {
+    store.setState(store.getInitialState(), true);
+  }
+});
@@ -0,0 +1,248 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import toast from "react-hot-toast";
+import { useChatStore } from "../src/store/useChatStore";
+import { axiosInstance, apiError } from "./fakes/axios.js";
+import { buildMessage, buildUser, openChat, signIn } from "./helpers/factories.js";
+
+let me, socket, friend;
+
+beforeEach(() => {
+  ({ authUser: me, socket } = signIn());
+  friend = buildUser({ fullName: "Friend" });
+  openChat(friend);
+});
+
+const textForm = (text) => {
+  const formData = new FormData();
+  formData.append("text", text);
+  return formData;
+};
+
+// A request that stays in flight until the test settles it
+const deferred = () => {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+const messages = () => useChatStore.getState().messages;
+
+describe("sendMessage", () => {
+  it("shows an optimistic message right away and swaps in the saved one", async () => {
+    const request = deferred();
+    axiosInstance.post.mockReturnValueOnce(request.promise);
+
+    const sending = useChatStore.getState().sendMessage(textForm("hi there"));
+
+    expect(messages()).toHaveLength(1);
+    expect(messages()[0]).toMatchObject({
+      _id: expect.stringMatching(/^temp-/),
+      text: "hi there",
+      isOptimistic: true,
+      senderId: { _id: me._id },
+      receiverId: { _id: friend._id },
+    });
+
+    const saved = buildMessage(me, friend, { text: "hi there" });
+    request.resolve({ data: saved });
+    expect(await sending).toBe(true);
+
+    expect(messages()).toEqual([saved]);
+    expect(axiosInstance.post).toHaveBeenCalledWith(
+      `/messages/send/${friend._id}`,
+      expect.any(FormData),
+      expect.any(Object)
+    );
+  });
+
+  it("posts to the group endpoint in group chats", async () => {
+    const group = { _id: "group1", name: "Team", isGroup: true, members: [] };
+    openChat(group);
+    axiosInstance.post.mockResolvedValueOnce({
+      data: buildMessage(me, null, { groupId: group._id }),
+    });
+
+    await useChatStore.getState().sendMessage(textForm("hi team"));
+
+    expect(axiosInstance.post.mock.calls[0][0]).toBe(`/messages/group/send/${group._id}`);
+  });
+
+  it("previews attachments locally and releases the previews afterwards", async () => {
+    const formData = new FormData();
+    formData.append("attachments", new File(["png"], "photo.png", { type: "image/png" }));
+    formData.append("attachments", new File(["pdf"], "notes.pdf", { type: "application/pdf" }));
+    const request = deferred();
+    axiosInstance.post.mockReturnValueOnce(request.promise);
+
+    const sending = useChatStore.getState().sendMessage(formData);
+
+    expect(messages()[0].attachments).toEqual([
+      expect.objectContaining({ type: "image", url: "blob:photo.png", name: "photo.png" }),
+      expect.objectContaining({ type: "file", url: null, name: "notes.pdf" }),
+    ]);
+
+    request.resolve({ data: buildMessage(me, friend) });
+    await sending;
+
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith("blob:photo.png");
+  });
+
+  it("rolls the optimistic message back and reports the server's error", async () => {
+    const existing = buildMessage(friend, me);
+    openChat(friend, [existing]);
+    axiosInstance.post.mockRejectedValueOnce(apiError(403, "You can't message this user."));
+
+    const sent = await useChatStore.getState().sendMessage(textForm("hello?"));
+
+    expect(sent).toBe(false);
+    expect(messages()).toEqual([existing]);
+    expect(toast.error).toHaveBeenCalledWith("You can't message this user.");
+  });
+
+  it("sends the reply target along and clears it", async () => {
+    const original = buildMessage(friend, me);
+    useChatStore.setState({ replyTo: original });
+    axiosInstance.post.mockResolvedValueOnce({ data: buildMessage(me, friend) });
+
+    await useChatStore.getState().sendMessage(textForm("replying"));
+
+    const sentForm = axiosInstance.post.mock.calls[0][1];
+    expect(sentForm.get("replyTo")).toBe(original._id);
+    expect(useChatStore.getState().replyTo).toBeNull();
+  });
+
+  it("refuses without an open chat", async () => {
+    openChat(null);
+
+    await useChatStore.getState().sendMessage(textForm("to nobody"));
+
+    expect(axiosInstance.post).not.toHaveBeenCalled();
+    expect(toast.error).toHaveBeenCalled();
+  });
+});
+
+describe("duplicate suppression", () => {
+  beforeEach(() => {
+    useChatStore.getState().subscribeToMessages();
+  });
+
+  it("ignores the socket echo of a message this tab just sent", async () => {
+    vi.useFakeTimers();
+    const saved = buildMessage(me, friend);
+    axiosInstance.post.mockResolvedValueOnce({ data: saved });
+
+    await useChatStore.getState().sendMessage(textForm("hello"));
+    expect(useChatStore.getState().pendingMessages.has(saved._id)).toBe(true);
+
+    // with the message off the list, only the pending guard stops the echo being added again
+    useChatStore.setState({ messages: [] });
+    socket.serverEmit("newMessage", saved);
+    expect(messages()).toEqual([]);
+
+    // the guard only lasts as long as an echo could still arrive
+    vi.advanceTimersByTime(2000);
+    expect(useChatStore.getState().pendingMessages.has(saved._id)).toBe(false);
+  });
+
+  it("ignores messages that are already shown", () => {
+    const message = buildMessage(friend, me);
+    openChat(friend, [message]);
+
+    socket.serverEmit("newMessage", message);
+
+    expect(messages()).toEqual([message]);
+  });
+
+  it("adds new messages for the open chat only", () => {
+    const fromFriend = buildMessage(friend, me);
+    const fromStranger = buildMessage(buildUser(), me);
+
+    socket.serverEmit("newMessage", fromFriend);
+    socket.serverEmit("newMessage", fromStranger);
+
+    expect(messages()).toEqual([fromFriend]);
+  });
+
+  it("adds messages I sent to the open chat from another tab", () => {
+    const fromOtherTab = buildMessage(me, friend);
+
+    socket.serverEmit("newMessage", fromOtherTab);
+
+    expect(messages()).toEqual([fromOtherTab]);
+  });
+
+  it("keeps group and direct conversations apart", () => {
+    const groupMessage = buildMessage(friend, null, { groupId: friend._id });
+
+    socket.serverEmit("newMessage", groupMessage);
+
+    expect(messages()).toEqual([]);
+  });
+});
+
+describe("receipts", () => {
+  let sent;
+
+  beforeEach(() => {
+    sent = buildMessage(me, friend);
+    openChat(friend, [sent]);
+    useChatStore.getState().subscribeToMessages();
+  });
+
+  it("records each read once", () => {
+    socket.serverEmit("messageRead", { messageId: sent._id, userId: friend._id });
+    socket.serverEmit("messageRead", { messageId: sent._id, userId: friend._id });
+
+    expect(messages()[0].readBy).toEqual([{ userId: friend._id }]);
+  });
+
+  it("records each delivery once", () => {
+    socket.serverEmit("messageDelivered", { messageId: sent._id, userId: friend._id });
+    socket.serverEmit("messageDelivered", { messageId: sent._id, userId: friend._id });
+
+    expect(messages()[0].deliveredTo).toEqual([{ userId: me._id }, { userId: friend._id }]);
+  });
+
+  it("leaves other messages alone", () => {
+    socket.serverEmit("messageRead", { messageId: "someone-else", userId: friend._id });
+
+    expect(messages()).toEqual([sent]);
+  });
+
+  it("stops listening once the chat is left", () => {
+    useChatStore.getState().unsubscribeFromMessages();
+
+    socket.serverEmit("messageRead", { messageId: sent._id, userId: friend._id });
+    socket.serverEmit("messageDelivered", { messageId: sent._id, userId: friend._id });
+
+    expect(messages()).toEqual([sent]);
+    expect(socket.listenerCount("newMessage")).toBe(0);
+  });
+});
+
+describe("typing", () => {
+  it("emits typing and stopTyping once per burst", () => {
+    useChatStore.getState().handleTyping(friend._id);
+    useChatStore.getState().handleTyping(friend._id);
+    useChatStore.getState().handleStopTyping(friend._id);
+
+    expect(socket.emitted).toEqual([
+      ["typing", { receiverId: friend._id }],
+      ["stopTyping", { receiverId: friend._id }],
+    ]);
+  });
+
+  it("tracks who is typing in the open chat", () => {
+    useChatStore.getState().subscribeToMessages();
+
+    socket.serverEmit("userTyping", { userId: friend._id, userName: friend.fullName });
+    socket.serverEmit("userTyping", { userId: "someone-else", userName: "Someone" });
+    expect(useChatStore.getState().typingUsers).toEqual([friend._id]);
+
+    socket.serverEmit("userStoppedTyping", { userId: friend._id });
+    expect(useChatStore.getState().typingUsers).toEqual([]);
+  });
+});